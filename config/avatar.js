@@ -164,14 +164,23 @@ export const AVATAR_PERSONA = {
     afterBongBongDelay: 2000,
     responseToHumanRate: 0.7,
     bongbongCounterRate: 0.15,
-    dailyPraiseEnabled: true
+    dailyPraiseEnabled: true,
+    idleTriggerMinutes: 60,    // 群組閒置多久後觸發閒聊
+    idleChatInterval: 180,     // 兩次閒聊至少間隔 (分鐘)
+    idleChatRounds: 2          // 每次閒聊輪數
   },
 
-  // 學習配置
+  // 學習配置 - 從真實周文的群聊消息學說話風格 (見 styleModelService)
   learning: {
     enabled: true,
-    targetUserIds: ['>01Rain'],
-    features: ['vocabulary', 'sentence_length', 'punctuation', 'emoji_usage', 'meme_usage']
+    targetUserIds: ['>01Rain'],  // 另外按 realZhouwenNames 匹配顯示名
+    refreshHours: 6,             // 多久重新學習一次
+    firstRunDelayMinutes: 5,
+    maxMessages: 500,            // 最多取最近多少條
+    minMessages: 10,             // 少於這麼多條不注入風格
+    holdoutEvery: 5,             // 每 5 條留 1 條不學，給 /style eval 對照
+    fewShotExamples: 5,          // 提示詞裡放幾句原話
+    evalSamples: 8               // 評估時取幾條留出消息
   }
 };
 
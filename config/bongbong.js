@@ -148,7 +148,96 @@ export const DASHBOARD_TEMPLATE = `
 📝 Token: {tokens} | 💾 記憶: {memoryRefs}
 ━━━━━━━━━━━━━━━━━━━━`;
 
+// 💬 聊天模式 - 選擇後持續生效，直到切換 / 回到自動或閒置超時
+// modelKey: 對應 AVAILABLE_MODELS (null = smartRouter 自動路由)
+// memoryLimit: 引用相關記憶條數 (0 = 不引用)
+// ttlMinutes: 最後一條消息後多久自動回到自動模式
+// pipeline: 'fullpower' = Gemini Pro 分析 + Grok Mini 擴散思考
+export const CONVERSATION_MODES = {
+  fast: {
+    label: '快速問答',
+    icon: '🚀',
+    modelKey: 'gemini.flash',
+    temperature: 0.5,
+    maxOutputTokens: 800,
+    memoryLimit: 0,
+    ttlMinutes: 60,
+    prompt: '直接給出答案，三句話以內，不鋪墊不展開。',
+    intro: '🚀 *快速問答模式*\n\n直接發送你的問題，我會快速回答！'
+  },
+  deep: {
+    label: '深度分析',
+    icon: '🧠',
+    modelKey: 'gemini.pro',
+    temperature: 0.4,
+    maxOutputTokens: 4096,
+    memoryLimit: 5,
+    ttlMinutes: 30,
+    prompt: '深入分析問題：先拆解關鍵點，再逐條論證，最後給出結論和可執行的建議。',
+    intro: '🧠 *深度分析模式*\n\n發送複雜問題，我會詳細分析！'
+  },
+  humor: {
+    label: '幽默模式',
+    icon: '😎',
+    modelKey: 'grok.mini',
+    temperature: 1.1,
+    maxOutputTokens: 1024,
+    memoryLimit: 1,
+    ttlMinutes: 60,
+    prompt: '用輕鬆幽默的方式回答，多用冷笑話和段子，但不要冒犯人。',
+    intro: '😎 *幽默模式*\n\n來聊點輕鬆的吧！'
+  },
+  emotional: {
+    label: '情感支持',
+    icon: '💝',
+    modelKey: 'grok.fast',
+    temperature: 0.8,
+    maxOutputTokens: 1500,
+    memoryLimit: 5,
+    ttlMinutes: 120,
+    prompt: '先共情再建議：認真傾聽，肯定對方的感受，語氣溫暖，不說教。',
+    intro: '💝 *情感支持模式*\n\n有什麼煩心事可以跟我說。'
+  },
+  knowledge: {
+    label: '知識問答',
+    icon: '📚',
+    modelKey: 'gemini.flash',
+    temperature: 0.3,
+    maxOutputTokens: 2048,
+    memoryLimit: 3,
+    ttlMinutes: 60,
+    prompt: '準確回答知識性問題，給出關鍵事實和依據；不確定的內容要明確說明。',
+    intro: '📚 *知識問答模式*\n\n問我任何知識問題！'
+  },
+  fullpower: {
+    label: '全火力',
+    icon: '🔥',
+    modelKey: 'gemini.pro',
+    pipeline: 'fullpower',
+    // maxOutputTokens 按語意複雜度 (0-5) 在 [最少, 最多] 之間取值
+    tokenBudget: {
+      analysis: [2048, 8192],
+      diverge: [768, 2048]
+    },
+    temperature: 0.4,
+    memoryLimit: 5,
+    ttlMinutes: 15,
+    prompt: '這是需要全力分析的現實問題，考慮多種角度、風險和可行方案。',
+    intro: '🔥 *全火力模式啟動*\n\n這是深度分析模式，用於複雜問題：\n\n• Gemini Pro 嚴謹分析\n• Grok Mini 擴散思考\n• 語意分析決定 token 用量\n\n發送你的問題，我會全力分析！'
+  }
+};
+
+// 🔄 重新生成可選的模型檔位 (modelKey 對應 AVAILABLE_MODELS，null = 沿用原路由)
+export const REGENERATE_TIERS = {
+  same: { label: '🔁 同模型', modelKey: null },
+  flash: { label: '⚡ 快速', modelKey: 'gemini.flash' },
+  pro: { label: '🧠 深度', modelKey: 'gemini.pro' },
+  grok: { label: '😎 Grok', modelKey: 'grok.fast' }
+};
+
 export default {
   BONGBONG_PERSONA,
-  DASHBOARD_TEMPLATE
+  DASHBOARD_TEMPLATE,
+  CONVERSATION_MODES,
+  REGENERATE_TIERS
 };
@@ -8,6 +8,25 @@ export default {
     botToken: process.env.TELEGRAM_BOT_TOKEN,
     avatarBotToken: process.env.TELEGRAM_BOT_TOKEN_AVATAR,
     chatId: process.env.TELEGRAM_CHAT_ID,
+    // 流式回覆 - editMessageText 節流 (Telegram 單聊約 1 次/秒，群組約 20 條/分鐘)
+    stream: {
+      editIntervalMs: parseInt(process.env.STREAM_EDIT_INTERVAL_MS) || 1200,
+      groupEditIntervalMs: parseInt(process.env.STREAM_GROUP_EDIT_INTERVAL_MS) || 3000,
+      minChars: parseInt(process.env.STREAM_MIN_CHARS) || 40,
+    },
+    // 接收更新: polling (默認) | webhook (內建 HTTP 服務接收，見 server)
+    mode: process.env.TELEGRAM_MODE || 'polling',
+    webhook: {
+      publicUrl: process.env.WEBHOOK_PUBLIC_URL,  // 對外 https 地址，如 https://bot.example.com
+      secret: process.env.WEBHOOK_SECRET,          // X-Telegram-Bot-Api-Secret-Token，不填則每次啟動隨機生成
+      dedupeSize: 1000,                            // 每個 bot 記住最近多少個 update_id
+    },
+  },
+
+  // 內建 HTTP 服務 - webhook 接收 + /healthz /readyz 探針
+  server: {
+    port: parseInt(process.env.HTTP_PORT) || 8080,
+    host: process.env.HTTP_HOST || '0.0.0.0',
   },
 
   // API Keys - 支持多種環境變量名
@@ -24,6 +43,13 @@ export default {
   // Grok 配置
   grok: {
     apiKey: process.env.GROK_API_KEY || process.env.GROK_ONE_,
+    baseURL: process.env.GROK_BASE_URL || 'https://api.x.ai/v1',
+  },
+
+  // LLM Provider - live: 按模型 ID 走 Gemini/Grok | stub: 離線確定性回覆
+  // 各功能的模型/溫度/重試見 config/llm.js
+  llm: {
+    provider: process.env.LLM_PROVIDER || 'live',
   },
 
   // 模型配置 - 經濟優先，Gemini 贈金支撐
@@ -44,6 +70,14 @@ export default {
     triggerKeywords: (process.env.TRIGGER_KEYWORDS || '帮助,问题,查询,记录,分析').split(','),
   },
 
+  // 會話狀態 (待處理操作 / 私聊歷史 / 活躍群組) - 重啟後從 Mongo 恢復
+  session: {
+    store: process.env.SESSION_STORE || 'mongo', // mongo, memory
+    pendingActionTtlMinutes: parseInt(process.env.PENDING_ACTION_TTL_MINUTES) || 10,
+    historyTtlDays: parseInt(process.env.HISTORY_TTL_DAYS) || 7,
+    historyMaxMessages: 20,
+  },
+
   // MongoDB配置 - DO VPC 私網連接
   mongodb: {
     uri: process.env.MONGODB_URI || process.env.MONGODB_VPC_URI || 'mongodb://localhost:27017/sms_tg_bot',
@@ -55,6 +89,53 @@ export default {
     },
   },
 
+  // 記憶整理 (後台任務): 近似重複合併 + 重要度衰減 / 提升 + 低價值歸檔
+  consolidation: {
+    enabled: process.env.MEMORY_CONSOLIDATION_ENABLED !== 'false',
+    intervalHours: parseInt(process.env.MEMORY_CONSOLIDATION_INTERVAL_HOURS) || 24,
+    firstRunDelayMinutes: 10,
+    batchSize: 500,               // 每個用戶 / 群組每次最多整理多少條
+    duplicateThreshold: 0.92,     // 向量相似度達到這個值視為近似重複
+    decayAfterDays: 30,           // 多久沒被檢索開始衰減
+    decayHalfLifeDays: 60,
+    boostStep: 0.1,               // 每被檢索一次提升 (佔滿分的比例)，單次最多算 3 次
+    archiveBelow: 0.15,           // 重要度低於滿分的這個比例 ...
+    archiveAfterDays: 90,         // ... 且這麼久沒被用過 → 歸檔
+  },
+
+  // 家庭知識圖譜: 從群聊 / 筆記抽取人物、過敏、用藥、生日、地址、簽證日期、喜好
+  knowledge: {
+    enabled: process.env.KNOWLEDGE_GRAPH_ENABLED !== 'false',
+    promptFacts: 5,               // 每次回覆最多注入幾條事實
+    candidates: 300,              // 參與排序的事實上限 (按更新時間)
+    maxSources: 5                 // 每條事實保留幾條來源
+  },
+
+  // 隱私: 「不要記住」開啟後，消息只保留短期上下文，到期自動刪除
+  privacy: {
+    ephemeralTtlHours: parseInt(process.env.EPHEMERAL_TTL_HOURS) || 24,
+  },
+
+  // 長對話摘要: 每 N 條消息把更早的對話總結成一段近期摘要，近期摘要太多時併入長期摘要
+  summary: {
+    enabled: process.env.CHAT_SUMMARY_ENABLED !== 'false',
+    everyMessages: parseInt(process.env.CHAT_SUMMARY_EVERY) || 20,  // 每段近期摘要覆蓋多少條消息
+    recentSegments: 3,            // 保留幾段近期摘要，更早的併入長期摘要
+    rawMessages: 20,              // 提示詞裡最多帶幾條原始消息 (不小於 everyMessages 就不會漏掉還沒總結的)
+    minRawMessages: 4,            // 預算再緊也保留的最新幾條
+    backlogMessages: 200,         // 每次更新最多讀多少條新消息 (舊聊天第一次總結時更早的跳過)
+    tokenBudget: parseInt(process.env.CONTEXT_TOKEN_BUDGET) || 2000,  // 摘要 + 原始消息的 token 上限
+  },
+
+  // 筆記本
+  notebook: {
+    zhouwenUserId: process.env.ZHOUWEN_USER_ID || null,  // 舊自動筆記只記了 'zhouwen'，遷移時靠它找到周文的筆記本
+    exportMaxBytes: (parseInt(process.env.NOTE_EXPORT_MAX_KB) || 2048) * 1024,  // 導出文件超過這個大小時拆成幾份
+    importMaxBytes: (parseInt(process.env.NOTE_IMPORT_MAX_KB) || 1024) * 1024,  // 導入文件大小上限
+    importMaxNotes: 200,          // 一個文件最多導入多少條
+    forwardBatchSeconds: 10,      // 這麼久內連續轉發的消息合併成一條回覆
+  },
+
   // 智能路由器配置
   router: {
     wordThreshold: parseInt(process.env.COMPLEXITY_WORD_THRESHOLD) || 100,
@@ -67,6 +148,25 @@ export default {
     dimension: parseInt(process.env.VECTOR_DIMENSION) || 768,
     similarityThreshold: parseFloat(process.env.VECTOR_SIMILARITY_THRESHOLD) || 0.7,
     maxResults: parseInt(process.env.MAX_SEARCH_RESULTS) || 5,
+    // 向量索引: hnsw (進程內，持久化到磁盤) | atlas (MongoDB Atlas $vectorSearch) | bruteforce (精確掃描，測試用)
+    index: process.env.VECTOR_INDEX || 'hnsw',
+    indexDir: process.env.VECTOR_INDEX_DIR || 'data/vector-index',
+    atlasIndexName: process.env.ATLAS_VECTOR_INDEX_NAME || 'vector_index',
+    hnsw: {
+      M: 16,
+      efConstruction: 200,
+      efSearch: 64,
+      exactThreshold: 1000,  // 過濾後不超過這麼多條時直接精確計算
+    },
+    // 混合檢索 (BM25 + 向量，RRF 融合後按時間 / 重要度重排)
+    retrieval: {
+      candidates: 500,          // 每次檢索從 Mongo 取最近多少條做 BM25
+      vectorCandidates: 20,     // 向量側取前多少條參與融合
+      rrfK: 20,                 // 候選集小，k 取小一點讓名次差距不被重排加權淹沒
+      recencyHalfLifeDays: 30,
+      recencyWeight: 0.1,
+      importanceWeight: 0.1,
+    },
   },
 
   // 应用配置 - 智能路由優化
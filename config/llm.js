@@ -0,0 +1,142 @@
+/**
+ * LLM 調用配置 - 所有服務共用
+ *
+ * 每個功能 (feature) 一個 profile:
+ * - model: 模型 ID (gemini-* / grok-* / text-embedding-*)
+ * - temperature / topP / maxOutputTokens: 生成參數
+ * - retries: 同模型重試次數 (只對超時 / 5xx 等暫時性錯誤)
+ * - fallback: 失敗時沿 MODEL_FALLBACK_CHAIN 換模型 (可跨 provider)
+ *
+ * 不寫 maxOutputTokens = 由模型自己決定長度 (Avatar 無限火力)
+ */
+
+import { BONGBONG_PERSONA } from './bongbong.js';
+import { AVATAR_PERSONA } from './avatar.js';
+
+const EYE_MODELS = AVATAR_PERSONA.eyeOfTruth.models;
+
+function pickModel({ model, temperature }) {
+  return { model, temperature };
+}
+
+// 全局默認值
+export const LLM_DEFAULTS = {
+  retries: 1,
+  retryDelayMs: 800,
+  timeoutMs: 60000,
+  fallback: false
+};
+
+export const LLM_PROFILES = {
+  // === BongBong ===
+  // 模型由 smartRouter 決定，這裡只定參數
+  'bongbong.chat': {
+    model: 'gemini-2.5-flash',
+    temperature: BONGBONG_PERSONA.personality.temperature,
+    maxOutputTokens: 2048,
+    fallback: true
+  },
+  'bongbong.summary': { model: 'gemini-2.5-flash-lite' },
+  'bongbong.counterAttack': { model: 'gemini-2.5-flash', temperature: 0.9, maxOutputTokens: 200, fallback: true },
+  'bongbong.image': { model: 'gemini-2.0-flash-exp' },
+  // 全火力模式: Pro 嚴謹分析 → Grok Mini 擴散思考 (maxOutputTokens 由語意複雜度決定)
+  'bongbong.fullpower.analysis': { model: 'gemini-2.5-pro', temperature: 0.3, fallback: true, timeoutMs: 120000 },
+  'bongbong.fullpower.diverge': { model: 'grok-3-mini', temperature: 1.2, fallback: true },
+
+  // === Avatar ===
+  'avatar.reply': { model: 'gemini-2.5-flash-lite', temperature: AVATAR_PERSONA.personality.temperature, fallback: true },
+  'avatar.image': { model: 'gemini-2.0-flash-exp', responseModalities: ['image', 'text'] },
+  'avatar.roast': { model: 'gemini-2.5-flash-lite', temperature: 1.4 },
+  'avatar.randomChat': { model: 'gemini-2.5-flash-lite', temperature: 1.3 },
+  'avatar.decompose': { model: 'gemini-2.5-flash-lite', temperature: 1.0, maxOutputTokens: 300 },
+  'avatar.idleChat': { model: 'gemini-2.5-flash-lite', temperature: 1.2, maxOutputTokens: 50 },
+  'avatar.styleEval': { model: 'gemini-2.5-flash-lite', temperature: AVATAR_PERSONA.personality.temperature, maxOutputTokens: 100 },
+
+  // === 真實之眼 ===
+  // 模型與溫度沿用 AVATAR_PERSONA.eyeOfTruth.models
+  'eye.analysis': { ...pickModel(EYE_MODELS.analyzer), maxOutputTokens: 500, fallback: true },
+  'eye.challenge': { ...pickModel(EYE_MODELS.challenger), maxOutputTokens: 500, fallback: true },
+  'eye.summary': { ...pickModel(EYE_MODELS.synthesizer), maxOutputTokens: 300, fallback: true },
+
+  // === 閒置分析 ===
+  'idle.semantic': { model: 'gemini-2.0-flash-lite', temperature: 0.3, maxOutputTokens: 1024 },
+  'idle.opinion': { model: 'grok-3-mini', temperature: 0.5, maxOutputTokens: 512 },
+
+  // === 新聞 ===
+  'news.daily': { model: 'gemini-2.5-pro', temperature: 0.3, maxOutputTokens: 8192 },
+  'news.dailyOpinion': { model: 'grok-3-mini', temperature: 0.7, maxOutputTokens: 4096 },
+  'news.digest': { model: 'gemini-2.5-flash-preview-05-20', temperature: 0.3, maxOutputTokens: 4096 },
+  'news.opinion': { model: 'grok-3-mini', temperature: 0.7, maxOutputTokens: 4096 },
+
+  // === 簽證 ===
+  'visa.consult': { model: 'grok-3-mini', temperature: 0.7, maxOutputTokens: 4096, fallback: true },
+  'visa.expand': { model: 'grok-3-mini', temperature: 0.8, maxOutputTokens: 500 },
+  'visa.deep': { model: 'gemini-2.0-flash', temperature: 0.7, maxOutputTokens: 8192 },
+
+  // === 記憶 ===
+  'memory.analyze': { model: 'gemini-2.0-flash', temperature: 0.2, maxOutputTokens: 512 },
+  'memory.recommend': { model: 'gemini-2.0-flash', temperature: 0.5, maxOutputTokens: 512 },
+  'memory.consolidate': { model: 'gemini-2.0-flash-lite', temperature: 0.2, maxOutputTokens: 512 },
+  'memory.facts': { model: 'gemini-2.0-flash-lite', temperature: 0, maxOutputTokens: 512 },
+  'memory.chatSummary': { model: 'gemini-2.0-flash-lite', temperature: 0.2, maxOutputTokens: 512, fallback: true },
+  'vector.summary': { model: 'gemini-2.0-flash-lite', temperature: 0.3, maxOutputTokens: 1024 },
+  'vector.enhance': { model: 'gemini-2.0-flash-lite', temperature: 0.3, maxOutputTokens: 1024 },
+
+  // === 創作 ===
+  'creative.pro': { model: 'gemini-2.5-pro-preview-06-05', temperature: 0.9, topP: 0.95, maxOutputTokens: 4096 },
+  'creative.flash': { model: 'gemini-2.5-flash-preview-05-20', temperature: 0.8, topP: 0.9, maxOutputTokens: 2048 },
+
+  // === Notion 同步 ===
+  'notion.compress': { model: 'gemini-2.5-pro' },
+  'notion.semantic': { model: 'gemini-2.0-flash-lite' },
+
+  // === 語音 / 視覺 / 圖片 ===
+  'voice.transcribe': { model: 'gemini-2.5-flash' },
+  'voice.avatar': { model: 'gemini-2.5-flash-lite', temperature: 1.3, maxOutputTokens: 150 },
+  'vision.analyze': { model: 'gemini-2.5-flash', temperature: 0.7, maxOutputTokens: 2000, fallback: true },
+  'vision.quick': { model: 'gemini-2.5-flash-lite', temperature: 0.5, maxOutputTokens: 300 },
+  'image.describe': { model: 'gemini-2.0-flash-exp', temperature: 0.8, maxOutputTokens: 1024 },
+
+  // === 舊版 aiService ===
+  'legacy.chat': { model: 'gemini-2.5-flash', temperature: 0.9, topP: 0.95, topK: 40, maxOutputTokens: 8192 },
+  'legacy.grok': { model: 'grok-3-mini', temperature: 1.0, maxOutputTokens: 4096 },
+
+  // === 向量嵌入 ===
+  'embedding': { model: 'text-embedding-004', retries: 2 }
+};
+
+// 預算 (USD) - 超出後按 LLM_DOWNGRADES 自動降級
+// 價格取自 config/models.js costPerMToken，未登記模型按 0 計
+export const LLM_BUDGETS = {
+  providers: {
+    gemini: {
+      daily: parseFloat(process.env.LLM_BUDGET_GEMINI_DAILY) || 2,
+      monthly: parseFloat(process.env.LLM_BUDGET_GEMINI_MONTHLY) || 30
+    },
+    grok: {
+      daily: parseFloat(process.env.LLM_BUDGET_GROK_DAILY) || 1,
+      monthly: parseFloat(process.env.LLM_BUDGET_GROK_MONTHLY) || 15
+    }
+  },
+  features: {
+    'bongbong.chat': { daily: 1.5, monthly: 20 },
+    'eye.analysis': { daily: 0.5, monthly: 5 },
+    'visa.consult': { daily: 0.5, monthly: 5 },
+    'creative.pro': { daily: 0.5, monthly: 5 }
+  }
+};
+
+// 超預算降級路徑: Pro → Flash, Grok → Gemini
+export const LLM_DOWNGRADES = {
+  'gemini-2.5-pro': 'gemini-2.5-flash',
+  'gemini-2.5-pro-preview-06-05': 'gemini-2.5-flash',
+  'grok-3-mini': 'gemini-2.5-flash',
+  'grok-4-fast-non-reasoning': 'gemini-2.5-flash'
+};
+
+export default {
+  LLM_DEFAULTS,
+  LLM_PROFILES,
+  LLM_BUDGETS,
+  LLM_DOWNGRADES
+};
@@ -0,0 +1,63 @@
+/**
+ * 筆記遷移腳本
+ *
+ * 把舊的 notes (便簽) 和 auto_notes (自動筆記) 合併進統一筆記本 user_notes
+ * - notebookService 連接時就會遷移，這個腳本用來手動補跑和核對條數
+ * - 可重複執行: 已遷移的筆記帶 legacy 標記，不會重複複製
+ * - 舊集合默認保留；核對無誤後加 --drop-legacy 刪除 (只刪已全部遷移的集合)
+ *
+ * 用法: node scripts/migrate-notes.js [--drop-legacy]
+ */
+
+import notebookService, { LEGACY_COLLECTIONS } from '../src/services/notebookService.js';
+
+const DROP_LEGACY = process.argv.includes('--drop-legacy');
+
+async function migrate() {
+  console.log('📓 Migrating legacy notes...');
+  console.log(`Time: ${new Date().toISOString()}`);
+
+  if (!await notebookService.connect()) {
+    console.error('❌ Cannot connect to MongoDB');
+    process.exit(1);
+  }
+
+  try {
+    const result = await notebookService.migrateLegacyNotes();
+    if (result.notes + result.auto_notes + result.mother > 0) {
+      console.log(`✅ Migrated just now: ${JSON.stringify(result)}`);
+    }
+
+    if (result.unresolved > 0) {
+      console.log(`⚠️ ${result.unresolved} auto notes have no resolvable owner and were left in auto_notes (set ZHOUWEN_USER_ID and re-run)`);
+    }
+
+    console.log('\n📊 Migration Summary:');
+    for (const name of LEGACY_COLLECTIONS) {
+      const legacy = notebookService.db.collection(name);
+      const total = await legacy.countDocuments();
+      const migrated = await notebookService.countNotes({ 'legacy.collection': name });
+      console.log(`  - ${name}: ${migrated}/${total} in user_notes`);
+
+      if (DROP_LEGACY && total > 0 && migrated >= total) {
+        await legacy.drop();
+        console.log(`  🗑️ Dropped ${name}`);
+      }
+    }
+
+    console.log('\n✅ Migration completed successfully!');
+  } catch (error) {
+    console.error('❌ Migration error:', error);
+    process.exit(1);
+  } finally {
+    await notebookService.client.close();
+  }
+}
+
+// 執行遷移
+migrate().then(() => {
+  process.exit(0);
+}).catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
@@ -1,10 +1,9 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
 import OpenAI from 'openai';
 import axios from 'axios';
 import config from '../../config/index.js';
+import llmService from '../services/llmService.js';
 import logger from '../utils/logger.js';
 
-const genAI = new GoogleGenerativeAI(config.apiKeys.gemini);
 const openaiKey = process.env.OPENAI_API_KEY;
 const openai = openaiKey ? new OpenAI({ apiKey: openaiKey }) : null;
 
@@ -18,13 +17,12 @@ export async function handleVoiceMessage(bot, msg) {
     const fileUrl = `https://api.telegram.org/file/bot${config.telegram.botToken}/${file.file_path}`;
 
     // 2) 送 Gemini 2.5 Flash 做音訊理解 + 回覆
-    const model = genAI.getGenerativeModel({ model: 'gemini-2.5-flash' });
     const prompt = 'Transcribe this audio exactly. If it is a question, answer it immediately in warm, caring tone.';
-    const result = await model.generateContent([
+    const result = await llmService.multimodal('voice.transcribe', [
       { text: prompt },
       { inlineData: { mimeType: 'audio/ogg', data: (await axios.get(fileUrl, { responseType: 'arraybuffer' })).data } },
     ]);
-    const textResponse = result.response.text();
+    const textResponse = result.text;
 
     // 3) 回覆文字
     await bot.sendMessage(chatId, textResponse);
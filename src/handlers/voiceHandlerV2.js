@@ -8,18 +8,14 @@
  * - 双 Bot 互动
  */
 
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import OpenAI from 'openai';
 import axios from 'axios';
-import config from '../../config/index.js';
 import bongbongService from '../services/bongbongService.js';
 import memoryService from '../services/memoryService.js';
 import groupMemoryService from '../services/groupMemoryService.js';
+import llmService from '../services/llmService.js';
 import { AVATAR_PERSONA } from '../../config/avatar.js';
 import logger from '../utils/logger.js';
 
-const genAI = new GoogleGenerativeAI(config.apiKeys.gemini);
-
 /**
  * 處理語音消息
  */
@@ -33,17 +29,13 @@ export async function handleVoiceMessage(bot, msg) {
     await bot.sendChatAction(chatId, 'typing');
 
     // 1. 获取语音文件
-    const fileId = msg.voice.file_id;
-    const file = await bot.getFile(fileId);
-    const fileUrl = `https://api.telegram.org/file/bot${config.telegram.botToken}/${file.file_path}`;
+    const fileUrl = await bot.getFileLink(msg.voice.file_id);
 
     // 2. 下载音频数据
     const audioResponse = await axios.get(fileUrl, { responseType: 'arraybuffer' });
     const audioData = Buffer.from(audioResponse.data).toString('base64');
 
     // 3. 使用 Gemini 转录语音
-    const model = genAI.getGenerativeModel({ model: 'gemini-2.5-flash' });
-    
     const transcriptionPrompt = `请精确转录这段语音的内容。
 要求：
 1. 完全按照说话者的原话转录
@@ -53,12 +45,12 @@ export async function handleVoiceMessage(bot, msg) {
 
 请开始转录：`;
 
-    const transcriptionResult = await model.generateContent([
+    const transcriptionResult = await llmService.multimodal('voice.transcribe', [
       { text: transcriptionPrompt },
       { inlineData: { mimeType: 'audio/ogg', data: audioData } }
-    ]);
+    ], { meta: { chatId, userId } });
 
-    const transcribedText = transcriptionResult.response.text().trim();
+    const transcribedText = transcriptionResult.text.trim();
 
     // 4. 发送转录结果
     const transcriptMsg = await bot.sendMessage(chatId, 
@@ -139,14 +131,6 @@ ${bongbongResponse.dashboard}`;
  */
 async function generateAvatarVoiceResponse(transcribedText, userName) {
   try {
-    const model = genAI.getGenerativeModel({
-      model: 'gemini-2.5-flash-lite',
-      generationConfig: {
-        temperature: 1.3,  // 高溫度，更搞笑
-        maxOutputTokens: 150
-      }
-    });
-
     const isMother = userName.includes('Leee') || userName.includes('Cat') || userName.includes('媽');
 
     const prompt = `${AVATAR_PERSONA.systemPrompt}
@@ -162,8 +146,9 @@ async function generateAvatarVoiceResponse(transcribedText, userName) {
 
 直接輸出回覆：`;
 
-    const result = await model.generateContent(prompt);
-    return result.response.text().trim();
+    // 高溫度，更搞笑 (voice.avatar)
+    const result = await llmService.generate('voice.avatar', prompt);
+    return result.text.trim();
 
   } catch (error) {
     logger.error('Avatar voice response error:', error);
@@ -2,6 +2,17 @@ import config from '../config/index.js';
 import dualBotService from './services/dualBotService.js';
 import memoryService from './services/memoryService.js';
 import groupMemoryService from './services/groupMemoryService.js';
+import usageLedgerService from './services/usageLedgerService.js';
+import conversationModeService from './services/conversationModeService.js';
+import sessionStoreService from './services/sessionStoreService.js';
+import notebookService from './services/notebookService.js';
+import smartMemoryService from './services/smartMemoryService.js';
+import memoryConsolidationService from './services/memoryConsolidationService.js';
+import conversationSummaryService from './services/conversationSummaryService.js';
+import knowledgeGraphService from './services/knowledgeGraphService.js';
+import styleModelService from './services/styleModelService.js';
+import httpServerService from './services/httpServerService.js';
+import vectorIndexService from './services/vectorIndexService.js';
 import logger from './utils/logger.js';
 
 /**
@@ -16,6 +27,10 @@ class App {
       // 檢查必要配置
       this.checkConfig();
 
+      // 先啟動 HTTP 服務: 初始化期間 /healthz 可用，/readyz 返回 503
+      dualBotService.registerReadinessChecks();
+      await httpServerService.start();
+
       // 初始化雙 Bot
       logger.info('Initializing Dual Bot System...');
       await dualBotService.init();
@@ -25,7 +40,7 @@ class App {
       if (process.env.TELEGRAM_BOT_TOKEN_AVATAR) {
         logger.info('🤖 Avatar: @svs_notion_bot');
       }
-      logger.info('📡 Listening for messages...');
+      logger.info(`📡 Listening for messages (${config.telegram.mode})...`);
 
       // 優雅退出處理
       this.setupGracefulShutdown();
@@ -38,10 +53,14 @@ class App {
 
   checkConfig() {
     const required = [
-      { key: 'telegram.botToken', value: config.telegram.botToken },
-      { key: 'apiKeys.gemini', value: config.apiKeys.gemini }
+      { key: 'telegram.botToken', value: config.telegram.botToken }
     ];
 
+    // stub 模式離線運行，不需要 Gemini Key
+    if (config.llm.provider !== 'stub') {
+      required.push({ key: 'apiKeys.gemini', value: config.apiKeys.gemini });
+    }
+
     for (const { key, value } of required) {
       if (!value) {
         logger.error(`Missing required config: ${key}`);
@@ -49,6 +68,11 @@ class App {
       }
     }
 
+    if (config.telegram.mode === 'webhook' && !config.telegram.webhook.publicUrl) {
+      logger.error('Missing required config: telegram.webhook.publicUrl');
+      throw new Error('Missing required config: telegram.webhook.publicUrl');
+    }
+
     // Avatar token 是可選的
     if (process.env.TELEGRAM_BOT_TOKEN_AVATAR) {
       logger.info('✅ Avatar bot token found');
@@ -65,8 +89,19 @@ class App {
 
       try {
         dualBotService.stop();
+        await httpServerService.stop();
         await memoryService.close();
         await groupMemoryService.close();
+        await usageLedgerService.close();
+        await conversationModeService.close();
+        await sessionStoreService.close();
+        await notebookService.close();
+        await smartMemoryService.close();
+        await memoryConsolidationService.close();
+        await conversationSummaryService.close();
+        await knowledgeGraphService.close();
+        await styleModelService.close();
+        await vectorIndexService.close();  // 保存 HNSW 索引
         logger.info('Shutdown complete');
         process.exit(0);
       } catch (error) {
@@ -0,0 +1,160 @@
+/**
+ * Gemini Provider
+ *
+ * 封裝 @google/generative-ai，統一輸出 { text, tokens, model, provider, images }
+ * 流式: generateStream / chatStream，每個分塊以累計文本調用 request.onDelta
+ */
+
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import config from '../../config/index.js';
+
+class GeminiProvider {
+  constructor() {
+    this.name = 'gemini';
+    this.capabilities = ['generate', 'chat', 'multimodal', 'embed', 'stream'];
+    this.client = null;
+  }
+
+  init() {
+    if (!this.client && config.apiKeys.gemini) {
+      this.client = new GoogleGenerativeAI(config.apiKeys.gemini);
+    }
+    return this.isAvailable();
+  }
+
+  isAvailable() {
+    return !!this.client;
+  }
+
+  /**
+   * 單輪生成 (prompt 可以是字串或 parts 陣列)
+   */
+  async generate(request) {
+    const model = this.getModel(request);
+    const result = await model.generateContent(request.prompt);
+    return this.toResult(result, request.model);
+  }
+
+  /**
+   * 多輪對話 - messages: [{ role: 'user'|'assistant', content }]
+   */
+  async chat(request) {
+    const model = this.getModel(request);
+    const messages = [...request.messages];
+    const last = messages.pop();
+
+    const chat = model.startChat({ history: this.toHistory(messages) });
+    const result = await chat.sendMessage(last.content);
+    return this.toResult(result, request.model);
+  }
+
+  /**
+   * 流式單輪生成
+   */
+  async generateStream(request) {
+    const model = this.getModel(request);
+    const result = await model.generateContentStream(request.prompt);
+    return this.consumeStream(result, request);
+  }
+
+  /**
+   * 流式多輪對話
+   */
+  async chatStream(request) {
+    const model = this.getModel(request);
+    const messages = [...request.messages];
+    const last = messages.pop();
+
+    const chat = model.startChat({ history: this.toHistory(messages) });
+    const result = await chat.sendMessageStream(last.content);
+    return this.consumeStream(result, request);
+  }
+
+  /**
+   * 多模態 - parts: [{ text }, { inlineData: { mimeType, data } }]
+   */
+  async multimodal(request) {
+    const model = this.getModel(request);
+    const result = await model.generateContent(request.parts);
+    return this.toResult(result, request.model);
+  }
+
+  /**
+   * 向量嵌入
+   */
+  async embed(request) {
+    this.ensureClient();
+    const model = this.client.getGenerativeModel({ model: request.model });
+    const result = await model.embedContent(request.text);
+    return result.embedding.values;
+  }
+
+  // ==================== 內部 ====================
+
+  ensureClient() {
+    if (!this.client) {
+      throw new Error('Gemini not initialized');
+    }
+  }
+
+  toHistory(messages) {
+    return messages.map(m => ({
+      role: m.role === 'user' ? 'user' : 'model',
+      parts: [{ text: m.content }]
+    }));
+  }
+
+  /**
+   * 讀完流，最終 usage 從聚合後的 response 取
+   */
+  async consumeStream(result, request) {
+    let text = '';
+    for await (const chunk of result.stream) {
+      const delta = chunk.text();
+      if (!delta) continue;
+      text += delta;
+      request.onDelta?.(text);
+    }
+    return this.toResult({ response: await result.response }, request.model);
+  }
+
+  getModel(request) {
+    this.ensureClient();
+
+    const generationConfig = {};
+    for (const key of ['temperature', 'topP', 'topK', 'maxOutputTokens', 'responseModalities']) {
+      if (request[key] !== undefined && request[key] !== null) {
+        generationConfig[key] = request[key];
+      }
+    }
+
+    const params = { model: request.model, generationConfig };
+    if (request.system) {
+      params.systemInstruction = request.system;
+    }
+    return this.client.getGenerativeModel(params);
+  }
+
+  toResult(result, modelId) {
+    const response = result.response;
+    const parts = response.candidates?.[0]?.content?.parts || [];
+    const usage = response.usageMetadata;
+    const text = response.text();
+
+    return {
+      text,
+      tokens: {
+        input: usage?.promptTokenCount || 0,
+        output: usage?.candidatesTokenCount || 0
+      },
+      estimated: !usage,
+      images: parts
+        .filter(p => p.inlineData)
+        .map(p => ({ mimeType: p.inlineData.mimeType, data: p.inlineData.data })),
+      model: modelId,
+      provider: this.name
+    };
+  }
+}
+
+export default new GeminiProvider();
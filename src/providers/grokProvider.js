@@ -0,0 +1,117 @@
+/**
+ * Grok Provider (xAI, OpenAI 兼容接口)
+ *
+ * 只支持文本: generate / chat (含流式 generateStream / chatStream)
+ */
+
+import OpenAI from 'openai';
+import config from '../../config/index.js';
+
+class GrokProvider {
+  constructor() {
+    this.name = 'grok';
+    this.capabilities = ['generate', 'chat', 'stream'];
+    this.client = null;
+  }
+
+  init() {
+    if (!this.client && config.apiKeys.grok) {
+      this.client = new OpenAI({
+        apiKey: config.apiKeys.grok,
+        baseURL: config.grok.baseURL
+      });
+    }
+    return this.isAvailable();
+  }
+
+  isAvailable() {
+    return !!this.client;
+  }
+
+  async generate(request) {
+    return this.chat({
+      ...request,
+      messages: [{ role: 'user', content: request.prompt }]
+    });
+  }
+
+  /**
+   * messages: [{ role: 'user'|'assistant', content }]，system 另傳
+   */
+  async chat(request) {
+    const completion = await this.client.chat.completions.create(this.buildParams(request));
+    return this.toResult(completion.choices[0]?.message?.content || '', completion.usage, request.model);
+  }
+
+  async generateStream(request) {
+    return this.chatStream({
+      ...request,
+      messages: [{ role: 'user', content: request.prompt }]
+    });
+  }
+
+  /**
+   * 流式對話 - 每個分塊以累計文本調用 request.onDelta，usage 在最後一塊
+   */
+  async chatStream(request) {
+    const stream = await this.client.chat.completions.create({
+      ...this.buildParams(request),
+      stream: true,
+      stream_options: { include_usage: true }
+    });
+
+    let text = '';
+    let usage = null;
+    for await (const chunk of stream) {
+      if (chunk.usage) usage = chunk.usage;
+      const delta = chunk.choices?.[0]?.delta?.content;
+      if (!delta) continue;
+      text += delta;
+      request.onDelta?.(text);
+    }
+
+    return this.toResult(text, usage, request.model);
+  }
+
+  async multimodal() {
+    throw new Error('Grok provider does not support multimodal');
+  }
+
+  async embed() {
+    throw new Error('Grok provider does not support embeddings');
+  }
+
+  // ==================== 內部 ====================
+
+  buildParams(request) {
+    if (!this.client) {
+      throw new Error('Grok not initialized');
+    }
+
+    const messages = request.system
+      ? [{ role: 'system', content: request.system }, ...request.messages]
+      : request.messages;
+
+    const params = { model: request.model, messages };
+    if (request.temperature !== undefined) params.temperature = request.temperature;
+    if (request.topP !== undefined) params.top_p = request.topP;
+    if (request.maxOutputTokens) params.max_tokens = request.maxOutputTokens;
+    return params;
+  }
+
+  toResult(text, usage, modelId) {
+    return {
+      text,
+      tokens: {
+        input: usage?.prompt_tokens || 0,
+        output: usage?.completion_tokens || 0
+      },
+      estimated: !usage,
+      images: [],
+      model: modelId,
+      provider: this.name
+    };
+  }
+}
+
+export default new GrokProvider();
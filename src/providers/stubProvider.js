@@ -0,0 +1,122 @@
+/**
+ * Stub Provider - 離線確定性模型
+ *
+ * 用於本地開發 / 測試 (LLM_PROVIDER=stub):
+ * - 同樣輸入永遠得到同樣輸出，不打任何網絡請求
+ * - 文本回覆 = 固定前綴 + 用戶最後一句的摘錄 + 輸入哈希
+ * - 向量 = 字符 n-gram 哈希，字面相近的文本向量也相近
+ * - 流式 = 同一回覆按固定長度切塊推送
+ */
+
+import crypto from 'crypto';
+import config from '../../config/index.js';
+
+class StubProvider {
+  constructor() {
+    this.name = 'stub';
+    this.capabilities = ['generate', 'chat', 'multimodal', 'embed', 'stream'];
+  }
+
+  init() {
+    return true;
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  async generate(request) {
+    const prompt = typeof request.prompt === 'string'
+      ? request.prompt
+      : this.partsToText(request.prompt);
+    return this.reply(request.model, prompt, this.lastLine(prompt));
+  }
+
+  async chat(request) {
+    const last = request.messages[request.messages.length - 1]?.content || '';
+    const full = [request.system || '', ...request.messages.map(m => `${m.role}:${m.content}`)].join('\n');
+    return this.reply(request.model, full, last);
+  }
+
+  async generateStream(request) {
+    return this.emitChunks(await this.generate(request), request);
+  }
+
+  async chatStream(request) {
+    return this.emitChunks(await this.chat(request), request);
+  }
+
+  async multimodal(request) {
+    const text = this.partsToText(request.parts);
+    const media = request.parts
+      .filter(p => p.inlineData)
+      .map(p => p.inlineData.mimeType);
+    const hint = media.length > 0 ? `收到 ${media.join(', ')}` : this.lastLine(text);
+    return this.reply(request.model, text + media.join(), hint);
+  }
+
+  async embed(request) {
+    const dimension = config.vector.dimension;
+    const vector = new Array(dimension).fill(0);
+    const text = String(request.text || '').toLowerCase().replace(/\s+/g, ' ');
+
+    // 單字 + 雙字 n-gram
+    const grams = [];
+    for (let i = 0; i < text.length; i++) {
+      grams.push(text[i]);
+      if (i + 1 < text.length) grams.push(text.slice(i, i + 2));
+    }
+
+    for (const gram of grams) {
+      const digest = crypto.createHash('md5').update(gram).digest();
+      const index = digest.readUInt32BE(0) % dimension;
+      vector[index] += digest[4] & 1 ? 1 : -1;
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+    return vector.map(v => v / norm);
+  }
+
+  // ==================== 內部 ====================
+
+  reply(modelId, fullInput, excerpt) {
+    const hash = crypto.createHash('sha1').update(`${modelId}|${fullInput}`).digest('hex').slice(0, 8);
+    const snippet = String(excerpt).trim().slice(0, 60);
+    const text = `[stub:${modelId}] 收到：「${snippet}」 #${hash}`;
+
+    return {
+      text,
+      tokens: {
+        input: Math.ceil(fullInput.length / 4),
+        output: Math.ceil(text.length / 4)
+      },
+      estimated: true,
+      images: [],
+      model: modelId,
+      provider: this.name
+    };
+  }
+
+  emitChunks(result, request) {
+    for (let i = 8; i < result.text.length; i += 8) {
+      request.onDelta?.(result.text.slice(0, i));
+    }
+    request.onDelta?.(result.text);
+    return result;
+  }
+
+  lastLine(text) {
+    const lines = String(text).split('\n').map(l => l.trim()).filter(Boolean);
+    return lines[lines.length - 1] || '';
+  }
+
+  partsToText(parts) {
+    if (!Array.isArray(parts)) return String(parts || '');
+    return parts
+      .map(p => (typeof p === 'string' ? p : p.text || ''))
+      .filter(Boolean)
+      .join('\n');
+  }
+}
+
+export default new StubProvider();
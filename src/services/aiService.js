@@ -1,7 +1,6 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import axios from 'axios';
 import config from '../../config/index.js';
 import modelRouter from './modelRouter.js';
+import llmService from './llmService.js';
 import logger from '../utils/logger.js';
 
 /**
@@ -9,12 +8,8 @@ import logger from '../utils/logger.js';
  */
 class AIService {
   constructor() {
-    // 初始化Gemini
-    this.genAI = new GoogleGenerativeAI(config.apiKeys.gemini);
-    
-    // Grok API配置
-    this.grokApiUrl = 'https://api.x.ai/v1/chat/completions';
-    this.grokApiKey = config.apiKeys.grok;
+    // Gemini / Grok 客户端统一由 llmService 管理
+    llmService.init();
   }
 
   /**
@@ -61,27 +56,11 @@ class AIService {
    */
   async callGemini(userMessage, conversationHistory, modelName) {
     try {
-      const model = this.genAI.getGenerativeModel({ model: modelName });
-
-      // 构建对话历史
-      const history = conversationHistory.map(msg => ({
-        role: msg.role === 'user' ? 'user' : 'model',
-        parts: [{ text: msg.content }],
-      }));
-
-      const chat = model.startChat({
-        history,
-        generationConfig: {
-          temperature: 0.9,
-          topP: 0.95,
-          topK: 40,
-          maxOutputTokens: 8192,
-        },
-      });
-
-      const result = await chat.sendMessage(userMessage);
-      const response = result.response;
-      return response.text();
+      const result = await llmService.chat('legacy.chat', [
+        ...conversationHistory,
+        { role: 'user', content: userMessage },
+      ], { model: modelName });
+      return result.text;
     } catch (error) {
       logger.error(`Gemini API error (${modelName}):`, error);
       // 若 Gemini 2.5 Flash 調用失敗，回退到 Gemini 1.5 Pro
@@ -89,10 +68,10 @@ class AIService {
       if (isGemini25) {
         const fallback = config.app.complex || 'gemini-1.5-pro';
         logger.warn(`Gemini 2.5 Flash 调用失败，回退到 ${fallback}`);
-        const model = this.genAI.getGenerativeModel({ model: fallback });
-        const chat = model.startChat({ history: [], generationConfig: { temperature: 0.9, maxOutputTokens: 8192 } });
-        const result = await chat.sendMessage(userMessage);
-        return result.response.text();
+        const result = await llmService.chat('legacy.chat', [
+          { role: 'user', content: userMessage },
+        ], { model: fallback });
+        return result.text;
       }
       throw new Error(`Gemini调用失败: ${error.message}`);
     }
@@ -108,10 +87,6 @@ class AIService {
   async callGrok(userMessage, conversationHistory, modelName) {
     try {
       const messages = [
-        {
-          role: 'system',
-          content: '你是一个富有同理心和情绪价值的AI助手。你擅长:\n1. 理解用户的情绪和感受\n2. 提供温暖、幽默的回应\n3. 用轻松诙谐的方式化解压力\n4. 给予情感支持和鼓励\n保持真诚、友善,但也可以适度犀利和有趣。',
-        },
         ...conversationHistory,
         {
           role: 'user',
@@ -119,25 +94,14 @@ class AIService {
         },
       ];
 
-      const response = await axios.post(
-        this.grokApiUrl,
-        {
-          model: modelName,
-          messages,
-          temperature: 1.0,
-          max_tokens: 4096,
-        },
-        {
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${this.grokApiKey}`,
-          },
-        }
-      );
+      const result = await llmService.chat('legacy.grok', messages, {
+        model: modelName,
+        system: '你是一个富有同理心和情绪价值的AI助手。你擅长:\n1. 理解用户的情绪和感受\n2. 提供温暖、幽默的回应\n3. 用轻松诙谐的方式化解压力\n4. 给予情感支持和鼓励\n保持真诚、友善,但也可以适度犀利和有趣。',
+      });
 
-      return response.data.choices[0].message.content;
+      return result.text;
     } catch (error) {
-      logger.error(`Grok API error (${modelName}):`, error.response?.data || error.message);
+      logger.error(`Grok API error (${modelName}):`, error.message);
       throw new Error(`Grok调用失败: ${error.message}`);
     }
   }
@@ -149,9 +113,7 @@ class AIService {
    */
   async generateEmbedding(text) {
     try {
-      const model = this.genAI.getGenerativeModel({ model: 'text-embedding-004' });
-      const result = await model.embedContent(text);
-      return result.embedding.values;
+      return await llmService.embed(text);
     } catch (error) {
       logger.error('Error generating embedding:', error);
       throw error;
@@ -9,25 +9,27 @@
  */
 
 import TelegramBot from 'node-telegram-bot-api';
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import OpenAI from 'openai';
-import config from '../../config/index.js';
 import { AVATAR_PERSONA, ZHOUWEN_STORIES } from '../../config/avatar.js';
 import groupMemoryService from './groupMemoryService.js';
+import httpServerService from './httpServerService.js';
 import eyeOfTruthService from './eyeOfTruthService.js';
+import styleModelService from './styleModelService.js';
+import llmService from './llmService.js';
+import StreamingMessage from '../utils/streamingMessage.js';
+import CallbackRouter from '../utils/callbackRouter.js';
 import logger from '../utils/logger.js';
 
 class AvatarService {
   constructor() {
     this.bot = null;
-    this.gemini = null;
-    this.grok = null;
     this.initialized = false;
+    this.callbacks = null;  // 按鈕回調路由
     
     // 狀態追蹤
     this.lastBongBongMessage = new Map();
     this.dailyPraiseTriggered = new Map();
     this.idleChatTimer = new Map();
+    this.pendingTimers = new Set();  // 延遲發送的回覆，見 later()
     this.lastIdleChat = new Map();
     this.lastGroupActivity = new Map(); // groupId -> timestamp
   }
@@ -42,22 +44,10 @@ class AvatarService {
         return false;
       }
 
-      this.bot = new TelegramBot(avatarToken, { polling: true });
+      this.bot = new TelegramBot(avatarToken, { polling: !httpServerService.isWebhookMode() });
       
-      // 初始化 Gemini (直接使用 API)
-      const geminiKey = config.apiKeys.gemini;
-      if (geminiKey) {
-        this.gemini = new GoogleGenerativeAI(geminiKey);
-      }
-
-      // 初始化 Grok (直接使用 API)
-      const grokKey = config.apiKeys.grok;
-      if (grokKey) {
-        this.grok = new OpenAI({
-          apiKey: grokKey,
-          baseURL: 'https://api.x.ai/v1'
-        });
-      }
+      // 初始化 LLM Provider
+      llmService.init();
 
       // 初始化真實之眼
       eyeOfTruthService.init();
@@ -65,6 +55,10 @@ class AvatarService {
       // 連接群記憶服務
       await groupMemoryService.connect();
 
+      // 說話風格模型 (定時從周文的群聊消息重新學習)
+      await styleModelService.connect();
+      styleModelService.start();
+
       // 註冊處理器
       this.registerHandlers();
 
@@ -86,8 +80,10 @@ class AvatarService {
     this.bot.onText(/\/menu/, (msg) => this.showAvatarMenu(msg.chat.id));
     this.bot.onText(/\/roast/, (msg) => this.triggerRoastMode(msg.chat.id, msg.message_id));
     this.bot.onText(/\/eye(?:\s+(.+))?/, (msg, match) => this.handleEyeCommand(msg, match));
+    this.bot.onText(/\/style(?:\s+(\w+))?/, (msg, match) => this.handleStyleCommand(msg, match));
 
     // 回調處理
+    this.callbacks = this.registerCallbacks();
     this.bot.on('callback_query', async (query) => {
       await this.handleAvatarCallback(query);
     });
@@ -150,7 +146,7 @@ class AvatarService {
           // 檢查是否需要拆解
           if (this.shouldDecompose(msg.text)) {
             logger.info('🔍 Decompose triggered for Zhouwen');
-            setTimeout(() => {
+            this.later(() => {
               this.decomposeMessage(chatId, msg.text, msg.message_id, userName);
             }, 1500);
             return;
@@ -167,7 +163,7 @@ class AvatarService {
           }
           
           logger.info('Avatar responding to Zhouwen (triggered)');
-          setTimeout(() => {
+          this.later(() => {
             this.respondToHuman(chatId, msg.text.replace(/^\/\/\s*/, ''), msg.message_id, userName);
           }, 1500);
           return;
@@ -242,12 +238,6 @@ class AvatarService {
    */
   async sendImageReply(chatId, context, messageId) {
     try {
-      // 使用 Gemini 生成圖片
-      const imageModel = this.gemini.getGenerativeModel({
-        model: 'gemini-2.0-flash-exp',
-        generationConfig: { responseModalities: ['image', 'text'] }
-      });
-
       const prompt = `根據以下話題生成一張溫馨、適合長輩看的圖片：
 話題：${context}
 要求：
@@ -255,13 +245,13 @@ class AvatarService {
 - 適合長輩觀看
 - 可以是風景、美食、花卉等`;
 
-      const result = await imageModel.generateContent(prompt);
-      const response = result.response;
+      // 使用 Gemini 生成圖片
+      const result = await llmService.generate('avatar.image', prompt, { meta: { chatId } });
       
       // 檢查是否有圖片
-      for (const part of response.candidates[0].content.parts) {
-        if (part.inlineData) {
-          const imageBuffer = Buffer.from(part.inlineData.data, 'base64');
+      for (const image of result.images) {
+        if (image.data) {
+          const imageBuffer = Buffer.from(image.data, 'base64');
           await this.bot.sendPhoto(chatId, imageBuffer, {
             caption: '🖼️ 給媽看的圖',
             reply_to_message_id: messageId
@@ -289,7 +279,7 @@ class AvatarService {
       });
 
       // 延遲後接話
-      setTimeout(async () => {
+      this.later(async () => {
         try {
           const response = await this.generateAvatarResponse(chatId, bongbongMessage, 'afterBongBong');
           
@@ -331,36 +321,21 @@ class AvatarService {
    * 生成 Avatar 回覆
    */
   async generateAvatarResponse(chatId, context, mode = 'normal', userName = '') {
-    if (!this.gemini) {
+    if (!llmService.isAvailable('gemini')) {
       // 回退到模板
       return this.getTemplateResponse(mode);
     }
 
     try {
-      // 獲取用戶風格 (如果有學習目標)
-      let styleContext = '';
-      if (AVATAR_PERSONA.learning.targetUserId) {
-        const style = await groupMemoryService.getUserStyle(AVATAR_PERSONA.learning.targetUserId);
-        if (style && style.recentExamples.length > 0) {
-          styleContext = `\n\n[學習參考 - 真實周文的說話風格]\n${style.recentExamples.slice(-5).join('\n')}`;
-        }
-      }
+      // 真實周文的說話風格 + 話題相近的原話
+      const styleContext = await styleModelService.buildPromptContext(context);
 
       // 獲取群聊上下文
-      const groupHistory = await groupMemoryService.getGroupHistory(chatId.toString(), 10);
+      const groupHistory = await groupMemoryService.getRecentMessages(chatId, { limit: 10 });
       const historyContext = groupHistory.length > 0
-        ? `\n\n[最近群聊]\n${groupHistory.reverse().map(m => `${m.userName}: ${m.content}`).join('\n')}`
+        ? `\n\n[最近群聊]\n${groupHistory.map(m => `${m.userName}: ${m.content}`).join('\n')}`
         : '';
 
-      // 無限火力模式 - 不限制 token 長度
-      const model = this.gemini.getGenerativeModel({
-        model: 'gemini-2.5-flash-lite',
-        generationConfig: {
-          temperature: AVATAR_PERSONA.personality.temperature
-          // 不設置 maxOutputTokens，讓模型自己決定長度
-        }
-      });
-
       // 输出格式要求
       const formatRule = `
 
@@ -455,8 +430,9 @@ BongBong 刚说：「${context}」
 请用周文的风格回复，简短有力，必须使用简体中文：`;
       }
 
-      const result = await model.generateContent(prompt);
-      return result.response.text().trim();
+      // 無限火力模式 - 不限制 token 長度 (見 config/llm.js avatar.reply)
+      const result = await llmService.generate('avatar.reply', prompt, { meta: { chatId } });
+      return result.text.trim();
 
     } catch (error) {
       logger.error('Error generating avatar response:', error);
@@ -615,11 +591,12 @@ BongBong 刚说：「${context}」
   }
 
   /**
-   * 設置學習目標用戶
+   * 設置學習目標用戶 (立即重新學習)
    */
-  setLearningTarget(userId) {
-    AVATAR_PERSONA.learning.targetUserId = userId;
+  async setLearningTarget(userId) {
+    AVATAR_PERSONA.learning.targetUserIds = [String(userId)];
     logger.info(`Avatar learning target set to user ${userId}`);
+    return styleModelService.refresh();
   }
 
   /**
@@ -703,48 +680,32 @@ BongBong 刚说：「${context}」
    * 處理 Avatar 回調
    */
   async handleAvatarCallback(query) {
-    const chatId = query.message.chat.id;
-    const data = query.data;
-
-    await this.bot.answerCallbackQuery(query.id);
-
-    switch (data) {
-      case 'avatar_roast':
-        await this.bot.sendMessage(chatId, 
-          `🔥 *吐槽模式啟動*\n\n發送任何話題，我來吐槽！\n\n或者直接 /roast 觸發隨機吐槽。`,
-          { parse_mode: 'Markdown' }
-        );
-        break;
-
-      case 'avatar_eye':
-        await this.bot.sendMessage(chatId,
-          `🔮 *真實之眼*\n\n發送問題驗證真偽：\n\n• 「真的嗎 + 問題」\n• 「真實之眼 + 問題」\n• /eye 問題\n\n我會用多模型交叉驗證！`,
-          { parse_mode: 'Markdown' }
-        );
-        break;
-
-      case 'avatar_chat':
-        await this.triggerRandomChat(chatId);
-        break;
-
-      case 'avatar_idle':
-        await this.bot.sendMessage(chatId,
-          `🎲 *水群模式*\n\n我會在群裡沒人說話 30-60 分鐘後自動開始水群，發送 10 條隨機消息。\n\n當前狀態：已啟用`,
-          { parse_mode: 'Markdown' }
-        );
-        break;
-
-      case 'avatar_stats':
-        await this.showAvatarStats(chatId);
-        break;
+    await this.callbacks.dispatch(this.bot, query);
+  }
 
-      case 'avatar_settings':
-        await this.bot.sendMessage(chatId,
-          `⚙️ *Avatar 設置*\n\n• 吐槽強度：🔥🔥🔥 (最高)\n• 回覆頻率：智能觸發\n• 無限火力：已啟用`,
-          { parse_mode: 'Markdown' }
-        );
-        break;
-    }
+  /**
+   * 註冊 Avatar 菜單按鈕
+   */
+  registerCallbacks() {
+    const router = new CallbackRouter('avatar');
+    const reply = (text) => (ctx) => this.bot.sendMessage(ctx.chatId, text, { parse_mode: 'Markdown' });
+
+    router.register('avatar_roast', reply(
+      `🔥 *吐槽模式啟動*\n\n發送任何話題，我來吐槽！\n\n或者直接 /roast 觸發隨機吐槽。`
+    ));
+    router.register('avatar_eye', reply(
+      `🔮 *真實之眼*\n\n發送問題驗證真偽：\n\n• 「真的嗎 + 問題」\n• 「真實之眼 + 問題」\n• /eye 問題\n\n我會用多模型交叉驗證！`
+    ));
+    router.register('avatar_chat', (ctx) => this.triggerRandomChat(ctx.chatId));
+    router.register('avatar_idle', reply(
+      `🎲 *水群模式*\n\n我會在群裡沒人說話 30-60 分鐘後自動開始水群，發送 10 條隨機消息。\n\n當前狀態：已啟用`
+    ));
+    router.register('avatar_stats', (ctx) => this.showAvatarStats(ctx.chatId));
+    router.register('avatar_settings', reply(
+      `⚙️ *Avatar 設置*\n\n• 吐槽強度：🔥🔥🔥 (最高)\n• 回覆頻率：智能觸發\n• 無限火力：已啟用`
+    ));
+
+    return router;
   }
 
   /**
@@ -752,12 +713,8 @@ BongBong 刚说：「${context}」
    */
   async triggerRoastMode(chatId, replyToId) {
     try {
-      const model = this.gemini.getGenerativeModel({
-        model: 'gemini-2.5-flash-lite',
-        generationConfig: { temperature: 1.4 }
-      });
-
-      const prompt = `${AVATAR_PERSONA.systemPrompt}
+      const styleContext = await styleModelService.buildPromptContext();
+      const prompt = `${AVATAR_PERSONA.systemPrompt}${styleContext}
 
 現在是吐槽模式！請隨機吐槽一個話題：
 - 可以吐槽天氣、生活、科技、網絡熱點
@@ -767,8 +724,8 @@ BongBong 刚说：「${context}」
 
 直接輸出吐槽內容：`;
 
-      const result = await model.generateContent(prompt);
-      const response = result.response.text().trim();
+      const result = await llmService.generate('avatar.roast', prompt, { meta: { chatId } });
+      const response = result.text.trim();
 
       await this.bot.sendMessage(chatId, `🔥 *吐槽時間*\n\n${response}`, {
         parse_mode: 'Markdown',
@@ -799,17 +756,78 @@ BongBong 刚说：「${context}」
     await this.handleEyeOfTruth(chatId, question, msg.message_id);
   }
 
+  /**
+   * /style - 查看學到的說話風格；/style refresh 重新學習；/style eval 和留出的真實消息對比
+   */
+  async handleStyleCommand(msg, match) {
+    const chatId = msg.chat.id;
+    const action = match?.[1];
+
+    try {
+      if (action === 'eval') {
+        const placeholder = await this.bot.sendMessage(chatId, '⏳ 正在用留出的真實消息評估...');
+        const report = await styleModelService.evaluate();
+        await this.bot.editMessageText(this.formatStyleEvaluation(report), {
+          chat_id: chatId,
+          message_id: placeholder.message_id
+        });
+        return;
+      }
+
+      const model = action === 'refresh' ? await styleModelService.refresh() : await styleModelService.getModel();
+      await this.bot.sendMessage(chatId, this.formatStyleModel(model));
+    } catch (error) {
+      logger.error('Style command error:', error);
+      await this.bot.sendMessage(chatId, '❌ 風格模型暫時不可用');
+    }
+  }
+
+  formatStyleModel(model) {
+    if (!model || model.messageCount === 0) {
+      return '🎭 還沒有學到周文的說話風格\n\n周文在群裡說過話之後再試試 /style refresh';
+    }
+
+    const lines = [
+      '🎭 周文的說話風格',
+      '',
+      `學習了 ${model.messageCount} 條消息 (留出 ${model.holdout.length} 條做評估)`,
+      `更新於 ${new Date(model.updatedAt).toLocaleString('zh-TW', { hour12: false })}`,
+      '',
+      `• 平均每條 ${model.avgLength} 字，短句佔 ${Math.round(model.shortRate * 100)}%`,
+      `• 口頭禪：${model.phrases.join('、') || '—'}`,
+      `• 表情：${model.emojiRate >= 0.2 ? model.topEmojis.join(' ') : '很少用'}`,
+      `• 常聊：${model.topics.join('、') || '—'}`,
+      '',
+      '/style refresh 重新學習 · /style eval 評估'
+    ];
+    return lines.join('\n');
+  }
+
+  formatStyleEvaluation(report) {
+    if (!report) return '📏 還沒有留出的真實消息，周文多說幾句之後再評估';
+
+    const metrics = [['length', '長度接近'], ['overlap', '用詞重合'], ['phrases', '口頭禪一致'], ['emoji', '表情一致'], ['total', '綜合']];
+    const lines = [
+      `📏 風格評估 (${report.samples} 條留出的真實消息)`,
+      '',
+      '學習風格 / 只用人設',
+      ...metrics.map(([key, label]) => `${label}：${report.style[key]} / ${report.baseline[key]}`),
+      '',
+      '例子：'
+    ];
+    for (const pair of report.pairs.slice(-3)) {
+      lines.push(`真：${pair.real}`, `仿：${pair.styled}`, '');
+    }
+    return lines.join('\n').trim();
+  }
+
   /**
    * 觸發隨機接話
    */
   async triggerRandomChat(chatId) {
     try {
-      const model = this.gemini.getGenerativeModel({
-        model: 'gemini-2.5-flash-lite',
-        generationConfig: { temperature: 1.3 }
-      });
-
-      const prompt = `${AVATAR_PERSONA.systemPrompt}
+      const styleContext = await styleModelService.buildPromptContext();
+      const prompt = `${AVATAR_PERSONA.systemPrompt}${styleContext}
 
 請隨機發起一個話題或者說點什麼：
 - 可以是隨便聊聊
@@ -819,8 +837,8 @@ BongBong 刚说：「${context}」
 
 直接輸出：`;
 
-      const result = await model.generateContent(prompt);
-      const response = result.response.text().trim();
+      const result = await llmService.generate('avatar.randomChat', prompt, { meta: { chatId } });
+      const response = result.text.trim();
 
       await this.bot.sendMessage(chatId, response);
 
@@ -898,17 +916,9 @@ BongBong 刚说：「${context}」
   async decomposeMessage(chatId, message, messageId, userName) {
     try {
       const prompt = AVATAR_PERSONA.decompose.prompt.replace('{message}', message);
-      
-      const model = this.gemini.getGenerativeModel({
-        model: 'gemini-2.5-flash-lite',
-        generationConfig: {
-          temperature: 1.0,
-          maxOutputTokens: 300
-        }
-      });
 
-      const result = await model.generateContent(prompt);
-      const decomposed = result.response.text().trim();
+      const result = await llmService.generate('avatar.decompose', prompt, { meta: { chatId } });
+      const decomposed = result.text.trim();
 
       await this.bot.sendMessage(chatId, decomposed, {
         reply_to_message_id: messageId
@@ -942,32 +952,21 @@ BongBong 刚说：「${context}」
    */
   async handleEyeOfTruth(chatId, question, messageId) {
     try {
-      // 發送處理中提示
-      const processingMsg = await this.bot.sendMessage(chatId, '🔮 真實之眼啟動中...', {
-        reply_to_message_id: messageId
+      // 流式: 佔位消息隨三步生成逐步更新，超長自動續頁
+      const stream = new StreamingMessage(this.bot, chatId, {
+        isGroup: true,
+        replyToMessageId: messageId,
+        placeholder: '🔮 真實之眼啟動中...'
       });
+      await stream.start();
 
       // 執行驗證
-      const result = await eyeOfTruthService.verify(question);
-
-      // 刪除處理中提示
-      try {
-        await this.bot.deleteMessage(chatId, processingMsg.message_id);
-      } catch (e) {}
+      const result = await eyeOfTruthService.verify(question, '', (progress) => stream.update(progress), chatId);
 
       if (result.success) {
-        // 分段發送 (避免太長)
-        const chunks = this.splitMessage(result.output, 4000);
-        for (const chunk of chunks) {
-          await this.bot.sendMessage(chatId, chunk, {
-            parse_mode: 'Markdown',
-            reply_to_message_id: messageId
-          });
-        }
+        await stream.finish(result.output, { parse_mode: 'Markdown' });
       } else {
-        await this.bot.sendMessage(chatId, `❌ 真實之眼出錯: ${result.error}`, {
-          reply_to_message_id: messageId
-        });
+        await stream.fail(`❌ 真實之眼出錯: ${result.error}`);
       }
 
       // 記錄
@@ -1105,15 +1104,16 @@ BongBong 刚说：「${context}」
   async generateIdleChatMessage(chatId, taskType, round) {
     try {
       // 獲取群聊歷史
-      const history = await groupMemoryService.getGroupHistory(chatId.toString(), 20);
+      const history = await groupMemoryService.getRecentMessages(chatId, { limit: 20 });
       const historyContext = history.length > 0
-        ? history.reverse().map(m => `${m.userName}: ${m.content}`).join('\n')
+        ? history.map(m => `${m.userName}: ${m.content}`).join('\n')
         : '';
+      const styleContext = await styleModelService.buildPromptContext(history[history.length - 1]?.content);
 
       let prompt;
       switch (taskType) {
         case 'summary':
-          prompt = `${AVATAR_PERSONA.systemPrompt}
+          prompt = `${AVATAR_PERSONA.systemPrompt}${styleContext}
 
 [群聊記錄]
 ${historyContext}
@@ -1127,7 +1127,7 @@ ${historyContext}
           break;
 
         case 'analysis':
-          prompt = `${AVATAR_PERSONA.systemPrompt}
+          prompt = `${AVATAR_PERSONA.systemPrompt}${styleContext}
 
 [群聊記錄]
 ${historyContext}
@@ -1141,7 +1141,7 @@ ${historyContext}
           break;
 
         case 'prediction':
-          prompt = `${AVATAR_PERSONA.systemPrompt}
+          prompt = `${AVATAR_PERSONA.systemPrompt}${styleContext}
 
 [群聊記錄]
 ${historyContext}
@@ -1155,7 +1155,7 @@ ${historyContext}
           break;
 
         default:
-          prompt = `${AVATAR_PERSONA.systemPrompt}
+          prompt = `${AVATAR_PERSONA.systemPrompt}${styleContext}
 
 這是第 ${round + 1}/10 句閒聊。請用無厘頭風格隨便聊，要求：
 1. 超短，1句話
@@ -1165,16 +1165,8 @@ ${historyContext}
 直接輸出：`;
       }
 
-      const model = this.gemini.getGenerativeModel({
-        model: 'gemini-2.5-flash-lite',
-        generationConfig: {
-          temperature: 1.2,
-          maxOutputTokens: 50
-        }
-      });
-
-      const result = await model.generateContent(prompt);
-      return result.response.text().trim();
+      const result = await llmService.generate('avatar.idleChat', prompt, { meta: { chatId } });
+      return result.text.trim();
 
     } catch (error) {
       logger.error('Generate idle chat error:', error);
@@ -1187,28 +1179,21 @@ ${historyContext}
   // ========== 輔助方法 ==========
 
   /**
-   * 分割長消息
+   * 輔助函數 - 睡眠
    */
-  splitMessage(text, maxLength = 4000) {
-    const chunks = [];
-    let current = '';
-    for (const line of text.split('\n')) {
-      if (current.length + line.length + 1 > maxLength) {
-        chunks.push(current);
-        current = line;
-      } else {
-        current += (current ? '\n' : '') + line;
-      }
-    }
-    if (current) chunks.push(current);
-    return chunks;
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
   }
 
   /**
-   * 輔助函數 - 睡眠
+   * 延遲執行 (stop 時一併取消)
    */
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  later(callback, ms) {
+    const timer = setTimeout(() => {
+      this.pendingTimers.delete(timer);
+      callback();
+    }, ms);
+    this.pendingTimers.add(timer);
   }
 
   /**
@@ -1217,11 +1202,16 @@ ${historyContext}
   stop() {
     if (this.bot) {
       this.bot.stopPolling();
+      styleModelService.stop();
       
       // 清除所有計時器
       for (const timer of this.idleChatTimer.values()) {
         clearTimeout(timer);
       }
+      for (const timer of this.pendingTimers) {
+        clearTimeout(timer);
+      }
+      this.pendingTimers.clear();
       
       logger.info('Avatar bot stopped');
     }
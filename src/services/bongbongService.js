@@ -9,21 +9,19 @@
  * - 記憶引用
  */
 
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import OpenAI from 'openai';
-import config from '../../config/index.js';
 import { BONGBONG_PERSONA, DASHBOARD_TEMPLATE } from '../../config/bongbong.js';
-import { AVAILABLE_MODELS, EXCLUDED_MODELS } from '../../config/models.js';
 import smartRouter from './smartRouter.js';
 import memoryService from './memoryService.js';
+import knowledgeGraphService from './knowledgeGraphService.js';
+import conversationSummaryService from './conversationSummaryService.js';
+import llmService from './llmService.js';
+import usageLedgerService from './usageLedgerService.js';
+import { readableScopes } from '../utils/memoryScope.js';
 import logger from '../utils/logger.js';
 
 class BongBongService {
   constructor() {
-    this.gemini = null;
-    this.grok = null;
     this.initialized = false;
-    this.tokenUsage = { input: 0, output: 0 };
     
     // Avatar 互動相關
     this.counterAttackRate = 0.15; // 15% 概率爆擊回覆 Avatar
@@ -35,24 +33,12 @@ class BongBongService {
    */
   async init() {
     try {
-      // Gemini
-      const geminiKey = config.apiKeys.gemini;
-      if (geminiKey) {
-        this.gemini = new GoogleGenerativeAI(geminiKey);
-        logger.info('Gemini API initialized');
-      } else {
+      // LLM Provider (Gemini / Grok / stub)
+      llmService.init();
+      if (!llmService.isAvailable('gemini')) {
         logger.warn('Gemini API key not found');
       }
-
-      // Grok
-      const grokKey = config.apiKeys.grok;
-      if (grokKey) {
-        this.grok = new OpenAI({
-          apiKey: grokKey,
-          baseURL: 'https://api.x.ai/v1'
-        });
-        logger.info('Grok API initialized');
-      } else {
+      if (!llmService.isAvailable('grok')) {
         logger.warn('Grok API key not found');
       }
 
@@ -69,65 +55,84 @@ class BongBongService {
 
   /**
    * 生成回覆
+   * - context.onDelta 存在時流式回調累計文本
+   * - context.routing 存在時跳過智能路由 (重新生成時沿用 / 指定檔位)
+   * - context.mode 為聊天模式配置 (CONVERSATION_MODES)，決定模型 / 溫度 / 提示 / 記憶條數
+   * - context.regenerate = { previousResponse } 時是 🔄 重新生成: 原地改寫原對話記錄，不再計數、不觸發摘要
    */
   async generateResponse(message, context = {}) {
-    const { userId, chatId, userName, history = [] } = context;
+    const { userId, chatId, userName, history = [], onDelta, mode } = context;
     
     try {
-      // 1. 智能路由選擇模型
-      const routing = await smartRouter.route(message, context);
+      // 1. 選擇模型: 指定檔位 > 聊天模式 > 智能路由
+      const routing = context.routing
+        || (mode && smartRouter.getModelInfo(mode.modelKey, `${mode.icon}${mode.label}`))
+        || await smartRouter.route(message, context);
       
-      // 2. 檢查是否被排除
-      if (EXCLUDED_MODELS.includes(routing.modelId)) {
-        logger.warn(`Model ${routing.modelId} is excluded, falling back`);
-        routing.modelId = 'gemini-2.5-flash';
-        routing.provider = 'gemini';
-      }
-
-      // 3. 獲取相關記憶
-      const memories = await this.getRelevantMemories(userId, message);
+      // 2. 獲取相關記憶 (模式可關閉 / 加大)
+      const memories = await this.getRelevantMemories(userId, message, mode?.memoryLimit ?? 3, chatId);
       const memoryContext = memories.length > 0 
         ? `\n\n[相關記憶]\n${memories.map(m => `- ${m.content}`).join('\n')}`
         : '';
 
-      // 4. 構建完整提示
-      const fullPrompt = this.buildPrompt(message, memoryContext, history);
-
-      // 5. 調用 API
-      let response;
-      let tokens = { input: 0, output: 0 };
-
-      if (routing.provider === 'gemini') {
-        const result = await this.callGemini(routing.modelId, fullPrompt);
-        response = result.text;
-        tokens = result.tokens;
-      } else if (routing.provider === 'grok') {
-        const result = await this.callGrok(routing.modelId, fullPrompt, history);
-        response = result.text;
-        tokens = result.tokens;
-      }
-
-      // 6. 更新 token 使用量
-      this.tokenUsage.input += tokens.input;
-      this.tokenUsage.output += tokens.output;
+      // 3. 家庭知識圖譜裡相關的事實 (過敏、用藥、生日 …)
+      const facts = await this.getRelevantFacts(userId, chatId, userName, message);
 
-      // 7. 記錄對話
-      const logResult = await memoryService.logConversation({
+      // 4. 對話上下文: 長期摘要 + 近期摘要 + 最近的原始消息 (token 預算內)
+      const conversation = await conversationSummaryService.getContext(
         chatId,
-        userId,
-        userName,
-        message,
-        response,
-        model: routing.modelId,
-        tokens: tokens.input + tokens.output,
-        memoryRefs: memories.length
-      });
+        history.map(h => `${h.role === 'user' ? '用户' : 'BongBong'}: ${h.content}`)
+      );
+
+      // 5. 構建完整提示
+      const fullPrompt = this.buildPrompt(message, memoryContext, conversation, mode?.prompt, facts);
+
+      // 6. 調用 API (排除昂貴模型 + 沿回退鏈自動換模型)
+      //    全火力模式走 Pro + Grok 雙模型流水線 (指定檔位重新生成時除外)
+      const meta = { chatId, userId };
+      const result = mode?.pipeline === 'fullpower' && !context.routing
+        ? await this.generateFullPower(message, fullPrompt, meta, onDelta, mode)
+        : await this.callModel(routing.modelId, fullPrompt, meta, onDelta, {
+          temperature: mode?.temperature,
+          maxOutputTokens: mode?.maxOutputTokens
+        });
+      const { text: response, tokens } = result;
+
+      // 實際回答的模型 (可能和路由選的不同)
+      const answered = result.label
+        ? { ...smartRouter.describeModel(result.model), model: result.label }
+        : smartRouter.describeModel(result.model);
+
+      // 7. 記錄對話 (token / 花費已由 llmService 寫入用量賬本)，攢夠一段就更新摘要
+      //    重新生成時只改寫原來那條記錄
+      let logResult;
+      if (context.regenerate) {
+        logResult = await memoryService.replaceConversationResponse(chatId, message, context.regenerate.previousResponse, {
+          response,
+          model: answered.modelId,
+          tokens: tokens.input + tokens.output
+        });
+      } else {
+        logResult = await memoryService.logConversation({
+          chatId,
+          userId,
+          userName,
+          message,
+          response,
+          model: answered.modelId,
+          tokens: tokens.input + tokens.output,
+          memoryRefs: memories.length
+        });
+        conversationSummaryService.maybeUpdate(chatId);
+      }
 
       // 8. 構建儀表盤
       const dashboard = this.buildDashboard({
         messageCount: logResult.messageNumber,
-        model: routing.model,
+        model: answered.model,
+        fallback: result.fallback,
         reason: routing.reason,
+        mode,
         tokens: tokens.input + tokens.output,
         memoryRefs: memories.length
       });
@@ -135,54 +140,47 @@ class BongBongService {
       return {
         response,
         dashboard,
-        model: routing.model,
-        modelId: routing.modelId,
-        provider: routing.provider,
-        reason: routing.reason,
-        icon: routing.icon,
+        model: answered.model,
+        modelId: answered.modelId,
+        provider: answered.provider,
+        routedModelId: routing.modelId,
+        routing: { model: routing.model, modelId: routing.modelId, provider: routing.provider, reason: routing.reason, icon: routing.icon },
+        fallback: result.fallback,
+        reason: result.fallback ? `${routing.reason} (回退)` : routing.reason,
+        icon: answered.icon,
         tokens,
         memoryRefs: memories.length,
         messageNumber: logResult.messageNumber
       };
 
     } catch (error) {
-      logger.error('Generate response error:', error);
-      
-      // 嘗試回退
-      try {
-        const fallbackResult = await this.callGemini('gemini-2.5-flash', message);
-        return {
-          response: fallbackResult.text,
-          dashboard: '',
-          model: 'Gemini 2.5 Flash',
-          modelId: 'gemini-2.5-flash',
-          provider: 'gemini',
-          reason: '回退模式',
-          icon: '⚡',
-          tokens: fallbackResult.tokens,
-          memoryRefs: 0,
-          messageNumber: 0
-        };
-      } catch (fallbackError) {
-        logger.error('Fallback also failed:', fallbackError);
-        throw new Error('所有模型都無法響應');
-      }
+      logger.error('Generate response error:', error.message, error.attempts || '');
+      throw new Error('所有模型都無法響應');
     }
   }
 
   /**
    * 構建提示詞
+   * @param {Object} conversation - conversationSummaryService.getContext 的結果
    */
-  buildPrompt(message, memoryContext, history) {
+  buildPrompt(message, memoryContext, conversation, modePrompt, facts = []) {
     const systemPrompt = BONGBONG_PERSONA.systemPrompt;
+
+    // 家人的已知事實 (回答健康、送禮、簽證等問題時要考慮)
+    const factContext = facts.length > 0
+      ? `\n\n[家庭资料]\n${facts.map(f => `- ${f.text}`).join('\n')}`
+      : '';
     
-    // 構建歷史上下文
+    // 構建歷史上下文 (越早的越概括)
     let historyContext = '';
-    if (history.length > 0) {
-      const recentHistory = history.slice(-6); // 最近6條
-      historyContext = '\n\n[最近对话]\n' + recentHistory
-        .map(h => `${h.role === 'user' ? '用户' : 'BongBong'}: ${h.content}`)
-        .join('\n');
+    if (conversation.longTerm) {
+      historyContext += `\n\n[长期摘要]\n${conversation.longTerm}`;
+    }
+    if (conversation.recent.length > 0) {
+      historyContext += `\n\n[近期摘要]\n${conversation.recent.map(s => `- ${s}`).join('\n')}`;
+    }
+    if (conversation.turns.length > 0) {
+      historyContext += `\n\n[最近对话]\n${conversation.turns.join('\n')}`;
     }
 
     // 强制简体中文 + Markdown 格式输出
@@ -193,91 +191,118 @@ class BongBongService {
 2. **格式**: 使用 Markdown 格式（标题、列表、粗体等）
 3. **简洁**: 回答简洁有力，不啰嗦`;
 
-    return `${systemPrompt}${formatInstruction}${memoryContext}${historyContext}\n\n用户: ${message}\n\nBongBong:`;
+    // 聊天模式的額外要求
+    const modeInstruction = modePrompt ? `\n4. **当前模式**: ${modePrompt}` : '';
+
+    return `${systemPrompt}${formatInstruction}${modeInstruction}${factContext}${memoryContext}${historyContext}\n\n用户: ${message}\n\nBongBong:`;
   }
 
   /**
-   * 調用 Gemini
+   * 調用模型 - 回退鏈見 smartRouter.MODEL_FALLBACK_CHAIN
    */
-  async callGemini(modelId, prompt) {
-    if (!this.gemini) {
-      throw new Error('Gemini not initialized');
-    }
+  async callModel(modelId, prompt, meta = {}, onDelta, options = {}) {
+    return llmService.generate('bongbong.chat', prompt, { model: modelId, meta, onDelta, ...options });
+  }
 
-    const model = this.gemini.getGenerativeModel({ 
-      model: modelId,
-      generationConfig: {
-        temperature: BONGBONG_PERSONA.personality.temperature,
-        maxOutputTokens: 2048
-      }
+  /**
+   * 全火力模式: Gemini Pro 嚴謹分析 → Grok Mini 擴散思考
+   * - 語意複雜度決定兩段的 maxOutputTokens
+   * - 兩段依次流式輸出到同一條消息
+   * - 擴散思考失敗時只保留分析
+   */
+  async generateFullPower(message, prompt, meta, onDelta, mode) {
+    const { complexity } = smartRouter.analyzeMessage(message);
+    const budget = ([min, max]) => Math.round(min + (max - min) * complexity / 5);
+
+    const sections = { analysis: '', diverge: '' };
+    const render = () => this.formatFullPower(sections);
+
+    const analysis = await llmService.generate('bongbong.fullpower.analysis', prompt, {
+      meta,
+      temperature: mode.temperature,
+      maxOutputTokens: budget(mode.tokenBudget.analysis),
+      onDelta: onDelta && ((text) => {
+        sections.analysis = text;
+        onDelta(render());
+      })
     });
+    sections.analysis = analysis.text;
 
-    const result = await model.generateContent(prompt);
-    const text = result.response.text();
-    
-    // 估算 token
-    const tokens = {
-      input: Math.ceil(prompt.length / 4),
-      output: Math.ceil(text.length / 4)
+    let diverge = null;
+    try {
+      sections.diverge = '⏳';
+      onDelta?.(render());
+
+      diverge = await llmService.generate('bongbong.fullpower.diverge', this.buildDivergePrompt(message, analysis.text), {
+        meta,
+        maxOutputTokens: budget(mode.tokenBudget.diverge),
+        onDelta: onDelta && ((text) => {
+          sections.diverge = text;
+          onDelta(render());
+        })
+      });
+      sections.diverge = diverge.text;
+    } catch (error) {
+      logger.warn('Full power diverge step failed:', error.message);
+      sections.diverge = '';
+    }
+
+    const models = [analysis, diverge].filter(Boolean);
+    return {
+      text: render(),
+      tokens: {
+        input: models.reduce((sum, r) => sum + r.tokens.input, 0),
+        output: models.reduce((sum, r) => sum + r.tokens.output, 0)
+      },
+      model: analysis.model,
+      label: models.map(r => smartRouter.describeModel(r.model).model).join(' + '),
+      fallback: models.some(r => r.fallback)
     };
+  }
 
-    return { text, tokens };
+  buildDivergePrompt(message, analysis) {
+    return `你是 BongBong 的擴散思考環節。另一個模型已經給出了嚴謹分析，你負責補充它沒想到的部分：
+1. 被忽略的可能性和反直覺的觀點
+2. 潛在風險和最壞情況
+3. 有創意的替代方案
+不要重複分析裡已有的內容，必须使用简体中文，Markdown 格式，簡潔。
+
+用户问题: ${message}
+
+[嚴謹分析]
+${analysis}`;
   }
 
-  /**
-   * 調用 Grok (帶自動回退)
-   */
-  async callGrok(modelId, prompt, history = []) {
-    if (!this.grok) {
-      throw new Error('Grok not initialized');
+  formatFullPower({ analysis, diverge }) {
+    let text = `🧠 *严谨分析*\n\n${analysis}`;
+    if (diverge) {
+      text += `\n\n💡 *扩散思考*\n\n${diverge}`;
     }
+    return text;
+  }
 
-    const messages = [
-      { role: 'system', content: BONGBONG_PERSONA.systemPrompt },
-      ...history.slice(-6).map(h => ({
-        role: h.role,
-        content: h.content
-      })),
-      { role: 'user', content: prompt }
-    ];
-
-    // Grok 模型回退順序
-    const grokModels = [modelId, 'grok-3-mini', 'grok-4-fast-non-reasoning'];
-    
-    for (const model of grokModels) {
-      try {
-        const response = await this.grok.chat.completions.create({
-          model,
-          messages,
-          temperature: BONGBONG_PERSONA.personality.temperature,
-          max_tokens: 2048
-        });
-
-        const text = response.choices[0]?.message?.content || '';
-        const tokens = {
-          input: response.usage?.prompt_tokens || 0,
-          output: response.usage?.completion_tokens || 0
-        };
-
-        return { text, tokens, actualModel: model };
-      } catch (error) {
-        logger.warn(`Grok model ${model} failed: ${error.message}, trying next...`);
-        if (model === grokModels[grokModels.length - 1]) {
-          // 所有 Grok 模型都失敗，回退到 Gemini
-          logger.info('All Grok models failed, falling back to Gemini');
-          return await this.callGemini('gemini-2.5-flash', prompt);
-        }
-      }
+  /**
+   * 家庭知識圖譜裡和這條消息相關的事實
+   */
+  async getRelevantFacts(userId, chatId, userName, message) {
+    try {
+      const scopes = readableScopes({ userId, chatId });
+      return await knowledgeGraphService.getRelevantFacts(scopes, message, { speaker: userName });
+    } catch (error) {
+      logger.error('Error getting facts:', error);
+      return [];
     }
   }
 
   /**
-   * 獲取相關記憶
+   * 獲取相關記憶 (limit = 0 不引用)，只取這個對話可讀範圍內的
    */
-  async getRelevantMemories(userId, message) {
+  async getRelevantMemories(userId, message, limit = 3, chatId = userId) {
+    if (limit <= 0) return [];
+
     try {
       // 搜索相關記憶
-      const memories = await memoryService.searchMemories(userId, message, 3);
+      const memories = await memoryService.searchMemories(userId, message, limit, {}, chatId);
       return memories;
     } catch (error) {
       logger.error('Error getting memories:', error);
@@ -289,25 +314,20 @@ class BongBongService {
    * 構建儀表盤 (精簡版)
    */
   buildDashboard(data) {
-    const { messageCount, model, reason, tokens } = data;
+    const { messageCount, model, fallback, tokens, mode } = data;
     const timestamp = new Date().toLocaleTimeString('zh-CN', { hour: '2-digit', minute: '2-digit' });
+    const modeLabel = mode ? `${mode.icon}${mode.label} | ` : '';
     
     // 精簡單行儀表盤
-    return `\n───\n📊 #${messageCount} | ${model} | ${tokens}t | ${timestamp}`;
+    return `\n───\n📊 #${messageCount} | ${modeLabel}${model}${fallback ? ' ↩️' : ''} | ${tokens}t | ${timestamp}`;
   }
 
   /**
    * 生成圖片 (Gemini)
+   * @param {Object} meta - { chatId, userId }，記進用量賬本
    */
-  async generateImage(prompt, style = 'realistic') {
-    if (!this.gemini) {
-      throw new Error('Gemini not initialized');
-    }
-
+  async generateImage(prompt, style = 'realistic', meta = {}) {
     try {
-      // 使用 gemini-2.0-flash-exp 的圖像生成能力
-      const model = this.gemini.getGenerativeModel({ model: 'gemini-2.0-flash-exp' });
-      
       const stylePrompts = {
         realistic: '寫實風格，高清照片質感',
         art: '藝術風格，油畫質感',
@@ -317,10 +337,11 @@ class BongBongService {
 
       const fullPrompt = `生成一張圖片：${prompt}。風格：${stylePrompts[style] || stylePrompts.realistic}`;
       
-      const result = await model.generateContent(fullPrompt);
+      // 使用 gemini-2.0-flash-exp 的圖像生成能力
+      const result = await llmService.generate('bongbong.image', fullPrompt, { meta });
       return {
         success: true,
-        description: result.response.text()
+        description: result.text
       };
     } catch (error) {
       logger.error('Image generation error:', error);
@@ -333,12 +354,14 @@ class BongBongService {
 
   /**
    * 生成摘要 (用於記憶存檔)
+   * @param {Object} meta - { chatId, userId }，記進用量賬本
    */
-  async generateSummary(content) {
+  async generateSummary(content, meta = {}) {
     try {
       // 使用最便宜的模型
-      const result = await this.callGemini('gemini-2.5-flash-lite', 
-        `請用一句話總結以下內容的要點：\n\n${content}`
+      const result = await llmService.generate('bongbong.summary',
+        `請用一句話總結以下內容的要點：\n\n${content}`,
+        { meta }
       );
       return result.text;
     } catch (error) {
@@ -352,7 +375,7 @@ class BongBongService {
    */
   async createMemoryCheckpoint(userId, content) {
     try {
-      const summary = await this.generateSummary(content);
+      const summary = await this.generateSummary(content, { userId });
       const id = await memoryService.createMemoryCheckpoint(userId, summary, 'auto');
       return {
         success: true,
@@ -369,8 +392,10 @@ class BongBongService {
    * 獲取使用統計
    */
   getUsageStats() {
+    const spend = usageLedgerService.getSpendSummary();
     return {
-      tokens: this.tokenUsage,
+      tokens: { input: spend.today.total.input, output: spend.today.total.output },
+      spend,
       routing: smartRouter.getStats()
     };
   }
@@ -385,18 +410,10 @@ class BongBongService {
   /**
    * 生成對 Avatar 的爆擊回覆
    */
-  async generateCounterAttack(avatarMessage) {
-    if (!this.gemini) return null;
+  async generateCounterAttack(avatarMessage, chatId = null) {
+    if (!llmService.isAvailable('gemini')) return null;
 
     try {
-      const model = this.gemini.getGenerativeModel({
-        model: 'gemini-2.5-flash',
-        generationConfig: {
-          temperature: 0.9,
-          maxOutputTokens: 200
-        }
-      });
-
       const prompt = `你是 BongBong，一個高冷的 AI。
       
 周文的虛擬分身剛才說：「${avatarMessage}」
@@ -410,8 +427,8 @@ class BongBongService {
 
 直接輸出回覆：`;
 
-      const result = await model.generateContent(prompt);
-      return result.response.text().trim();
+      const result = await llmService.generate('bongbong.counterAttack', prompt, { meta: { chatId } });
+      return result.text.trim();
     } catch (error) {
       logger.error('Counter attack generation error:', error);
       return '...（沉默是最好的反擊）';
@@ -421,7 +438,7 @@ class BongBongService {
   /**
    * 處理 Avatar 消息 (決定是否爆擊)
    */
-  async handleAvatarMessage(avatarMessage) {
+  async handleAvatarMessage(avatarMessage, chatId = null) {
     this.lastAvatarMessage = {
       content: avatarMessage,
       timestamp: Date.now()
@@ -429,7 +446,7 @@ class BongBongService {
 
     // 15% 概率爆擊
     if (this.shouldCounterAttack()) {
-      const counterAttack = await this.generateCounterAttack(avatarMessage);
+      const counterAttack = await this.generateCounterAttack(avatarMessage, chatId);
       return {
         shouldRespond: true,
         response: counterAttack,
@@ -296,12 +296,7 @@ class BotService {
 
       // 生成向量嵌入并保存
       const embedding = await aiService.generateEmbedding(content);
-      await databaseService.saveEmbedding(
-        writing._id.toString(),
-        userId,
-        embedding,
-        content
-      );
+      await databaseService.saveEmbedding(writing._id.toString(), userId, embedding);
 
       await this.bot.sendMessage(chatId, `✅ 已保存！\n\n标题: ${title}\n时间: ${writing.createdAt.toLocaleString('zh-CN')}`);
 
@@ -14,6 +14,7 @@ import config from '../../config/index.js';
 import { BONGBONG_PERSONA } from '../../config/bongbong.js';
 import bongbongService from './bongbongService.js';
 import memoryService from './memoryService.js';
+import notebookService from './notebookService.js';
 import menuService, { MAIN_MENU, QUICK_ACTIONS } from './menuService.js';
 import newsService from './newsService.js';
 import imageService from './imageService.js';
@@ -401,7 +402,7 @@ ${result.dashboard}`;
         this.userStates.set(userId, { mode: 'notes_new', timestamp: Date.now() });
         break;
       case 'list':
-        const notes = await memoryService.getAllNotes(userId, 10);
+        const notes = await notebookService.getNotes(notebookService.ownerOf(userId), 'all', { limit: 10 });
         if (notes.length === 0) {
           await this.bot.sendMessage(chatId, '📭 還沒有便簽，點擊「新建便簽」開始記錄吧！');
         } else {
@@ -474,7 +475,13 @@ ${result.dashboard}`;
         const history = this.getHistory(userId);
         if (history.length > 0) {
           const lastResponse = history[history.length - 1];
-          await memoryService.saveNote(userId, '對話記錄', lastResponse.content, ['auto-save']);
+          await notebookService.saveForUser(userId, null, {
+            title: '對話記錄',
+            content: lastResponse.content,
+            tags: ['auto-save'],
+            source: 'quick_save',
+            origin: { chatId, messageId, userId }
+          });
           await this.bot.sendMessage(chatId, '✅ 已保存到便簽！');
         }
         break;
@@ -520,8 +527,12 @@ ${result.dashboard}`;
       content = input;
     }
 
-    const note = await memoryService.saveNote(userId, title, content);
-    if (note) {
+    const note = await notebookService.saveForUser(userId, msg.from.first_name, {
+      title,
+      content,
+      origin: { chatId, messageId: msg.message_id, userId }
+    });
+    if (note.success) {
       await this.bot.sendMessage(chatId, `✅ 已保存！\n\n📝 標題: ${title}\n⏰ 時間: ${note.createdAt.toLocaleString('zh-CN')}`);
     } else {
       await this.bot.sendMessage(chatId, '❌ 保存失敗');
@@ -536,13 +547,14 @@ ${result.dashboard}`;
     const userId = msg.from.id.toString();
 
     const stats = await memoryService.getStats(userId);
+    const noteCount = await notebookService.countNotes(notebookService.notebookFilter(notebookService.ownerOf(userId, msg.from.first_name)));
     const usage = bongbongService.getUsageStats();
 
     const text = `📊 *BongBong 統計*
 
 💬 對話記錄: ${stats.conversations}
 💾 記憶存檔: ${stats.memories}
-📝 便簽數量: ${stats.notes}
+📝 便簽數量: ${noteCount}
 
 🤖 *模型使用比例*
 • Gemini: ${usage.routing.gemini.ratio}
@@ -714,7 +726,7 @@ ${result.dashboard}`;
       // 如果沒有提示詞，使用個性化或隨機主題
       const finalPrompt = prompt || await imageService.getPersonalizedTopic(userId);
       
-      const result = await imageService.generateImageDescription(finalPrompt, userId);
+      const result = await imageService.generateImageDescription(finalPrompt, userId, chatId);
       
       if (result.success) {
         const response = `🎨 *畫作描述*
@@ -0,0 +1,186 @@
+/**
+ * 聊天模式服務 - 💬 菜單選擇的對話模式
+ *
+ * 功能:
+ * - 私聊按用戶、群組按群保存當前模式 (conversation_modes 集合)
+ * - 每條消息順延有效期，閒置超過 ttlMinutes 自動回到自動模式
+ * - 模式配置見 config/bongbong.js CONVERSATION_MODES
+ *
+ * Mongo 不可用時只保存在內存，重啟後回到自動模式
+ */
+
+import { MongoClient } from 'mongodb';
+import config from '../../config/index.js';
+import { CONVERSATION_MODES } from '../../config/bongbong.js';
+import logger from '../utils/logger.js';
+
+class ConversationModeService {
+  constructor() {
+    this.client = null;
+    this.db = null;
+    this.collections = {
+      modes: null  // conversation_modes
+    };
+
+    // 內存緩存: scope -> { mode, setBy, expiresAt }
+    this.cache = new Map();
+  }
+
+  async connect() {
+    try {
+      const uri = config.mongodb.uri;
+      if (!uri) {
+        logger.warn('MongoDB URI not configured, conversation modes in memory only');
+        return false;
+      }
+
+      this.client = new MongoClient(uri);
+      await this.client.connect();
+      this.db = this.client.db(config.mongodb.dbName || 'sms_tg_bot');
+      this.collections.modes = this.db.collection('conversation_modes');
+
+      await this.collections.modes.createIndex({ scope: 1 }, { unique: true });
+      // 過期文檔由 Mongo 自動清理 (讀取時仍以 expiresAt 為準)
+      await this.collections.modes.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+      logger.info('Conversation mode service connected to MongoDB');
+      return true;
+    } catch (error) {
+      logger.error('Conversation mode connection error:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 模式作用範圍: 群組共用一個模式，私聊按用戶
+   */
+  getScope(chatId, userId, isGroup) {
+    return isGroup ? `chat:${chatId}` : `user:${userId}`;
+  }
+
+  getModeConfig(mode) {
+    const modeConfig = CONVERSATION_MODES[mode];
+    return modeConfig ? { key: mode, ...modeConfig } : null;
+  }
+
+  /**
+   * 讀取當前模式
+   * @returns {{ mode, config, expiresAt } | { expired: true, mode, config } | null}
+   */
+  async getMode(scope) {
+    const entry = await this.load(scope);
+    if (!entry) return null;
+
+    const modeConfig = this.getModeConfig(entry.mode);
+    if (!modeConfig) {
+      await this.clearMode(scope);
+      return null;
+    }
+
+    // 超時 → 清除並告知一次
+    if (entry.expiresAt <= new Date()) {
+      await this.clearMode(scope);
+      return { expired: true, mode: entry.mode, config: modeConfig };
+    }
+
+    return { mode: entry.mode, config: modeConfig, expiresAt: entry.expiresAt };
+  }
+
+  /**
+   * 設置模式
+   */
+  async setMode(scope, mode, setBy = null) {
+    const modeConfig = this.getModeConfig(mode);
+    if (!modeConfig) {
+      throw new Error(`Unknown conversation mode: ${mode}`);
+    }
+
+    const entry = {
+      mode,
+      setBy: setBy ? setBy.toString() : null,
+      expiresAt: this.getExpiry(modeConfig)
+    };
+    this.cache.set(scope, entry);
+
+    if (this.collections.modes) {
+      try {
+        await this.collections.modes.updateOne(
+          { scope },
+          { $set: { ...entry, updatedAt: new Date() }, $setOnInsert: { createdAt: new Date() } },
+          { upsert: true }
+        );
+      } catch (error) {
+        logger.error('Conversation mode save error:', error.message);
+      }
+    }
+
+    return { mode, config: modeConfig, expiresAt: entry.expiresAt };
+  }
+
+  /**
+   * 清除模式 (回到自動)
+   */
+  async clearMode(scope) {
+    this.cache.set(scope, null);
+
+    if (this.collections.modes) {
+      try {
+        await this.collections.modes.deleteOne({ scope });
+      } catch (error) {
+        logger.error('Conversation mode clear error:', error.message);
+      }
+    }
+  }
+
+  /**
+   * 有新消息時順延有效期
+   */
+  async touch(scope) {
+    const entry = this.cache.get(scope);
+    const modeConfig = entry && this.getModeConfig(entry.mode);
+    if (!modeConfig) return;
+
+    entry.expiresAt = this.getExpiry(modeConfig);
+
+    if (this.collections.modes) {
+      try {
+        await this.collections.modes.updateOne({ scope }, { $set: { expiresAt: entry.expiresAt } });
+      } catch (error) {
+        logger.error('Conversation mode touch error:', error.message);
+      }
+    }
+  }
+
+  // ==================== 內部 ====================
+
+  getExpiry(modeConfig) {
+    return new Date(Date.now() + modeConfig.ttlMinutes * 60 * 1000);
+  }
+
+  /**
+   * 先查緩存 (null 表示已確認無模式)，再查 Mongo
+   */
+  async load(scope) {
+    if (this.cache.has(scope)) return this.cache.get(scope);
+    if (!this.collections.modes) return null;
+
+    try {
+      const doc = await this.collections.modes.findOne({ scope });
+      const entry = doc ? { mode: doc.mode, setBy: doc.setBy, expiresAt: doc.expiresAt } : null;
+      this.cache.set(scope, entry);
+      return entry;
+    } catch (error) {
+      logger.error('Conversation mode load error:', error.message);
+      return null;
+    }
+  }
+
+  async close() {
+    if (this.client) {
+      await this.client.close();
+      logger.info('Conversation mode service disconnected');
+    }
+  }
+}
+
+export default new ConversationModeService();
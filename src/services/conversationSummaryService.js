@@ -0,0 +1,235 @@
+/**
+ * 長對話摘要服務 - 每個對話一份滾動的分層摘要
+ *
+ * - 近期摘要: 每攢夠 everyMessages 條新消息總結成一段 (群聊按 group_messages，私聊按 conversations)
+ * - 長期摘要: 近期摘要超過 recentSegments 段時，最舊的幾段併入長期摘要
+ * - 進度 (cursor) 和摘要存在 conversation_summaries，重啟後接著總結
+ * - 「不要記住」的消息不進摘要
+ *
+ * BongBong 構建提示詞時用 getContext 取「長期摘要 + 近期摘要 + 最近原始消息」(見 utils/contextWindow.js)
+ */
+
+import { MongoClient } from 'mongodb';
+import config from '../../config/index.js';
+import llmService from './llmService.js';
+import memoryService from './memoryService.js';
+import groupMemoryService from './groupMemoryService.js';
+import { chatScope, isGroupChat } from '../utils/memoryScope.js';
+import { fitContext } from '../utils/contextWindow.js';
+import logger from '../utils/logger.js';
+
+// 模型不可用時的兜底摘要長度 (字)
+const FALLBACK_SUMMARY_LENGTH = 300;
+
+function truncate(text, length) {
+  return text.length > length ? `${text.slice(0, length)}…` : text;
+}
+
+/**
+ * (timestamp, _id) 是否在游標之後
+ */
+function isAfter(item, cursor) {
+  if (!cursor) return true;
+  const time = item.timestamp.getTime();
+  const since = new Date(cursor.timestamp).getTime();
+  return time > since || (time === since && item.id > cursor.id);
+}
+
+class ConversationSummaryService {
+  constructor() {
+    this.client = null;
+    this.db = null;
+    this.collections = {
+      summaries: null  // chatId -> { longTerm, recent, cursor }
+    };
+    this.settings = config.summary;
+    this.updating = new Set();  // 正在更新的 chatId
+  }
+
+  async connect() {
+    try {
+      this.client = new MongoClient(config.mongodb.uri);
+      await this.client.connect();
+      this.db = this.client.db(config.mongodb.dbName);
+      this.collections.summaries = this.db.collection('conversation_summaries');
+      await this.collections.summaries.createIndex({ chatId: 1 }, { unique: true });
+
+      logger.info('Conversation summary service connected');
+      return true;
+    } catch (error) {
+      logger.error('Conversation summary connect error:', error);
+      return false;
+    }
+  }
+
+  async getSummary(chatId) {
+    if (!this.collections.summaries) return null;
+    return this.collections.summaries.findOne({ chatId: String(chatId) });
+  }
+
+  /**
+   * 提示詞用的上下文: 摘要 + 最近的原始消息，控制在 token 預算內
+   * @param {string[]} turns - 最近的原始消息 (舊 → 新)，已格式化成一行一條
+   * @returns {Promise<{ longTerm: string|null, recent: string[], turns: string[], tokens: number }>}
+   */
+  async getContext(chatId, turns = []) {
+    const { rawMessages, minRawMessages, tokenBudget } = this.settings;
+    const raw = turns.slice(-rawMessages);
+
+    let summary = null;
+    if (this.settings.enabled) {
+      try {
+        summary = await this.getSummary(chatId);
+      } catch (error) {
+        logger.error('Error loading conversation summary:', error.message);
+      }
+    }
+
+    return fitContext({
+      longTerm: summary?.longTerm?.content || null,
+      recent: (summary?.recent || []).map(s => s.content),
+      turns: raw
+    }, { budget: tokenBudget, minTurns: minRawMessages });
+  }
+
+  /**
+   * 新消息攢夠一段時在後台更新 (每次回覆後調用)
+   */
+  maybeUpdate(chatId) {
+    if (!this.settings.enabled || !this.collections.summaries || this.updating.has(String(chatId))) return;
+    this.update(chatId).catch(error => logger.error('Conversation summary update error:', error));
+  }
+
+  /**
+   * 增量更新: 把游標之後的新消息按 everyMessages 條一段總結，多出來的近期摘要併入長期摘要
+   * @returns {Promise<Object|null>} 更新後的摘要文檔；正在更新或沒有新的一段時返回 null
+   */
+  async update(chatId) {
+    const key = String(chatId);
+    if (!this.collections.summaries || this.updating.has(key)) return null;
+    this.updating.add(key);
+
+    try {
+      const summary = await this.getSummary(chatId) || { chatId: key, longTerm: null, recent: [], cursor: null };
+      const pending = await this.fetchPending(chatId, summary.cursor);
+      const { everyMessages, recentSegments } = this.settings;
+
+      let changed = false;
+      while (pending.reduce((sum, item) => sum + item.size, 0) >= everyMessages) {
+        const chunk = [];
+        let size = 0;
+        while (size < everyMessages) {
+          const item = pending.shift();
+          chunk.push(item);
+          size += item.size;
+        }
+
+        summary.recent.push(await this.summarizeChunk(chunk, chatId));
+        const last = chunk[chunk.length - 1];
+        summary.cursor = { timestamp: last.timestamp, id: last.id };
+        changed = true;
+      }
+      if (!changed) return null;
+
+      if (summary.recent.length > recentSegments) {
+        const folded = summary.recent.splice(0, summary.recent.length - recentSegments);
+        summary.longTerm = await this.foldLongTerm(summary.longTerm, folded, chatId);
+      }
+
+      const { _id, ...fields } = summary;
+      await this.collections.summaries.updateOne(
+        { chatId: key },
+        { $set: { ...fields, ...chatScope({ userId: chatId, chatId }), updatedAt: new Date() } },
+        { upsert: true }
+      );
+      logger.info(`Conversation summary updated for ${key}: ${summary.recent.length} recent segments`);
+      return summary;
+    } finally {
+      this.updating.delete(key);
+    }
+  }
+
+  /**
+   * 游標之後的消息 (舊 → 新)，統一成 { id, timestamp, text, size }
+   * 群聊: 每條群消息算 1 條；私聊: 每輪問答算 2 條
+   */
+  async fetchPending(chatId, cursor) {
+    const since = cursor ? new Date(cursor.timestamp) : undefined;
+    const limit = this.settings.backlogMessages;
+
+    let items;
+    if (isGroupChat(chatId)) {
+      const messages = await groupMemoryService.getRecentMessages(chatId, { since, limit, includeEphemeral: false });
+      items = messages.map(m => ({
+        id: m._id.toString(),
+        timestamp: m.timestamp,
+        text: `${m.userName}: ${m.content}`,
+        size: 1
+      }));
+    } else {
+      const conversations = await memoryService.getConversationHistory(chatId, limit, { since, includeEphemeral: false });
+      items = conversations.reverse().map(c => ({
+        id: c._id.toString(),
+        timestamp: c.timestamp,
+        text: `${c.userName || '用户'}: ${c.message}\nBongBong: ${c.response}`,
+        size: 2
+      }));
+    }
+    return items.filter(item => isAfter(item, cursor));
+  }
+
+  async summarizeChunk(chunk, chatId) {
+    const conversation = chunk.map(item => item.text).join('\n');
+    const prompt = `把下面这段聊天总结成 2-3 句话，用简体中文。
+保留人名、做出的决定、待办事项、具体的时间和数字；不要评价，不要加前缀。
+
+${conversation}`;
+
+    return {
+      content: await this.generate(prompt, conversation, chatId),
+      messageCount: chunk.reduce((sum, item) => sum + item.size, 0),
+      from: chunk[0].timestamp,
+      to: chunk[chunk.length - 1].timestamp,
+      createdAt: new Date()
+    };
+  }
+
+  /**
+   * 把幾段近期摘要併入長期摘要
+   */
+  async foldLongTerm(longTerm, segments, chatId) {
+    const parts = [longTerm?.content, ...segments.map(s => s.content)].filter(Boolean);
+    const prompt = `下面是同一个聊天按时间先后的几段摘要。把它们合并成一段长期摘要 (不超过 200 字，简体中文)：
+保留仍然有用的事实、约定和未完成的事；过时的、已经解决的可以省略。直接输出摘要。
+
+${parts.map((p, i) => `${i + 1}. ${p}`).join('\n')}`;
+
+    return {
+      content: await this.generate(prompt, parts.join(' '), chatId),
+      messageCount: (longTerm?.messageCount || 0) + segments.reduce((sum, s) => sum + s.messageCount, 0),
+      from: longTerm?.from || segments[0].from,
+      to: segments[segments.length - 1].to,
+      updatedAt: new Date()
+    };
+  }
+
+  /**
+   * 調用模型總結，失敗時截取原文 (chatId 記進用量賬本)
+   */
+  async generate(prompt, fallbackText, chatId) {
+    try {
+      const result = await llmService.generate('memory.chatSummary', prompt, { meta: { chatId } });
+      const text = result.text.trim();
+      if (text) return text;
+    } catch (error) {
+      logger.warn('Conversation summary model failed, using excerpt:', error.message);
+    }
+    return truncate(fallbackText.replace(/\s+/g, ' '), FALLBACK_SUMMARY_LENGTH);
+  }
+
+  async close() {
+    if (this.client) await this.client.close();
+  }
+}
+
+export default new ConversationSummaryService();
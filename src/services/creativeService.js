@@ -13,10 +13,9 @@
  * - Gemini 2.5 Flash: Quick drafts and ideas
  */
 
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import config from '../../config/index.js';
 import logger from '../utils/logger.js';
 import notebookService from './notebookService.js';
+import llmService from './llmService.js';
 
 // Creative writing prompts and templates
 const CREATIVE_PROMPTS = {
@@ -144,9 +143,6 @@ const STYLE_TEMPLATES = {
 
 class CreativeService {
   constructor() {
-    this.genAI = null;
-    this.proModel = null;
-    this.flashModel = null;
     this.isInitialized = false;
     
     // User creative sessions
@@ -161,27 +157,9 @@ class CreativeService {
    */
   async init() {
     try {
-      this.genAI = new GoogleGenerativeAI(config.apiKeys.gemini);
-      
-      // Pro model for high-quality creative writing
-      this.proModel = this.genAI.getGenerativeModel({
-        model: 'gemini-2.5-pro-preview-06-05',
-        generationConfig: {
-          temperature: 0.9,  // Higher creativity
-          topP: 0.95,
-          maxOutputTokens: 4096
-        }
-      });
-      
-      // Flash model for quick drafts
-      this.flashModel = this.genAI.getGenerativeModel({
-        model: 'gemini-2.5-flash-preview-05-20',
-        generationConfig: {
-          temperature: 0.8,
-          topP: 0.9,
-          maxOutputTokens: 2048
-        }
-      });
+      // creative.pro: high-quality creative writing
+      // creative.flash: quick drafts
+      llmService.init();
       
       this.isInitialized = true;
       logger.info('Creative service initialized');
@@ -235,8 +213,8 @@ class CreativeService {
   async generateOutline(topic, options = {}) {
     try {
       const prompt = CREATIVE_PROMPTS.writing.outline.replace('{topic}', topic);
-      const result = await this.proModel.generateContent(prompt);
-      const outline = result.response.text();
+      const result = await llmService.generate('creative.pro', prompt, { meta: options.meta });
+      const outline = result.text;
       
       logger.info('Creative: Generated outline for:', topic.substring(0, 30));
       return {
@@ -262,8 +240,8 @@ class CreativeService {
       prompt += `\n\n风格：${STYLE_TEMPLATES[style] || style}`;
       prompt += `\n长度：${length === 'short' ? '300字左右' : length === 'long' ? '1000字以上' : '500字左右'}`;
       
-      const result = await this.proModel.generateContent(prompt);
-      const draft = result.response.text();
+      const result = await llmService.generate('creative.pro', prompt, { meta: options.meta });
+      const draft = result.text;
       
       logger.info('Creative: Generated draft');
       return {
@@ -285,8 +263,8 @@ class CreativeService {
   async polishContent(content, options = {}) {
     try {
       const prompt = CREATIVE_PROMPTS.writing.polish.replace('{content}', content);
-      const result = await this.proModel.generateContent(prompt);
-      const polished = result.response.text();
+      const result = await llmService.generate('creative.pro', prompt, { meta: options.meta });
+      const polished = result.text;
       
       logger.info('Creative: Polished content');
       return {
@@ -307,8 +285,8 @@ class CreativeService {
   async expandContent(content, options = {}) {
     try {
       const prompt = CREATIVE_PROMPTS.writing.expand.replace('{content}', content);
-      const result = await this.proModel.generateContent(prompt);
-      const expanded = result.response.text();
+      const result = await llmService.generate('creative.pro', prompt, { meta: options.meta });
+      const expanded = result.text;
       
       logger.info('Creative: Expanded content');
       return {
@@ -335,8 +313,8 @@ class CreativeService {
       let prompt = CREATIVE_PROMPTS.story.continue.replace('{content}', storyStart);
       prompt += `\n\n风格：${STYLE_TEMPLATES[style] || style}`;
       
-      const result = await this.proModel.generateContent(prompt);
-      const continuation = result.response.text();
+      const result = await llmService.generate('creative.pro', prompt, { meta: options.meta });
+      const continuation = result.text;
       
       logger.info('Creative: Continued story');
       return {
@@ -357,8 +335,8 @@ class CreativeService {
   async generateEnding(story, options = {}) {
     try {
       const prompt = CREATIVE_PROMPTS.story.ending.replace('{content}', story);
-      const result = await this.proModel.generateContent(prompt);
-      const ending = result.response.text();
+      const result = await llmService.generate('creative.pro', prompt, { meta: options.meta });
+      const ending = result.text;
       
       logger.info('Creative: Generated ending');
       return {
@@ -378,8 +356,8 @@ class CreativeService {
   async createCharacter(background, options = {}) {
     try {
       const prompt = CREATIVE_PROMPTS.story.character.replace('{content}', background);
-      const result = await this.proModel.generateContent(prompt);
-      const character = result.response.text();
+      const result = await llmService.generate('creative.pro', prompt, { meta: options.meta });
+      const character = result.text;
       
       logger.info('Creative: Created character');
       return {
@@ -398,11 +376,11 @@ class CreativeService {
   /**
    * Generate random inspiration
    */
-  async getInspiration(type = '任意类型') {
+  async getInspiration(type = '任意类型', options = {}) {
     try {
       const prompt = CREATIVE_PROMPTS.inspire.random.replace('{type}', type);
-      const result = await this.flashModel.generateContent(prompt);
-      const inspiration = result.response.text();
+      const result = await llmService.generate('creative.flash', prompt, { meta: options.meta });
+      const inspiration = result.text;
       
       logger.info('Creative: Generated inspiration');
       return {
@@ -419,11 +397,11 @@ class CreativeService {
   /**
    * Generate writing prompt from keywords
    */
-  async generatePrompt(keywords) {
+  async generatePrompt(keywords, options = {}) {
     try {
       const prompt = CREATIVE_PROMPTS.inspire.prompt.replace('{keywords}', keywords);
-      const result = await this.flashModel.generateContent(prompt);
-      const writingPrompt = result.response.text();
+      const result = await llmService.generate('creative.flash', prompt, { meta: options.meta });
+      const writingPrompt = result.text;
       
       logger.info('Creative: Generated prompt from keywords');
       return {
@@ -441,11 +419,11 @@ class CreativeService {
   /**
    * Brainstorm ideas
    */
-  async brainstorm(topic) {
+  async brainstorm(topic, options = {}) {
     try {
       const prompt = CREATIVE_PROMPTS.inspire.brainstorm.replace('{topic}', topic);
-      const result = await this.flashModel.generateContent(prompt);
-      const ideas = result.response.text();
+      const result = await llmService.generate('creative.flash', prompt, { meta: options.meta });
+      const ideas = result.text;
       
       logger.info('Creative: Brainstormed ideas for:', topic);
       return {
@@ -487,7 +465,7 @@ class CreativeService {
    */
   async getCreativeHistory(userId, limit = 10) {
     try {
-      const notes = await notebookService.getNotes(userId, 'zhouwen', {
+      const notes = await notebookService.getNotes(notebookService.ownerOf(userId), 'mine', {
         category: 'creative',
         limit
       });
@@ -503,7 +481,7 @@ class CreativeService {
   /**
    * Rewrite in different style
    */
-  async rewriteInStyle(content, targetStyle) {
+  async rewriteInStyle(content, targetStyle, options = {}) {
     try {
       const styleDesc = STYLE_TEMPLATES[targetStyle] || targetStyle;
       
@@ -517,8 +495,8 @@ ${content}
 2. 完全转换为目标风格
 3. 语言自然流畅`;
 
-      const result = await this.proModel.generateContent(prompt);
-      const rewritten = result.response.text();
+      const result = await llmService.generate('creative.pro', prompt, { meta: options.meta });
+      const rewritten = result.text;
       
       logger.info('Creative: Rewrote in style:', targetStyle);
       return {
@@ -1,5 +1,6 @@
-import { MongoClient } from 'mongodb';
+import { MongoClient, ObjectId } from 'mongodb';
 import config from '../../config/index.js';
+import vectorIndexService from './vectorIndexService.js';
 import logger from '../utils/logger.js';
 
 /**
@@ -13,6 +14,7 @@ class DatabaseService {
       writings: null,
       embeddings: null,
     };
+    this.vectorIndex = null;  // 'writings' 索引 (embeddings 集合)
   }
 
   /**
@@ -30,6 +32,9 @@ class DatabaseService {
 
       // 创建索引
       await this.createIndexes();
+      this.vectorIndex = await vectorIndexService.open('writings', this.collections.embeddings, {
+        filterFields: ['userId']
+      });
 
       logger.info('MongoDB connected successfully');
     } catch (error) {
@@ -48,10 +53,6 @@ class DatabaseService {
       await this.collections.writings.createIndex({ tags: 1 });
       await this.collections.writings.createIndex({ title: 'text', content: 'text' });
 
-      // 向量嵌入索引（用于向量搜索）
-      await this.collections.embeddings.createIndex({ writingId: 1 });
-      await this.collections.embeddings.createIndex({ userId: 1 });
-
       logger.info('Database indexes created');
     } catch (error) {
       logger.error('Error creating indexes:', error);
@@ -90,19 +91,10 @@ class DatabaseService {
    * @param {string} writingId
    * @param {string} userId
    * @param {Array} embedding
-   * @param {string} text
    */
-  async saveEmbedding(writingId, userId, embedding, text) {
+  async saveEmbedding(writingId, userId, embedding) {
     try {
-      const document = {
-        writingId,
-        userId,
-        embedding,
-        text,
-        createdAt: new Date(),
-      };
-
-      await this.collections.embeddings.insertOne(document);
+      await this.vectorIndex.upsert(writingId.toString(), embedding, { userId });
     } catch (error) {
       logger.error('Error saving embedding:', error);
       throw error;
@@ -118,68 +110,30 @@ class DatabaseService {
    */
   async vectorSearch(queryEmbedding, userId, limit = 5) {
     try {
-      // 获取用户的所有嵌入
-      const embeddings = await this.collections.embeddings
-        .find({ userId })
-        .toArray();
-
-      // 计算余弦相似度
-      const similarities = embeddings.map(doc => ({
-        writingId: doc.writingId,
-        text: doc.text,
-        similarity: this.cosineSimilarity(queryEmbedding, doc.embedding),
-      }));
-
-      // 按相似度排序并筛选
-      const results = similarities
-        .filter(item => item.similarity >= config.vector.similarityThreshold)
-        .sort((a, b) => b.similarity - a.similarity)
-        .slice(0, limit);
+      const results = await this.vectorIndex.search(queryEmbedding, {
+        k: limit,
+        filter: { userId },
+        minScore: config.vector.similarityThreshold
+      });
 
       // 获取完整的写作内容
-      const writingIds = results.map(r => r.writingId);
       const writings = await this.collections.writings
-        .find({ _id: { $in: writingIds } })
+        .find({ _id: { $in: results.map(r => new ObjectId(r.key)) } })
         .toArray();
 
       // 合并结果
-      return results.map(result => {
-        const writing = writings.find(w => w._id.toString() === result.writingId);
-        return {
-          ...writing,
-          similarity: result.similarity,
-        };
-      });
+      return results
+        .map(result => {
+          const writing = writings.find(w => w._id.toString() === result.key);
+          return writing && { ...writing, similarity: result.score };
+        })
+        .filter(Boolean);
     } catch (error) {
       logger.error('Error in vector search:', error);
       throw error;
     }
   }
 
-  /**
-   * 计算余弦相似度
-   * @param {Array} vecA
-   * @param {Array} vecB
-   * @returns {number}
-   */
-  cosineSimilarity(vecA, vecB) {
-    if (vecA.length !== vecB.length) {
-      throw new Error('Vectors must have the same length');
-    }
-
-    let dotProduct = 0;
-    let normA = 0;
-    let normB = 0;
-
-    for (let i = 0; i < vecA.length; i++) {
-      dotProduct += vecA[i] * vecB[i];
-      normA += vecA[i] * vecA[i];
-      normB += vecB[i] * vecB[i];
-    }
-
-    return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
-  }
-
   /**
    * 关键词搜索写作内容
    * @param {string} userId
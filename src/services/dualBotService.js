@@ -11,48 +11,120 @@
  * 5. 每日一次吹捧周文老師
  */
 
+import crypto from 'crypto';
 import TelegramBot from 'node-telegram-bot-api';
+import axios from 'axios';
 import config from '../../config/index.js';
-import { BONGBONG_PERSONA } from '../../config/bongbong.js';
+import { BONGBONG_PERSONA, REGENERATE_TIERS } from '../../config/bongbong.js';
 import { AVATAR_PERSONA } from '../../config/avatar.js';
 import bongbongService from './bongbongService.js';
+import smartRouter from './smartRouter.js';
 import avatarService from './avatarService.js';
 import groupMemoryService from './groupMemoryService.js';
-import memoryService from './memoryService.js';
-import menuService, { MAIN_MENU } from './menuService.js';
+import memoryService, { MEMORY_TYPES } from './memoryService.js';
+import memoryConsolidationService from './memoryConsolidationService.js';
+import conversationSummaryService from './conversationSummaryService.js';
+import knowledgeGraphService, { PREDICATES } from './knowledgeGraphService.js';
+import menuService, { MAIN_MENU, CONFIRM_DIALOG } from './menuService.js';
 import newsService from './newsService.js';
 import imageService from './imageService.js';
 import visionService from './visionService.js';
 import visaService, { VISA_KEYWORDS } from './visaService.js';
 import segmentService from './segmentService.js';
-import notebookService from './notebookService.js';
+import notebookService, { NOTE_SOURCES, NOTE_CATEGORIES } from './notebookService.js';
 import smartMemoryService from './smartMemoryService.js';
 import notionSyncService from './notionSyncService.js';
+import noteImportService from './noteImportService.js';
 import creativeService from './creativeService.js';
 import idleAnalysisService from './idleAnalysisService.js';
 import newsCompareService from './newsCompareService.js';
 import vectorEnhanceService from './vectorEnhanceService.js';
+import usageLedgerService from './usageLedgerService.js';
+import llmService from './llmService.js';
+import conversationModeService from './conversationModeService.js';
+import sessionStoreService from './sessionStoreService.js';
+import privacyService from './privacyService.js';
+import httpServerService from './httpServerService.js';
 import { handleVoiceMessage } from '../handlers/voiceHandlerV2.js';
 import { detectKeyword, isDrawRequest, isNewsRequest, extractDrawPrompt } from '../utils/keywords.js';
-import { formatAIOutput, formatDashboard, formatVisaResponse } from '../utils/formatter.js';
+import { formatAIOutput, formatDashboard, formatVisaResponse, escapeMarkdown } from '../utils/formatter.js';
+import { EXPORT_FORMATS, parseExportArgs } from '../utils/noteExport.js';
+import { importFormat, forwardInfo } from '../utils/noteImport.js';
+import StreamingMessage from '../utils/streamingMessage.js';
+import CallbackRouter from '../utils/callbackRouter.js';
+import { FAMILY_SCOPE, isGroupChat, readableScopes } from '../utils/memoryScope.js';
 import logger from '../utils/logger.js';
 
+// 回覆追蹤 (🔄 / 💾 按鈕用) - 保留 24 小時，最多 500 條
+const REPLY_TRACK_TTL = 24 * 60 * 60 * 1000;
+const REPLY_TRACK_MAX = 500;
+
+// 記憶管理: 每頁條數、按時間清除的可選天數
+const MEMORY_PAGE_SIZE = 5;
+const MEMORY_CLEAR_DAYS = [1, 7, 30];
+const FACTS_PAGE_SIZE = 5;
+
+// 筆記詳情: 每頁字數 (Telegram 單條上限 4096)，列表裡每行幾個 📖 按鈕
+const NOTE_PAGE_CHARS = 1500;
+const NOTE_BUTTONS_PER_ROW = 5;
+
+// 筆記瀏覽: 每頁條數、首頁最多顯示的分類 / 標籤數、最近摘要的天數
+const NOTE_BROWSE_PAGE_SIZE = 5;
+const NOTE_BROWSE_CATEGORIES = 8;
+const NOTE_BROWSE_TAGS = 12;
+const NOTE_DIGEST_DAYS = 7;
+const NOTEBOOKS = ['all', 'mother', 'mine'];
+const EXPORT_FACETS = ['none', 'cat', 'tag'];
+// 导入结果里列出 (带 📖 按钮) 的条数
+const NOTE_IMPORT_LIST = 10;
+
+// 會話存儲 namespace (sessionStoreService)
+const SESSION_PENDING = 'pending';   // userId -> { type, chatId }，有效期 PENDING_ACTION_TTL_MINUTES
+const SESSION_HISTORY = 'history';   // userId -> 私聊最近對話
+const SESSION_GROUPS = 'groups';     // groupId -> { since }
+const SESSION_IDLE = 'idle';         // groupId -> { dueAt } 閒聊計時
+
+// 待處理操作的名稱 (過期提示用)
+const PENDING_ACTION_LABELS = {
+  note_new: '新建便簽',
+  note_search: '搜索筆記',
+  note_edit: '編輯筆記',
+  note_tag: '添加標籤',
+  memory_search: '搜索記憶',
+  fact_edit: '更正資料',
+  visa_ask: '簽證提問',
+  creative_writing: '寫作助手',
+  creative_story: '故事續寫',
+  creative_expand: '擴寫潤色'
+};
+
 class DualBotService {
   constructor() {
     this.bongbongBot = null;
     this.avatarBot = null;
     this.initialized = false;
     
-    // 群聊追蹤
+    // 群聊追蹤 (持久化在會話存儲，啟動時 restoreSessionState 恢復)
     this.activeGroups = new Set();
+    // 私聊歷史緩存 (寫入時同步到會話存儲)
     this.conversationHistory = new Map();
     
-    // 計時器
+    // 計時器 (到期時間持久化，重啟後重新排程)
     this.idleTimers = new Map();
     this.dailyPraiseTimer = null;
+    this.dailyPraiseCheck = null;
+    this.pendingTimers = new Set();  // 延遲發送的回覆，見 later()
     
-    // 待處理操作 (便簽、搜索等)
-    this.pendingAction = new Map();
+    // 待處理操作 (便簽、搜索等) 直接存在會話存儲，見 setPendingAction
+
+    // 已發送的回覆: `${chatId}:${messageId}` -> { prompt, history, routing, response, ... }
+    this.sentReplies = new Map();
+
+    // 按鈕回調路由 (registerCallbacks)
+    this.callbacks = null;
+
+    // 連續轉發合併成一條回覆: chatId -> { at, notes, messageId, queue }
+    this.forwardBatches = new Map();
   }
 
   /**
@@ -67,8 +139,18 @@ class DualBotService {
         throw new Error('BongBong token not configured');
       }
 
+      // 用量賬本先連，預算降級依賴本月累計
+      await usageLedgerService.connect();
+
+      // 聊天模式 (💬 菜單選擇，持續生效)
+      await conversationModeService.connect();
+
+      // 會話狀態 (待處理操作 / 私聊歷史 / 活躍群組)
+      await sessionStoreService.connect();
+
       // 初始化 BongBong Bot
-      this.bongbongBot = new TelegramBot(bongbongToken, { polling: true });
+      // webhook 模式下不輪詢，更新由 httpServerService 轉交
+      this.bongbongBot = new TelegramBot(bongbongToken, { polling: !httpServerService.isWebhookMode() });
       await bongbongService.init();
       
       // 初始化 Avatar Bot
@@ -90,6 +172,9 @@ class DualBotService {
       await visaService.init();  // 签证咨询服务
       await notebookService.connect();  // 多用户笔记本
       await smartMemoryService.init();  // 智能记忆系统
+      await memoryConsolidationService.connect();  // 記憶整理 (去重 / 衰減 / 歸檔)
+      await conversationSummaryService.connect();  // 長對話分層摘要
+      await knowledgeGraphService.connect();  // 家庭知識圖譜
       await notionSyncService.initialize();  // Notion 同步服务
       await creativeService.init();  // 创作服务
       await idleAnalysisService.init();  // 闲置分析服务
@@ -98,6 +183,17 @@ class DualBotService {
 
       // 註冊處理器
       this.registerBongBongHandlers();
+
+      // 處理器就緒後再設置 webhook
+      if (httpServerService.isWebhookMode()) {
+        await httpServerService.attachBot('bongbong', this.bongbongBot, bongbongToken);
+        if (this.avatarBot) {
+          await httpServerService.attachBot('avatar', this.avatarBot, avatarToken);
+        }
+      }
+
+      // 恢復活躍群組 + 閒聊計時 (每日吹捧 / 閒聊依賴)
+      await this.restoreSessionState();
       
       // 啟動定時任務
       this.startScheduledTasks();
@@ -116,10 +212,42 @@ class DualBotService {
     }
   }
 
+  /**
+   * /readyz 檢查項 (在 init 之前註冊，初始化完成前返回 503)
+   * Notion 是可選集成，失敗不影響就緒
+   */
+  registerReadinessChecks() {
+    httpServerService.addReadinessCheck('bots', async () => ({
+      status: this.initialized ? 'ok' : 'error',
+      avatar: !!this.avatarBot
+    }));
+
+    httpServerService.addReadinessCheck('mongo', async () => {
+      if (!memoryService.db) return { status: 'error', error: 'not connected' };
+      await memoryService.db.command({ ping: 1 });
+      return { status: 'ok' };
+    });
+
+    httpServerService.addReadinessCheck('llm', async () => {
+      const providers = [...llmService.providers.values()]
+        .filter(p => p.isAvailable())
+        .map(p => p.name);
+      const ok = llmService.initialized && (llmService.isStub() || llmService.isAvailable('gemini'));
+      return { status: ok ? 'ok' : 'error', mode: llmService.mode, providers };
+    });
+
+    httpServerService.addReadinessCheck('notion', async () => {
+      if (!process.env.NOTION_API_KEY && !process.env.NOTION_TOKEN) return { status: 'disabled' };
+      return { status: notionSyncService.isInitialized ? 'ok' : 'error' };
+    }, { critical: false });
+  }
+
   /**
    * 註冊 BongBong 處理器
    */
   registerBongBongHandlers() {
+    this.callbacks = this.registerCallbacks();
+
     // 命令處理
     this.bongbongBot.onText(/\/start/, (msg) => this.handleStart(msg));
     this.bongbongBot.onText(/\/menu/, (msg) => this.showMainMenu(msg.chat.id));
@@ -128,6 +256,8 @@ class DualBotService {
     this.bongbongBot.onText(/\/draw(?:\s+(.+))?/, (msg, match) => this.handleDraw(msg, match));
     this.bongbongBot.onText(/\/stats/, (msg) => this.handleStats(msg));
     this.bongbongBot.onText(/\/task/, (msg) => this.handleDailyTask(msg));
+    this.bongbongBot.onText(/\/facts/, (msg) => this.showFacts(msg.chat.id, msg.from.id.toString()));
+    this.bongbongBot.onText(/\/export(?:\s+(.+))?/, (msg, match) => this.handleExport(msg, match));
 
     // 消息處理
     this.bongbongBot.on('message', async (msg) => {
@@ -137,10 +267,20 @@ class DualBotService {
       
       // 記錄群聊
       if (isGroup) {
-        this.activeGroups.add(msg.chat.id.toString());
+        this.markGroupActive(msg.chat.id);
         this.resetIdleTimer(msg.chat.id);
       }
 
+      // 私聊裡的文件和轉發消息存進筆記本
+      if (!isGroup && msg.document) {
+        await this.handleNoteDocument(msg);
+        return;
+      }
+      if (!isGroup && forwardInfo(msg) && (msg.text || msg.caption)) {
+        await this.handleForwardedNote(msg);
+        return;
+      }
+
       // 語音消息
       if (msg.voice) {
         await handleVoiceMessage(this.bongbongBot, msg);
@@ -179,12 +319,16 @@ class DualBotService {
     const userName = msg.from.first_name || '用戶';
     const text = msg.text;
     const isGroup = msg.chat.type === 'group' || msg.chat.type === 'supergroup';
+    let stream = null;
 
     try {
       // 檢查是否有待處理操作 (便簽、搜索等)
-      const handled = await this.handlePendingAction(userId, chatId, text);
+      const handled = await this.handlePendingAction(userId, chatId, text, msg);
       if (handled) return;
 
+      // 開了「不要記住」: 只留短期上下文，不進總結 / Notion
+      const ephemeral = await privacyService.isEphemeral(userId);
+
       // 記錄到群記憶
       if (isGroup) {
         await groupMemoryService.logGroupMessage({
@@ -198,43 +342,57 @@ class DualBotService {
         // 記錄群組活動 (閒置分析用)
         idleAnalysisService.recordActivity(chatId);
         
-        // 記錄到向量增強服務 (每 50 句總結)
-        vectorEnhanceService.recordMessage(chatId, userId, userName, text);
-        
-        // 同步到 Notion (用户消息全量复制)
-        notionSyncService.addMessage({
-          isBot: false,
-          userId,
-          userName,
-          content: text,
-          action: 'chat'
-        }).catch(err => logger.debug('Notion sync error:', err.message));
+        if (!ephemeral) {
+          // 記錄到向量增強服務 (每 50 句總結)
+          vectorEnhanceService.recordMessage(chatId, userId, userName, text);
+
+          // 同步到 Notion (用户消息全量复制)
+          notionSyncService.addMessage({
+            isBot: false,
+            userId,
+            userName,
+            content: text,
+            action: 'chat'
+          }).catch(err => logger.debug('Notion sync error:', err.message));
+        }
       }
 
       // 注意: 已移除關鍵詞觸發，所有功能通過菜單按鈕觸發
       // 保留 /menu 命令作為入口
 
+      // 當前聊天模式 (超時會提示一次並回到自動)
+      const mode = await this.resolveConversationMode(chatId, userId, isGroup);
+
       // 發送輸入狀態
       await this.bongbongBot.sendChatAction(chatId, 'typing');
 
       // 獲取上下文
       let history = [];
       if (isGroup) {
-        const groupHistory = await groupMemoryService.getGroupHistory(chatId.toString(), 20);
-        history = groupHistory.reverse().map(m => ({
+        const groupHistory = await groupMemoryService.getRecentMessages(chatId, { limit: config.summary.rawMessages });
+        history = groupHistory.map(m => ({
           role: m.isBot ? 'assistant' : 'user',
           content: `${m.userName}: ${m.content}`
         }));
       } else {
-        history = this.getHistory(userId);
+        history = await this.getHistory(userId);
       }
 
+      // 流式回覆: 先發佔位，生成過程中逐步編輯
+      stream = new StreamingMessage(this.bongbongBot, chatId, {
+        isGroup,
+        placeholder: mode ? `${mode.icon} ${mode.label}思考中...` : undefined
+      });
+      await stream.start();
+
       // 生成回覆
       const result = await bongbongService.generateResponse(text, {
         userId,
         chatId,
         userName,
-        history
+        history,
+        mode,
+        onDelta: (partial) => stream.update(partial)
       });
 
       // 向量增強回覆 (50% 機率引用向量庫)
@@ -254,21 +412,26 @@ class DualBotService {
       // 構建回覆 (精簡儀表盤)
       const responseText = `${finalResponse}${result.dashboard}`;
 
-      // 發送回覆 (帶精簡菜單按鈕)
-      const sentMessage = await this.bongbongBot.sendMessage(chatId, responseText, {
+      // 最後一幀: 儀表盤 + 精簡菜單按鈕
+      const sentMessage = await stream.finish(responseText, {
         parse_mode: 'Markdown',
-        reply_markup: {
-          inline_keyboard: [
-            [
-              { text: '📋', callback_data: 'menu_main' },
-              { text: '💾', callback_data: 'quick_save' },
-              { text: '🔄', callback_data: 'quick_regenerate' }
-            ]
-          ]
-        }
+        reply_markup: this.buildReplyKeyboard()
+      });
+
+      // 追蹤回覆，供 🔄 重新生成 / 💾 保存
+      this.trackReply(chatId, sentMessage, {
+        userId,
+        userName,
+        isGroup,
+        prompt: text,
+        history: history.slice(),
+        routing: result.routing,
+        mode,
+        response: finalResponse,
+        modelId: result.modelId
       });
 
-      // 記錄 BongBong 的回覆
+      // 記錄 BongBong 的回覆 (回覆「不要記住」的消息也一樣不長期保存)
       if (isGroup) {
         await groupMemoryService.logGroupMessage({
           groupId: chatId.toString(),
@@ -276,17 +439,20 @@ class DualBotService {
           userName: 'BongBong',
           content: finalResponse,
           isBot: true,
-          botName: 'qitiandashengqianqian_bot'
+          botName: 'qitiandashengqianqian_bot',
+          ephemeral
         });
         
         // 同步到 Notion (AI消息摘要)
-        notionSyncService.addMessage({
-          isBot: true,
-          userId: 'bongbong',
-          userName: 'BongBong',
-          content: finalResponse,
-          action: 'chat'
-        }).catch(err => logger.debug('Notion sync error:', err.message));
+        if (!ephemeral) {
+          notionSyncService.addMessage({
+            isBot: true,
+            userId: 'bongbong',
+            userName: 'BongBong',
+            content: finalResponse,
+            action: 'chat'
+          }).catch(err => logger.debug('Notion sync error:', err.message));
+        }
 
         // 取消 Avatar 自動接話（碎碎念效果不好）
         // if (this.avatarBot) {
@@ -298,13 +464,20 @@ class DualBotService {
 
       // 更新歷史
       if (!isGroup) {
-        this.addToHistory(userId, { role: 'user', content: text });
-        this.addToHistory(userId, { role: 'assistant', content: result.response });
+        await this.addToHistory(userId,
+          { role: 'user', content: text },
+          { role: 'assistant', content: result.response }
+        );
       }
 
     } catch (error) {
       logger.error('BongBong message error:', error);
-      await this.bongbongBot.sendMessage(chatId, `❌ 處理消息時出錯: ${error.message}`);
+      const errorText = `❌ 處理消息時出錯: ${error.message}`;
+      if (stream) {
+        await stream.fail(errorText);
+      } else {
+        await this.bongbongBot.sendMessage(chatId, errorText);
+      }
     }
   }
 
@@ -313,11 +486,11 @@ class DualBotService {
    */
   async handleAvatarSpoke(chatId, avatarMessage, messageId) {
     // 檢查是否應該爆擊回覆
-    const counterResult = await bongbongService.handleAvatarMessage(avatarMessage);
+    const counterResult = await bongbongService.handleAvatarMessage(avatarMessage, chatId);
     
     if (counterResult.shouldRespond && counterResult.response) {
       // 延遲後爆擊回覆
-      setTimeout(async () => {
+      this.later(async () => {
         try {
           // 嘗試回覆，如果失敗就直接發送
           try {
@@ -353,7 +526,7 @@ class DualBotService {
   /**
    * 重置空閒計時器
    */
-  resetIdleTimer(chatId) {
+  resetIdleTimer(chatId, delayMs = AVATAR_PERSONA.triggers.idleTriggerMinutes * 60 * 1000) {
     const groupId = chatId.toString();
     
     if (this.idleTimers.has(groupId)) {
@@ -362,10 +535,13 @@ class DualBotService {
 
     // 1小時後觸發閒聊
     const timer = setTimeout(() => {
+      this.idleTimers.delete(groupId);
+      sessionStoreService.delete(SESSION_IDLE, groupId);
       this.triggerIdleChat(chatId);
-    }, AVATAR_PERSONA.triggers.idleTriggerMinutes * 60 * 1000);
+    }, delayMs);
 
     this.idleTimers.set(groupId, timer);
+    sessionStoreService.set(SESSION_IDLE, groupId, { dueAt: new Date(Date.now() + delayMs) });
   }
 
   /**
@@ -433,7 +609,7 @@ class DualBotService {
             });
 
             // Avatar 可能接話
-            setTimeout(() => {
+            this.later(() => {
               avatarService.respondToBongBong(chatId, bongbongResponse.response, sent.message_id);
             }, 3000);
           }
@@ -458,7 +634,10 @@ class DualBotService {
     }, 60 * 60 * 1000);
 
     // 立即檢查一次
-    setTimeout(() => this.checkDailyPraise(), 10000);
+    this.dailyPraiseCheck = setTimeout(() => this.checkDailyPraise(), 10000);
+
+    // 記憶整理 (間隔見 config.consolidation)
+    memoryConsolidationService.start();
   }
 
   /**
@@ -487,7 +666,7 @@ class DualBotService {
     const isGroup = msg.chat.type === 'group' || msg.chat.type === 'supergroup';
 
     if (isGroup) {
-      this.activeGroups.add(chatId.toString());
+      this.markGroupActive(chatId);
     }
 
     const welcomeText = `🎭 *歡迎，${userName}！*
@@ -554,8 +733,7 @@ ${isGroup ? '在群裡，我會和周文的虛擬分身一起陪你聊天！' :
 
       // 獲取最大尺寸的圖片
       const photo = msg.photo[msg.photo.length - 1];
-      const file = await this.bongbongBot.getFile(photo.file_id);
-      const fileUrl = `https://api.telegram.org/file/bot${config.telegram.botToken}/${file.file_path}`;
+      const fileUrl = await this.bongbongBot.getFileLink(photo.file_id);
 
       // 使用 Vision 服務分析
       const result = await visionService.analyzeImage(fileUrl, caption);
@@ -633,7 +811,7 @@ ${isGroup ? '在群裡，我會和周文的虛擬分身一起陪你聊天！' :
       await this.bongbongBot.sendChatAction(chatId, 'typing');
       
       const finalPrompt = prompt || await imageService.getPersonalizedTopic(userId);
-      const result = await imageService.generateImageDescription(finalPrompt, userId);
+      const result = await imageService.generateImageDescription(finalPrompt, userId, chatId);
       
       if (result.success) {
         await this.bongbongBot.sendMessage(chatId, 
@@ -657,15 +835,43 @@ ${isGroup ? '在群裡，我會和周文的虛擬分身一起陪你聊天！' :
     const userId = msg.from.id.toString();
 
     const stats = await memoryService.getStats(userId);
+    const noteCount = await notebookService.countNotes(notebookService.notebookFilter(notebookService.ownerOf(userId, msg.from.first_name)));
     const usage = bongbongService.getUsageStats();
+    const { today, thisMonth, budgets } = usage.spend;
+
+    const money = (cost) => `$${cost.toFixed(cost < 1 ? 4 : 2)}`;
+    const tokens = (entry) => (entry.input + entry.output).toLocaleString();
+
+    const providerLines = thisMonth.providers.map(p => {
+      const budget = budgets.providers[p.name] || {};
+      const daily = today.providers.find(d => d.name === p.name)?.cost || 0;
+      return `• ${p.name}: 今日 ${money(daily)}/${money(budget.daily || 0)} · 本月 ${money(p.cost)}/${money(budget.monthly || 0)}`;
+    });
+    const featureLines = thisMonth.features.slice(0, 5)
+      .map(f => `• ${f.name}: ${money(f.cost)} (${f.calls} 次)`);
+    const modelLines = thisMonth.models.slice(0, 5)
+      .map(m => `• ${m.name}: ${money(m.cost)} · ${tokens(m)} tokens`);
 
     const text = `📊 *BongBong 統計*
 
 💬 對話記錄: ${stats.conversations}
 💾 記憶存檔: ${stats.memories}
-📝 便簽數量: ${stats.notes}
+📝 筆記數量: ${noteCount}
+
+💰 *實際花費*
+• 今日: ${money(today.total.cost)} · ${today.total.calls} 次 · ${tokens(today.total)} tokens
+• 本月: ${money(thisMonth.total.cost)} · ${thisMonth.total.calls} 次 · ${tokens(thisMonth.total)} tokens
+
+🏦 *Provider 預算*
+${providerLines.join('\n') || '• 暫無調用'}
+
+🧩 *本月功能 Top 5*
+${featureLines.join('\n') || '• 暫無調用'}
 
-🤖 *模型使用比例*
+🤖 *本月模型 Top 5*
+${modelLines.join('\n') || '• 暫無調用'}
+
+🔀 *路由比例*
 • Gemini: ${usage.routing.gemini.ratio}
 • Grok: ${usage.routing.grok.ratio}`;
 
@@ -743,6 +949,9 @@ ${isGroup ? '在群裡，我會和周文的虛擬分身一起陪你聊天！' :
 • /draw - 畫畫
 • /stats - 統計
 • /task - 每日任務
+• /facts - 家庭資料 (查看 / 更正)
+• /export - 導出筆記 (md / json / txt / html，可按 #標籤、分類、時間篩選)
+• 轉發消息 / 發 .txt .md .json 文件 - 導入筆記 (私聊)
 
 *群聊特色*
 • 周文虛擬分身會接話
@@ -753,194 +962,366 @@ ${isGroup ? '在群裡，我會和周文的虛擬分身一起陪你聊天！' :
   }
 
   /**
-   * 處理回調
+   * 處理回調 - 按前綴分發到各功能
    */
   async handleCallback(query) {
-    const chatId = query.message.chat.id;
-    const userId = query.from.id.toString();
-    const userName = query.from.first_name || '用户';
-    const data = query.data;
-    const messageId = query.message.message_id;
-
-    await this.bongbongBot.answerCallbackQuery(query.id);
-
-    // ===== 菜單導航 =====
-    if (data.startsWith('menu_')) {
-      const menuName = data.replace('menu_', '');
-      await menuService.updateMenu(this.bongbongBot, chatId, messageId, menuName);
-      return;
-    }
+    await this.callbacks.dispatch(this.bongbongBot, query);
+  }
 
-    // ===== 聊天模式 =====
-    if (data.startsWith('chat_')) {
-      const mode = data.replace('chat_', '');
-      switch (mode) {
-        case 'fast':
-          await this.bongbongBot.sendMessage(chatId, '🚀 *快速問答模式*\n\n直接發送你的問題，我會快速回答！', { parse_mode: 'Markdown' });
-          break;
-        case 'deep':
-          await this.bongbongBot.sendMessage(chatId, '🧠 *深度分析模式*\n\n發送複雜問題，我會詳細分析！', { parse_mode: 'Markdown' });
-          break;
-        case 'humor':
-          await this.bongbongBot.sendMessage(chatId, '😎 *幽默模式*\n\n來聊點輕鬆的吧！', { parse_mode: 'Markdown' });
-          break;
-        case 'emotional':
-          await this.bongbongBot.sendMessage(chatId, '💝 *情感支持模式*\n\n有什麼煩心事可以跟我說。', { parse_mode: 'Markdown' });
-          break;
-        case 'fortune':
-          await this.handleFortune(chatId, userId);
-          break;
-        case 'knowledge':
-          await this.bongbongBot.sendMessage(chatId, '📚 *知識問答模式*\n\n問我任何知識問題！', { parse_mode: 'Markdown' });
-          break;
-        case 'fullpower':
-          await this.bongbongBot.sendMessage(chatId, 
-            `🔥 *全火力模式啟動*\n\n這是深度分析模式，用於複雜問題：\n\n• Gemini Pro 嚴謹分析\n• Grok Mini 擴散思考\n• 語意分析決定 token 用量\n\n發送你的問題，我會全力分析！`, 
-            { parse_mode: 'Markdown' }
-          );
-          break;
-      }
-      return;
-    }
+  /**
+   * 註冊回調路由 (菜單聲明的動作 + 各功能前綴)
+   */
+  registerCallbacks() {
+    const router = new CallbackRouter('bongbong');
+
+    // ===== 菜單導航 + 菜單聲明的動作 (聊天模式 / 筆記 / 養生 / 腦力 / 遊戲 / 設置) =====
+    menuService.registerActions(router, {
+      fortune: (ctx) => this.handleFortune(ctx.chatId, ctx.userId),
+      chatMode: (ctx, action) => this.handleChatMode(ctx.chatId, ctx.userId, this.isGroupChat(ctx.query.message.chat), action.mode),
+      notesMother: (ctx) => this.handleNotesCallback(ctx.chatId, ctx.userId, ctx.userName, 'mother', ctx.messageId),
+      notesMine: (ctx) => this.handleNotesCallback(ctx.chatId, ctx.userId, ctx.userName, 'mine', ctx.messageId),
+      noteNew: (ctx) => this.handleNotesCallback(ctx.chatId, ctx.userId, ctx.userName, 'new', ctx.messageId),
+      notesList: (ctx) => this.handleNotesCallback(ctx.chatId, ctx.userId, ctx.userName, 'list', ctx.messageId),
+      noteSearch: (ctx) => this.handleNotesCallback(ctx.chatId, ctx.userId, ctx.userName, 'search', ctx.messageId),
+      notesBrowse: (ctx) => this.showNotebookBrowser(ctx.chatId, this.noteOwner(ctx), 'all', ctx.messageId),
+      notesRecent: (ctx) => this.showRecentNotes(ctx.chatId, this.noteOwner(ctx), 'all', ctx.messageId),
+      notesImport: (ctx) => this.showImportHelp(ctx.chatId, ctx.messageId),
+      notesExport: (ctx) => this.showExportMenu(ctx.chatId, this.noteOwner(ctx), { notebook: 'all', facet: 'none', key: 'all' }, ctx.messageId),
+      brainTeaser: (ctx) => this.sendBrainTeaser(ctx.chatId, ctx.userId),
+      memoryCheckpoint: (ctx) => this.createManualCheckpoint(ctx.chatId, ctx.userId),
+      memoryList: (ctx) => this.showMemoryList(ctx.chatId, ctx.userId, 0, ctx.messageId),
+      memorySearch: (ctx) => this.promptMemorySearch(ctx.chatId, ctx.userId),
+      memoryClear: (ctx) => this.showMemoryClearOptions(ctx.chatId, ctx.userId, ctx.messageId),
+      memoryConsolidation: (ctx) => this.showConsolidationStats(ctx.chatId, ctx.userId, ctx.messageId),
+      factsList: (ctx) => this.showFacts(ctx.chatId, ctx.userId, 0, ctx.messageId),
+      privacySettings: (ctx) => this.showPrivacySettings(ctx.chatId, ctx.userId, ctx.messageId)
+    });
 
     // ===== 記事本 =====
-    if (data.startsWith('notes_')) {
-      const action = data.replace('notes_', '');
-      switch (action) {
-        case 'new':
-          this.pendingAction.set(userId, { type: 'note_new', chatId });
-          await this.bongbongBot.sendMessage(chatId, '📝 *新建便簽*\n\n請發送你要記錄的內容，格式：\n`標題 | 內容`\n\n例如：`購物清單 | 牛奶、麵包、雞蛋`', { parse_mode: 'Markdown' });
-          break;
-        case 'list':
-          await this.showNotesList(chatId, userId);
-          break;
-        case 'search':
-          this.pendingAction.set(userId, { type: 'note_search', chatId });
-          await this.bongbongBot.sendMessage(chatId, '🔍 *搜索筆記*\n\n發送關鍵詞搜索你的筆記。', { parse_mode: 'Markdown' });
-          break;
-        case 'save_chat':
-          await this.saveCurrentChat(chatId, userId);
-          break;
-      }
-      return;
-    }
+    router.register('notes_save_chat', (ctx) => this.saveCurrentChat(ctx.chatId, ctx.userId, ctx.userName));
+    // 筆記詳情: 翻頁 / 編輯 / 刪除 (確認後執行) / 標籤 / 移動
+    router.register('note_open', { noteId: 'string' }, (ctx) =>
+      this.showNoteDetail(ctx.chatId, this.noteOwner(ctx), ctx.params.noteId));
+    router.register('note_page', { page: 'int', noteId: 'string' }, (ctx) =>
+      this.showNoteDetail(ctx.chatId, this.noteOwner(ctx), ctx.params.noteId, ctx.params.page, ctx.messageId));
+    router.register('note_edit', { noteId: 'string' }, (ctx) => this.promptNoteEdit(ctx));
+    router.register('note_del', { noteId: 'string' }, (ctx) => this.confirmNoteDelete(ctx));
+    router.register('confirm_notedel', { noteId: 'string' }, (ctx) => this.deleteNote(ctx));
+    router.register('note_tags', { noteId: 'string' }, (ctx) =>
+      this.showNoteTags(ctx.chatId, this.noteOwner(ctx), ctx.params.noteId, ctx.messageId));
+    router.register('note_addtag', { noteId: 'string' }, (ctx) => this.promptNoteTag(ctx));
+    router.register('note_untag', { key: 'string', noteId: 'string' }, (ctx) => this.removeNoteTag(ctx));
+    router.register('note_move', { notebook: ['mother', 'mine'], noteId: 'string' }, (ctx) => this.moveNote(ctx));
+
+    // 筆記瀏覽: 分類 / 標籤 → 筆記 (翻頁)、最近 7 天
+    router.register('nb_home', { notebook: NOTEBOOKS }, (ctx) =>
+      this.showNotebookBrowser(ctx.chatId, this.noteOwner(ctx), ctx.params.notebook, ctx.messageId));
+    router.register('nb_cat', { notebook: NOTEBOOKS, key: 'string', page: 'int' }, (ctx) =>
+      this.showNotesByFacet(ctx.chatId, this.noteOwner(ctx), 'cat', ctx.params, ctx.messageId));
+    router.register('nb_tag', { notebook: NOTEBOOKS, key: 'string', page: 'int' }, (ctx) =>
+      this.showNotesByFacet(ctx.chatId, this.noteOwner(ctx), 'tag', ctx.params, ctx.messageId));
+    router.register('nb_recent', { notebook: NOTEBOOKS }, (ctx) =>
+      this.showRecentNotes(ctx.chatId, this.noteOwner(ctx), ctx.params.notebook, ctx.messageId));
+
+    // 📤 導出: 選格式 → 文件用 sendDocument 發回來 (facet: 整個笔记本 / 某個分類 / 某個標籤，key 見 facetKey)
+    router.register('nb_expmenu', { notebook: NOTEBOOKS, facet: EXPORT_FACETS, key: 'string' }, (ctx) =>
+      this.showExportMenu(ctx.chatId, this.noteOwner(ctx), ctx.params, ctx.messageId));
+    router.register('nb_export', { notebook: NOTEBOOKS, facet: EXPORT_FACETS, key: 'string', format: Object.keys(EXPORT_FORMATS) }, (ctx) =>
+      this.exportFromMenu(ctx.chatId, this.noteOwner(ctx), ctx.params));
+
+    // 创作结果在生成时已经存进笔记本 (creativeService.saveDraft)
+    router.register('notes_save_creative', (ctx) => this.bongbongBot.sendMessage(ctx.chatId, '💾 这篇创作已经保存在你的笔记本「creative」分类里'));
 
     // ===== 創作工具 =====
-    if (data.startsWith('creative_')) {
-      const action = data.replace('creative_', '');
-      await this.handleCreativeCallback(chatId, userId, userName, action, messageId);
-      return;
-    }
+    router.register('creative', {
+      action: ['writing', 'story', 'inspire', 'expand', 'image', 'video', 'save_inspire']
+    }, (ctx) => this.handleCreativeCallback(ctx.chatId, ctx.userId, ctx.userName, ctx.params.action, ctx.messageId, ctx.query.message));
 
     // ===== 新聞中心 =====
-    if (data.startsWith('news_')) {
-      const action = data.replace('news_', '');
-      await this.handleNewsCallback(chatId, userId, action, messageId);
-      return;
-    }
+    router.register('news', {
+      action: ['today', 'opinion', 'compare', 'refresh']
+    }, (ctx) => this.handleNewsCallback(ctx.chatId, ctx.userId, ctx.params.action, ctx.messageId));
 
     // ===== 圖片生成 =====
-    if (data.startsWith('image_')) {
-      const style = data.replace('image_', '');
-      await this.bongbongBot.sendMessage(chatId, `🎨 *${style} 風格*\n\n發送你想畫的內容描述。`, { parse_mode: 'Markdown' });
-      return;
-    }
+    router.register('image', {
+      style: ['realistic', 'meme', 'art', 'chinese']
+    }, (ctx) => this.bongbongBot.sendMessage(ctx.chatId, `🎨 *${ctx.params.style} 風格*\n\n發送你想畫的內容描述。`, { parse_mode: 'Markdown' }));
 
-    // ===== 腦力訓練 =====
-    if (data.startsWith('brain_')) {
-      const action = data.replace('brain_', '');
-      switch (action) {
-        case 'teaser':
-          await this.sendBrainTeaser(chatId, userId);
-          break;
-        case 'memory':
-          await this.bongbongBot.sendMessage(chatId, '🧠 *記憶訓練*\n\n(功能開發中...)', { parse_mode: 'Markdown' });
-          break;
-        case 'logic':
-          await this.bongbongBot.sendMessage(chatId, '🔢 *邏輯推理*\n\n(功能開發中...)', { parse_mode: 'Markdown' });
-          break;
-        case 'word':
-          await this.bongbongBot.sendMessage(chatId, '📝 *文字遊戲*\n\n(功能開發中...)', { parse_mode: 'Markdown' });
-          break;
+    // ===== 🛂 签证咨询 =====
+    router.register('visa', {
+      action: ['free', 'arrival', 'retirement', 'elite', 'latest', 'more', 'ask']
+    }, (ctx) => this.handleVisaCallback(ctx.chatId, ctx.userId, ctx.userName, ctx.params.action, ctx.messageId));
+
+    // ===== 快捷操作 (💾 / 🔄) =====
+    router.register('quick', { action: ['save', 'regenerate'] }, (ctx) => (
+      ctx.params.action === 'save'
+        ? this.handleQuickSave(ctx.chatId, ctx.userId, ctx.userName, ctx.messageId)
+        : this.showRegenerateTiers(ctx.chatId, ctx.messageId)
+    ));
+    router.register('quick_regen', {
+      tier: [...Object.keys(REGENERATE_TIERS), 'cancel']
+    }, (ctx) => this.handleRegenerate(ctx.chatId, ctx.messageId, ctx.params.tier));
+
+    // ===== 分段保存 (seg_save_* 為 segmentService.buildMiniButtons 的舊格式) =====
+    const segmentHandler = (ctx) => this.handleSegmentCallback(ctx.chatId, ctx.userId, ctx.params.action, ctx.params.segmentId, ctx.messageId);
+    router.register('seg', { action: ['mom', 'me', 'copy', 'expand'], segmentId: 'string' }, segmentHandler);
+    router.register('seg_save', { action: ['mom', 'me'], segmentId: 'string' }, segmentHandler);
+
+    // ===== 记忆统计 =====
+    router.register('memory_stats', (ctx) => this.showMemoryStats(ctx.chatId));
+
+    // ===== 記憶管理: 翻頁 / 刪除 / 按範圍清除 (確認後執行) =====
+    router.register('memory_page', { page: 'int' }, (ctx) =>
+      this.showMemoryList(ctx.chatId, ctx.userId, ctx.params.page, ctx.messageId));
+    router.register('memory_del', { page: 'int', memoryId: 'string' }, (ctx) =>
+      this.deleteMemoryFromList(ctx.chatId, ctx.userId, ctx.params.memoryId, ctx.params.page, ctx.messageId));
+
+    const memoryTypes = Object.keys(MEMORY_TYPES);
+    router.register('memory_clear_all', (ctx) => this.confirmMemoryClear(ctx, {}));
+    router.register('memory_clear_type', { type: memoryTypes }, (ctx) => this.confirmMemoryClear(ctx, ctx.params));
+    router.register('memory_clear_days', { days: 'int' }, (ctx) => this.confirmMemoryClear(ctx, ctx.params));
+    router.register('confirm_memclear_all', (ctx) => this.executeMemoryClear(ctx, {}));
+    router.register('confirm_memclear_type', { type: memoryTypes }, (ctx) => this.executeMemoryClear(ctx, ctx.params));
+    router.register('confirm_memclear_days', { days: 'int' }, (ctx) => this.executeMemoryClear(ctx, ctx.params));
+
+    // ===== 🙈 不要記住 =====
+    router.register('privacy_ephemeral', { state: ['on', 'off'] }, (ctx) => this.setEphemeralMode(ctx, ctx.params.state === 'on'));
+
+    // ===== 家庭資料 (/facts): 翻頁 / 更正 / 刪除 =====
+    router.register('facts_page', { page: 'int' }, (ctx) =>
+      this.showFacts(ctx.chatId, ctx.userId, ctx.params.page, ctx.messageId));
+    router.register('fact_edit', { page: 'int', factId: 'string' }, (ctx) => this.promptFactEdit(ctx));
+    router.register('fact_del', { page: 'int', factId: 'string' }, (ctx) => this.deleteFactFromList(ctx));
+
+    router.register('confirm_cancel', (ctx) =>
+      menuService.updateMessage(ctx.bot, ctx.chatId, ctx.messageId, '❎ 已取消', [[{ text: '◀️ 返回', callback_data: 'menu_main' }]]));
+
+    return router;
+  }
+
+  // ==================== 回覆追蹤 / 快捷操作 ====================
+
+  /**
+   * BongBong 回覆底部的精簡按鈕
+   */
+  buildReplyKeyboard() {
+    return {
+      inline_keyboard: [
+        [
+          { text: '📋', callback_data: 'menu_main' },
+          { text: '💾', callback_data: 'quick_save' },
+          { text: '🔄', callback_data: 'quick_regenerate' }
+        ]
+      ]
+    };
+  }
+
+  /**
+   * 記錄已發送的回覆 (按最後一頁的 message_id，按鈕掛在那一頁)
+   */
+  trackReply(chatId, sentMessage, entry) {
+    const now = Date.now();
+    for (const [key, value] of this.sentReplies) {
+      if (now - value.createdAt > REPLY_TRACK_TTL || this.sentReplies.size >= REPLY_TRACK_MAX) {
+        this.sentReplies.delete(key);
+      } else {
+        break;
       }
-      return;
     }
 
-    // ===== 養生專區 =====
-    if (data.startsWith('health_')) {
-      const action = data.replace('health_', '');
-      switch (action) {
-        case 'symptom':
-          await this.bongbongBot.sendMessage(chatId, '🏥 *症狀查詢*\n\n描述你的症狀，我會給出建議。\n\n⚠️ 僅供參考，如有不適請就醫。', { parse_mode: 'Markdown' });
-          break;
-        case 'medicine':
-          await this.bongbongBot.sendMessage(chatId, '💊 *藥物諮詢*\n\n告訴我藥物名稱，我會查詢相關信息。', { parse_mode: 'Markdown' });
-          break;
-        case 'food':
-          await this.bongbongBot.sendMessage(chatId, '🍵 *食療養生*\n\n告訴我你的體質或症狀，我推薦食療方案。', { parse_mode: 'Markdown' });
-          break;
-        case 'tip':
-          await this.bongbongBot.sendMessage(chatId, '💡 *今日養生小貼士*\n\n多喝水，早睡早起，保持心情愉快！', { parse_mode: 'Markdown' });
-          break;
-      }
+    this.sentReplies.set(`${chatId}:${sentMessage.message_id}`, {
+      ...entry,
+      chatId,
+      messageIds: sentMessage.messageIds || [sentMessage.message_id],
+      createdAt: now
+    });
+  }
+
+  getTrackedReply(chatId, messageId) {
+    const entry = this.sentReplies.get(`${chatId}:${messageId}`);
+    if (!entry || Date.now() - entry.createdAt > REPLY_TRACK_TTL) return null;
+    return entry;
+  }
+
+  /**
+   * 💾 保存回覆 - 智能分析後存入筆記本 + 智能記憶
+   */
+  async handleQuickSave(chatId, userId, userName, messageId) {
+    const tracked = this.getTrackedReply(chatId, messageId);
+    if (!tracked) {
+      await this.bongbongBot.sendMessage(chatId, '⏰ 這條回覆已過期，無法保存');
       return;
     }
 
-    // ===== 遊戲 =====
-    if (data.startsWith('game_')) {
-      const game = data.replace('game_', '');
-      await this.bongbongBot.sendMessage(chatId, `🎮 **${game} 游戏**\n\n(功能开发中...)`, { parse_mode: 'Markdown' });
-      return;
+    try {
+      const memory = await smartMemoryService.smartSave(tracked.response, {
+        userId,
+        userName,
+        source: 'quick_save',
+        forceAnalyze: true,
+        meta: { chatId, userId }
+      });
+      const analysis = memory.analysis || {};
+
+      const note = await notebookService.quickSave(userId, userName, tracked.response, 'quick_save', {
+        category: analysis.category,
+        tags: analysis.tags,
+        aiModel: tracked.modelId,
+        origin: { chatId, messageId, userId }
+      });
+
+      if (!note.success) {
+        await this.bongbongBot.sendMessage(chatId, `❌ 保存失敗: ${note.error}`);
+        return;
+      }
+
+      const savedTo = [`${note.icon} ${note.notebookName}`];
+      if (memory.saved) savedTo.push('🧠 智能記憶');
+
+      await this.bongbongBot.sendMessage(chatId,
+        `✅ 已保存到 ${savedTo.join(' + ')}\n📂 分類: ${note.category}\n🏷️ 標籤: ${note.tags.join(', ')}`,
+        { reply_to_message_id: messageId }
+      );
+    } catch (error) {
+      logger.error('Quick save error:', error);
+      await this.bongbongBot.sendMessage(chatId, '❌ 保存失敗');
     }
+  }
 
-    // ===== 🛂 签证咨询 =====
-    if (data.startsWith('visa_')) {
-      const action = data.replace('visa_', '');
-      await this.handleVisaCallback(chatId, userId, userName, action, messageId);
+  /**
+   * 🔄 選擇重新生成的模型檔位 (替換原回覆的按鈕)
+   */
+  async showRegenerateTiers(chatId, messageId) {
+    if (!this.getTrackedReply(chatId, messageId)) {
+      await this.bongbongBot.sendMessage(chatId, '⏰ 這條回覆已過期，無法重新生成');
       return;
     }
 
-    // ===== 設置 =====
-    if (data.startsWith('settings_')) {
-      const setting = data.replace('settings_', '');
-      if (setting === 'memory') {
-        await menuService.updateMenu(this.bongbongBot, chatId, messageId, 'memory');
-      } else {
-        await this.bongbongBot.sendMessage(chatId, `⚙️ *${setting} 設置*\n\n(功能開發中...)`, { parse_mode: 'Markdown' });
-      }
+    const tiers = Object.entries(REGENERATE_TIERS)
+      .map(([key, tier]) => ({ text: tier.label, callback_data: `quick_regen_${key}` }));
+
+    await this.bongbongBot.editMessageReplyMarkup({
+      inline_keyboard: [tiers, [{ text: '↩️ 取消', callback_data: 'quick_regen_cancel' }]]
+    }, { chat_id: chatId, message_id: messageId });
+  }
+
+  isGroupChat(chat) {
+    return chat.type === 'group' || chat.type === 'supergroup';
+  }
+
+  /**
+   * 切換聊天模式 (mode = null 回到自動)
+   */
+  async handleChatMode(chatId, userId, isGroup, mode) {
+    const scope = conversationModeService.getScope(chatId, userId, isGroup);
+
+    if (!mode) {
+      await conversationModeService.clearMode(scope);
+      await this.bongbongBot.sendMessage(chatId, '🔄 *已回到自動模式*\n\n我會根據問題自動選擇模型。', {
+        parse_mode: 'Markdown'
+      });
       return;
     }
 
-    // ===== 快捷操作 =====
-    if (data.startsWith('quick_')) {
-      const action = data.replace('quick_', '');
-      switch (action) {
-        case 'save':
-          await this.bongbongBot.sendMessage(chatId, '💾 已保存！');
-          break;
-        case 'regenerate':
-          await this.bongbongBot.sendMessage(chatId, '🔄 重新生成中...');
-          break;
-      }
-      return;
+    const { config: modeConfig } = await conversationModeService.setMode(scope, mode, userId);
+    const scopeHint = isGroup ? '本群所有人' : '你的對話';
+    await this.bongbongBot.sendMessage(chatId,
+      `${modeConfig.intro}\n\n_${scopeHint}持續使用此模式，閒置 ${modeConfig.ttlMinutes} 分鐘後自動回到自動模式_`, {
+        parse_mode: 'Markdown',
+        reply_markup: {
+          inline_keyboard: [[
+            { text: '🔄 回到自動模式', callback_data: 'chat_auto' },
+            { text: '💬 切換模式', callback_data: 'menu_chat' }
+          ]]
+        }
+      });
+  }
+
+  /**
+   * 讀取當前聊天模式並順延有效期；剛超時的提示一次
+   */
+  async resolveConversationMode(chatId, userId, isGroup) {
+    const scope = conversationModeService.getScope(chatId, userId, isGroup);
+    const current = await conversationModeService.getMode(scope);
+    if (!current) return null;
+
+    if (current.expired) {
+      await this.bongbongBot.sendMessage(chatId,
+        `⏰ ${current.config.icon} ${current.config.label}已超時，回到自動模式`
+      ).catch(() => {});
+      return null;
     }
 
-    // ===== 分段保存 =====
-    if (data.startsWith('seg_')) {
-      await this.handleSegmentCallback(chatId, userId, data, messageId);
+    await conversationModeService.touch(scope);
+    return current.config;
+  }
+
+  /**
+   * 🔄 重新生成 - 同樣的問題和歷史快照，原地流式編輯
+   */
+  async handleRegenerate(chatId, messageId, tierKey) {
+    const tracked = this.getTrackedReply(chatId, messageId);
+    if (!tracked) {
+      await this.bongbongBot.sendMessage(chatId, '⏰ 這條回覆已過期，無法重新生成');
       return;
     }
 
-    // ===== 笔记本操作 =====
-    if (data.startsWith('notes_')) {
-      await this.handleNotesCallback(chatId, userId, data, messageId);
+    if (tierKey === 'cancel') {
+      await this.bongbongBot.editMessageReplyMarkup(this.buildReplyKeyboard(), {
+        chat_id: chatId,
+        message_id: messageId
+      });
       return;
     }
 
-    // ===== 记忆统计 =====
-    if (data === 'memory_stats') {
-      await this.showMemoryStats(chatId);
-      return;
+    const tier = REGENERATE_TIERS[tierKey] || REGENERATE_TIERS.same;
+    // 同模型重新生成: 全火力模式重跑整條流水線，其餘沿用原路由
+    const routing = tier.modelKey
+      ? smartRouter.getModelInfo(tier.modelKey, `重新生成 · ${tier.label}`)
+      : (tracked.mode?.pipeline ? undefined : tracked.routing);
+
+    const stream = new StreamingMessage(this.bongbongBot, chatId, { isGroup: tracked.isGroup });
+    stream.adopt(tracked.messageIds, '🔄 重新生成中...');
+
+    try {
+      const result = await bongbongService.generateResponse(tracked.prompt, {
+        userId: tracked.userId,
+        chatId,
+        userName: tracked.userName,
+        history: tracked.history,
+        mode: tracked.mode,
+        routing,
+        regenerate: { previousResponse: tracked.response },
+        onDelta: (partial) => stream.update(partial)
+      });
+
+      const sentMessage = await stream.finish(`${result.response}${result.dashboard}`, {
+        parse_mode: 'Markdown',
+        reply_markup: this.buildReplyKeyboard()
+      });
+
+      // 私聊歷史裡的舊回覆換成新的
+      if (!tracked.isGroup) {
+        const history = await this.getHistory(tracked.userId);
+        const previous = history.findLastIndex(h => h.role === 'assistant' && h.content === tracked.response);
+        if (previous >= 0) {
+          history[previous].content = result.response;
+          await this.saveHistory(tracked.userId);
+        }
+      }
+
+      this.sentReplies.delete(`${chatId}:${messageId}`);
+      this.trackReply(chatId, sentMessage, {
+        ...tracked,
+        routing: result.routing,
+        response: result.response,
+        modelId: result.modelId
+      });
+    } catch (error) {
+      logger.error('Regenerate error:', error);
+      await stream.finish(`${tracked.response}\n\n❌ 重新生成失敗: ${error.message}`, {
+        reply_markup: this.buildReplyKeyboard()
+      });
     }
   }
 
@@ -976,51 +1357,409 @@ ${isGroup ? '在群裡，我會和周文的虛擬分身一起陪你聊天！' :
     }
   }
 
+  // ==================== 記憶管理 ====================
+
   /**
-   * 顯示主菜單
+   * 📥 把當前私聊對話總結成一條手動存檔
    */
-  async showMainMenu(chatId) {
-    await menuService.sendMenu(this.bongbongBot, chatId, 'main');
+  async createManualCheckpoint(chatId, userId) {
+    // 存檔來自私聊對話，在群裡發出來會洩露私聊內容
+    if (isGroupChat(chatId)) {
+      await this.bongbongBot.sendMessage(chatId, '🔒 存檔點總結的是私聊對話，請在和我的私聊裡創建');
+      return;
+    }
+
+    const history = await this.getHistory(userId);
+    if (history.length === 0) {
+      await this.bongbongBot.sendMessage(chatId, '📭 還沒有對話可以存檔，先和我聊幾句吧');
+      return;
+    }
+
+    const content = history.slice(-10)
+      .map(h => `${h.role === 'user' ? '我' : 'BongBong'}: ${h.content}`)
+      .join('\n');
+    const summary = await bongbongService.generateSummary(content, { chatId, userId });
+    const id = await memoryService.createMemoryCheckpoint(userId, summary, 'manual');
+
+    if (!id) {
+      await this.bongbongBot.sendMessage(chatId, '❌ 創建存檔失敗，請稍後再試');
+      return;
+    }
+    await this.bongbongBot.sendMessage(chatId, `📥 *存檔點已創建*\n\n${escapeMarkdown(summary)}`, {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: [[
+          { text: '📋 查看記憶', callback_data: 'memory_list' },
+          { text: '◀️ 記憶管理', callback_data: 'menu_memory' }
+        ]]
+      }
+    });
   }
 
-  // 輔助方法
-  getHistory(userId) {
-    if (!this.conversationHistory.has(userId)) {
-      this.conversationHistory.set(userId, []);
+  /**
+   * 📋 分頁顯示記憶，每條帶刪除按鈕 (在原消息上翻頁)
+   */
+  async showMemoryList(chatId, userId, page = 0, messageId = null, notice = '') {
+    const list = await memoryService.listMemories(userId, { page, pageSize: MEMORY_PAGE_SIZE, chatId });
+    const back = [{ text: '◀️ 記憶管理', callback_data: 'menu_memory' }];
+
+    if (list.total === 0) {
+      await menuService.updateMessage(this.bongbongBot, chatId, messageId,
+        `${notice}📋 *查看記憶*\n\n📭 還沒有記憶存檔`, [back]);
+      return;
     }
-    return this.conversationHistory.get(userId);
+
+    let text = `${notice}📋 *查看記憶* (${list.total})\n\n`;
+    const deleteButtons = [];
+    list.memories.forEach((memory, i) => {
+      const number = list.page * MEMORY_PAGE_SIZE + i + 1;
+      const date = new Date(memory.createdAt).toLocaleDateString('zh-CN');
+      const preview = memory.content.length > 60 ? `${memory.content.substring(0, 60)}...` : memory.content;
+      text += `${number}. ${MEMORY_TYPES[memory.type] || memory.type} · ${date}\n   ${escapeMarkdown(preview)}\n\n`;
+      deleteButtons.push({ text: `🗑️ ${number}`, callback_data: `memory_del_${list.page}_${memory._id}` });
+    });
+
+    const nav = [];
+    if (list.page > 0) nav.push({ text: '◀️ 上一頁', callback_data: `memory_page_${list.page - 1}` });
+    if (list.pages > 1) nav.push({ text: `${list.page + 1}/${list.pages}`, callback_data: `memory_page_${list.page}` });
+    if (list.page < list.pages - 1) nav.push({ text: '下一頁 ▶️', callback_data: `memory_page_${list.page + 1}` });
+
+    await menuService.updateMessage(this.bongbongBot, chatId, messageId, text,
+      [deleteButtons, ...(nav.length > 0 ? [nav] : []), back]);
   }
 
-  addToHistory(userId, message) {
-    const history = this.getHistory(userId);
-    history.push(message);
-    if (history.length > 20) history.shift();
+  /**
+   * 列表裡的 🗑️: 刪除後刷新當前頁
+   */
+  async deleteMemoryFromList(chatId, userId, memoryId, page, messageId) {
+    const deleted = await memoryService.deleteMemory(userId, memoryId);
+    const notice = deleted ? '✅ 已刪除一條記憶\n\n' : '⚠️ 這條記憶已經不存在\n\n';
+    await this.showMemoryList(chatId, userId, page, messageId, notice);
   }
 
-  splitMessage(text, maxLength = 4000) {
-    const chunks = [];
-    let current = '';
-    for (const line of text.split('\n')) {
-      if (current.length + line.length + 1 > maxLength) {
-        chunks.push(current);
-        current = line;
-      } else {
-        current += (current ? '\n' : '') + line;
-      }
+  /**
+   * 🔍 等待下一條消息作為搜索詞
+   */
+  async promptMemorySearch(chatId, userId) {
+    await this.setPendingAction(userId, { type: 'memory_search', chatId });
+    await this.bongbongBot.sendMessage(chatId, '🔍 *搜索記憶*\n\n發送關鍵詞或一句話，我來找相關的記憶。', { parse_mode: 'Markdown' });
+  }
+
+  async sendMemorySearchResults(chatId, userId, query) {
+    const results = await memoryService.searchMemories(userId, query, MEMORY_PAGE_SIZE, {
+      open: '*', close: '*', escape: escapeMarkdown
+    }, chatId);
+    const keyboard = [[
+      { text: '🔍 再搜一次', callback_data: 'memory_search' },
+      { text: '◀️ 記憶管理', callback_data: 'menu_memory' }
+    ]];
+
+    if (results.length === 0) {
+      await menuService.updateMessage(this.bongbongBot, chatId, null,
+        `🔍 *搜索記憶*\n\n沒有找到和「${escapeMarkdown(query)}」相關的記憶`, keyboard);
+      return;
     }
-    if (current) chunks.push(current);
-    return chunks;
+
+    let text = `🔍 *搜索記憶* (${results.length})\n\n`;
+    results.forEach((memory, i) => {
+      const date = new Date(memory.createdAt).toLocaleDateString('zh-CN');
+      text += `${i + 1}. ${MEMORY_TYPES[memory.type] || memory.type} · ${date}\n   ${memory.snippet}\n\n`;
+    });
+    await menuService.updateMessage(this.bongbongBot, chatId, null, text, keyboard);
   }
 
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  /**
+   * 清除範圍的顯示名稱
+   */
+  describeMemoryScope({ type, days } = {}) {
+    if (type) return `「${MEMORY_TYPES[type]}」`;
+    if (days) return `最近 ${days} 天的記憶`;
+    return '全部記憶';
   }
 
   /**
-   * 🛂 处理签证咨询（母亲专用）
+   * 🗑️ 選擇清除範圍: 全部 / 按分類 / 最近 N 天 (只算這個對話能看到的記憶，和列表一致)
    */
-  async handleVisaQuery(chatId, userId, userName, question) {
-    try {
+  async showMemoryClearOptions(chatId, userId, messageId) {
+    const back = [{ text: '◀️ 記憶管理', callback_data: 'menu_memory' }];
+    const total = await memoryService.countMemories(userId, {}, { chatId });
+    if (total === 0) {
+      await menuService.updateMessage(this.bongbongBot, chatId, messageId, '🗑️ *清除記憶*\n\n📭 沒有可以清除的記憶', [back]);
+      return;
+    }
+
+    const counts = await memoryService.countMemoriesByType(userId, { chatId });
+    const typeButtons = Object.entries(counts)
+      .filter(([, count]) => count > 0)
+      .map(([type, count]) => ({ text: `${MEMORY_TYPES[type]} (${count})`, callback_data: `memory_clear_type_${type}` }));
+
+    await menuService.updateMessage(this.bongbongBot, chatId, messageId,
+      `🗑️ *清除記憶*\n\n共 ${total} 條記憶，選擇要清除的範圍：`, [
+        [{ text: `全部 (${total})`, callback_data: 'memory_clear_all' }],
+        typeButtons,
+        MEMORY_CLEAR_DAYS.map(days => ({ text: `最近 ${days} 天`, callback_data: `memory_clear_days_${days}` })),
+        back
+      ]);
+  }
+
+  /**
+   * 清除前確認 (CONFIRM_DIALOG)
+   */
+  async confirmMemoryClear(ctx, scope) {
+    const count = await memoryService.countMemories(ctx.userId, scope, { chatId: ctx.chatId });
+    if (count === 0) {
+      await menuService.updateMessage(ctx.bot, ctx.chatId, ctx.messageId,
+        `📭 ${this.describeMemoryScope(scope)}是空的，不需要清除`, [[{ text: '◀️ 返回', callback_data: 'memory_clear' }]]);
+      return;
+    }
+
+    const key = scope.type ? `type_${scope.type}` : scope.days ? `days_${scope.days}` : 'all';
+    const dialog = CONFIRM_DIALOG(`memclear_${key}`, `清除${this.describeMemoryScope(scope)}（${count} 條，不能恢復）`);
+    await menuService.updateMessage(ctx.bot, ctx.chatId, ctx.messageId, dialog.text, dialog.keyboard);
+  }
+
+  async executeMemoryClear(ctx, scope) {
+    const deleted = await memoryService.clearMemories(ctx.userId, scope, { chatId: ctx.chatId });
+    await menuService.updateMessage(ctx.bot, ctx.chatId, ctx.messageId,
+      `🗑️ 已清除${this.describeMemoryScope(scope)}，共 ${deleted} 條`, [[{ text: '◀️ 記憶管理', callback_data: 'menu_memory' }]]);
+  }
+
+  /**
+   * 🧹 後台記憶整理的統計: 合併 / 提升 / 衰減 / 歸檔了多少，最近合併了什麼
+   */
+  async showConsolidationStats(chatId, userId, messageId) {
+    const back = [[{ text: '◀️ 記憶管理', callback_data: 'menu_memory' }]];
+    const stats = await memoryConsolidationService.getUserStats(userId);
+    if (!stats) {
+      await menuService.updateMessage(this.bongbongBot, chatId, messageId,
+        '🧹 *整理記錄*\n\n還沒有整理過。BongBong 會定期在後台合併重複的記憶、淡化很久沒用的記憶。', back);
+      return;
+    }
+
+    const { totals } = stats;
+    let text = `🧹 *整理記錄*
+
+🔗 合併重複: ${totals.clusters || 0} 組 (${totals.merged || 0} 條)
+📈 常用提升: ${totals.boosted || 0} 次
+📉 閒置淡化: ${totals.decayed || 0} 次
+📦 低價值歸檔: ${totals.archived || 0} 條
+🕐 上次整理: ${new Date(stats.lastRunAt).toLocaleString('zh-CN')}`;
+
+    const merges = (stats.recentMerges || []).slice(-5).reverse();
+    if (merges.length > 0) {
+      text += '\n\n*最近合併*\n';
+      merges.forEach(merge => {
+        text += `• ${merge.mergedFrom.length} 條 → ${escapeMarkdown(merge.preview)}\n`;
+      });
+    }
+
+    await menuService.updateMessage(this.bongbongBot, chatId, messageId, text, back);
+  }
+
+  /**
+   * 🙈 「不要記住」開關 + 記憶範圍說明
+   */
+  async showPrivacySettings(chatId, userId, messageId, notice = '') {
+    const enabled = await privacyService.isEphemeral(userId);
+    const text = `${notice}🙈 *不要記住*
+
+狀態: ${enabled ? '✅ 已開啟' : '⭕ 未開啟'}
+
+開啟後你說的話只留在當前對話的短期上下文裡，${config.privacy.ephemeralTtlHours} 小時後自動刪除：
+• 不存進長期記憶和家庭資料
+• 不會被搜索，也不會在別的對話裡被引用
+
+🔒 私聊的記憶不會出現在群裡，群裡的也不會帶進私聊`;
+
+    await menuService.updateMessage(this.bongbongBot, chatId, messageId, text, [
+      [enabled
+        ? { text: '⭕ 關閉', callback_data: 'privacy_ephemeral_off' }
+        : { text: '🙈 開啟', callback_data: 'privacy_ephemeral_on' }],
+      [{ text: '◀️ 記憶管理', callback_data: 'menu_memory' }]
+    ]);
+  }
+
+  async setEphemeralMode(ctx, enabled) {
+    await privacyService.setEphemeral(ctx.userId, enabled);
+    const notice = enabled ? '✅ 已開啟，接下來的話我不會長期記住\n\n' : '✅ 已關閉，恢復正常記憶\n\n';
+    await this.showPrivacySettings(ctx.chatId, ctx.userId, ctx.messageId, notice);
+  }
+
+  // ==================== 家庭資料 (知識圖譜) ====================
+
+  /**
+   * 🧠 分頁顯示抽取到的事實，每條可以更正 / 刪除
+   */
+  async showFacts(chatId, userId, page = 0, messageId = null, notice = '') {
+    const scopes = readableScopes({ userId, chatId });
+    const list = await knowledgeGraphService.listFacts(scopes, { page, pageSize: FACTS_PAGE_SIZE });
+    const back = [{ text: '◀️ 主菜單', callback_data: 'menu_main' }];
+
+    if (list.total === 0) {
+      await menuService.updateMessage(this.bongbongBot, chatId, messageId,
+        `${notice}🧠 *家庭資料*\n\n📭 還沒有記下任何資料。\n聊天或筆記裡提到過敏、用藥、生日、地址、簽證到期，我會自動記下來。`, [back]);
+      return;
+    }
+
+    let text = `${notice}🧠 *家庭資料* (${list.total})\n\n`;
+    const rows = [];
+    list.facts.forEach((fact, i) => {
+      const number = list.page * FACTS_PAGE_SIZE + i + 1;
+      const source = fact.sources[fact.sources.length - 1] || {};
+      const from = [source.type === 'note' ? '筆記' : '群聊'];
+      if (source.userName) from.push(escapeMarkdown(source.userName));
+      if (source.at) from.push(new Date(source.at).toLocaleDateString('zh-CN'));
+      if (fact.mentions > 1) from.push(`提到 ${fact.mentions} 次`);
+
+      text += `${number}. ${PREDICATES[fact.predicate].icon} ${escapeMarkdown(fact.text)}${fact.corrected ? ' ✏️' : ''}\n   📎 ${from.join(' · ')}\n\n`;
+      rows.push([
+        { text: `✏️ ${number}`, callback_data: `fact_edit_${list.page}_${fact._id}` },
+        { text: `🗑️ ${number}`, callback_data: `fact_del_${list.page}_${fact._id}` }
+      ]);
+    });
+    text += '_資料有誤？點 ✏️ 更正，或 🗑️ 刪除_';
+
+    const nav = [];
+    if (list.page > 0) nav.push({ text: '◀️ 上一頁', callback_data: `facts_page_${list.page - 1}` });
+    if (list.pages > 1) nav.push({ text: `${list.page + 1}/${list.pages}`, callback_data: `facts_page_${list.page}` });
+    if (list.page < list.pages - 1) nav.push({ text: '下一頁 ▶️', callback_data: `facts_page_${list.page + 1}` });
+
+    await menuService.updateMessage(this.bongbongBot, chatId, messageId, text,
+      [...rows, ...(nav.length > 0 ? [nav] : []), back]);
+  }
+
+  /**
+   * ✏️ 等待下一條消息作為更正內容
+   */
+  async promptFactEdit(ctx) {
+    const { page, factId } = ctx.params;
+    const scopes = readableScopes(ctx);
+    const fact = await knowledgeGraphService.getFact(factId, scopes);
+    if (!fact || fact.status !== 'active') {
+      await this.showFacts(ctx.chatId, ctx.userId, page, ctx.messageId, '⚠️ 這條資料已經不存在\n\n');
+      return;
+    }
+
+    await this.setPendingAction(ctx.userId, { type: 'fact_edit', chatId: ctx.chatId, factId, page, speaker: ctx.userName });
+    await this.bongbongBot.sendMessage(ctx.chatId,
+      `✏️ *更正資料*\n\n目前：${escapeMarkdown(fact.text)}\n\n發送正確的內容：可以整句重寫，也可以只發新的${PREDICATES[fact.predicate].label}內容。`,
+      { parse_mode: 'Markdown' });
+  }
+
+  /**
+   * 🗑️ 刪除後刷新當前頁 (之後不會再引用這條)
+   */
+  async deleteFactFromList(ctx) {
+    const { page, factId } = ctx.params;
+    const scopes = readableScopes(ctx);
+    const deleted = await knowledgeGraphService.rejectFact(factId, scopes, { userId: ctx.userId });
+    const notice = deleted ? '🗑️ 已刪除，以後不會再引用這條\n\n' : '⚠️ 這條資料已經不存在\n\n';
+    await this.showFacts(ctx.chatId, ctx.userId, page, ctx.messageId, notice);
+  }
+
+  /**
+   * 顯示主菜單
+   */
+  async showMainMenu(chatId) {
+    await menuService.sendMenu(this.bongbongBot, chatId, 'main');
+  }
+
+  // ==================== 會話狀態 ====================
+
+  /**
+   * 啟動時恢復活躍群組和閒聊計時 (錯過太久的閒聊直接丟棄)
+   */
+  async restoreSessionState() {
+    const groups = await sessionStoreService.list(SESSION_GROUPS);
+    for (const { key } of groups) {
+      this.activeGroups.add(key);
+    }
+
+    const idlePeriod = AVATAR_PERSONA.triggers.idleTriggerMinutes * 60 * 1000;
+    const timers = await sessionStoreService.list(SESSION_IDLE);
+    for (const { key, value } of timers) {
+      const delay = new Date(value.dueAt).getTime() - Date.now();
+      if (delay < -idlePeriod) {
+        await sessionStoreService.delete(SESSION_IDLE, key);
+        continue;
+      }
+      this.resetIdleTimer(parseInt(key), Math.max(delay, 60 * 1000));
+    }
+
+    logger.info(`Session restored: ${this.activeGroups.size} groups, ${this.idleTimers.size} idle timers`);
+  }
+
+  markGroupActive(chatId) {
+    const groupId = chatId.toString();
+    if (this.activeGroups.has(groupId)) return;
+
+    this.activeGroups.add(groupId);
+    sessionStoreService.set(SESSION_GROUPS, groupId, { since: new Date() });
+  }
+
+  /**
+   * 設置待處理操作 (下一條文本消息作為輸入)
+   */
+  async setPendingAction(userId, action) {
+    await sessionStoreService.set(SESSION_PENDING, userId, action,
+      config.session.pendingActionTtlMinutes * 60 * 1000);
+  }
+
+  async getHistory(userId) {
+    if (!this.conversationHistory.has(userId)) {
+      const entry = await sessionStoreService.get(SESSION_HISTORY, userId);
+      this.conversationHistory.set(userId, entry && !entry.expired ? entry.value : []);
+    }
+    return this.conversationHistory.get(userId);
+  }
+
+  async addToHistory(userId, ...messages) {
+    const history = await this.getHistory(userId);
+    history.push(...messages);
+    history.splice(0, Math.max(0, history.length - config.session.historyMaxMessages));
+    await this.saveHistory(userId);
+  }
+
+  async saveHistory(userId) {
+    await sessionStoreService.set(SESSION_HISTORY, userId, this.conversationHistory.get(userId) || [],
+      config.session.historyTtlDays * 24 * 60 * 60 * 1000);
+  }
+
+  splitMessage(text, maxLength = 4000) {
+    const chunks = [];
+    let current = '';
+    for (const line of text.split('\n')) {
+      if (current.length + line.length + 1 > maxLength) {
+        chunks.push(current);
+        current = line;
+      } else {
+        current += (current ? '\n' : '') + line;
+      }
+    }
+    if (current) chunks.push(current);
+    return chunks;
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * 延遲執行 (stop 時一併取消)
+   */
+  later(callback, ms) {
+    const timer = setTimeout(() => {
+      this.pendingTimers.delete(timer);
+      callback();
+    }, ms);
+    this.pendingTimers.add(timer);
+  }
+
+  /**
+   * 🛂 处理签证咨询（母亲专用）
+   */
+  async handleVisaQuery(chatId, userId, userName, question) {
+    try {
       // 发送处理中提示（简体中文）
       const processingMsg = await this.bongbongBot.sendMessage(
         chatId, 
@@ -1029,7 +1768,7 @@ ${isGroup ? '在群裡，我會和周文的虛擬分身一起陪你聊天！' :
       );
 
       // 调用签证服务
-      const result = await visaService.handleVisaQuery(question, userName);
+      const result = await visaService.handleVisaQuery(question, userName, { chatId, userId });
       
       // 格式化输出（简体中文 + Markdown）
       let response = formatAIOutput(result.response);
@@ -1092,22 +1831,29 @@ ${isGroup ? '在群裡，我會和周文的虛擬分身一起陪你聊天！' :
         }
       }
 
-      // 记录到群记忆
-      await groupMemoryService.logGroupMessage({
-        groupId: chatId.toString(),
-        userId: 'bongbong',
-        userName: 'BongBong',
-        content: `[签证咨询] ${question.substring(0, 50)}...`,
-        isBot: true,
-        botName: 'qitiandashengqianqian_bot'
-      });
+      // 记录到群记忆 (私聊的咨询不进群记忆)
+      const isGroup = isGroupChat(chatId);
+      if (isGroup) {
+        await groupMemoryService.logGroupMessage({
+          groupId: chatId.toString(),
+          userId: 'bongbong',
+          userName: 'BongBong',
+          content: `[签证咨询] ${question.substring(0, 50)}...`,
+          isBot: true,
+          botName: 'qitiandashengqianqian_bot'
+        });
+      }
 
-      // 🧠 自动添加到智能记忆（后台静默执行，不阻塞）
-      smartMemoryService.smartSave(response, {
-        userId,
-        userName,
-        source: 'visa_consultation'
-      }).catch(e => logger.error('Auto memory save error:', e));
+      // 🧠 自动添加到智能记忆（后台静默执行，不阻塞；开了「不要记住」就不存）
+      if (!await privacyService.isEphemeral(userId)) {
+        smartMemoryService.smartSave(response, {
+          userId,
+          userName,
+          groupId: isGroup ? chatId : null,
+          source: 'visa_consultation',
+          meta: { chatId, userId }
+        }).catch(e => logger.error('Auto memory save error:', e));
+      }
 
       logger.info(`Visa query handled for ${userName}: ${question.substring(0, 50)}...`);
     } catch (error) {
@@ -1136,7 +1882,7 @@ ${isGroup ? '在群裡，我會和周文的虛擬分身一起陪你聊天！' :
 
     if (action === 'ask') {
       // 设置待处理操作
-      this.pendingAction.set(userId, { type: 'visa_ask', chatId });
+      await this.setPendingAction(userId, { type: 'visa_ask', chatId });
       await this.bongbongBot.sendMessage(
         chatId,
         '🛂 **自由提问模式**\n\n请直接输入您的签证问题，我会为您详细解答。\n\n例如：\n- 我想在泰国长期居住，有什么签证选择？\n- 养老签证和精英签证哪个更适合我？\n- 签证快到期了怎么续签？',
@@ -1154,14 +1900,8 @@ ${isGroup ? '在群裡，我會和周文的虛擬分身一起陪你聊天！' :
   /**
    * 处理分段保存回调
    */
-  async handleSegmentCallback(chatId, userId, data, messageId) {
-    // 解析: seg_mom_xxx 或 seg_me_xxx 或 seg_copy_xxx 或 seg_expand_xxx
-    const parts = data.split('_');
-    if (parts.length < 3) return;
-    
-    const action = parts[1];  // mom, me, copy, expand
-    const segmentId = parts.slice(2).join('_');
-    
+  async handleSegmentCallback(chatId, userId, action, segmentId, messageId = null) {
+    // action: mom, me, copy, expand
     // 获取缓存的内容
     const cached = segmentService.getSegment(segmentId);
     if (!cached) {
@@ -1177,13 +1917,16 @@ ${isGroup ? '在群裡，我會和周文的虛擬分身一起陪你聊天！' :
         const momAnalysis = await smartMemoryService.smartSave(cached.content, {
           userId: 'mother',
           userName: '妈妈',
-          source: 'ai_output'
+          scope: FAMILY_SCOPE,
+          source: 'ai_output',
+          meta: { chatId, userId }
         });
         
         const momResult = await notebookService.saveToMotherNotebook(cached.content, {
           source: 'ai_output',
           category: momAnalysis.analysis?.category || 'ai_knowledge',
-          tags: momAnalysis.analysis?.tags || []
+          tags: momAnalysis.analysis?.tags || [],
+          origin: { chatId, messageId, userId }
         });
         
         if (momResult.success) {
@@ -1200,13 +1943,15 @@ ${isGroup ? '在群裡，我會和周文的虛擬分身一起陪你聊天！' :
         const meAnalysis = await smartMemoryService.smartSave(cached.content, {
           userId,
           userName: '我',
-          source: 'ai_output'
+          source: 'ai_output',
+          meta: { chatId, userId }
         });
         
         const meResult = await notebookService.saveToMyNotebook(userId, cached.content, {
           source: 'ai_output',
           category: meAnalysis.analysis?.category || 'ai_knowledge',
-          tags: meAnalysis.analysis?.tags || []
+          tags: meAnalysis.analysis?.tags || [],
+          origin: { chatId, messageId, userId }
         });
         
         if (meResult.success) {
@@ -1246,6 +1991,7 @@ ${isGroup ? '在群裡，我會和周文的虛擬分身一起陪你聊天！' :
       // 扩展搜索并自动记忆
       const searchResult = await smartMemoryService.expandSearch(keywords, {
         userId,
+        chatId,
         autoMemorize: true
       });
       
@@ -1287,44 +2033,47 @@ ${isGroup ? '在群裡，我會和周文的虛擬分身一起陪你聊天！' :
   }
 
   /**
-   * 处理笔记本回调
+   * 处理笔记本回调 (所有入口都读写 notebookService 的统一笔记本)
    */
-  async handleNotesCallback(chatId, userId, data, messageId) {
-    const action = data.replace('notes_', '');
-    
+  async handleNotesCallback(chatId, userId, userName, action, messageId) {
+    const owner = notebookService.ownerOf(userId, userName);
+
     switch (action) {
       case 'mother':
         // 显示母亲的笔记
-        const momNotes = await notebookService.getMotherNotes({ limit: 10 });
+        const momNotes = await notebookService.getNotes(owner, 'mother', { limit: 10 });
         await this.showNotesListFormatted(chatId, momNotes, '👩‍🦳 妈妈的笔记本');
         break;
         
       case 'mine':
-        // 显示我的笔记
-        const myNotes = await notebookService.getMyNotes(userId, { limit: 10 });
-        await this.showNotesListFormatted(chatId, myNotes, '👨‍💻 我的笔记本');
+        // 显示我的笔记 (妈妈的就是母亲笔记本)
+        const myNotes = await notebookService.getNotes(owner, 'mine', { limit: 10 });
+        await this.showNotesListFormatted(chatId, myNotes, `${owner.icon} ${owner.notebookName}`);
         break;
         
       case 'new':
-        this.pendingAction.set(userId, { type: 'note_new', chatId });
-        await this.bongbongBot.sendMessage(chatId, '📝 **新建笔记**\n\n请发送内容，格式：\n`标题 | 内容`\n\n例如：`购物清单 | 牛奶、面包、鸡蛋`', { parse_mode: 'Markdown' });
+        await this.setPendingAction(userId, { type: 'note_new', chatId, userName });
+        await this.bongbongBot.sendMessage(chatId, '📝 *新建便簽*\n\n請發送你要記錄的內容，格式：\n`標題 | 內容`\n\n例如：`購物清單 | 牛奶、麵包、雞蛋`', { parse_mode: 'Markdown' });
         break;
         
       case 'list':
-        await menuService.updateMenu(this.bongbongBot, chatId, messageId, 'notes');
+        // 自己的 + 母亲笔记本
+        const allNotes = await notebookService.getNotes(owner, 'all', { limit: 10 });
+        await this.showNotesListFormatted(chatId, allNotes, '📋 全部笔记', { markMother: true });
         break;
         
       case 'search':
-        this.pendingAction.set(userId, { type: 'note_search', chatId });
-        await this.bongbongBot.sendMessage(chatId, '🔍 **搜索笔记**\n\n请输入关键词搜索', { parse_mode: 'Markdown' });
+        await this.setPendingAction(userId, { type: 'note_search', chatId, userName });
+        await this.bongbongBot.sendMessage(chatId, '🔍 *搜索筆記*\n\n發送關鍵詞搜索你的筆記和妈妈的笔记本。', { parse_mode: 'Markdown' });
         break;
     }
   }
 
   /**
    * 格式化显示笔记列表
+   * options.markMother: 母亲笔记本里的笔记前面加 👩‍🦳
    */
-  async showNotesListFormatted(chatId, notes, title) {
+  async showNotesListFormatted(chatId, notes, title, options = {}) {
     if (!notes || notes.length === 0) {
       await this.bongbongBot.sendMessage(chatId, `${title}\n\n📭 还没有笔记`, { 
         parse_mode: 'Markdown',
@@ -1341,53 +2090,632 @@ ${isGroup ? '在群裡，我會和周文的虛擬分身一起陪你聊天！' :
     let text = `${title}\n\n`;
     notes.forEach((note, i) => {
       const date = new Date(note.createdAt).toLocaleDateString('zh-CN');
+      const mark = options.markMother && note.ownerType === 'mother' ? '👩‍🦳 ' : '';
       const tags = note.tags?.length > 0 ? ` [${note.tags.join(', ')}]` : '';
-      text += `${i + 1}. **${note.title}**${tags}\n   ${note.content.substring(0, 40)}...\n   📅 ${date}\n\n`;
+      text += `${i + 1}. ${mark}**${note.title}**${tags}\n   ${note.content.substring(0, 40)}...\n   📅 ${date}\n\n`;
     });
+    text += '_点 📖 打开笔记_';
     
     await this.bongbongBot.sendMessage(chatId, text, { 
       parse_mode: 'Markdown',
       reply_markup: {
-        inline_keyboard: [[
-          { text: '➕ 新建', callback_data: 'notes_new' },
-          { text: '🔍 搜索', callback_data: 'notes_search' },
-          { text: '◀️ 返回', callback_data: 'menu_notes' }
-        ]]
+        inline_keyboard: [
+          ...this.noteOpenButtons(notes),
+          [
+            { text: '➕ 新建', callback_data: 'notes_new' },
+            { text: '🔍 搜索', callback_data: 'notes_search' },
+            { text: '◀️ 返回', callback_data: 'menu_notes' }
+          ]
+        ]
       }
     });
   }
 
   /**
-   * 顯示便簽列表
+   * 列表下面的 📖 按钮，按序号打开对应笔记 (offset: 分页时前面几页的条数)
    */
-  async showNotesList(chatId, userId) {
+  noteOpenButtons(notes, offset = 0) {
+    const buttons = notes.map((note, i) => ({ text: `📖 ${offset + i + 1}`, callback_data: `note_open_${note._id}` }));
+    const rows = [];
+    for (let i = 0; i < buttons.length; i += NOTE_BUTTONS_PER_ROW) {
+      rows.push(buttons.slice(i, i + NOTE_BUTTONS_PER_ROW));
+    }
+    return rows;
+  }
+
+  // ==================== 筆記詳情 ====================
+
+  noteOwner(ctx) {
+    return notebookService.ownerOf(ctx.userId, ctx.userName);
+  }
+
+  /**
+   * 📖 笔记全文 + 操作按钮，长笔记分页 (◀️ / ▶️ 在原消息上翻页)
+   */
+  async showNoteDetail(chatId, owner, noteId, page = 0, messageId = null, notice = '') {
+    const note = await notebookService.getNote(owner, noteId);
+    if (!note) {
+      await menuService.updateMessage(this.bongbongBot, chatId, messageId,
+        `${notice}⚠️ 这条笔记已经不存在`, [[{ text: '◀️ 笔记本', callback_data: 'menu_notes' }]]);
+      return;
+    }
+
+    const content = note.content || '';
+    const pages = Math.max(1, Math.ceil(content.length / NOTE_PAGE_CHARS));
+    const current = Math.min(Math.max(page, 0), pages - 1);
+    const inMother = note.ownerType === 'mother';
+
+    const meta = [inMother ? '👩‍🦳 妈妈的笔记本' : `${owner.icon} ${owner.notebookName}`, `📂 ${escapeMarkdown(this.categoryLabel(note.category))}`];
+    if (note.tags?.length > 0) meta.push(`🏷️ ${escapeMarkdown(note.tags.join(', '))}`);
+    const dates = [`📅 ${new Date(note.createdAt).toLocaleString('zh-CN')}`];
+    if (note.updatedAt && note.updatedAt - note.createdAt > 1000) dates.push(`✏️ ${new Date(note.updatedAt).toLocaleString('zh-CN')}`);
+    const source = `📎 ${NOTE_SOURCES[note.source] || escapeMarkdown(note.source || '')}${note.aiModel ? ` · ${escapeMarkdown(note.aiModel)}` : ''}`;
+
+    const body = escapeMarkdown(content.slice(current * NOTE_PAGE_CHARS, (current + 1) * NOTE_PAGE_CHARS));
+    const text = `${notice}📖 *${escapeMarkdown(note.title)}*\n${meta.join(' · ')}\n${dates.join(' · ')}\n${source}\n\n${body}`;
+
+    const nav = [];
+    if (pages > 1) {
+      if (current > 0) nav.push({ text: '◀️', callback_data: `note_page_${current - 1}_${noteId}` });
+      nav.push({ text: `${current + 1}/${pages}`, callback_data: `note_page_${current}_${noteId}` });
+      if (current < pages - 1) nav.push({ text: '▶️', callback_data: `note_page_${current + 1}_${noteId}` });
+    }
+
+    await menuService.updateMessage(this.bongbongBot, chatId, messageId, text, [
+      ...(nav.length > 0 ? [nav] : []),
+      [
+        { text: '✏️ 编辑', callback_data: `note_edit_${noteId}` },
+        { text: '🗑️ 删除', callback_data: `note_del_${noteId}` }
+      ],
+      [
+        { text: '🏷️ 标签', callback_data: `note_tags_${noteId}` },
+        inMother
+          ? { text: '📂 移到我的笔记本', callback_data: `note_move_mine_${noteId}` }
+          : { text: '📂 移到妈妈的笔记本', callback_data: `note_move_mother_${noteId}` }
+      ],
+      [{ text: '◀️ 笔记本', callback_data: 'menu_notes' }]
+    ]);
+  }
+
+  /**
+   * ✏️ 等待下一条消息作为新内容
+   */
+  async promptNoteEdit(ctx) {
+    const { noteId } = ctx.params;
+    const note = await notebookService.getNote(this.noteOwner(ctx), noteId);
+    if (!note) {
+      await this.showNoteDetail(ctx.chatId, this.noteOwner(ctx), noteId, 0, ctx.messageId);
+      return;
+    }
+
+    await this.setPendingAction(ctx.userId, { type: 'note_edit', chatId: ctx.chatId, noteId, userName: ctx.userName });
+    await this.bongbongBot.sendMessage(ctx.chatId,
+      `✏️ *编辑笔记*\n\n正在编辑：${escapeMarkdown(note.title)}\n\n发送新的内容替换全文；要同时改标题，用 \`标题 | 内容\``,
+      { parse_mode: 'Markdown' });
+  }
+
+  async applyNoteEdit(chatId, userId, action, text) {
+    const owner = notebookService.ownerOf(userId, action.userName);
+    const parts = text.split('|').map(part => part.trim());
+    const updates = parts.length > 1
+      ? { title: parts[0] || '无标题', content: parts.slice(1).join('|') }
+      : { content: text.trim() };
+
+    const note = await notebookService.getNote(owner, action.noteId);
+    const result = note ? await notebookService.updateNote(action.noteId, updates) : { success: false };
+    await this.showNoteDetail(chatId, owner, action.noteId, 0, null, result.success ? '✅ 已更新\n\n' : '');
+  }
+
+  /**
+   * 🗑️ 删除前确认，取消时回到笔记
+   */
+  async confirmNoteDelete(ctx) {
+    const { noteId } = ctx.params;
+    const note = await notebookService.getNote(this.noteOwner(ctx), noteId);
+    if (!note) {
+      await this.showNoteDetail(ctx.chatId, this.noteOwner(ctx), noteId, 0, ctx.messageId);
+      return;
+    }
+
+    const dialog = CONFIRM_DIALOG(`notedel_${noteId}`, `删除笔记「${escapeMarkdown(note.title)}」（不能恢复）`);
+    dialog.keyboard[0][1] = { text: '❌ 取消', callback_data: `note_page_0_${noteId}` };
+    await menuService.updateMessage(ctx.bot, ctx.chatId, ctx.messageId, dialog.text, dialog.keyboard);
+  }
+
+  async deleteNote(ctx) {
+    const { noteId } = ctx.params;
+    const note = await notebookService.getNote(this.noteOwner(ctx), noteId);
+    const result = note ? await notebookService.deleteNote(noteId) : { success: false };
+    await menuService.updateMessage(ctx.bot, ctx.chatId, ctx.messageId,
+      result.success ? `🗑️ 已删除笔记「${escapeMarkdown(note.title)}」` : '⚠️ 这条笔记已经不存在',
+      [[{ text: '◀️ 笔记本', callback_data: 'menu_notes' }]]);
+  }
+
+  /**
+   * 🏷️ 标签: 点 ❌ 移除，➕ 添加
+   */
+  async showNoteTags(chatId, owner, noteId, messageId = null, notice = '') {
+    const note = await notebookService.getNote(owner, noteId);
+    if (!note) {
+      await this.showNoteDetail(chatId, owner, noteId, 0, messageId, notice);
+      return;
+    }
+
+    const tags = note.tags || [];
+    const text = `${notice}🏷️ *${escapeMarkdown(note.title)}* 的标签\n\n${tags.length > 0 ? escapeMarkdown(tags.join('、')) : '还没有标签'}`;
+    const remove = tags.map(tag => ({ text: `❌ ${tag}`, callback_data: `note_untag_${this.facetKey(tag)}_${noteId}` }));
+    const rows = [];
+    for (let i = 0; i < remove.length; i += 3) rows.push(remove.slice(i, i + 3));
+
+    await menuService.updateMessage(this.bongbongBot, chatId, messageId, text, [
+      ...rows,
+      [
+        { text: '➕ 添加标签', callback_data: `note_addtag_${noteId}` },
+        { text: '◀️ 返回笔记', callback_data: `note_page_0_${noteId}` }
+      ]
+    ]);
+  }
+
+  async promptNoteTag(ctx) {
+    const { noteId } = ctx.params;
+    await this.setPendingAction(ctx.userId, { type: 'note_tag', chatId: ctx.chatId, noteId, userName: ctx.userName });
+    await this.bongbongBot.sendMessage(ctx.chatId,
+      '🏷️ *添加标签*\n\n发送要添加的标签，多个用空格或逗号分开', { parse_mode: 'Markdown' });
+  }
+
+  async applyNoteTags(chatId, userId, action, text) {
+    const owner = notebookService.ownerOf(userId, action.userName);
+    const tags = [...new Set(text.split(/[\s,，、#]+/).filter(Boolean))];
+    const note = await notebookService.getNote(owner, action.noteId);
+    if (note) {
+      for (const tag of tags) await notebookService.addTagToNote(action.noteId, tag);
+    }
+    await this.showNoteTags(chatId, owner, action.noteId, null, note && tags.length > 0 ? `✅ 已添加：${escapeMarkdown(tags.join('、'))}\n\n` : '');
+  }
+
+  /**
+   * ❌ 按钮里是标签名的 facetKey (标签列表在点击前可能变了)
+   */
+  async removeNoteTag(ctx) {
+    const { key, noteId } = ctx.params;
+    const owner = this.noteOwner(ctx);
+    const note = await notebookService.getNote(owner, noteId);
+    const tag = note?.tags?.find(t => this.facetKey(t) === key);
+    if (tag !== undefined) await notebookService.removeTagFromNote(noteId, tag);
+    const notice = tag !== undefined ? `✅ 已移除：${escapeMarkdown(tag)}\n\n` : note ? '⚠️ 没有找到这个标签，可能已经移除了\n\n' : '';
+    await this.showNoteTags(ctx.chatId, owner, noteId, ctx.messageId, notice);
+  }
+
+  /**
+   * 📂 在母亲笔记本和自己的笔记本之间移动
+   */
+  async moveNote(ctx) {
+    const { notebook, noteId } = ctx.params;
+    const owner = this.noteOwner(ctx);
+    const result = await notebookService.moveNote(owner, noteId, notebook);
+    const notice = result.success
+      ? `✅ 已移到${notebook === 'mother' ? '妈妈的笔记本' : owner.notebookName}\n\n`
+      : '';
+    await this.showNoteDetail(ctx.chatId, owner, noteId, 0, ctx.messageId, notice);
+  }
+
+  // ==================== 筆記瀏覽 ====================
+
+  categoryLabel(category) {
+    return NOTE_CATEGORIES[category || 'general'] || category;
+  }
+
+  notebookLabel(owner, notebook) {
+    if (notebook === 'mother') return '👩‍🦳 妈妈的笔记本';
+    if (notebook === 'mine') return `${owner.icon} ${owner.notebookName}`;
+    return '📋 全部';
+  }
+
+  /**
+   * 按钮里代表分类 / 标签的短哈希: 名字可能超过 callback_data 的 64 字节，
+   * 列表序号又会随数量排序变化，哈希只跟名字有关
+   */
+  facetKey(name) {
+    return crypto.createHash('sha1').update(String(name)).digest('hex').slice(0, 8);
+  }
+
+  /**
+   * 按 facetKey 找回分类 / 标签 ({ name, count })，已经没有笔记时返回 null
+   */
+  async findFacet(owner, notebook, facet, key) {
+    const facets = facet === 'cat'
+      ? await notebookService.getCategories(owner, notebook)
+      : await notebookService.getTags(owner, notebook);
+    return facets.find(item => this.facetKey(item.name) === key) || null;
+  }
+
+  /**
+   * 浏览列表里的一行: 序号、标题、标签、开头几句、日期
+   */
+  formatNoteLine(note, number) {
+    const mark = note.ownerType === 'mother' ? '👩‍🦳 ' : '';
+    const tags = note.tags?.length > 0 ? ` [${escapeMarkdown(note.tags.join(', '))}]` : '';
+    const content = note.content || '';
+    const preview = content.length > 40 ? `${content.substring(0, 40)}...` : content;
+    const date = new Date(note.createdAt).toLocaleDateString('zh-CN');
+    return `${number}. ${mark}*${escapeMarkdown(note.title)}*${tags}\n   ${escapeMarkdown(preview)}\n   📅 ${date}\n\n`;
+  }
+
+  /**
+   * 🗂️ 浏览首页: 分类和标签云 (带数量)，可以切换笔记本
+   */
+  async showNotebookBrowser(chatId, owner, notebook = 'all', messageId = null) {
+    const [categories, tags] = await Promise.all([
+      notebookService.getCategories(owner, notebook),
+      notebookService.getTags(owner, notebook)
+    ]);
+    const total = categories.reduce((sum, c) => sum + c.count, 0);
+
+    const switcher = NOTEBOOKS.map(nb => ({
+      text: `${nb === notebook ? '✅ ' : ''}${this.notebookLabel(owner, nb)}`,
+      callback_data: `nb_home_${nb}`
+    }));
+    const back = [{ text: '◀️ 笔记本', callback_data: 'menu_notes' }];
+
+    let text = `🗂️ *笔记浏览* · ${this.notebookLabel(owner, notebook)} (${total})\n\n`;
+    if (total === 0) {
+      await menuService.updateMessage(this.bongbongBot, chatId, messageId, `${text}📭 还没有笔记`, [switcher, back]);
+      return;
+    }
+
+    text += '📂 *分类*\n';
+    text += categories.map(c => `• ${escapeMarkdown(this.categoryLabel(c.name))} (${c.count})`).join('\n');
+    if (tags.length > 0) {
+      text += '\n\n🏷️ *标签*\n';
+      text += tags.slice(0, NOTE_BROWSE_TAGS).map(t => `#${escapeMarkdown(t.name)} ${t.count}`).join(' · ');
+    }
+
+    const rows = [];
+    const categoryButtons = categories.slice(0, NOTE_BROWSE_CATEGORIES).map(c => ({
+      text: `📂 ${this.categoryLabel(c.name)} (${c.count})`,
+      callback_data: `nb_cat_${notebook}_${this.facetKey(c.name)}_0`
+    }));
+    for (let i = 0; i < categoryButtons.length; i += 2) rows.push(categoryButtons.slice(i, i + 2));
+    const tagButtons = tags.slice(0, NOTE_BROWSE_TAGS).map(t => ({
+      text: `#${t.name} ${t.count}`,
+      callback_data: `nb_tag_${notebook}_${this.facetKey(t.name)}_0`
+    }));
+    for (let i = 0; i < tagButtons.length; i += 3) rows.push(tagButtons.slice(i, i + 3));
+
+    await menuService.updateMessage(this.bongbongBot, chatId, messageId, text, [
+      ...rows,
+      [
+        { text: `🗓️ 最近 ${NOTE_DIGEST_DAYS} 天`, callback_data: `nb_recent_${notebook}` },
+        { text: '📤 导出', callback_data: `nb_expmenu_${notebook}_none_all` }
+      ],
+      switcher,
+      back
+    ]);
+  }
+
+  /**
+   * 某个分类 / 标签下的笔记 (分页，在原消息上翻页)
+   */
+  async showNotesByFacet(chatId, owner, facet, { notebook, key, page }, messageId = null) {
+    const item = await this.findFacet(owner, notebook, facet, key);
+    const back = [{ text: '◀️ 浏览', callback_data: `nb_home_${notebook}` }];
+    if (!item) {
+      await menuService.updateMessage(this.bongbongBot, chatId, messageId,
+        `⚠️ 这个${facet === 'cat' ? '分类' : '标签'}下已经没有笔记了`, [back]);
+      return;
+    }
+
+    const options = { page, pageSize: NOTE_BROWSE_PAGE_SIZE };
+    const list = facet === 'cat'
+      ? await notebookService.getNotesByCategory(owner, notebook, item.name, options)
+      : await notebookService.getNotesByTag(owner, notebook, item.name, options);
+
+    const title = facet === 'cat' ? `📂 *${escapeMarkdown(this.categoryLabel(item.name))}*` : `🏷️ *#${escapeMarkdown(item.name)}*`;
+    let text = `${title} · ${this.notebookLabel(owner, notebook)} (${list.total})\n\n`;
+    const offset = list.page * NOTE_BROWSE_PAGE_SIZE;
+    list.notes.forEach((note, i) => {
+      text += this.formatNoteLine(note, offset + i + 1);
+    });
+
+    const pageData = (p) => `nb_${facet}_${notebook}_${key}_${p}`;
+    const nav = [];
+    if (list.page > 0) nav.push({ text: '◀️ 上一页', callback_data: pageData(list.page - 1) });
+    if (list.pages > 1) nav.push({ text: `${list.page + 1}/${list.pages}`, callback_data: pageData(list.page) });
+    if (list.page < list.pages - 1) nav.push({ text: '下一页 ▶️', callback_data: pageData(list.page + 1) });
+
+    await menuService.updateMessage(this.bongbongBot, chatId, messageId, text, [
+      ...this.noteOpenButtons(list.notes, offset),
+      ...(nav.length > 0 ? [nav] : []),
+      [...back, { text: '📤 导出', callback_data: `nb_expmenu_${notebook}_${facet}_${key}` }]
+    ]);
+  }
+
+  /**
+   * 🗓️ 最近 7 天: 新增多少、按分类 / 标签分布、最新几条
+   */
+  async showRecentNotes(chatId, owner, notebook = 'all', messageId = null) {
+    const summary = await notebookService.getRecentSummary(owner, notebook, NOTE_DIGEST_DAYS);
+    const keyboard = [[
+      { text: '🗂️ 分类 / 标签', callback_data: `nb_home_${notebook}` },
+      { text: '◀️ 笔记本', callback_data: 'menu_notes' }
+    ]];
+
+    let text = `🗓️ *最近 ${NOTE_DIGEST_DAYS} 天* · ${this.notebookLabel(owner, notebook)}\n\n`;
+    if (summary.total === 0) {
+      await menuService.updateMessage(this.bongbongBot, chatId, messageId, `${text}📭 这几天没有新笔记`, keyboard);
+      return;
+    }
+
+    const categories = Object.entries(summary.byCategory)
+      .sort((a, b) => b[1].length - a[1].length)
+      .map(([category, notes]) => `${escapeMarkdown(this.categoryLabel(category))} ${notes.length}`);
+    text += `📝 新增 ${summary.total} 条笔记\n📂 ${categories.join(' · ')}\n`;
+    if (summary.topTags.length > 0) {
+      text += `🏷️ ${summary.topTags.map(t => `#${escapeMarkdown(t.name)} ${t.count}`).join(' · ')}\n`;
+    }
+
+    text += '\n*最新*\n';
+    summary.latest.forEach((note, i) => {
+      text += this.formatNoteLine(note, i + 1);
+    });
+
+    await menuService.updateMessage(this.bongbongBot, chatId, messageId, text, [
+      ...this.noteOpenButtons(summary.latest),
+      ...keyboard
+    ]);
+  }
+  // ==================== 筆記導入 ====================
+
+  async showImportHelp(chatId, messageId = null) {
+    const text = '📥 *导入笔记*\n\n' +
+      '• *转发*：把消息转发给我，自动存进笔记本 (一次转发多条也可以)\n' +
+      '• *文件*：发送 .txt / .md / .json 文件，按标题拆成多条笔记\n' +
+      '  - Markdown 用 # 标题，纯文本用【标题】或 --- 分隔\n' +
+      '  - 📤 导出的 JSON 可以原样导回来\n\n' +
+      '_只在私聊里导入_';
+    await menuService.updateMessage(this.bongbongBot, chatId, messageId, text, [[{ text: '◀️ 笔记本', callback_data: 'menu_notes' }]]);
+  }
+
+  /**
+   * 导入结果: 笔记本、条数、前几条标题 + 📖 按钮
+   */
+  formatImportResult(header, notes, extra = []) {
+    const { icon, notebookName } = notes[0];
+    const shown = notes.slice(0, NOTE_IMPORT_LIST);
+    let text = `${header} → ${icon} ${notebookName}\n\n`;
+    text += shown.map((note, i) => `${i + 1}. ${escapeMarkdown(note.title)}`).join('\n');
+    if (notes.length > shown.length) text += `\n…还有 ${notes.length - shown.length} 条`;
+    if (extra.length > 0) text += `\n\n${extra.join('\n')}`;
+    return { text, keyboard: this.noteOpenButtons(shown) };
+  }
+
+  /**
+   * 转发的消息存成笔记；短时间内连续转发的合并成一条回复 (按到达顺序逐条保存)
+   */
+  async handleForwardedNote(msg) {
+    const chatId = msg.chat.id;
+    const now = Date.now();
+    let batch = this.forwardBatches.get(chatId);
+    if (!batch || now - batch.at > config.notebook.forwardBatchSeconds * 1000) {
+      batch = { at: now, notes: [], messageId: null, queue: Promise.resolve() };
+      this.forwardBatches.set(chatId, batch);
+    }
+    batch.at = now;
+    batch.queue = batch.queue.then(() => this.saveForwardedNote(msg, batch));
+    await batch.queue;
+  }
+
+  async saveForwardedNote(msg, batch) {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id.toString();
+
     try {
-      const notes = await memoryService.getAllNotes(userId, 10);
-      
+      const forward = forwardInfo(msg);
+      const { notes } = await noteImportService.importNotes(userId, msg.from.first_name, [{
+        title: null,
+        content: msg.text || msg.caption
+      }], {
+        source: 'forward',
+        origin: { chatId, messageId: msg.message_id, userId, forward }
+      });
       if (notes.length === 0) {
-        await this.bongbongBot.sendMessage(chatId, '📋 *你的便簽*\n\n還沒有任何便簽，點擊「新建便簽」創建一個吧！', { parse_mode: 'Markdown' });
+        await this.bongbongBot.sendMessage(chatId, '❌ 转发的消息没能存进笔记本');
         return;
       }
-      
-      let text = '📋 *你的便簽*\n\n';
-      notes.forEach((note, i) => {
-        const date = new Date(note.createdAt).toLocaleDateString('zh-TW');
-        text += `${i + 1}. *${note.title}*\n   ${note.content.substring(0, 50)}${note.content.length > 50 ? '...' : ''}\n   📅 ${date}\n\n`;
-      });
-      
-      await this.bongbongBot.sendMessage(chatId, text, { parse_mode: 'Markdown' });
+
+      batch.notes.push(...notes);
+      const { text, keyboard } = this.formatImportResult(`📥 *已保存 ${batch.notes.length} 条转发*`, batch.notes);
+      const sent = await menuService.updateMessage(this.bongbongBot, chatId, batch.messageId, text, keyboard);
+      if (sent?.message_id) batch.messageId = sent.message_id;
+    } catch (error) {
+      logger.error('Forwarded note error:', error);
+      await this.bongbongBot.sendMessage(chatId, '❌ 转发的消息没能存进笔记本');
+    }
+  }
+
+  /**
+   * 上传的 .txt / .md / .json 文件拆成多条笔记导入
+   */
+  async handleNoteDocument(msg) {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id.toString();
+    const { file_id: fileId, file_name: fileName = '', file_size: fileSize = 0 } = msg.document;
+
+    const format = importFormat(fileName);
+    if (!format) {
+      await this.bongbongBot.sendMessage(chatId, '📎 目前只能导入 .txt / .md / .json 笔记文件');
+      return;
+    }
+    if (fileSize > config.notebook.importMaxBytes) {
+      await this.bongbongBot.sendMessage(chatId, `📎 文件太大了，最多 ${Math.round(config.notebook.importMaxBytes / 1024)} KB`);
+      return;
+    }
+
+    try {
+      await this.bongbongBot.sendChatAction(chatId, 'typing');
+      const fileUrl = await this.bongbongBot.getFileLink(fileId);
+      const response = await axios.get(fileUrl, { responseType: 'arraybuffer' });
+      const content = Buffer.from(response.data).toString('utf8');
+
+      let result;
+      try {
+        result = await noteImportService.importFile(userId, msg.from.first_name, content, format,
+          { chatId, messageId: msg.message_id, userId, file: fileName });
+      } catch (error) {
+        if (!(error instanceof SyntaxError)) throw error;
+        await this.bongbongBot.sendMessage(chatId, `❌ ${fileName} 不是有效的 JSON：${error.message}`);
+        return;
+      }
+
+      if (result.notes.length === 0) {
+        await this.bongbongBot.sendMessage(chatId, result.failed > 0 ? '❌ 导入失败，请稍后再试' : `📭 ${fileName} 里没有找到笔记`);
+        return;
+      }
+
+      const extra = [];
+      if (result.failed > 0) extra.push(`⚠️ ${result.failed} 条保存失败`);
+      if (result.skipped > 0) extra.push(`⚠️ 一次最多导入 ${config.notebook.importMaxNotes} 条，后面 ${result.skipped} 条没有导入`);
+      const { text, keyboard } = this.formatImportResult(
+        `📥 *已从 ${escapeMarkdown(fileName)} 导入 ${result.notes.length} 条笔记*`, result.notes, extra);
+      await this.bongbongBot.sendMessage(chatId, text, { parse_mode: 'Markdown', reply_markup: { inline_keyboard: keyboard } });
+    } catch (error) {
+      logger.error('Note import error:', error);
+      await this.bongbongBot.sendMessage(chatId, '❌ 导入失败，请稍后再试');
+    }
+  }
+
+  // ==================== 筆記導出 ====================
+
+  /**
+   * /export [格式] [妈妈|我的|全部] [#标签] [分类:名称] [7天 | 2025-01-01..2025-03-31]
+   */
+  async handleExport(msg, match) {
+    const chatId = msg.chat.id;
+
+    try {
+      const owner = notebookService.ownerOf(msg.from.id.toString(), msg.from.first_name);
+      const options = parseExportArgs(match?.[1] || '');
+
+      if (options.unknown.length > 0) {
+        await this.bongbongBot.sendMessage(chatId,
+          `❓ 看不懂：${options.unknown.join(' ')}\n\n` +
+          '用法：/export [md|json|txt|html] [妈妈|我的|全部] [#标签] [分类:名称] [7天 | 2025-01-01..2025-03-31]\n' +
+          '例如：/export html 妈妈 #养生');
+        return;
+      }
+
+      // 分类可以用显示名 (创作 → creative)
+      if (options.category) {
+        options.category = Object.keys(NOTE_CATEGORIES).find(key => NOTE_CATEGORIES[key] === options.category) || options.category;
+      }
+
+      await this.sendNoteExport(chatId, owner, options);
     } catch (error) {
-      logger.error('Error showing notes list:', error);
-      await this.bongbongBot.sendMessage(chatId, '❌ 獲取便簽失敗');
+      logger.error('Export error:', error);
+      await this.bongbongBot.sendMessage(chatId, '❌ 导出失败，请稍后再试');
+    }
+  }
+
+  /**
+   * 导出菜单: 选格式 (整个笔记本时还能切换笔记本)
+   */
+  async showExportMenu(chatId, owner, { notebook, facet, key }, messageId = null) {
+    const filter = await this.resolveExportFacet(owner, notebook, facet, key);
+    const back = facet === 'none'
+      ? { text: '◀️ 笔记本', callback_data: 'menu_notes' }
+      : { text: '◀️ 返回', callback_data: `nb_${facet}_${notebook}_${key}_0` };
+    if (!filter) {
+      await menuService.updateMessage(this.bongbongBot, chatId, messageId, '⚠️ 这个分类 / 标签下已经没有笔记了', [[back]]);
+      return;
+    }
+
+    const count = await notebookService.countNotes({
+      ...notebookService.notebookFilter(owner, notebook),
+      ...(filter.category ? { category: filter.category } : {}),
+      ...(filter.tag ? { tags: filter.tag } : {})
+    });
+    const text = `📤 *导出笔记* · ${escapeMarkdown(this.exportTitle(owner, { notebook, ...filter }))} (${count} 条)\n\n` +
+      '选一个格式，文件会直接发到这里\n🖨️ 打印版用浏览器打开就能打印\n\n' +
+      '_按时间导出用命令，例如_ `/export html 妈妈 #养生 30天`';
+
+    const formats = Object.entries(EXPORT_FORMATS).map(([format, { label }]) => ({
+      text: label,
+      callback_data: `nb_export_${notebook}_${facet}_${key}_${format}`
+    }));
+    const keyboard = [formats.slice(0, 2), formats.slice(2)];
+    if (facet === 'none') {
+      keyboard.push(NOTEBOOKS.map(nb => ({
+        text: `${nb === notebook ? '✅ ' : ''}${this.notebookLabel(owner, nb)}`,
+        callback_data: `nb_expmenu_${nb}_none_all`
+      })));
+    }
+    keyboard.push([back]);
+
+    await menuService.updateMessage(this.bongbongBot, chatId, messageId, text, keyboard);
+  }
+
+  async exportFromMenu(chatId, owner, { notebook, facet, key, format }) {
+    const filter = await this.resolveExportFacet(owner, notebook, facet, key);
+    if (!filter) {
+      await this.bongbongBot.sendMessage(chatId, '⚠️ 这个分类 / 标签下已经没有笔记了');
+      return;
+    }
+    await this.sendNoteExport(chatId, owner, { format, notebook, ...filter });
+  }
+
+  /**
+   * 按钮里的 facetKey → { category } / { tag }；这个分类 / 标签已经没有笔记时返回 null
+   */
+  async resolveExportFacet(owner, notebook, facet, key) {
+    if (facet === 'none') return {};
+    const item = await this.findFacet(owner, notebook, facet, key);
+    if (!item) return null;
+    return facet === 'cat' ? { category: item.name } : { tag: item.name };
+  }
+
+  exportTitle(owner, { notebook, category, tag }) {
+    const parts = [notebook === 'all' ? '全部笔记' : this.notebookLabel(owner, notebook).replace(/^\S+\s/, '')];
+    if (category) parts.push(this.categoryLabel(category));
+    if (tag) parts.push(`#${tag}`);
+    return parts.join(' · ');
+  }
+
+  /**
+   * 生成导出文件并用 sendDocument 发回 (太大时拆成几份依次发送)
+   */
+  async sendNoteExport(chatId, owner, options) {
+    try {
+      const title = this.exportTitle(owner, options);
+      const result = await notebookService.exportNotes(owner, { ...options, title });
+
+      if (!result) {
+        await this.bongbongBot.sendMessage(chatId, '❌ 导出失败，请稍后再试');
+        return;
+      }
+      if (result.count === 0) {
+        await this.bongbongBot.sendMessage(chatId, `📭 ${title}：没有符合条件的笔记`);
+        return;
+      }
+
+      await this.bongbongBot.sendChatAction(chatId, 'upload_document');
+      for (const [i, file] of result.files.entries()) {
+        const part = result.files.length > 1 ? ` · 第 ${i + 1}/${result.files.length} 份` : '';
+        await this.bongbongBot.sendDocument(chatId, file.content,
+          { caption: `📤 ${title} · ${file.count} 条笔记${part}` },
+          { filename: file.filename, contentType: file.mimeType });
+      }
+    } catch (error) {
+      logger.error('Export error:', error);
+      await this.bongbongBot.sendMessage(chatId, '❌ 导出失败，请稍后再试');
     }
   }
 
   /**
    * 保存當前對話
    */
-  async saveCurrentChat(chatId, userId) {
+  async saveCurrentChat(chatId, userId, userName) {
     try {
-      const history = this.getHistory(userId);
+      const history = await this.getHistory(userId);
       if (history.length === 0) {
         await this.bongbongBot.sendMessage(chatId, '❌ 沒有可保存的對話');
         return;
@@ -1396,8 +2724,19 @@ ${isGroup ? '在群裡，我會和周文的虛擬分身一起陪你聊天！' :
       const content = history.map(h => `${h.role === 'user' ? '我' : 'BongBong'}: ${h.content}`).join('\n');
       const title = `對話記錄 ${new Date().toLocaleDateString('zh-TW')}`;
       
-      await memoryService.saveNote(userId, title, content, ['對話', '自動保存']);
-      await this.bongbongBot.sendMessage(chatId, '💾 *對話已保存*\n\n已保存最近的對話記錄到便簽。', { parse_mode: 'Markdown' });
+      const note = await notebookService.saveForUser(userId, userName, {
+        title,
+        content,
+        category: 'conversation',
+        tags: ['對話', '自動保存'],
+        source: 'chat',
+        origin: { chatId, messageId: null, userId }
+      });
+      if (!note.success) {
+        await this.bongbongBot.sendMessage(chatId, '❌ 保存失敗');
+        return;
+      }
+      await this.bongbongBot.sendMessage(chatId, `💾 *對話已保存*\n\n已保存最近的對話記錄到 ${note.icon} ${note.notebookName}。`, { parse_mode: 'Markdown' });
     } catch (error) {
       logger.error('Error saving chat:', error);
       await this.bongbongBot.sendMessage(chatId, '❌ 保存失敗');
@@ -1407,11 +2746,19 @@ ${isGroup ? '在群裡，我會和周文的虛擬分身一起陪你聊天！' :
   /**
    * 處理待處理操作
    */
-  async handlePendingAction(userId, chatId, text) {
-    const action = this.pendingAction.get(userId);
-    if (!action) return false;
+  async handlePendingAction(userId, chatId, text, msg = null) {
+    const entry = await sessionStoreService.get(SESSION_PENDING, userId);
+    if (!entry) return false;
     
-    this.pendingAction.delete(userId);
+    await sessionStoreService.delete(SESSION_PENDING, userId);
+    const action = entry.value;
+
+    // 過期: 提示一次，這條消息按普通聊天處理
+    if (entry.expired) {
+      await this.bongbongBot.sendMessage(chatId,
+        `⏰ 你之前的「${PENDING_ACTION_LABELS[action.type] || '操作'}」提示已過期，這條消息按普通聊天處理。\n需要的話請重新打開 /menu`);
+      return false;
+    }
     
     switch (action.type) {
       case 'note_new':
@@ -1420,27 +2767,60 @@ ${isGroup ? '在群裡，我會和周文的虛擬分身一起陪你聊天！' :
         const title = parts[0] || '無標題';
         const content = parts.slice(1).join('|') || parts[0];
         
-        const note = await memoryService.saveNote(userId, title, content);
-        if (note) {
-          await this.bongbongBot.sendMessage(chatId, `✅ *便簽已保存*\n\n📌 *${title}*\n${content}`, { parse_mode: 'Markdown' });
+        const note = await notebookService.saveForUser(userId, action.userName, {
+          title,
+          content,
+          source: 'manual',
+          origin: { chatId, messageId: msg?.message_id ?? null, userId }
+        });
+        if (note.success) {
+          await this.bongbongBot.sendMessage(chatId, `✅ *便簽已保存*\n\n📌 *${title}*\n${content}\n\n📓 ${note.icon} ${note.notebookName}`, { parse_mode: 'Markdown' });
         } else {
           await this.bongbongBot.sendMessage(chatId, '❌ 保存失敗，請重試');
         }
         return true;
         
       case 'note_search':
-        const results = await memoryService.searchNotes(userId, text);
+        // 命中的词在摘要里加粗
+        const results = await notebookService.searchNotes(notebookService.ownerOf(userId, action.userName), text, {
+          limit: 10,
+          snippet: { open: '*', close: '*', escape: escapeMarkdown }
+        });
         if (results.length === 0) {
-          await this.bongbongBot.sendMessage(chatId, `🔍 **搜索结果**\n\n没有找到包含「${text}」的便签`, { parse_mode: 'Markdown' });
+          await this.bongbongBot.sendMessage(chatId, `🔍 **搜索结果**\n\n没有找到和「${escapeMarkdown(text)}」相关的便签`, { parse_mode: 'Markdown' });
         } else {
           let resultText = `🔍 **搜索结果** (${results.length})\n\n`;
           results.forEach((note, i) => {
-            resultText += `${i + 1}. **${note.title}**\n   ${note.content.substring(0, 50)}...\n\n`;
+            const mark = note.ownerType === 'mother' ? '👩‍🦳' : '📌';
+            resultText += `${i + 1}. ${mark} ${escapeMarkdown(note.title)}\n   ${note.snippet}\n\n`;
+          });
+          await this.bongbongBot.sendMessage(chatId, resultText, {
+            parse_mode: 'Markdown',
+            reply_markup: { inline_keyboard: this.noteOpenButtons(results) }
           });
-          await this.bongbongBot.sendMessage(chatId, resultText, { parse_mode: 'Markdown' });
         }
         return true;
         
+      case 'note_edit':
+        await this.applyNoteEdit(chatId, userId, action, text);
+        return true;
+
+      case 'note_tag':
+        await this.applyNoteTags(chatId, userId, action, text);
+        return true;
+
+      case 'memory_search':
+        await this.sendMemorySearchResults(chatId, userId, text);
+        return true;
+
+      case 'fact_edit': {
+        const scopes = readableScopes({ userId, chatId: action.chatId });
+        const fact = await knowledgeGraphService.correctFact(action.factId, scopes, text, { userId, speaker: action.speaker });
+        const notice = fact ? `✅ 已更正：${escapeMarkdown(fact.text)}\n\n` : '⚠️ 沒能更正這條資料\n\n';
+        await this.showFacts(chatId, userId, action.page, null, notice);
+        return true;
+      }
+
       case 'visa_ask':
         // 签证自由提问
         const userName = '用户';  // 从 context 获取
@@ -1463,11 +2843,11 @@ ${isGroup ? '在群裡，我會和周文的虛擬分身一起陪你聊天！' :
   /**
    * 处理创作回调
    */
-  async handleCreativeCallback(chatId, userId, userName, action, messageId) {
+  async handleCreativeCallback(chatId, userId, userName, action, messageId, message = null) {
     switch (action) {
       case 'writing':
         // 写作助手
-        this.pendingAction.set(userId, { type: 'creative_writing', chatId });
+        await this.setPendingAction(userId, { type: 'creative_writing', chatId });
         await this.bongbongBot.sendMessage(chatId, 
           `✍️ *写作助手*\n\n选择写作类型：\n\n1️⃣ 发送主题 → 生成大纲\n2️⃣ 发送 \`草稿:主题\` → 生成初稿\n3️⃣ 发送 \`润色:内容\` → 润色文字\n4️⃣ 发送 \`扩写:内容\` → 扩展内容\n\n例如：\n• \`草稿:一封给妈妈的信\`\n• \`润色:今天天气很好我很开心\``,
           { 
@@ -1483,7 +2863,7 @@ ${isGroup ? '在群裡，我會和周文的虛擬分身一起陪你聊天！' :
 
       case 'story':
         // 故事续写
-        this.pendingAction.set(userId, { type: 'creative_story', chatId });
+        await this.setPendingAction(userId, { type: 'creative_story', chatId });
         await this.bongbongBot.sendMessage(chatId,
           `📖 *故事续写*\n\n发送故事开头，我来帮你续写！\n\n也可以：\n• 发送 \`结局:故事内容\` → 生成结局\n• 发送 \`角色:背景设定\` → 创建角色\n\n例如：\n_从前有座山，山里有座庙..._`,
           {
@@ -1500,7 +2880,7 @@ ${isGroup ? '在群裡，我會和周文的虛擬分身一起陪你聊天！' :
       case 'inspire':
         // 灵感激发
         await this.bongbongBot.sendMessage(chatId, '💡 *正在激发灵感...*', { parse_mode: 'Markdown' });
-        const inspiration = await creativeService.getInspiration();
+        const inspiration = await creativeService.getInspiration('任意类型', { meta: { chatId, userId } });
         if (inspiration.success) {
           await this.bongbongBot.sendMessage(chatId,
             `💡 *创作灵感*\n\n${inspiration.content}`,
@@ -1524,7 +2904,7 @@ ${isGroup ? '在群裡，我會和周文的虛擬分身一起陪你聊天！' :
 
       case 'expand':
         // 扩写润色
-        this.pendingAction.set(userId, { type: 'creative_expand', chatId });
+        await this.setPendingAction(userId, { type: 'creative_expand', chatId });
         await this.bongbongBot.sendMessage(chatId,
           `📝 *扩写润色*\n\n发送你想扩写或润色的内容。\n\n我会帮你：\n• 增加细节描写\n• 丰富情感表达\n• 优化语言表达`,
           {
@@ -1546,10 +2926,22 @@ ${isGroup ? '在群裡，我會和周文的虛擬分身一起陪你聊天！' :
         await menuService.updateMenu(this.bongbongBot, chatId, messageId, 'video');
         break;
 
-      case 'save_inspire':
-        // 保存灵感到笔记
-        await this.bongbongBot.sendMessage(chatId, '💾 灵感已保存到笔记本！');
+      case 'save_inspire': {
+        // 保存灵感到笔记 (按钮所在的那条消息)
+        const content = (message?.text || '').replace(/^💡 \*?创作灵感\*?\s*/, '').trim();
+        const note = content
+          ? await notebookService.saveForUser(userId, userName, {
+            title: `创作灵感 ${new Date().toLocaleDateString('zh-CN')}`,
+            content,
+            category: 'creative',
+            tags: ['创作', '灵感'],
+            source: 'creative_service',
+            origin: { chatId, messageId, userId }
+          })
+          : { success: false };
+        await this.bongbongBot.sendMessage(chatId, note.success ? `💾 灵感已保存到 ${note.icon} ${note.notebookName}！` : '❌ 灵感保存失败');
         break;
+      }
 
       default:
         await this.bongbongBot.sendMessage(chatId, '🔨 *功能开发中...*', { parse_mode: 'Markdown' });
@@ -1563,37 +2955,38 @@ ${isGroup ? '在群裡，我會和周文的虛擬分身一起陪你聊天！' :
     try {
       await this.bongbongBot.sendMessage(chatId, '✨ *正在创作中...*', { parse_mode: 'Markdown' });
       
+      const meta = { chatId, userId };
       let result;
       
       if (actionType === 'creative_writing') {
         // 解析写作指令
         if (text.startsWith('草稿:') || text.startsWith('草稿：')) {
           const topic = text.replace(/^草稿[:：]/, '').trim();
-          result = await creativeService.generateDraft(topic);
+          result = await creativeService.generateDraft(topic, { meta });
         } else if (text.startsWith('润色:') || text.startsWith('润色：')) {
           const content = text.replace(/^润色[:：]/, '').trim();
-          result = await creativeService.polishContent(content);
+          result = await creativeService.polishContent(content, { meta });
         } else if (text.startsWith('扩写:') || text.startsWith('扩写：')) {
           const content = text.replace(/^扩写[:：]/, '').trim();
-          result = await creativeService.expandContent(content);
+          result = await creativeService.expandContent(content, { meta });
         } else {
           // 默认生成大纲
-          result = await creativeService.generateOutline(text);
+          result = await creativeService.generateOutline(text, { meta });
         }
       } else if (actionType === 'creative_story') {
         // 解析故事指令
         if (text.startsWith('结局:') || text.startsWith('结局：')) {
           const story = text.replace(/^结局[:：]/, '').trim();
-          result = await creativeService.generateEnding(story);
+          result = await creativeService.generateEnding(story, { meta });
         } else if (text.startsWith('角色:') || text.startsWith('角色：')) {
           const background = text.replace(/^角色[:：]/, '').trim();
-          result = await creativeService.createCharacter(background);
+          result = await creativeService.createCharacter(background, { meta });
         } else {
           // 默认续写故事
-          result = await creativeService.continueStory(text);
+          result = await creativeService.continueStory(text, { meta });
         }
       } else if (actionType === 'creative_expand') {
-        result = await creativeService.expandContent(text);
+        result = await creativeService.expandContent(text, { meta });
       }
 
       if (result && result.success) {
@@ -1740,6 +3133,7 @@ ${isGroup ? '在群裡，我會和周文的虛擬分身一起陪你聊天！' :
     }
     avatarService.stop();
     idleAnalysisService.stop();
+    memoryConsolidationService.stop();
     
     for (const timer of this.idleTimers.values()) {
       clearTimeout(timer);
@@ -1747,6 +3141,11 @@ ${isGroup ? '在群裡，我會和周文的虛擬分身一起陪你聊天！' :
     if (this.dailyPraiseTimer) {
       clearInterval(this.dailyPraiseTimer);
     }
+    clearTimeout(this.dailyPraiseCheck);
+    for (const timer of this.pendingTimers) {
+      clearTimeout(timer);
+    }
+    this.pendingTimers.clear();
     
     logger.info('Dual bot service stopped');
   }
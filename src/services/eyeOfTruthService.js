@@ -6,20 +6,17 @@
  * 2. Grok 3 Mini (高溫 1.35) - 擴散質疑
  * 3. Gemini 2.5 Flash (中溫 0.5) - 綜合總結
  * 
- * 直接使用 Gemini API + Grok API，不用 OpenRouter
+ * 直接使用 Gemini API + Grok API (經 llmService)，不用 OpenRouter
  */
 
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import OpenAI from 'openai';
-import config from '../../config/index.js';
 import { AVATAR_PERSONA } from '../../config/avatar.js';
 import groupMemoryService from './groupMemoryService.js';
+import llmService from './llmService.js';
+import { isGroupChat, chatScope } from '../utils/memoryScope.js';
 import logger from '../utils/logger.js';
 
 class EyeOfTruthService {
   constructor() {
-    this.gemini = null;
-    this.grok = null;
     this.initialized = false;
   }
 
@@ -27,24 +24,13 @@ class EyeOfTruthService {
    * 初始化
    */
   init() {
-    // Gemini API - 直接使用
-    const geminiKey = config.apiKeys.gemini;
-    if (geminiKey) {
-      this.gemini = new GoogleGenerativeAI(geminiKey);
-      logger.info('Eye of Truth: Gemini API initialized');
-    }
+    llmService.init();
 
-    // Grok API - 直接使用
-    const grokKey = config.apiKeys.grok;
-    if (grokKey) {
-      this.grok = new OpenAI({
-        apiKey: grokKey,
-        baseURL: 'https://api.x.ai/v1'
-      });
-      logger.info('Eye of Truth: Grok API initialized');
+    // 需要 Gemini + Grok 同時可用
+    this.initialized = llmService.isAvailable('gemini') && llmService.isAvailable('grok');
+    if (this.initialized) {
+      logger.info('Eye of Truth: Gemini + Grok ready');
     }
-
-    this.initialized = this.gemini && this.grok;
     return this.initialized;
   }
 
@@ -58,25 +44,27 @@ class EyeOfTruthService {
 
   /**
    * 執行真實之眼驗證
+   * onProgress(text): 三步流式生成時回調當前進度 (套 outputFormat，未完成的段落顯示 ⏳)
+   * chatId: 提問的對話，只引用這個群的記憶 (私聊不引用群記憶)
    */
-  async verify(question, context = '') {
+  async verify(question, context = '', onProgress = null, chatId = null) {
     if (!this.initialized) {
       this.init();
     }
 
-    if (!this.gemini || !this.grok) {
+    if (!this.initialized) {
       return { success: false, error: 'API not initialized' };
     }
 
-    const eyeConfig = AVATAR_PERSONA.eyeOfTruth;
-    
     try {
       logger.info('🔮 Eye of Truth activated');
 
       // 獲取向量記憶作為參考
       let memoryContext = '';
       try {
-        const memories = await groupMemoryService.searchGroupMemories('all', question, 5);
+        const memories = isGroupChat(chatId)
+          ? await groupMemoryService.searchGroupMemory(String(chatId), question, 5)
+          : [];
         if (memories.length > 0) {
           memoryContext = '\n\n[相關記憶]\n' + memories.map(m => `- ${m.content}`).join('\n');
         }
@@ -84,30 +72,35 @@ class EyeOfTruthService {
         logger.warn('Memory search failed:', e.message);
       }
 
+      // 流式進度
+      const progress = { geminiAnalysis: '', grokChallenge: '', flashSummary: '' };
+      const track = (key) => onProgress
+        ? (partial) => {
+          progress[key] = partial;
+          onProgress(this.formatOutput(progress));
+        }
+        : undefined;
+
       // Step 1: Gemini Pro 嚴謹分析 (低溫 0.3)
-      const geminiAnalysis = await this.callGeminiPro(question, context + memoryContext);
+      const geminiAnalysis = await this.callGeminiPro(question, context + memoryContext, track('geminiAnalysis'));
       logger.info('✅ Gemini Pro analysis complete');
 
       // Step 2: Grok Mini 高溫質疑 (1.35)
-      const grokChallenge = await this.callGrokMini(question, geminiAnalysis, context);
+      const grokChallenge = await this.callGrokMini(question, geminiAnalysis, context, track('grokChallenge'));
       logger.info('✅ Grok Mini challenge complete');
 
       // Step 3: Gemini Flash 總結 (0.5)
-      const flashSummary = await this.callGeminiFlash(question, geminiAnalysis, grokChallenge);
+      const flashSummary = await this.callGeminiFlash(question, geminiAnalysis, grokChallenge, track('flashSummary'));
       logger.info('✅ Flash summary complete');
 
       // 計算可信度
       const confidence = this.calculateConfidence(geminiAnalysis, grokChallenge, flashSummary);
 
       // 格式化輸出
-      const output = eyeConfig.outputFormat
-        .replace('{geminiAnalysis}', geminiAnalysis)
-        .replace('{grokChallenge}', grokChallenge)
-        .replace('{flashSummary}', flashSummary)
-        .replace('{confidence}', confidence);
+      const output = this.formatOutput({ geminiAnalysis, grokChallenge, flashSummary, confidence });
 
       // 記錄到向量庫
-      await this.logVerification(question, output, confidence);
+      await this.logVerification(question, output, confidence, chatId);
 
       return {
         success: true,
@@ -127,17 +120,20 @@ class EyeOfTruthService {
   }
 
   /**
-   * Gemini 2.5 Pro - 嚴謹分析 (低溫)
+   * 套用 outputFormat，缺的段落用 ⏳ 佔位
    */
-  async callGeminiPro(question, context) {
-    const model = this.gemini.getGenerativeModel({
-      model: 'gemini-2.5-pro',
-      generationConfig: {
-        temperature: 0.3,  // 低溫，嚴謹
-        maxOutputTokens: 500
-      }
-    });
+  formatOutput({ geminiAnalysis, grokChallenge, flashSummary, confidence }) {
+    return AVATAR_PERSONA.eyeOfTruth.outputFormat
+      .replace('{geminiAnalysis}', geminiAnalysis || '⏳')
+      .replace('{grokChallenge}', grokChallenge || '⏳')
+      .replace('{flashSummary}', flashSummary || '⏳')
+      .replace('{confidence}', confidence ?? '...');
+  }
 
+  /**
+   * Gemini 2.5 Pro - 嚴謹分析 (低溫)
+   */
+  async callGeminiPro(question, context, onDelta) {
     const prompt = `你是一個嚴謹的分析師。請對以下問題進行客觀、理性的分析。
 
 問題：${question}
@@ -150,26 +146,20 @@ ${context ? `背景信息：${context}` : ''}
 3. 給出初步結論
 4. 保持簡潔，不超過200字`;
 
-    const result = await model.generateContent(prompt);
-    return result.response.text().trim();
+    // 低溫，嚴謹
+    const result = await llmService.generate('eye.analysis', prompt, { onDelta });
+    return result.text.trim();
   }
 
   /**
    * Grok 3 Mini - 高溫質疑 (1.35)
    */
-  async callGrokMini(question, geminiAnalysis, context) {
-    const response = await this.grok.chat.completions.create({
-      model: 'grok-3-mini',  // 便宜的 Grok (<$5/M)
-      messages: [
-        {
-          role: 'system',
-          content: `你是一個魔鬼代言人，專門質疑和挑戰觀點。你的任務是找出分析中的漏洞、偏見或遺漏。
-          
-風格：犀利、直接、不留情面，但有理有據。`
-        },
-        {
-          role: 'user',
-          content: `原問題：${question}
+  async callGrokMini(question, geminiAnalysis, context, onDelta) {
+    const system = `你是一個魔鬼代言人，專門質疑和挑戰觀點。你的任務是找出分析中的漏洞、偏見或遺漏。
+
+風格：犀利、直接、不留情面，但有理有據。`;
+
+    const userPrompt = `原問題：${question}
 
 Gemini Pro 的分析：
 ${geminiAnalysis}
@@ -178,28 +168,20 @@ ${geminiAnalysis}
 1. 找出可能的漏洞或偏見
 2. 提出反面觀點
 3. 指出遺漏的考慮因素
-4. 保持簡潔，不超過200字`
-        }
-      ],
-      temperature: 1.35,  // 高溫，擴散思考
-      max_tokens: 500
-    });
+4. 保持簡潔，不超過200字`;
+
+    // grok-3-mini 便宜的 Grok (<$5/M)，高溫擴散思考
+    const result = await llmService.chat('eye.challenge', [
+      { role: 'user', content: userPrompt }
+    ], { system, onDelta });
 
-    return response.choices[0]?.message?.content?.trim() || '無法生成質疑';
+    return result.text.trim() || '無法生成質疑';
   }
 
   /**
    * Gemini 2.5 Flash - 綜合總結
    */
-  async callGeminiFlash(question, geminiAnalysis, grokChallenge) {
-    const model = this.gemini.getGenerativeModel({
-      model: 'gemini-2.5-flash',
-      generationConfig: {
-        temperature: 0.5,
-        maxOutputTokens: 300
-      }
-    });
-
+  async callGeminiFlash(question, geminiAnalysis, grokChallenge, onDelta) {
     const prompt = `你是一個公正的總結者。請綜合以下兩個觀點，給出最終結論。
 
 原問題：${question}
@@ -216,8 +198,8 @@ ${grokChallenge}
 3. 指出最可能的答案
 4. 保持簡潔，不超過150字`;
 
-    const result = await model.generateContent(prompt);
-    return result.response.text().trim();
+    const result = await llmService.generate('eye.summary', prompt, { onDelta });
+    return result.text.trim();
   }
 
   /**
@@ -243,9 +225,9 @@ ${grokChallenge}
   }
 
   /**
-   * 記錄驗證結果到向量庫
+   * 記錄驗證結果到向量庫 (記憶範圍跟隨提問的對話)
    */
-  async logVerification(question, output, confidence) {
+  async logVerification(question, output, confidence, chatId = null) {
     try {
       await groupMemoryService.logGroupMessage({
         groupId: 'eye_of_truth',
@@ -254,6 +236,7 @@ ${grokChallenge}
         content: `問題: ${question}\n\n結果: ${output}\n\n可信度: ${confidence}%`,
         isBot: true,
         botName: 'eye_of_truth',
+        scope: chatScope({ userId: chatId, chatId }),
         metadata: { type: 'verification', confidence }
       });
     } catch (e) {
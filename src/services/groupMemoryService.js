@@ -8,10 +8,39 @@
  * - 向量記憶學習用戶風格
  */
 
-import { MongoClient } from 'mongodb';
+import { MongoClient, ObjectId } from 'mongodb';
 import config from '../../config/index.js';
+import aiService from './aiService.js';
+import vectorIndexService from './vectorIndexService.js';
+import retrievalService from './retrievalService.js';
+import knowledgeGraphService from './knowledgeGraphService.js';
+import privacyService from './privacyService.js';
+import { groupScope, backfillScopes } from '../utils/memoryScope.js';
 import logger from '../utils/logger.js';
 
+// 系統記錄用的「群」(不是真實群聊)，跨群查詢時排除
+export const SYSTEM_GROUPS = ['eye_of_truth'];
+
+// queryMessages 每頁最多條數
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * 分頁游標: 上一頁最舊一條的 (timestamp, _id)
+ */
+function encodeCursor(message) {
+  return Buffer.from(JSON.stringify({ t: message.timestamp.getTime(), id: message._id.toString() })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (!Number.isFinite(t) || !ObjectId.isValid(id)) return null;
+    return { timestamp: new Date(t), id: new ObjectId(id) };
+  } catch {
+    return null;
+  }
+}
+
 class GroupMemoryService {
   constructor() {
     this.client = null;
@@ -23,6 +52,7 @@ class GroupMemoryService {
       sharedContext: null     // 共享上下文
     };
     this.lastActivityTime = new Map(); // groupId -> timestamp
+    this.styleIndex = null;  // 'style' 索引 (style_vectors 集合)
   }
 
   async connect() {
@@ -45,6 +75,9 @@ class GroupMemoryService {
 
       // 創建索引
       await this.createIndexes();
+      this.styleIndex = await vectorIndexService.open('style', this.collections.styleVectors, {
+        filterFields: ['userId', 'groupId']
+      });
 
       logger.info('Group memory service connected');
       return true;
@@ -60,12 +93,13 @@ class GroupMemoryService {
       await this.collections.groupMessages.createIndex({ groupId: 1, timestamp: -1 });
       await this.collections.groupMessages.createIndex({ groupId: 1, userId: 1 });
       await this.collections.groupMessages.createIndex({ content: 'text' });
+      // 「不要記住」的消息到期自動刪除
+      await this.collections.groupMessages.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+      await backfillScopes(this.collections.groupMessages, 'groupId', groupScope);
 
-      // 用戶畫像索引
-      await this.collections.userProfiles.createIndex({ oduserId: 1 }, { unique: true });
-
-      // 風格向量索引
-      await this.collections.styleVectors.createIndex({ userId: 1 });
+      // 用戶畫像索引 (舊版字段名拼成了 oduserId，先改回 userId)
+      await this.migrateUserProfiles();
+      await this.collections.userProfiles.createIndex({ userId: 1 }, { unique: true });
 
       logger.info('Group memory indexes created');
     } catch (error) {
@@ -74,12 +108,37 @@ class GroupMemoryService {
   }
 
   /**
-   * 記錄群消息
+   * 舊的用戶畫像按 oduserId 存，改名成 userId
+   */
+  async migrateUserProfiles() {
+    // 舊的唯一索引會把缺 oduserId 的文檔都當成 null 重複，只要還在就刪 (不管有沒有舊文檔)
+    const hasLegacyIndex = await this.collections.userProfiles.indexExists('oduserId_1').catch(() => false);
+    if (hasLegacyIndex) {
+      await this.collections.userProfiles.dropIndex('oduserId_1');
+      logger.info('Dropped legacy oduserId_1 index on user_profiles');
+    }
+
+    const legacy = await this.collections.userProfiles.countDocuments({ oduserId: { $exists: true } });
+    if (legacy === 0) return;
+
+    await this.collections.userProfiles.updateMany(
+      { oduserId: { $exists: true } },
+      { $rename: { oduserId: 'userId' } }
+    );
+    logger.info(`Migrated ${legacy} user profiles to userId`);
+  }
+
+  /**
+   * 記錄群消息 (記憶範圍默認是這個群，scope 可指定)
+   * 真人開了「不要記住」時標記為 ephemeral；回覆這類消息的 bot 消息由調用方傳 ephemeral: true
    */
   async logGroupMessage(data) {
-    const { groupId, userId, userName, content, isBot, botName } = data;
+    const { groupId, userId, userName, content, isBot, botName, metadata, scope, ephemeral } = data;
 
     try {
+      const privacy = ephemeral
+        ? privacyService.ephemeralFields()
+        : isBot ? {} : await privacyService.recordFields(userId);
       const doc = {
         groupId,
         userId,
@@ -87,6 +146,8 @@ class GroupMemoryService {
         content,
         isBot: isBot || false,
         botName: botName || null,
+        ...(scope || groupScope(groupId)),
+        ...privacy,
         timestamp: new Date(),
         metadata: {
           contentLength: content?.length || 0,
@@ -95,14 +156,26 @@ class GroupMemoryService {
         }
       };
 
-      await this.collections.groupMessages.insertOne(doc);
+      const result = await this.collections.groupMessages.insertOne(doc);
 
       // 更新最後活動時間
       this.lastActivityTime.set(groupId, Date.now());
 
-      // 如果是真人消息，更新用戶畫像
-      if (!isBot && userId) {
+      // 如果是真人消息，更新用戶畫像 + 風格向量 (後台執行)；「不要記住」的消息只留在短期上下文
+      if (!isBot && userId && !doc.ephemeral) {
         await this.updateUserProfile(userId, userName, content);
+        this.indexStyleVector(result.insertedId, doc)
+          .catch(e => logger.debug('Style vector error:', e.message));
+
+        // 抽取家庭事實 (圖片等消息的內容是 AI 分析，不抽)
+        if (!metadata?.type) {
+          knowledgeGraphService.ingest({
+            scope: groupScope(groupId),
+            text: content,
+            speaker: userName,
+            source: { type: 'group_message', id: result.insertedId, chatId: groupId, userId, userName }
+          });
+        }
       }
 
       return true;
@@ -121,7 +194,7 @@ class GroupMemoryService {
       const features = this.analyzeContentFeatures(content);
 
       await this.collections.userProfiles.updateOne(
-        { oduserId: userId },
+        { userId },
         {
           $set: {
             userName,
@@ -150,6 +223,42 @@ class GroupMemoryService {
     }
   }
 
+  /**
+   * 真人消息向量化 (太短的消息沒有風格參考價值)
+   */
+  async indexStyleVector(messageId, doc) {
+    if (!this.styleIndex || (doc.content || '').trim().length < 6) return false;
+
+    const embedding = await aiService.generateEmbedding(doc.content);
+    await this.styleIndex.upsert(messageId.toString(), embedding, {
+      userId: doc.userId,
+      groupId: doc.groupId
+    });
+    return true;
+  }
+
+  /**
+   * 按話題找某個用戶說過的相似的話 (模仿風格用)，返回消息文檔
+   */
+  async findStyleExamples(userId, topic, limit = 5) {
+    if (!this.styleIndex || !topic) return [];
+
+    try {
+      const embedding = await aiService.generateEmbedding(topic);
+      const hits = await this.styleIndex.search(embedding, { k: limit, filter: { userId } });
+      if (hits.length === 0) return [];
+
+      const messages = await this.collections.groupMessages
+        .find({ _id: { $in: hits.map(h => new ObjectId(h.key)) } })
+        .toArray();
+      const byId = new Map(messages.map(m => [m._id.toString(), m]));
+      return hits.filter(h => byId.has(h.key)).map(h => byId.get(h.key));
+    } catch (error) {
+      logger.error('Error finding style examples:', error.message);
+      return [];
+    }
+  }
+
   /**
    * 分析內容特徵
    */
@@ -172,69 +281,91 @@ class GroupMemoryService {
   }
 
   /**
-   * 獲取群聊歷史 (合體上下文)
+   * 查詢群聊消息 - 按條數或時間窗口取，可按發送者過濾，用游標往更早的消息翻頁
+   * @param {Object} options
+   * @param {string|number} options.groupId - 不傳則查所有真實群聊 (排除 SYSTEM_GROUPS)
+   * @param {number} options.limit - 每頁條數 (最多 MAX_PAGE_SIZE)
+   * @param {Date} options.since - 時間窗口起點 (含)
+   * @param {Date} options.until - 時間窗口終點 (不含)
+   * @param {string} options.sender - 'all' / 'human' / 'bot'
+   * @param {string|string[]} options.userId - 只要某個 (某些) 用戶的消息
+   * @param {boolean} options.includeEphemeral - 是否包含「不要記住」的消息 (短期上下文要，長期分析不要)
+   * @param {string} options.cursor - 上一頁返回的 nextCursor
+   * @returns {Promise<{ messages: Array, nextCursor: string|null }>} messages 按時間正序 (舊 → 新)
    */
-  async getGroupHistory(groupId, limit = 50) {
+  async queryMessages({
+    groupId,
+    limit = 50,
+    since,
+    until,
+    sender = 'all',
+    userId,
+    includeEphemeral = true,
+    cursor
+  } = {}) {
+    const empty = { messages: [], nextCursor: null };
+    if (!this.collections.groupMessages) return empty;
+
+    const filter = { groupId: groupId != null ? String(groupId) : { $nin: SYSTEM_GROUPS } };
+    if (sender === 'human') filter.isBot = { $ne: true };
+    if (sender === 'bot') filter.isBot = true;
+    if (Array.isArray(userId)) filter.userId = { $in: userId.map(String) };
+    else if (userId) filter.userId = String(userId);
+    if (!includeEphemeral) filter.ephemeral = { $ne: true };
+    if (since || until) {
+      filter.timestamp = {};
+      if (since) filter.timestamp.$gte = since;
+      if (until) filter.timestamp.$lt = until;
+    }
+    if (cursor) {
+      const position = decodeCursor(cursor);
+      if (!position) {
+        logger.warn('Invalid group history cursor');
+        return empty;
+      }
+      filter.$or = [
+        { timestamp: { $lt: position.timestamp } },
+        { timestamp: position.timestamp, _id: { $lt: position.id } }
+      ];
+    }
+
     try {
-      return await this.collections.groupMessages
-        .find({ groupId })
-        .sort({ timestamp: -1 })
-        .limit(limit)
+      const pageSize = Math.min(Math.max(1, limit), MAX_PAGE_SIZE);
+      const page = await this.collections.groupMessages
+        .find(filter)
+        .sort({ timestamp: -1, _id: -1 })
+        .limit(pageSize + 1)
         .toArray();
+
+      const messages = page.slice(0, pageSize);
+      const nextCursor = page.length > pageSize ? encodeCursor(messages[messages.length - 1]) : null;
+      return { messages: messages.reverse(), nextCursor };
     } catch (error) {
-      logger.error('Error getting group history:', error);
-      return [];
+      logger.error('Error querying group messages:', error);
+      return empty;
     }
   }
 
   /**
-   * 獲取特定用戶在群裡的消息
+   * 最近的群聊消息 (按時間正序)，選項同 queryMessages
    */
-  async getUserMessagesInGroup(groupId, userId, limit = 30) {
-    try {
-      return await this.collections.groupMessages
-        .find({ groupId, userId })
-        .sort({ timestamp: -1 })
-        .limit(limit)
-        .toArray();
-    } catch (error) {
-      logger.error('Error getting user messages:', error);
-      return [];
-    }
+  async getRecentMessages(groupId, options = {}) {
+    const { messages } = await this.queryMessages({ ...options, groupId });
+    return messages;
   }
 
   /**
-   * 搜索群聊記憶 (跨用戶)
+   * 搜索群聊記憶 (跨用戶) - 關鍵詞 + 風格向量混合檢索，不含「不要記住」的消息
    */
   async searchGroupMemory(groupId, query, limit = 10) {
-    try {
-      // 文本搜索
-      const results = await this.collections.groupMessages
-        .find({
-          groupId,
-          $text: { $search: query }
-        })
-        .sort({ score: { $meta: 'textScore' }, timestamp: -1 })
-        .limit(limit)
-        .toArray();
-
-      return results;
-    } catch (error) {
-      // 回退到正則搜索
-      try {
-        return await this.collections.groupMessages
-          .find({
-            groupId,
-            content: { $regex: query, $options: 'i' }
-          })
-          .sort({ timestamp: -1 })
-          .limit(limit)
-          .toArray();
-      } catch (e) {
-        logger.error('Error searching group memory:', e);
-        return [];
-      }
-    }
+    return retrievalService.search(query, {
+      collection: this.collections.groupMessages,
+      filter: { groupId, ephemeral: { $ne: true } },
+      dateField: 'timestamp',
+      vectorIndex: this.styleIndex,
+      vectorFilter: { groupId },
+      limit
+    });
   }
 
   /**
@@ -242,7 +373,7 @@ class GroupMemoryService {
    */
   async getUserProfile(userId) {
     try {
-      return await this.collections.userProfiles.findOne({ oduserId: userId });
+      return await this.collections.userProfiles.findOne({ userId });
     } catch (error) {
       logger.error('Error getting user profile:', error);
       return null;
@@ -250,30 +381,20 @@ class GroupMemoryService {
   }
 
   /**
-   * 獲取用戶說話風格 (用於模仿)
+   * 按顯示名找真人用戶的 ID (名字包含任一關鍵字即可)
    */
-  async getUserStyle(userId) {
+  async findUserIdsByName(names) {
+    if (!this.collections.groupMessages || names.length === 0) return [];
+
     try {
-      const profile = await this.getUserProfile(userId);
-      if (!profile) return null;
-
-      const recentMessages = profile.recentMessages || [];
-      const vocabulary = profile.vocabulary || [];
-
-      // 計算平均特徵
-      const avgLength = profile.totalLength / Math.max(1, profile.messageCount);
-      const emojiRate = profile.features?.emojiCount / Math.max(1, profile.messageCount);
-
-      return {
-        avgMessageLength: avgLength,
-        emojiUsageRate: emojiRate,
-        commonWords: vocabulary.slice(0, 30),
-        recentExamples: recentMessages.slice(-10).map(m => m.content),
-        messageCount: profile.messageCount
-      };
+      const pattern = new RegExp(names.map(n => n.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|'));
+      return await this.collections.groupMessages.distinct('userId', {
+        isBot: { $ne: true },
+        userName: pattern
+      });
     } catch (error) {
-      logger.error('Error getting user style:', error);
-      return null;
+      logger.error('Error finding users by name:', error);
+      return [];
     }
   }
 
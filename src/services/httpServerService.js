@@ -0,0 +1,246 @@
+/**
+ * 內建 HTTP 服務 - webhook 接收 + 健康探針
+ *
+ * 路由:
+ * - POST /telegram/<bot>/<hash>  webhook 模式下各 bot 的秘密路徑
+ *   校驗 X-Telegram-Bot-Api-Secret-Token，按 update_id 去重後交給 bot.processUpdate
+ * - GET /healthz  進程存活 (Docker / PM2 探針)
+ * - GET /readyz   各組件初始化狀態 (Mongo / Notion / 模型 / Bot)，關鍵組件未就緒返回 503
+ *
+ * polling 模式下同樣啟動，只提供探針
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+import config from '../../config/index.js';
+import logger from '../utils/logger.js';
+
+const SECRET_HEADER = 'x-telegram-bot-api-secret-token';
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// 只接收處理器用到的更新類型
+const ALLOWED_UPDATES = ['message', 'edited_message', 'callback_query'];
+
+class HttpServerService {
+  constructor() {
+    this.server = null;
+    this.startedAt = Date.now();
+
+    // 不配置 WEBHOOK_SECRET 時每次啟動隨機生成 (setWebHook 會同步給 Telegram)
+    this.secret = config.telegram.webhook.secret || crypto.randomBytes(32).toString('hex');
+
+    // path -> { name, bot, seen: Set<update_id>, order: [] }
+    this.webhooks = new Map();
+
+    // name -> { check, critical }
+    this.readinessChecks = new Map();
+  }
+
+  isWebhookMode() {
+    return config.telegram.mode === 'webhook';
+  }
+
+  /**
+   * 啟動 HTTP 服務
+   */
+  async start({ port = config.server.port, host = config.server.host } = {}) {
+    if (this.server) return this.server;
+
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch((error) => {
+        logger.error('HTTP request error:', error.message);
+        if (!res.headersSent) this.sendJson(res, 500, { ok: false });
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.server.off('error', reject);
+        resolve();
+      });
+    });
+
+    logger.info(`HTTP server listening on ${host}:${this.getPort()} (telegram: ${config.telegram.mode})`);
+    return this.server;
+  }
+
+  getPort() {
+    return this.server?.address()?.port ?? null;
+  }
+
+  // ==================== Webhook ====================
+
+  /**
+   * 秘密路徑: 由 token 派生，不在 URL 裡暴露 token 本身
+   */
+  getWebhookPath(name, token) {
+    const hash = crypto.createHash('sha256').update(`${name}:${token}`).digest('hex').slice(0, 32);
+    return `/telegram/${name}/${hash}`;
+  }
+
+  /**
+   * 掛載 bot: 註冊秘密路徑並向 Telegram 設置 webhook
+   */
+  async attachBot(name, bot, token) {
+    const path = this.getWebhookPath(name, token);
+    this.webhooks.set(path, { name, bot, seen: new Set(), order: [] });
+
+    const publicUrl = String(config.telegram.webhook.publicUrl || '').replace(/\/+$/, '');
+    if (!publicUrl) {
+      throw new Error('WEBHOOK_PUBLIC_URL not configured');
+    }
+
+    await bot.setWebHook(`${publicUrl}${path}`, {
+      secret_token: this.secret,
+      allowed_updates: JSON.stringify(ALLOWED_UPDATES)
+    });
+    logger.info(`Webhook set for ${name}`);
+    return path;
+  }
+
+  async handleWebhook(req, res, hook) {
+    if (req.method !== 'POST') {
+      return this.sendJson(res, 405, { ok: false });
+    }
+
+    if (!this.isValidSecret(req.headers[SECRET_HEADER])) {
+      logger.warn(`Webhook ${hook.name}: rejected request with invalid secret`);
+      return this.sendJson(res, 401, { ok: false });
+    }
+
+    let update;
+    try {
+      update = JSON.parse(await this.readBody(req));
+    } catch (error) {
+      return this.sendJson(res, 400, { ok: false });
+    }
+
+    if (!Number.isInteger(update?.update_id)) {
+      return this.sendJson(res, 400, { ok: false });
+    }
+
+    // Telegram 超時未收到 200 會重發同一個 update
+    if (!this.markSeen(hook, update.update_id)) {
+      logger.debug(`Webhook ${hook.name}: duplicate update ${update.update_id}`);
+      return this.sendJson(res, 200, { ok: true, duplicate: true });
+    }
+
+    // 先回 200，處理器 (可能要等模型) 異步執行
+    this.sendJson(res, 200, { ok: true });
+    setImmediate(() => {
+      try {
+        hook.bot.processUpdate(update);
+      } catch (error) {
+        logger.error(`Webhook ${hook.name} process error:`, error.message);
+      }
+    });
+  }
+
+  isValidSecret(received) {
+    if (typeof received !== 'string') return false;
+    const a = Buffer.from(received);
+    const b = Buffer.from(this.secret);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
+
+  /**
+   * 記錄 update_id，已見過返回 false
+   */
+  markSeen(hook, updateId) {
+    if (hook.seen.has(updateId)) return false;
+
+    hook.seen.add(updateId);
+    hook.order.push(updateId);
+    while (hook.order.length > config.telegram.webhook.dedupeSize) {
+      hook.seen.delete(hook.order.shift());
+    }
+    return true;
+  }
+
+  // ==================== 健康探針 ====================
+
+  /**
+   * 註冊就緒檢查
+   * @param {Function} check - async () => { status: 'ok' | 'disabled' | 'error', ...詳情 }
+   * @param {boolean} critical - 為 error 時 /readyz 返回 503
+   */
+  addReadinessCheck(name, check, { critical = true } = {}) {
+    this.readinessChecks.set(name, { check, critical });
+  }
+
+  async getReadiness() {
+    const checks = {};
+    let ready = true;
+
+    for (const [name, { check, critical }] of this.readinessChecks) {
+      let result;
+      try {
+        result = await check();
+      } catch (error) {
+        result = { status: 'error', error: error.message };
+      }
+      checks[name] = { ...result, critical };
+      if (critical && result.status === 'error') ready = false;
+    }
+
+    return { ready, checks };
+  }
+
+  async handleRequest(req, res) {
+    const path = new URL(req.url, 'http://localhost').pathname;
+
+    const hook = this.webhooks.get(path);
+    if (hook) return this.handleWebhook(req, res, hook);
+
+    if (path === '/healthz' && req.method === 'GET') {
+      return this.sendJson(res, 200, {
+        status: 'ok',
+        mode: config.telegram.mode,
+        uptime: Math.round((Date.now() - this.startedAt) / 1000)
+      });
+    }
+
+    if (path === '/readyz' && req.method === 'GET') {
+      const { ready, checks } = await this.getReadiness();
+      return this.sendJson(res, ready ? 200 : 503, { status: ready ? 'ready' : 'not_ready', checks });
+    }
+
+    return this.sendJson(res, 404, { ok: false });
+  }
+
+  // ==================== 內部 ====================
+
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+      req.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+          reject(new Error('Request body too large'));
+          req.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+      req.on('error', reject);
+    });
+  }
+
+  sendJson(res, statusCode, body) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  async stop() {
+    if (!this.server) return;
+
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+    logger.info('HTTP server stopped');
+  }
+}
+
+export default new HttpServerService();
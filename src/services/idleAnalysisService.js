@@ -8,11 +8,9 @@
  * 分析結果向量化存入記憶，不發送消息
  */
 
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import OpenAI from 'openai';
-import config from '../../config/index.js';
 import groupMemoryService from './groupMemoryService.js';
 import smartMemoryService from './smartMemoryService.js';
+import llmService from './llmService.js';
 import logger from '../utils/logger.js';
 
 // 閒置時間閾值 (毫秒)
@@ -21,8 +19,6 @@ const CHECK_INTERVAL = 5 * 60 * 1000;  // 每 5 分鐘檢查一次
 
 class IdleAnalysisService {
   constructor() {
-    this.gemini = null;
-    this.grok = null;
     this.lastActivity = new Map();      // groupId -> timestamp
     this.lastAnalysis = new Map();      // groupId -> timestamp
     this.checkTimer = null;
@@ -34,27 +30,7 @@ class IdleAnalysisService {
    */
   async init() {
     try {
-      const geminiKey = config.apiKeys.gemini;
-      const grokKey = config.apiKeys.grok;
-
-      if (geminiKey) {
-        const genAI = new GoogleGenerativeAI(geminiKey);
-        // 使用最便宜的模型
-        this.gemini = genAI.getGenerativeModel({
-          model: 'gemini-2.0-flash-lite',
-          generationConfig: {
-            temperature: 0.3,
-            maxOutputTokens: 1024
-          }
-        });
-      }
-
-      if (grokKey) {
-        this.grok = new OpenAI({
-          apiKey: grokKey,
-          baseURL: 'https://api.x.ai/v1'
-        });
-      }
+      llmService.init();
 
       // 啟動定時檢查
       this.startIdleCheck();
@@ -111,12 +87,17 @@ class IdleAnalysisService {
   }
 
   /**
-   * 分析群組對話
+   * 分析群組對話 (只看上次分析之後的消息，不含「不要記住」的)
    */
   async analyzeGroup(groupId) {
     try {
       // 獲取最近對話
-      const recentMessages = await groupMemoryService.getRecentMessages(groupId, 50);
+      const lastAnalysis = this.lastAnalysis.get(groupId.toString());
+      const recentMessages = await groupMemoryService.getRecentMessages(groupId, {
+        limit: 50,
+        since: lastAnalysis ? new Date(lastAnalysis) : undefined,
+        includeEphemeral: false
+      });
       
       if (!recentMessages || recentMessages.length < 5) {
         logger.debug(`IdleAnalysis: Not enough messages in group ${groupId}`);
@@ -130,8 +111,8 @@ class IdleAnalysisService {
 
       // 並行分析
       const [geminiAnalysis, grokAnalysis] = await Promise.allSettled([
-        this.analyzeWithGemini(conversation),
-        this.analyzeWithGrok(conversation)
+        this.analyzeWithGemini(conversation, groupId),
+        this.analyzeWithGrok(conversation, groupId)
       ]);
 
       // 合併結果
@@ -154,8 +135,8 @@ class IdleAnalysisService {
   /**
    * Gemini 分析 (語意、情感、主題)
    */
-  async analyzeWithGemini(conversation) {
-    if (!this.gemini) return null;
+  async analyzeWithGemini(conversation, groupId) {
+    if (!llmService.isAvailable('gemini')) return null;
 
     const prompt = `分析以下群聊對話，提取關鍵信息：
 
@@ -171,8 +152,9 @@ ${conversation}
 格式：JSON`;
 
     try {
-      const result = await this.gemini.generateContent(prompt);
-      const text = result.response.text();
+      // 使用最便宜的模型 (idle.semantic)
+      const result = await llmService.generate('idle.semantic', prompt, { meta: { chatId: groupId } });
+      const text = result.text;
       
       // 嘗試解析 JSON
       try {
@@ -189,20 +171,14 @@ ${conversation}
   /**
    * Grok 分析 (輿論、補充觀點)
    */
-  async analyzeWithGrok(conversation) {
-    if (!this.grok) return null;
+  async analyzeWithGrok(conversation, groupId) {
+    if (!llmService.isAvailable('grok')) return null;
 
     try {
-      const response = await this.grok.chat.completions.create({
-        model: 'grok-3-mini',
-        messages: [
-          {
-            role: 'system',
-            content: '你是一個輿論分析師，擅長從對話中發現隱藏的觀點和情緒。'
-          },
-          {
-            role: 'user',
-            content: `分析以下群聊對話，補充 Gemini 可能遺漏的觀點：
+      const result = await llmService.chat('idle.opinion', [
+        {
+          role: 'user',
+          content: `分析以下群聊對話，補充 Gemini 可能遺漏的觀點：
 
 對話內容：
 ${conversation}
@@ -214,13 +190,13 @@ ${conversation}
 4. 建議的回應策略
 
 格式：JSON`
-          }
-        ],
-        temperature: 0.5,
-        max_tokens: 512
+        }
+      ], {
+        system: '你是一個輿論分析師，擅長從對話中發現隱藏的觀點和情緒。',
+        meta: { chatId: groupId }
       });
 
-      const text = response.choices[0]?.message?.content || '';
+      const text = result.text;
       
       try {
         return JSON.parse(text.replace(/```json\n?|\n?```/g, ''));
@@ -242,7 +218,7 @@ ${conversation}
       
       // 使用 smartMemoryService 向量化存儲
       await smartMemoryService.storeMemory({
-        userId: `group_${groupId}`,
+        groupId,
         type: 'idle_analysis',
         content: summary,
         metadata: {
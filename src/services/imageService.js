@@ -5,46 +5,33 @@
  * 支持向量記憶增強
  */
 
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import config from '../../config/index.js';
 import memoryService from './memoryService.js';
+import llmService from './llmService.js';
 import logger from '../utils/logger.js';
 
 class ImageService {
   constructor() {
-    this.gemini = null;
     this.generationHistory = []; // 記錄生成歷史用於學習
   }
 
   async init() {
-    const geminiKey = config.apiKeys.gemini;
-    if (geminiKey) {
-      this.gemini = new GoogleGenerativeAI(geminiKey);
-    }
+    llmService.init();
   }
 
   /**
    * 生成圖片描述 (由於 Gemini 不直接生成圖片，我們生成詳細描述)
    */
-  async generateImageDescription(prompt, userId) {
-    if (!this.gemini) {
+  async generateImageDescription(prompt, userId, chatId = userId) {
+    if (!llmService.isAvailable('gemini')) {
       throw new Error('Gemini API not initialized');
     }
 
     // 獲取用戶相關記憶來增強提示
-    const memories = await this.getRelevantMemories(userId, prompt);
+    const memories = await this.getRelevantMemories(userId, prompt, chatId);
     const memoryContext = memories.length > 0
       ? `\n\n用戶偏好參考：${memories.map(m => m.content).join('; ')}`
       : '';
 
-    const model = this.gemini.getGenerativeModel({
-      model: 'gemini-2.0-flash-exp',
-      generationConfig: {
-        temperature: 0.8,
-        maxOutputTokens: 1024
-      }
-    });
-
     const fullPrompt = `你是一個專業的圖像描述生成器。請根據以下主題生成一段詳細的圖像描述，用於 AI 繪圖。
 
 主題：${prompt}${memoryContext}
@@ -58,8 +45,8 @@ class ImageService {
 請直接輸出描述，不要加任何前綴。`;
 
     try {
-      const result = await model.generateContent(fullPrompt);
-      const description = result.response.text();
+      const result = await llmService.generate('image.describe', fullPrompt, { meta: { chatId, userId } });
+      const description = result.text;
       
       // 記錄生成歷史
       this.generationHistory.push({
@@ -89,16 +76,16 @@ class ImageService {
   }
 
   /**
-   * 獲取相關記憶 (用於增強生成)
+   * 獲取相關記憶 (用於增強生成，只取這個對話可讀的)
    */
-  async getRelevantMemories(userId, prompt) {
+  async getRelevantMemories(userId, prompt, chatId = userId) {
     try {
       // 18% 概率調用記憶
       if (Math.random() > 0.18) {
         return [];
       }
       
-      const memories = await memoryService.searchMemories(userId, prompt, 2);
+      const memories = await memoryService.searchMemories(userId, prompt, 2, {}, chatId);
       return memories;
     } catch (error) {
       return [];
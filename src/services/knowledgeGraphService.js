@@ -0,0 +1,425 @@
+/**
+ * 家庭知識圖譜
+ *
+ * 從群聊消息和用戶自己寫的筆記裡抽取結構化事實:
+ * 人物關係、生日、過敏、用藥、地址、簽證到期日、喜好
+ *
+ * - kg_entities: 實體 (人物 / 過敏物 / 藥物 / 地點 …)，同一範圍內按標準化名稱去重
+ * - kg_facts: 事實 = 主體 —謂詞→ 客體，帶來源消息 / 筆記引用
+ * - 範圍: { scope, scopeId } = 群聊 / 私人筆記 / 家庭共享 (媽媽的筆記本)，按對話的讀取策略查詢
+ * - 抽取: 關鍵詞粗篩後讓 LLM 返回 JSON，沒有 LLM 或解析失敗時用規則抽取
+ * - 在 /facts 刪除的事實標記為 rejected (不刪)，之後再被提到也不會重新出現
+ */
+
+import { MongoClient, ObjectId } from 'mongodb';
+import config from '../../config/index.js';
+import llmService from './llmService.js';
+import { converter } from '../utils/keywords.js';
+import { fold, queryTokens, bm25 } from '../utils/retrieval.js';
+import { scopeQuery } from '../utils/memoryScope.js';
+import logger from '../utils/logger.js';
+
+/**
+ * 謂詞定義
+ * - single: 每個人只有一個值 (生日 / 地址 / 每種簽證)，新的說法覆蓋舊的
+ * - health: 健康相關，回覆時優先引用
+ * - format: 事實的自然語言寫法 (注入提示詞 / 列表顯示)
+ */
+export const PREDICATES = {
+  allergic_to: { label: '過敏', icon: '⚠️', objectType: 'substance', health: true, format: (s, o) => `${s}对${o}过敏` },
+  takes_medication: { label: '用藥', icon: '💊', objectType: 'medication', health: true, format: (s, o) => `${s}在吃${o}` },
+  birthday: { label: '生日', icon: '🎂', objectType: 'date', single: true, format: (s, o) => `${s}的生日是${o}` },
+  lives_at: { label: '地址', icon: '🏠', objectType: 'place', single: true, format: (s, o) => `${s}住在${o}` },
+  visa_expires: { label: '簽證', icon: '🛂', objectType: 'date', single: true, format: (s, o, q) => `${s}的${q || '签证'}${o}到期` },
+  likes: { label: '喜歡', icon: '❤️', objectType: 'preference', format: (s, o) => `${s}喜欢${o}` },
+  dislikes: { label: '不喜歡', icon: '🚫', objectType: 'preference', format: (s, o) => `${s}不喜欢${o}` },
+  relation: { label: '關係', icon: '👪', objectType: 'person', format: (s, o, q) => `${s}是${o}的${q}` }
+};
+
+const KIN = ['儿子', '女儿', '老婆', '老公', '妻子', '丈夫', '妈妈', '爸爸', '哥哥', '姐姐', '弟弟', '妹妹',
+  '孙子', '孙女', '外孙女', '外孙', '儿媳', '女婿', '奶奶', '爷爷', '外婆', '外公'];
+
+const KIN_ALIASES = { 我妈: '妈妈', 老妈: '妈妈', 妈: '妈妈', 母亲: '妈妈', 我爸: '爸爸', 老爸: '爸爸', 爸: '爸爸', 父亲: '爸爸' };
+
+// 粗篩: 沒有這些詞的消息不可能包含要抽的事實，不調用 LLM
+const FACT_HINT = new RegExp(`过敏|生日|药|胶囊|住在|家住|家在|地址|签证|喜欢|爱吃|爱喝|不吃|讨厌|是.{0,5}(?:${KIN.join('|')})`);
+
+// ===== 規則抽取 (簡體，逐個分句匹配) =====
+
+const CLAUSE = /[^，。！？；,!?;\n]+[，。！？；,!?;\n]?/g;
+const LEAD = /^(?:记住|记得|提醒(?:一下|大家)?|注意|对了|顺便说(?:一下)?|告诉(?:你们|大家)|大家注意|另外|还有)[:：\s]*/;
+const QUESTION = /[吗呢么?？]$|什么|多少|哪|谁|是不是|有没有/;
+const INVALID_PERSON = /[他她它你谁这那哪啥]|什么|\d/;
+const INVALID_OBJECT = /^[了过]|[不没]$|^[你我他她它]$/;
+
+const S = '(.{1,5}?)';
+const DATE = '(\\d{4}年\\d{1,2}月(?:\\d{1,2}[日号])?|\\d{1,2}月\\d{1,2}[日号]?|\\d{4}[-/]\\d{1,2}[-/]\\d{1,2}|农历.{2,8}?)';
+const RULES = [
+  ['allergic_to', `^${S}对(.{1,12}?)过敏$`],
+  ['allergic_to', `^${S}的?过敏源?是(.{1,12})$`],
+  ['birthday', `^${S}的?生日(?:是|在)?${DATE}$`],
+  ['takes_medication', `^${S}(?:每天|每日|每晚|早晚|一直|长期|现在|最近)?(?:都|在)?(?:吃|服用)(.{1,10}?(?:药|片|胶囊|丸))$`],
+  ['lives_at', `^${S}(?:住在|家住|家在|的地址是|地址是)(.{2,40})$`],
+  ['visa_expires', `^${S}的?([^的]{0,6}签证)(?:在|将在|会在|于)?${DATE}(?:到期|过期)$`, ['subject', 'qualifier', 'object']],
+  ['visa_expires', `^${S}的?([^的]{0,6}签证)的?(?:到期日?|有效期)(?:是|到|至|在)?${DATE}$`, ['subject', 'qualifier', 'object']],
+  ['dislikes', `^${S}(?:不喜欢|不爱吃|不爱喝|不吃|讨厌)(.{1,12})$`],
+  ['likes', `^${S}(?:最喜欢|喜欢|爱吃|爱喝)(.{1,12})$`],
+  ['relation', `^(.{1,4}?)是${S}的?(${KIN.join('|')})$`, ['subject', 'object', 'qualifier']]
+].map(([predicate, source, fields = ['subject', 'object']]) => ({ predicate, pattern: new RegExp(source), fields }));
+
+/**
+ * 人物標準化: 「我」→ 說話人，「我妈 / 老妈」→ 妈妈
+ */
+function resolvePerson(raw, speaker) {
+  let name = converter.toSimplified(String(raw || '')).trim();
+  if (name === '我') return speaker ? converter.toSimplified(speaker) : null;
+  if (['我们', '我家', '我们家'].includes(name)) return '我们家';
+
+  name = KIN_ALIASES[name] || name;
+  if (name.startsWith('我') && KIN.includes(name.slice(1))) name = name.slice(1);
+  if (!name || name.length > 5 || INVALID_PERSON.test(name)) return null;
+  return name;
+}
+
+function cleanObject(raw) {
+  const object = converter.toSimplified(String(raw || '')).trim().replace(/^[在是]/, '');
+  if (!object || object.length > 40 || INVALID_OBJECT.test(object)) return null;
+  return object;
+}
+
+class KnowledgeGraphService {
+  constructor() {
+    this.client = null;
+    this.db = null;
+    this.collections = {
+      entities: null,  // 實體
+      facts: null      // 事實 (實體之間的關係)
+    };
+    this.settings = config.knowledge;
+  }
+
+  async connect() {
+    try {
+      this.client = new MongoClient(config.mongodb.uri);
+      await this.client.connect();
+      this.db = this.client.db(config.mongodb.dbName);
+
+      this.collections.entities = this.db.collection('kg_entities');
+      this.collections.facts = this.db.collection('kg_facts');
+
+      await this.collections.entities.createIndex({ scope: 1, scopeId: 1, key: 1, type: 1 }, { unique: true });
+      await this.collections.facts.createIndex({ scope: 1, scopeId: 1, status: 1, updatedAt: -1 });
+      await this.collections.facts.createIndex({ scope: 1, scopeId: 1, subjectKey: 1, predicate: 1 });
+
+      logger.info('Knowledge graph service connected');
+      return true;
+    } catch (error) {
+      logger.error('Knowledge graph connect error:', error);
+      return false;
+    }
+  }
+
+  // ==================== 抽取 ====================
+
+  /**
+   * 從一段文字抽取事實並寫入圖譜
+   * @param {Object} options
+   * @param {Object} options.scope - 記憶範圍 { scope, scopeId }
+   * @param {string} options.speaker - 說話人 (「我」指代的人)
+   * @param {Object} options.source - 來源引用 { type: 'group_message' | 'note', id, chatId, userId, ... }
+   * @returns {Promise<Array>} 寫入的事實
+   */
+  async ingest({ scope, text, speaker = null, source }) {
+    if (!this.settings.enabled || !this.collections.facts || !text) return [];
+    if (!FACT_HINT.test(converter.toSimplified(text))) return [];
+
+    try {
+      const facts = await this.extractFacts(text, speaker, { chatId: source?.chatId ?? null, userId: source?.userId ?? null });
+      const saved = [];
+      for (const fact of facts) {
+        saved.push(await this.upsertFact(scope, fact, { ...source, excerpt: text.substring(0, 100) }));
+      }
+      if (saved.length > 0) logger.info(`Knowledge graph: ${saved.length} facts from ${source.type}`);
+      return saved;
+    } catch (error) {
+      logger.error('Knowledge graph ingest error:', error);
+      return [];
+    }
+  }
+
+  /**
+   * 抽取事實 - LLM 優先，失敗時用規則
+   * @param {Object} meta - { chatId, userId }，記進用量賬本
+   */
+  async extractFacts(text, speaker, meta = {}) {
+    if (!llmService.isAvailable('gemini')) {
+      return this.extractByRules(text, speaker);
+    }
+
+    try {
+      const predicates = Object.entries(PREDICATES).map(([key, p]) => `- ${key}: ${p.label}`).join('\n');
+      const prompt = `从下面这段话里抽取关于家人的明确事实，返回 JSON：
+{"facts": [{"subject": "人物", "predicate": "类型", "object": "内容", "qualifier": "补充"}]}
+
+predicate 只能是：
+${predicates}
+
+- relation 的 object 是另一个人，qualifier 是关系 (如 儿子)
+- visa_expires 的 object 是到期日期，qualifier 是签证类型
+- 说话人是「${speaker || '未知'}」，"我"指说话人
+- 问句、猜测、玩笑不算事实；没有就返回 {"facts": []}
+
+内容：
+${text.substring(0, 1000)}
+
+只返回 JSON，不要其他内容。`;
+
+      const result = await llmService.generate('memory.facts', prompt, { meta });
+      const jsonMatch = result.text.match(/\{[\s\S]*\}/);
+      if (jsonMatch) {
+        const { facts = [] } = JSON.parse(jsonMatch[0]);
+        return facts.map(fact => this.normalizeFact(fact, speaker)).filter(Boolean);
+      }
+
+      return this.extractByRules(text, speaker);
+    } catch (error) {
+      logger.error('Fact extraction error:', error.message);
+      return this.extractByRules(text, speaker);
+    }
+  }
+
+  /**
+   * 規則抽取 (回退): 按分句匹配常見說法
+   */
+  extractByRules(text, speaker) {
+    const facts = [];
+
+    for (const [raw] of converter.toSimplified(text).matchAll(CLAUSE)) {
+      const clause = raw.replace(/[，。！？；,!?;\n]$/, '').trim().replace(LEAD, '');
+      if (!clause || QUESTION.test(raw.trim())) continue;
+
+      for (const { predicate, pattern, fields } of RULES) {
+        const match = clause.match(pattern);
+        if (!match) continue;
+
+        const parts = Object.fromEntries(fields.map((field, i) => [field, match[i + 1]]));
+        const fact = this.normalizeFact({ predicate, ...parts }, speaker);
+        if (fact) facts.push(fact);
+        break;
+      }
+    }
+
+    return facts;
+  }
+
+  /**
+   * 校驗 + 標準化 (LLM 和規則的結果都經過這裡)
+   */
+  normalizeFact({ predicate, subject, object, qualifier = '' }, speaker) {
+    const definition = PREDICATES[predicate];
+    if (!definition) return null;
+
+    const s = resolvePerson(subject, speaker);
+    const o = predicate === 'relation' ? resolvePerson(object, speaker) : cleanObject(object);
+    const q = converter.toSimplified(String(qualifier || '')).trim();
+    if (!s || !o || (predicate === 'relation' && !q)) return null;
+
+    return { predicate, subject: s, object: o, qualifier: q, text: definition.format(s, o, q) };
+  }
+
+  // ==================== 存儲 ====================
+
+  async upsertEntity({ scope, scopeId }, name, type) {
+    const now = new Date();
+    const entity = await this.collections.entities.findOneAndUpdate(
+      { scope, scopeId, key: fold(name), type },
+      { $setOnInsert: { name, createdAt: now }, $set: { updatedAt: now } },
+      { upsert: true, returnDocument: 'after' }
+    );
+    return entity._id;
+  }
+
+  /**
+   * 寫入事實: 已有的追加來源；單值事實換了新值就覆蓋 (被刪除過的也重新啟用)
+   */
+  async upsertFact(scope, fact, source) {
+    const now = new Date();
+    const definition = PREDICATES[fact.predicate];
+    const subjectId = await this.upsertEntity(scope, fact.subject, 'person');
+    const objectId = definition.objectType === 'date'
+      ? null
+      : await this.upsertEntity(scope, fact.object, definition.objectType);
+
+    const identity = { ...scope, subjectKey: fold(fact.subject), predicate: fact.predicate };
+    if (definition.single) identity.qualifier = fact.qualifier;
+    else identity.objectKey = fold(fact.object);
+
+    const sourceRef = { ...source, at: now };
+    const existing = await this.collections.facts.findOne(identity);
+
+    if (existing) {
+      const update = {
+        $set: { updatedAt: now },
+        $inc: { mentions: 1 },
+        $push: { sources: { $each: [sourceRef], $slice: -this.settings.maxSources } }
+      };
+      if (definition.single && fold(existing.object) !== fold(fact.object)) {
+        Object.assign(update.$set, {
+          object: fact.object,
+          objectKey: fold(fact.object),
+          objectId,
+          text: fact.text,
+          status: 'active',
+          corrected: false
+        });
+      }
+      await this.collections.facts.updateOne({ _id: existing._id }, update);
+      return { ...existing, ...update.$set };
+    }
+
+    const doc = {
+      ...identity,
+      subject: fact.subject,
+      subjectId,
+      object: fact.object,
+      objectKey: fold(fact.object),
+      objectId,
+      qualifier: fact.qualifier,
+      text: fact.text,
+      status: 'active',
+      mentions: 1,
+      sources: [sourceRef],
+      createdAt: now,
+      updatedAt: now
+    };
+    const result = await this.collections.facts.insertOne(doc);
+    return { _id: result.insertedId, ...doc };
+  }
+
+  // ==================== 查詢 ====================
+
+  /**
+   * 和消息相關的事實 (回覆時注入提示詞)
+   * 提到某人就帶上他的事實；過敏 / 用藥排在前面
+   * @param {Array<Object>} scopes - 可讀範圍 (見 utils/memoryScope.js readableScopes)
+   */
+  async getRelevantFacts(scopes, message, { speaker, limit = this.settings.promptFacts } = {}) {
+    if (!this.settings.enabled || !this.collections.facts || limit <= 0) return [];
+
+    try {
+      const facts = await this.collections.facts
+        .find({ ...scopeQuery(scopes), status: 'active' })
+        .sort({ updatedAt: -1 })
+        .limit(this.settings.candidates)
+        .toArray();
+      if (facts.length === 0) return [];
+
+      // 「我」指說話人，把名字加進查詢
+      const query = speaker && /我/.test(message) ? `${speaker} ${message}` : message;
+      const scores = bm25(queryTokens(query), facts, { text: 1 });
+
+      return facts
+        .map((fact, i) => ({ fact, score: scores[i] * (PREDICATES[fact.predicate]?.health ? 2 : 1) }))
+        .filter(r => r.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(r => r.fact);
+    } catch (error) {
+      logger.error('Get relevant facts error:', error);
+      return [];
+    }
+  }
+
+  /**
+   * 分頁列出事實 (按人物、類型排列)
+   */
+  async listFacts(scopes, { page = 0, pageSize = 5 } = {}) {
+    try {
+      const filter = { ...scopeQuery(scopes), status: 'active' };
+      const total = await this.collections.facts.countDocuments(filter);
+      const pages = Math.max(1, Math.ceil(total / pageSize));
+      page = Math.min(Math.max(page, 0), pages - 1);
+
+      const facts = await this.collections.facts
+        .find(filter)
+        .sort({ subjectKey: 1, predicate: 1, createdAt: 1 })
+        .skip(page * pageSize)
+        .limit(pageSize)
+        .toArray();
+
+      return { facts, total, page, pages };
+    } catch (error) {
+      logger.error('List facts error:', error);
+      return { facts: [], total: 0, page: 0, pages: 1 };
+    }
+  }
+
+  async getFact(factId, scopes) {
+    if (!ObjectId.isValid(factId)) return null;
+    try {
+      return await this.collections.facts.findOne({ _id: new ObjectId(factId), ...scopeQuery(scopes) });
+    } catch (error) {
+      logger.error('Get fact error:', error);
+      return null;
+    }
+  }
+
+  /**
+   * 用戶更正: 可以整句重寫 (重新抽取，謂詞要一致)，也可以只發新的值
+   * @returns {Promise<Object|null>} 更正後的事實
+   */
+  async correctFact(factId, scopes, input, { userId, speaker } = {}) {
+    const fact = await this.getFact(factId, scopes);
+    if (!fact) return null;
+
+    const definition = PREDICATES[fact.predicate];
+    const [rewritten] = this.extractByRules(input, speaker).filter(f => f.predicate === fact.predicate);
+    const subject = rewritten?.subject || fact.subject;
+    const object = rewritten?.object || cleanObject(input);
+    if (!object) return null;
+    const qualifier = rewritten?.qualifier || fact.qualifier;
+
+    const update = {
+      subject,
+      subjectKey: fold(subject),
+      object,
+      objectKey: fold(object),
+      qualifier,
+      text: definition.format(subject, object, qualifier),
+      corrected: true,
+      correctedBy: userId,
+      correctedAt: new Date(),
+      updatedAt: new Date()
+    };
+    try {
+      await this.collections.facts.updateOne({ _id: fact._id }, { $set: update });
+      return { ...fact, ...update };
+    } catch (error) {
+      logger.error('Correct fact error:', error);
+      return null;
+    }
+  }
+
+  /**
+   * 刪除 (標記 rejected，保留來源，避免同一句話再次抽出)
+   */
+  async rejectFact(factId, scopes, { userId } = {}) {
+    if (!ObjectId.isValid(factId)) return false;
+    try {
+      const result = await this.collections.facts.updateOne(
+        { _id: new ObjectId(factId), ...scopeQuery(scopes), status: 'active' },
+        { $set: { status: 'rejected', rejectedBy: userId, rejectedAt: new Date() } }
+      );
+      return result.modifiedCount > 0;
+    } catch (error) {
+      logger.error('Reject fact error:', error);
+      return false;
+    }
+  }
+
+  async close() {
+    if (this.client) await this.client.close();
+  }
+}
+
+export default new KnowledgeGraphService();
@@ -0,0 +1,318 @@
+/**
+ * LLM 服務 - Provider 註冊表
+ *
+ * 所有模型調用統一從這裡走:
+ * - generate(feature, prompt, overrides)   單輪文本
+ * - chat(feature, messages, overrides)     多輪對話 (system 放 overrides.system)
+ * - multimodal(feature, parts, overrides)  圖片 / 音頻
+ * - embed(text, overrides)                 向量嵌入
+ *
+ * feature 對應 config/llm.js 的 profile (模型 / 溫度 / 重試 / 回退)
+ * overrides.meta = { chatId, userId } 只用於用量記錄，不傳給 provider
+ * overrides.onDelta(text) 開啟流式 (generate / chat)，每次以累計全文回調；
+ *   回退換模型時會從新模型的開頭重新回調，調用方直接覆蓋即可
+ * LLM_PROVIDER=stub 時全部走離線 stub provider
+ *
+ * 預算: 超出 LLM_BUDGETS 時按 LLM_DOWNGRADES 降級，每次成功調用寫入用量賬本
+ *
+ * 回退 (profile.fallback):
+ * - 沿 smartRouter MODEL_FALLBACK_CHAIN 跨 provider 逐個嘗試
+ * - 跳過 EXCLUDED_MODEL_LIST 和不可用 / 不支持該能力的 provider
+ * - 錯誤分類決定重試 / 換模型 / 跳過整個 provider
+ *
+ * 返回: { text, tokens: { input, output }, images, model, provider,
+ *         requestedModel, fallback, budgetDowngraded, attempts }
+ * model = 實際回答的模型
+ */
+
+import config from '../../config/index.js';
+import { LLM_DEFAULTS, LLM_PROFILES } from '../../config/llm.js';
+import geminiProvider from '../providers/geminiProvider.js';
+import grokProvider from '../providers/grokProvider.js';
+import stubProvider from '../providers/stubProvider.js';
+import smartRouter, { MODEL_FALLBACK_CHAIN } from './smartRouter.js';
+import usageLedgerService from './usageLedgerService.js';
+import logger from '../utils/logger.js';
+
+// 暫時性錯誤 - 同模型重試
+const RETRYABLE_ERRORS = ['timeout', 'server', 'unknown'];
+
+// 同 provider 的其他模型也救不了 - 直接換 provider
+const SKIP_PROVIDER_ERRORS = ['safety', 'auth'];
+
+// 支持流式的調用 (provider 對應實現 generateStream / chatStream)
+const STREAM_METHODS = ['generate', 'chat'];
+
+class LLMService {
+  constructor() {
+    this.providers = new Map();
+    this.mode = config.llm.provider;
+    this.initialized = false;
+  }
+
+  /**
+   * 初始化所有 provider (可重複調用)
+   */
+  init() {
+    if (this.initialized) return;
+
+    this.register(geminiProvider);
+    this.register(grokProvider);
+    this.register(stubProvider);
+
+    for (const provider of this.providers.values()) {
+      provider.init();
+    }
+
+    this.initialized = true;
+    const ready = [...this.providers.values()].filter(p => p.isAvailable()).map(p => p.name);
+    logger.info(`LLM providers ready: ${ready.join(', ')} (mode: ${this.mode})`);
+  }
+
+  /**
+   * 註冊 provider
+   */
+  register(provider) {
+    this.providers.set(provider.name, provider);
+  }
+
+  /**
+   * 取得 profile 配置 (feature 默認值 + 調用時覆蓋)
+   */
+  getProfile(feature, overrides = {}) {
+    const profile = { ...LLM_DEFAULTS, ...(LLM_PROFILES[feature] || {}) };
+    for (const [key, value] of Object.entries(overrides)) {
+      if (value !== undefined) profile[key] = value;
+    }
+    if (!profile.model) {
+      throw new Error(`No model configured for feature: ${feature}`);
+    }
+    return profile;
+  }
+
+  /**
+   * 模型 ID → provider 名稱
+   */
+  providerNameFor(modelId) {
+    if (this.mode === 'stub') return 'stub';
+    return String(modelId).startsWith('grok') ? 'grok' : 'gemini';
+  }
+
+  getProvider(modelId) {
+    this.init();
+    return this.providers.get(this.providerNameFor(modelId));
+  }
+
+  /**
+   * provider 是否可用 - 可傳 provider 名稱或模型 ID
+   */
+  isAvailable(providerOrModel) {
+    this.init();
+    if (this.mode === 'stub') return true;
+    const provider = this.providers.get(providerOrModel) || this.getProvider(providerOrModel);
+    return !!provider?.isAvailable();
+  }
+
+  isStub() {
+    return this.mode === 'stub';
+  }
+
+  // ==================== 調用接口 ====================
+
+  async generate(feature, prompt, overrides = {}) {
+    return this.run(feature, 'generate', { prompt }, overrides);
+  }
+
+  async chat(feature, messages, overrides = {}) {
+    return this.run(feature, 'chat', { messages }, overrides);
+  }
+
+  async multimodal(feature, parts, overrides = {}) {
+    return this.run(feature, 'multimodal', { parts }, overrides);
+  }
+
+  async embed(text, overrides = {}) {
+    const { meta = {}, ...rest } = overrides;
+    const profile = this.getProfile('embedding', rest);
+    const provider = this.getProvider(profile.model);
+    if (!provider.isAvailable()) {
+      throw new Error(`${provider.name} provider not initialized (${profile.model})`);
+    }
+
+    const vector = await this.callWithRetry('embedding', profile, provider, 'embed', { text }, []);
+
+    // 嵌入接口不返回 usage，按長度估算
+    usageLedgerService.record({
+      ...meta,
+      feature: 'embedding',
+      model: profile.model,
+      provider: provider.name,
+      tokens: { input: Math.ceil(String(text).length / 4), output: 0 },
+      estimated: true
+    });
+
+    return vector;
+  }
+
+  // ==================== 回退執行 ====================
+
+  /**
+   * 回退鏈: 首選模型 + 該模型的回退鏈 + 默認回退鏈 (跨 provider 兜底)
+   * 去重並排除昂貴模型
+   */
+  getModelChain(modelId, useFallback = true) {
+    const candidates = useFallback
+      ? [modelId, ...smartRouter.getFallbackModels(modelId), ...MODEL_FALLBACK_CHAIN.default]
+      : [modelId];
+    return [...new Set(candidates)].filter(id => !smartRouter.isExcluded(id));
+  }
+
+  /**
+   * 錯誤分類: rate_limit | safety | timeout | server | auth | invalid | unknown
+   */
+  classifyError(error) {
+    if (error.llmErrorType) return error.llmErrorType;
+
+    const status = error.status ?? error.response?.status;
+    const message = String(error.message || '').toLowerCase();
+
+    if (status === 429 || /rate.?limit|quota|resource_exhausted|too many requests/.test(message)) {
+      return 'rate_limit';
+    }
+    if (/safety|blocked|prohibited_content|recitation/.test(message)) {
+      return 'safety';
+    }
+    if (error.name === 'APIConnectionTimeoutError' || /timeout|timed out|deadline/.test(message)) {
+      return 'timeout';
+    }
+    if ((status >= 500 && status < 600) || /internal error|unavailable|overloaded/.test(message)) {
+      return 'server';
+    }
+    if (status === 401 || status === 403 || /api key|permission denied|unauthori[sz]ed/.test(message)) {
+      return 'auth';
+    }
+    if (status === 400 || status === 404) {
+      return 'invalid';
+    }
+    return 'unknown';
+  }
+
+  /**
+   * 沿回退鏈執行，返回第一個成功的結果
+   */
+  async run(feature, method, payload, overrides) {
+    const { meta = {}, onDelta, ...rest } = overrides;
+    const profile = this.getProfile(feature, rest);
+
+    // 超預算降級 (回退鏈上的模型同樣按預算解析)
+    const model = usageLedgerService.resolveModel(feature, profile.model);
+    if (model !== profile.model) {
+      logger.info(`LLM ${feature}: ${profile.model} → ${model} (over budget)`);
+    }
+    const chain = [...new Set(
+      this.getModelChain(model, profile.fallback).map(id => usageLedgerService.resolveModel(feature, id))
+    )];
+
+    const attempts = [];
+    const skippedProviders = new Set();
+    let lastError = null;
+
+    for (const modelId of chain) {
+      const provider = this.getProvider(modelId);
+      if (skippedProviders.has(provider.name)) continue;
+      if (!provider.isAvailable() || !provider.capabilities.includes(method)) {
+        attempts.push({ model: modelId, type: 'unavailable' });
+        continue;
+      }
+
+      // 流式: provider 支持就走 xxxStream，否則整段生成後一次性回調
+      const streaming = !!onDelta && STREAM_METHODS.includes(method) && provider.capabilities.includes('stream');
+
+      try {
+        const startedAt = Date.now();
+        const result = await this.callWithRetry(
+          feature,
+          { ...profile, model: modelId },
+          provider,
+          streaming ? `${method}Stream` : method,
+          streaming ? { ...payload, onDelta } : payload,
+          attempts
+        );
+        if (onDelta && !streaming) {
+          onDelta(result.text);
+        }
+        if (modelId !== model) {
+          logger.info(`LLM ${feature}: ${model} → ${modelId} (fallback)`);
+        }
+
+        const summary = {
+          requestedModel: profile.model,
+          fallback: modelId !== model,
+          budgetDowngraded: model !== profile.model
+        };
+
+        usageLedgerService.record({
+          ...meta,
+          ...summary,
+          feature,
+          model: result.model,
+          provider: result.provider,
+          tokens: result.tokens,
+          estimated: result.estimated,
+          latencyMs: Date.now() - startedAt
+        });
+
+        return { ...result, ...summary, attempts };
+      } catch (error) {
+        lastError = error;
+        if (SKIP_PROVIDER_ERRORS.includes(error.llmErrorType)) {
+          skippedProviders.add(provider.name);
+        }
+      }
+    }
+
+    const error = lastError || new Error(`No available provider for ${feature} (${profile.model})`);
+    error.llmErrorType = error.llmErrorType || 'unavailable';
+    error.attempts = attempts;
+    throw error;
+  }
+
+  /**
+   * 單模型執行: 超時保護 + 暫時性錯誤重試
+   */
+  async callWithRetry(feature, profile, provider, method, payload, attempts) {
+    const request = { ...profile, ...payload };
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.withTimeout(provider[method](request), profile.timeoutMs);
+      } catch (error) {
+        error.llmErrorType = this.classifyError(error);
+        attempts.push({ model: profile.model, type: error.llmErrorType, message: error.message });
+        logger.warn(`LLM ${feature} (${profile.model}) failed [${error.llmErrorType}]: ${error.message}`);
+
+        if (!RETRYABLE_ERRORS.includes(error.llmErrorType) || attempt >= profile.retries) {
+          throw error;
+        }
+        await new Promise(r => setTimeout(r, profile.retryDelayMs * (attempt + 1)));
+      }
+    }
+  }
+
+  withTimeout(promise, timeoutMs) {
+    if (!timeoutMs) return promise;
+
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(`LLM request timed out after ${timeoutMs}ms`);
+        error.llmErrorType = 'timeout';
+        reject(error);
+      }, timeoutMs);
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+}
+
+export default new LLMService();
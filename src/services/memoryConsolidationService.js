@@ -0,0 +1,367 @@
+/**
+ * 記憶整理服務 - 定時後台任務
+ *
+ * 對 memories (BongBong 存檔) 和 smart_memories (智能記憶) 按用戶 / 群組逐個整理
+ * (同一用戶不同記憶範圍的記錄分開整理，合併不會跨範圍):
+ * 1. 近似重複聚類: 向量相似度 ≥ duplicateThreshold，或標準化後文本相同
+ * 2. 每組合併成一條 type = 'consolidated' 的記憶 (LLM 合併，失敗時保留最重要的一條)，
+ *    mergedFrom 記錄來源；原記憶歸檔 (archived + mergedInto)，不刪除
+ * 3. 上次整理後被檢索過的記憶提升重要度，長期沒被檢索的按半衰期衰減
+ * 4. 重要度很低且很久沒用的歸檔 (archivedReason: 'low_value')
+ * 5. 每個用戶 / 群組的整理統計寫入 memory_consolidation_stats
+ *
+ * 檢索次數由各記憶服務的 markRetrieved 記錄 (retrievalCount / lastRetrievedAt)
+ */
+
+import { MongoClient } from 'mongodb';
+import config from '../../config/index.js';
+import llmService from './llmService.js';
+import memoryService from './memoryService.js';
+import smartMemoryService from './smartMemoryService.js';
+import { normalize, dot } from '../utils/hnsw.js';
+import { fold } from '../utils/retrieval.js';
+import logger from '../utils/logger.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// 每個用戶 / 群組保留最近幾次合併記錄
+const RECENT_MERGES_KEPT = 10;
+
+const COUNTERS = ['clusters', 'merged', 'boosted', 'decayed', 'archived'];
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+class MemoryConsolidationService {
+  constructor() {
+    this.client = null;
+    this.db = null;
+    this.collections = {
+      stats: null  // 每個用戶 / 群組的整理統計
+    };
+    this.settings = config.consolidation;
+    this.timer = null;
+    this.firstRunTimer = null;
+    this.running = false;
+  }
+
+  async connect() {
+    try {
+      this.client = new MongoClient(config.mongodb.uri);
+      await this.client.connect();
+      this.db = this.client.db(config.mongodb.dbName);
+      this.collections.stats = this.db.collection('memory_consolidation_stats');
+      await this.collections.stats.createIndex({ ownerId: 1 }, { unique: true });
+
+      logger.info('Memory consolidation service connected');
+      return true;
+    } catch (error) {
+      logger.error('Memory consolidation connect error:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 啟動定時整理 (啟動後延遲一段時間跑第一次，避開啟動高峰)
+   */
+  start() {
+    if (!this.settings.enabled || this.timer) return;
+
+    const run = () => this.run().catch(e => logger.error('Memory consolidation error:', e));
+    this.firstRunTimer = setTimeout(run, this.settings.firstRunDelayMinutes * 60 * 1000);
+    this.timer = setInterval(run, this.settings.intervalHours * 60 * 60 * 1000);
+
+    logger.info(`Memory consolidation scheduled (every ${this.settings.intervalHours}h)`);
+  }
+
+  stop() {
+    clearTimeout(this.firstRunTimer);
+    clearInterval(this.timer);
+    this.firstRunTimer = null;
+    this.timer = null;
+  }
+
+  /**
+   * 記憶庫定義 (只整理已連接的)
+   */
+  getStores() {
+    return [
+      {
+        name: 'memories',
+        collection: memoryService.collections.memories,
+        vectorIndex: memoryService.vectorIndex,
+        ownerFields: ['userId', 'scope', 'scopeId'],
+        maxImportance: 5,
+        index: (id, doc) => memoryService.indexMemory(id, doc)
+      },
+      {
+        name: 'smart_memories',
+        collection: smartMemoryService.collections.memories,
+        vectorIndex: smartMemoryService.vectorIndex,
+        ownerFields: ['userId', 'groupId', 'scope', 'scopeId'],
+        maxImportance: 10,
+        index: (id, doc) => smartMemoryService.storeVector(id, doc)
+      }
+    ].filter(store => store.collection);
+  }
+
+  /**
+   * 整理所有記憶庫，返回本次匯總
+   */
+  async run(now = new Date()) {
+    if (this.running) return null;
+    this.running = true;
+
+    const totals = { owners: 0, ...Object.fromEntries(COUNTERS.map(key => [key, 0])) };
+    try {
+      for (const store of this.getStores()) {
+        for (const owner of await this.listOwners(store)) {
+          const result = await this.consolidateOwner(store, owner, now);
+          COUNTERS.forEach(key => { totals[key] += result[key]; });
+          totals.owners++;
+        }
+      }
+      logger.info(`Memory consolidation done: ${totals.clusters} clusters (${totals.merged} merged), ` +
+        `${totals.boosted} boosted, ${totals.decayed} decayed, ${totals.archived} archived`);
+      return totals;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * 有未歸檔記憶的用戶 / 群組
+   */
+  async listOwners(store) {
+    const groups = await store.collection.aggregate([
+      { $match: { archived: { $ne: true } } },
+      { $group: { _id: Object.fromEntries(store.ownerFields.map(field => [field, `$${field}`])) } }
+    ]).toArray();
+
+    return groups.map(group => Object.fromEntries(
+      store.ownerFields.map(field => [field, group._id?.[field] ?? null])
+    ));
+  }
+
+  /**
+   * 整理一個用戶 / 群組的記憶
+   */
+  async consolidateOwner(store, owner, now) {
+    const result = { ...Object.fromEntries(COUNTERS.map(key => [key, 0])), merges: [] };
+
+    const docs = await store.collection
+      .find({ ...owner, archived: { $ne: true } })
+      .sort({ importance: -1, createdAt: -1 })
+      .limit(this.settings.batchSize)
+      .toArray();
+    if (docs.length === 0) return result;
+
+    const merged = new Set();
+    for (const cluster of await this.findClusters(store, docs)) {
+      const canonical = await this.mergeCluster(store, cluster, now);
+      cluster.forEach(doc => merged.add(doc._id.toString()));
+      result.clusters++;
+      result.merged += cluster.length;
+      result.merges.push({
+        store: store.name,
+        canonicalId: canonical._id,
+        mergedFrom: canonical.mergedFrom,
+        preview: canonical.content.substring(0, 100),
+        at: now
+      });
+    }
+
+    for (const doc of docs) {
+      if (merged.has(doc._id.toString())) continue;
+      const outcome = await this.reviewImportance(store, doc, now);
+      if (outcome) result[outcome]++;
+    }
+
+    await this.recordStats(owner, result, now);
+    return result;
+  }
+
+  /**
+   * 近似重複聚類: docs 已按重要度降序，每組以最重要的一條為中心，
+   * 只和中心比較 (不做傳遞)，避免 A≈B≈C 把不相干的 A、C 串在一起
+   */
+  async findClusters(store, docs) {
+    const keys = docs.map(doc => doc._id.toString());
+    const vectors = store.vectorIndex ? await store.vectorIndex.vectors(keys) : new Map();
+    const normalized = keys.map(key => (vectors.has(key) ? normalize(vectors.get(key)) : null));
+    const fingerprints = docs.map(doc => fold(doc.content).replace(/[^\p{L}\p{N}]/gu, ''));
+
+    const assigned = new Set();
+    const clusters = [];
+    for (let i = 0; i < docs.length; i++) {
+      if (assigned.has(i)) continue;
+
+      const members = [i];
+      for (let j = i + 1; j < docs.length; j++) {
+        if (assigned.has(j)) continue;
+        const sameText = fingerprints[i] && fingerprints[i] === fingerprints[j];
+        const similar = normalized[i] && normalized[j] &&
+          dot(normalized[i], normalized[j]) >= this.settings.duplicateThreshold;
+        if (sameText || similar) members.push(j);
+      }
+
+      if (members.length > 1) {
+        members.forEach(index => assigned.add(index));
+        clusters.push(members.map(index => docs[index]));
+      }
+    }
+    return clusters;
+  }
+
+  /**
+   * 合併一組記憶: 寫入 consolidated 記憶，原記憶歸檔並移出向量索引
+   */
+  async mergeCluster(store, members, now) {
+    const [seed] = members;
+    const content = await this.mergeContents(members);
+    const max = store.maxImportance;
+    const topImportance = Math.max(...members.map(m => m.importance ?? max / 2));
+    const retrievalCount = members.reduce((sum, m) => sum + (m.retrievalCount || 0), 0);
+    const lastRetrieved = members.map(m => m.lastRetrievedAt).filter(Boolean).map(d => new Date(d).getTime());
+
+    const { _id, analysis, ...base } = seed;
+    const canonical = {
+      ...base,
+      content,
+      type: 'consolidated',
+      // 反覆出現說明重要，每多一條提升一檔
+      importance: round(Math.min(max, topImportance + this.settings.boostStep * max * (members.length - 1))),
+      mergedFrom: members.map(m => m._id),
+      firstSeenAt: new Date(Math.min(...members.map(m => new Date(m.firstSeenAt || m.createdAt).getTime()))),
+      retrievalCount,
+      retrievalsAtLastReview: retrievalCount,
+      lastRetrievedAt: lastRetrieved.length > 0 ? new Date(Math.max(...lastRetrieved)) : null,
+      reviewedAt: now,
+      createdAt: now,
+      updatedAt: now
+    };
+    if ('source' in seed) canonical.source = 'consolidated';
+    if ('summary' in seed) canonical.summary = content.substring(0, 100);
+    for (const field of ['tags', 'keyPoints']) {
+      if (Array.isArray(seed[field])) {
+        canonical[field] = [...new Set(members.flatMap(m => m[field] || []))].slice(0, 10);
+      }
+    }
+
+    const { insertedId } = await store.collection.insertOne(canonical);
+    await store.collection.updateMany(
+      { _id: { $in: canonical.mergedFrom } },
+      { $set: { archived: true, archivedAt: now, archivedReason: 'merged', mergedInto: insertedId } }
+    );
+    for (const member of members) {
+      await store.vectorIndex?.delete(member._id.toString());
+    }
+    await store.index(insertedId, canonical);
+
+    return { _id: insertedId, ...canonical };
+  }
+
+  /**
+   * 合併內容: 文本完全相同直接用，否則讓 LLM 合併 (保留所有具體信息)
+   */
+  async mergeContents(members) {
+    const contents = [...new Set(members.map(m => m.content.trim()))];
+    if (contents.length === 1) return contents[0];
+
+    try {
+      const list = contents.map((content, i) => `${i + 1}. ${content.substring(0, 1000)}`).join('\n');
+      const result = await llmService.generate('memory.consolidate',
+        `以下幾條記憶說的是同一件事，請合併成一條完整的記憶。保留所有具體的數字、日期、名稱和條件，去掉重複，不要加評論，只輸出合併後的內容。\n\n${list}`
+      );
+      const merged = result.text?.trim();
+      if (merged) return merged;
+    } catch (error) {
+      logger.warn('Memory merge via LLM failed, keeping the most important one:', error.message);
+    }
+    return members[0].content;
+  }
+
+  /**
+   * 重要度複查: 被用過的提升，長期沒用的衰減，低價值的歸檔
+   * @returns {'boosted' | 'decayed' | 'archived' | null}
+   */
+  async reviewImportance(store, doc, now) {
+    const { boostStep, decayAfterDays, decayHalfLifeDays, archiveBelow, archiveAfterDays } = this.settings;
+    const max = store.maxImportance;
+    const retrievals = doc.retrievalCount || 0;
+    const uses = retrievals - (doc.retrievalsAtLastReview || 0);
+    const lastUsed = new Date(doc.lastRetrievedAt || doc.createdAt || now).getTime();
+
+    let importance = doc.importance ?? max / 2;
+    let outcome = null;
+
+    if (uses > 0) {
+      importance = Math.min(max, importance + boostStep * max * Math.min(uses, 3));
+      outcome = 'boosted';
+    } else {
+      // 從「閒置滿 decayAfterDays」或上次複查 (取較晚者) 開始按半衰期衰減，與整理頻率無關
+      const reviewedAt = doc.reviewedAt ? new Date(doc.reviewedAt).getTime() : 0;
+      const decayFrom = Math.max(lastUsed + decayAfterDays * DAY, reviewedAt);
+      if (now.getTime() > decayFrom) {
+        importance *= Math.pow(0.5, (now.getTime() - decayFrom) / DAY / decayHalfLifeDays);
+        outcome = 'decayed';
+      }
+    }
+
+    const update = { importance: round(importance), retrievalsAtLastReview: retrievals, reviewedAt: now };
+    if (importance < archiveBelow * max && now.getTime() - lastUsed >= archiveAfterDays * DAY) {
+      Object.assign(update, { archived: true, archivedAt: now, archivedReason: 'low_value' });
+      await store.vectorIndex?.delete(doc._id.toString());
+      outcome = 'archived';
+    }
+
+    await store.collection.updateOne({ _id: doc._id }, { $set: update });
+    return outcome;
+  }
+
+  /**
+   * 統計歸到用戶 (沒有用戶的群組記憶歸到 group:<id>)
+   */
+  getOwnerId(owner) {
+    return owner.userId ? String(owner.userId) : `group:${owner.groupId}`;
+  }
+
+  async recordStats(owner, result, now) {
+    if (!this.collections.stats || COUNTERS.every(key => result[key] === 0)) return;
+
+    try {
+      const update = {
+        $inc: Object.fromEntries(COUNTERS.map(key => [`totals.${key}`, result[key]])),
+        $set: { lastRunAt: now }
+      };
+      if (result.merges.length > 0) {
+        update.$push = { recentMerges: { $each: result.merges, $slice: -RECENT_MERGES_KEPT } };
+      }
+      await this.collections.stats.updateOne({ ownerId: this.getOwnerId(owner) }, update, { upsert: true });
+    } catch (error) {
+      logger.error('Memory consolidation stats error:', error);
+    }
+  }
+
+  /**
+   * 某個用戶的整理統計
+   */
+  async getUserStats(userId) {
+    if (!this.collections.stats) return null;
+
+    try {
+      return await this.collections.stats.findOne({ ownerId: String(userId) });
+    } catch (error) {
+      logger.error('Get consolidation stats error:', error);
+      return null;
+    }
+  }
+
+  async close() {
+    this.stop();
+    if (this.client) await this.client.close();
+  }
+}
+
+export default new MemoryConsolidationService();
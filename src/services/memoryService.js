@@ -10,8 +10,21 @@
 
 import { MongoClient, ObjectId } from 'mongodb';
 import config from '../../config/index.js';
+import aiService from './aiService.js';
+import vectorIndexService from './vectorIndexService.js';
+import retrievalService from './retrievalService.js';
+import privacyService from './privacyService.js';
+import { SYSTEM_SCOPE, privateScope, chatScope, scopeFilter, backfillScopes } from '../utils/memoryScope.js';
 import logger from '../utils/logger.js';
 
+// 記憶存檔類型 (createMemoryCheckpoint 的 type)
+export const MEMORY_TYPES = {
+  auto: '自動存檔',
+  manual: '手動存檔',
+  summary: '對話摘要',
+  consolidated: '整理合併'
+};
+
 class MemoryService {
   constructor() {
     this.client = null;
@@ -20,10 +33,10 @@ class MemoryService {
       conversations: null,  // 對話記錄
       memories: null,       // 記憶存檔
       embeddings: null,     // 向量嵌入
-      notes: null,          // 便簽/筆記
       dailyTasks: null      // 每日任務
     };
     this.messageCounter = new Map(); // userId -> count
+    this.vectorIndex = null;  // 'memories' 索引 (embeddings 集合)
   }
 
   async connect() {
@@ -42,11 +55,13 @@ class MemoryService {
       this.collections.conversations = this.db.collection('conversations');
       this.collections.memories = this.db.collection('memories');
       this.collections.embeddings = this.db.collection('embeddings');
-      this.collections.notes = this.db.collection('notes');
       this.collections.dailyTasks = this.db.collection('daily_tasks');
       
       // 創建索引
       await this.createIndexes();
+      this.vectorIndex = await vectorIndexService.open('memories', this.collections.embeddings, {
+        filterFields: ['userId', 'type']
+      });
       
       logger.info('Memory service connected to MongoDB');
       return true;
@@ -61,6 +76,8 @@ class MemoryService {
       // 對話記錄索引
       await this.collections.conversations.createIndex({ chatId: 1, timestamp: -1 });
       await this.collections.conversations.createIndex({ userId: 1, timestamp: -1 });
+      // 「不要記住」的對話到期自動刪除
+      await this.collections.conversations.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
       
       // 記憶索引
       await this.collections.memories.createIndex({ userId: 1, createdAt: -1 });
@@ -69,9 +86,9 @@ class MemoryService {
       // 向量索引
       await this.collections.embeddings.createIndex({ userId: 1 });
       
-      // 便簽索引
-      await this.collections.notes.createIndex({ userId: 1, createdAt: -1 });
-      await this.collections.notes.createIndex({ title: 'text', content: 'text' });
+      // 舊記錄補上記憶範圍
+      await backfillScopes(this.collections.conversations, 'chatId', chatId => chatScope({ userId: chatId, chatId }));
+      await backfillScopes(this.collections.memories, 'userId', userId => (userId === 'system' ? SYSTEM_SCOPE : privateScope(userId)));
       
       logger.info('Memory indexes created');
     } catch (error) {
@@ -100,6 +117,8 @@ class MemoryService {
         tokens: tokens || 0,
         memoryRefs: memoryRefs || 0,
         messageNumber: count,
+        ...chatScope({ userId, chatId }),
+        ...await privacyService.recordFields(userId),
         timestamp: new Date(),
         metadata: {
           messageLength: message?.length || 0,
@@ -117,13 +136,44 @@ class MemoryService {
   }
 
   /**
-   * 獲取對話歷史
+   * 🔄 重新生成: 原地改寫原來那條對話的回覆 (不新增記錄、不增加消息計數)
+   * @returns {Promise<{ messageNumber: number }>} 原對話的消息序號，找不到時為 0
    */
-  async getConversationHistory(chatId, limit = 20) {
+  async replaceConversationResponse(chatId, message, previousResponse, { response, model, tokens }) {
+    try {
+      const doc = await this.collections.conversations.findOneAndUpdate(
+        { chatId, message, response: previousResponse },
+        {
+          $set: {
+            response,
+            model,
+            tokens: tokens || 0,
+            'metadata.responseLength': response?.length || 0,
+            regeneratedAt: new Date()
+          }
+        },
+        { sort: { timestamp: -1 }, returnDocument: 'after' }
+      );
+      return { messageNumber: doc?.messageNumber || 0 };
+    } catch (error) {
+      logger.error('Error replacing conversation response:', error);
+      return { messageNumber: 0 };
+    }
+  }
+
+  /**
+   * 獲取對話歷史 (新 → 舊)
+   * @param {Object} options - { since: 起始時間 (含), includeEphemeral: 是否包含「不要記住」的對話 }
+   */
+  async getConversationHistory(chatId, limit = 20, { since, includeEphemeral = true } = {}) {
+    const filter = { chatId };
+    if (since) filter.timestamp = { $gte: since };
+    if (!includeEphemeral) filter.ephemeral = { $ne: true };
+
     try {
       return await this.collections.conversations
-        .find({ chatId })
-        .sort({ timestamp: -1 })
+        .find(filter)
+        .sort({ timestamp: -1, _id: -1 })
         .limit(limit)
         .toArray();
     } catch (error) {
@@ -134,18 +184,21 @@ class MemoryService {
 
   /**
    * 創建記憶存檔點
+   * @param {Object} scope - 記憶範圍，默認是用戶的私有記憶 (見 utils/memoryScope.js)
    */
-  async createMemoryCheckpoint(userId, content, type = 'auto') {
+  async createMemoryCheckpoint(userId, content, type = 'auto', scope = privateScope(userId)) {
     try {
       const doc = {
         userId,
         content,
-        type, // 'auto', 'manual', 'summary'
+        type, // 見 MEMORY_TYPES
+        ...scope,
         createdAt: new Date(),
         importance: this.calculateImportance(content)
       };
       
       const result = await this.collections.memories.insertOne(doc);
+      await this.indexMemory(result.insertedId, doc);
       logger.info(`Memory checkpoint created for user ${userId}`);
       
       return result.insertedId;
@@ -175,46 +228,60 @@ class MemoryService {
   }
 
   /**
-   * 搜索記憶
+   * 記憶向量化 (失敗只記日誌，檢索時退回文本搜索)
    */
-  async searchMemories(userId, query, limit = 5) {
+  async indexMemory(memoryId, doc) {
+    if (!this.vectorIndex) return false;
+
     try {
-      // 簡單文本搜索
-      const results = await this.collections.memories
-        .find({
-          userId,
-          $text: { $search: query }
-        })
-        .sort({ score: { $meta: 'textScore' }, createdAt: -1 })
-        .limit(limit)
-        .toArray();
-      
-      return results;
+      const embedding = await aiService.generateEmbedding(doc.content);
+      await this.vectorIndex.upsert(memoryId.toString(), embedding, { userId: doc.userId, type: doc.type });
+      return true;
     } catch (error) {
-      // 如果文本索引不存在，使用正則搜索
-      try {
-        return await this.collections.memories
-          .find({
-            userId,
-            content: { $regex: query, $options: 'i' }
-          })
-          .sort({ createdAt: -1 })
-          .limit(limit)
-          .toArray();
-      } catch (e) {
-        logger.error('Error searching memories:', e);
-        return [];
-      }
+      logger.error('Error indexing memory:', error.message);
+      return false;
     }
   }
 
+  /**
+   * 搜索記憶 - 關鍵詞 (BM25) + 語義混合檢索，結果帶高亮摘要
+   * @param {Object} snippet - 摘要高亮選項，見 utils/retrieval.js highlight
+   * @param {number|string} chatId - 在哪個對話裡檢索，只返回這個對話可讀範圍內的記憶
+   */
+  async searchMemories(userId, query, limit = 5, snippet = {}, chatId = userId) {
+    const results = await retrievalService.search(query, {
+      collection: this.collections.memories,
+      filter: { userId, archived: { $ne: true }, ...scopeFilter({ userId, chatId }) },
+      importance: doc => (doc.importance || 0) / 5,
+      vectorIndex: this.vectorIndex,
+      // 歸檔的記憶已移出向量索引，向量端只按用戶過濾
+      vectorFilter: { userId },
+      snippet,
+      limit
+    });
+    this.markRetrieved(results);
+    return results;
+  }
+
+  /**
+   * 記錄被檢索 (記憶整理據此提升 / 衰減重要度)，不阻塞搜索
+   */
+  markRetrieved(memories) {
+    const ids = memories.map(m => m._id).filter(Boolean);
+    if (ids.length === 0) return;
+
+    this.collections.memories
+      .updateMany({ _id: { $in: ids } }, { $inc: { retrievalCount: 1 }, $set: { lastRetrievedAt: new Date() } })
+      .catch(error => logger.error('Error marking memories retrieved:', error));
+  }
+
   /**
    * 獲取最近記憶
    */
   async getRecentMemories(userId, limit = 10) {
     try {
       return await this.collections.memories
-        .find({ userId })
+        .find({ userId, archived: { $ne: true } })
         .sort({ createdAt: -1 })
         .limit(limit)
         .toArray();
@@ -225,63 +292,100 @@ class MemoryService {
   }
 
   /**
-   * 保存便簽
+   * 分頁列出記憶 (新的在前)，只列 chatId 這個對話可讀的
    */
-  async saveNote(userId, title, content, tags = []) {
+  async listMemories(userId, { page = 0, pageSize = 5, chatId = userId } = {}) {
     try {
-      const doc = {
-        userId,
-        title,
-        content,
-        tags,
-        createdAt: new Date(),
-        updatedAt: new Date()
-      };
-      
-      const result = await this.collections.notes.insertOne(doc);
-      return { id: result.insertedId, ...doc };
+      const filter = { userId, archived: { $ne: true }, ...scopeFilter({ userId, chatId }) };
+      const total = await this.collections.memories.countDocuments(filter);
+      const pages = Math.max(1, Math.ceil(total / pageSize));
+      page = Math.min(Math.max(page, 0), pages - 1);
+
+      const memories = await this.collections.memories
+        .find(filter)
+        .sort({ createdAt: -1 })
+        .skip(page * pageSize)
+        .limit(pageSize)
+        .toArray();
+
+      return { memories, total, page, pages };
     } catch (error) {
-      logger.error('Error saving note:', error);
-      return null;
+      logger.error('Error listing memories:', error);
+      return { memories: [], total: 0, page: 0, pages: 1 };
     }
   }
 
   /**
-   * 搜索便簽
+   * 刪除單條記憶 (只能刪自己的)
    */
-  async searchNotes(userId, query, limit = 10) {
+  async deleteMemory(userId, memoryId) {
     try {
-      return await this.collections.notes
-        .find({
-          userId,
-          $or: [
-            { title: { $regex: query, $options: 'i' } },
-            { content: { $regex: query, $options: 'i' } },
-            { tags: { $regex: query, $options: 'i' } }
-          ]
-        })
-        .sort({ updatedAt: -1 })
-        .limit(limit)
-        .toArray();
+      if (!ObjectId.isValid(memoryId)) return false;
+
+      const result = await this.collections.memories.deleteOne({ _id: new ObjectId(memoryId), userId });
+      if (result.deletedCount === 0) return false;
+
+      await this.vectorIndex?.delete(memoryId);
+      return true;
     } catch (error) {
-      logger.error('Error searching notes:', error);
-      return [];
+      logger.error('Error deleting memory:', error);
+      return false;
     }
   }
 
   /**
-   * 獲取所有便簽
+   * 清除範圍 → Mongo 過濾條件 (和 listMemories 一樣只含 chatId 這個對話可讀、未歸檔的)
+   * @param {Object} scope - {} 全部 / { type } 某類存檔 / { days } 最近 N 天
+   */
+  buildScopeFilter(userId, { type, days } = {}, { chatId = userId } = {}) {
+    const filter = { userId, archived: { $ne: true }, ...scopeFilter({ userId, chatId }) };
+    if (type) filter.type = type;
+    if (days) filter.createdAt = { $gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000) };
+    return filter;
+  }
+
+  /**
+   * 範圍內的記憶數 (清除前確認用)
    */
-  async getAllNotes(userId, limit = 50) {
+  async countMemories(userId, scope = {}, { chatId = userId } = {}) {
     try {
-      return await this.collections.notes
-        .find({ userId })
-        .sort({ updatedAt: -1 })
-        .limit(limit)
-        .toArray();
+      return await this.collections.memories.countDocuments(this.buildScopeFilter(userId, scope, { chatId }));
     } catch (error) {
-      logger.error('Error getting notes:', error);
-      return [];
+      logger.error('Error counting memories:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * 每種存檔類型的記憶數
+   */
+  async countMemoriesByType(userId, { chatId = userId } = {}) {
+    const counts = {};
+    for (const type of Object.keys(MEMORY_TYPES)) {
+      counts[type] = await this.countMemories(userId, { type }, { chatId });
+    }
+    return counts;
+  }
+
+  /**
+   * 按範圍清除記憶，同時刪除向量，返回清除條數
+   */
+  async clearMemories(userId, scope = {}, { chatId = userId } = {}) {
+    try {
+      const filter = this.buildScopeFilter(userId, scope, { chatId });
+      const ids = (await this.collections.memories.find(filter).project({ _id: 1 }).toArray())
+        .map(doc => doc._id);
+      if (ids.length === 0) return 0;
+
+      const result = await this.collections.memories.deleteMany({ _id: { $in: ids } });
+      for (const id of ids) {
+        await this.vectorIndex?.delete(id.toString());
+      }
+      logger.info(`Cleared ${result.deletedCount} memories for user ${userId}`);
+      return result.deletedCount;
+    } catch (error) {
+      logger.error('Error clearing memories:', error);
+      return 0;
     }
   }
 
@@ -336,20 +440,18 @@ class MemoryService {
    */
   async getStats(userId) {
     try {
-      const [conversationCount, memoryCount, noteCount] = await Promise.all([
+      const [conversationCount, memoryCount] = await Promise.all([
         this.collections.conversations.countDocuments({ userId }),
-        this.collections.memories.countDocuments({ userId }),
-        this.collections.notes.countDocuments({ userId })
+        this.collections.memories.countDocuments({ userId })
       ]);
       
       return {
         conversations: conversationCount,
-        memories: memoryCount,
-        notes: noteCount
+        memories: memoryCount
       };
     } catch (error) {
       logger.error('Error getting stats:', error);
-      return { conversations: 0, memories: 0, notes: 0 };
+      return { conversations: 0, memories: 0 };
     }
   }
 
@@ -7,6 +7,11 @@
 // 功能状态标记
 // ✅ = 已完成  🔨 = 开发中  📋 = 计划中
 
+// 菜单可以在 keyboard 旁边声明 actions (callback_data → 动作)，由 registerActions 注册到回调路由:
+// - { reply: '文本' }     直接回复 (Markdown)
+// - { menu: 'name' }      切换到另一个菜单
+// - { handler: 'name' }   调用注册时传入的同名处理函数 handler(ctx)
+
 // BongBong 主菜單 (聊天/筆記/養生/新聞/創作)
 export const MAIN_MENU = {
   text: `🎭 **BongBong 主菜单**
@@ -91,12 +96,25 @@ export const CHAT_MENU = {
       { text: '📚 知識問答', callback_data: 'chat_knowledge' }
     ],
     [
-      { text: '🔥 全火力模式', callback_data: 'chat_fullpower' }
+      { text: '🔥 全火力模式', callback_data: 'chat_fullpower' },
+      { text: '🔄 自動模式', callback_data: 'chat_auto' }
     ],
     [
       { text: '◀️ 返回主菜單', callback_data: 'menu_main' }
     ]
-  ]
+  ],
+
+  // 模式說明 / 模型 / 有效期見 config/bongbong.js CONVERSATION_MODES
+  actions: {
+    chat_fast: { handler: 'chatMode', mode: 'fast' },
+    chat_deep: { handler: 'chatMode', mode: 'deep' },
+    chat_humor: { handler: 'chatMode', mode: 'humor' },
+    chat_emotional: { handler: 'chatMode', mode: 'emotional' },
+    chat_fortune: { handler: 'fortune' },
+    chat_knowledge: { handler: 'chatMode', mode: 'knowledge' },
+    chat_fullpower: { handler: 'chatMode', mode: 'fullpower' },
+    chat_auto: { handler: 'chatMode', mode: null }
+  }
 };
 
 // 全火力模式說明
@@ -144,10 +162,30 @@ export const NOTES_MENU = {
       { text: '📋 全部', callback_data: 'notes_list' },
       { text: '🔍 搜索', callback_data: 'notes_search' }
     ],
+    [
+      { text: '🗂️ 分类 / 标签', callback_data: 'notes_browse' },
+      { text: '🗓️ 最近 7 天', callback_data: 'notes_recent' }
+    ],
+    [
+      { text: '📥 导入', callback_data: 'notes_import' },
+      { text: '📤 导出', callback_data: 'notes_export' }
+    ],
     [
       { text: '◀️ 返回', callback_data: 'menu_main' }
     ]
-  ]
+  ],
+
+  actions: {
+    notes_mother: { handler: 'notesMother' },
+    notes_mine: { handler: 'notesMine' },
+    notes_new: { handler: 'noteNew' },
+    notes_list: { handler: 'notesList' },
+    notes_search: { handler: 'noteSearch' },
+    notes_browse: { handler: 'notesBrowse' },
+    notes_recent: { handler: 'notesRecent' },
+    notes_import: { handler: 'notesImport' },
+    notes_export: { handler: 'notesExport' }
+  }
 };
 
 // 🛂 签证咨询菜单（母亲专用）
@@ -259,7 +297,16 @@ export const BRAIN_MENU = {
     [
       { text: '◀️ 返回主菜單', callback_data: 'menu_main' }
     ]
-  ]
+  ],
+
+  actions: {
+    brain_teaser: { handler: 'brainTeaser' },
+    brain_picture: { reply: '🖼️ *看圖說話*\n\n(功能開發中...)' },
+    brain_memory: { reply: '🧠 *記憶訓練*\n\n(功能開發中...)' },
+    brain_math: { reply: '🔢 *數學題*\n\n(功能開發中...)' },
+    brain_daily: { reply: '✅ *今日任務*\n\n(功能開發中...)' },
+    brain_achievements: { reply: '🏆 *成就*\n\n(功能開發中...)' }
+  }
 };
 
 export const HEALTH_MENU = {
@@ -283,7 +330,16 @@ export const HEALTH_MENU = {
     [
       { text: '◀️ 返回主菜單', callback_data: 'menu_main' }
     ]
-  ]
+  ],
+
+  actions: {
+    health_symptom: { reply: '🏥 *症狀查詢*\n\n描述你的症狀，我會給出建議。\n\n⚠️ 僅供參考，如有不適請就醫。' },
+    health_medicine: { reply: '💊 *藥物諮詢*\n\n告訴我藥物名稱，我會查詢相關信息。' },
+    health_food: { reply: '🍵 *食療養生*\n\n告訴我你的體質或症狀，我推薦食療方案。' },
+    health_acupoint: { reply: '🧘 *穴位按摩*\n\n(功能開發中...)' },
+    health_calendar: { reply: '📅 *養生日曆*\n\n(功能開發中...)' },
+    health_tip: { reply: '💡 *今日養生小貼士*\n\n多喝水，早睡早起，保持心情愉快！' }
+  }
 };
 
 export const GAMES_MENU = {
@@ -303,7 +359,14 @@ export const GAMES_MENU = {
     [
       { text: '◀️ 返回主菜單', callback_data: 'menu_main' }
     ]
-  ]
+  ],
+
+  actions: {
+    game_sudoku: { reply: '🔢 *數獨*\n\n(功能開發中...)' },
+    game_gomoku: { reply: '⚫ *五子棋*\n\n(功能開發中...)' },
+    game_riddle: { reply: '🎯 *猜謎語*\n\n(功能開發中...)' },
+    game_idiom: { reply: '📝 *成語接龍*\n\n(功能開發中...)' }
+  }
 };
 
 export const SETTINGS_MENU = {
@@ -323,7 +386,14 @@ export const SETTINGS_MENU = {
     [
       { text: '◀️ 返回主菜單', callback_data: 'menu_main' }
     ]
-  ]
+  ],
+
+  actions: {
+    settings_persona: { reply: '🎭 *人格風格*\n\n(功能開發中...)' },
+    settings_reminder: { reply: '🔔 *提醒設置*\n\n(功能開發中...)' },
+    settings_model: { reply: '🤖 *模型偏好*\n\n(功能開發中...)' },
+    settings_memory: { menu: 'memory' }
+  }
 };
 
 export const MEMORY_MENU = {
@@ -341,9 +411,24 @@ export const MEMORY_MENU = {
       { text: '🗑️ 清除記憶', callback_data: 'memory_clear' }
     ],
     [
+      { text: '🧹 整理記錄', callback_data: 'memory_consolidation' },
+      { text: '🧠 家庭資料', callback_data: 'facts_list' }
+    ],
+    [
+      { text: '🙈 不要記住', callback_data: 'privacy_settings' },
       { text: '◀️ 返回設置', callback_data: 'menu_settings' }
     ]
-  ]
+  ],
+
+  actions: {
+    memory_checkpoint: { handler: 'memoryCheckpoint' },
+    memory_list: { handler: 'memoryList' },
+    memory_search: { handler: 'memorySearch' },
+    memory_clear: { handler: 'memoryClear' },
+    memory_consolidation: { handler: 'memoryConsolidation' },
+    facts_list: { handler: 'factsList' },
+    privacy_settings: { handler: 'privacySettings' }
+  }
 };
 
 // 快捷回覆按鈕 (附加在每條消息後)
@@ -357,9 +442,9 @@ export const QUICK_ACTIONS = {
   ]
 };
 
-// 確認對話框
-export const CONFIRM_DIALOG = (action) => ({
-  text: `⚠️ 確認${action}？`,
+// 確認對話框 (action 進 callback_data，label 給人看，不傳時同 action)
+export const CONFIRM_DIALOG = (action, label = action) => ({
+  text: `⚠️ 確認${label}？`,
   keyboard: [
     [
       { text: '✅ 確認', callback_data: `confirm_${action}` },
@@ -431,30 +516,75 @@ class MenuService {
    */
   async updateMenu(bot, chatId, messageId, menuName, customText = null) {
     const menu = this.getMenu(menuName);
-    const text = customText || menu.text;
-    
+    return this.updateMessage(bot, chatId, messageId, customText || menu.text, menu.keyboard);
+  }
+
+  /**
+   * 編輯消息為任意文本 + 按鈕 (列表翻頁、確認框等)，沒有 messageId 時發新消息
+   */
+  async updateMessage(bot, chatId, messageId, text, keyboard) {
+    const options = {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: keyboard
+      }
+    };
+
+    if (!messageId) {
+      return await bot.sendMessage(chatId, text, options);
+    }
+
     try {
       return await bot.editMessageText(text, {
         chat_id: chatId,
         message_id: messageId,
-        parse_mode: 'Markdown',
-        reply_markup: {
-          inline_keyboard: menu.keyboard
-        }
+        ...options
       });
     } catch (error) {
       // 忽略 "message is not modified" 錯誤
       if (error.message?.includes('message is not modified')) {
         return null;
       }
-      // 如果消息不存在，發送新菜單
+      // 如果消息不存在，發送新消息
       if (error.message?.includes('message to edit not found')) {
-        return await this.sendMenu(bot, chatId, menuName, customText);
+        return await bot.sendMessage(chatId, text, options);
       }
       throw error;
     }
   }
 
+  /**
+   * 把菜单导航 (menu_xxx) 和各菜单声明的 actions 注册到回调路由
+   * handlers: { name: (ctx) => ... }，对应 actions 里的 { handler: 'name' }
+   */
+  registerActions(router, handlers = {}) {
+    router.register('menu', { menuName: Object.keys(this.menus) }, (ctx) =>
+      this.updateMenu(ctx.bot, ctx.chatId, ctx.messageId, ctx.params.menuName)
+    );
+
+    for (const menu of Object.values(this.menus)) {
+      for (const [data, action] of Object.entries(menu.actions || {})) {
+        if (action.handler && !handlers[action.handler]) {
+          throw new Error(`Menu action handler missing: ${action.handler} (${data})`);
+        }
+        router.register(data, (ctx) => this.runAction(ctx, action, handlers));
+      }
+    }
+  }
+
+  /**
+   * 执行菜单声明的动作
+   */
+  async runAction(ctx, action, handlers) {
+    if (action.menu) {
+      return this.updateMenu(ctx.bot, ctx.chatId, ctx.messageId, action.menu);
+    }
+    if (action.reply) {
+      return ctx.bot.sendMessage(ctx.chatId, action.reply, { parse_mode: 'Markdown' });
+    }
+    return handlers[action.handler](ctx, action);
+  }
+
   /**
    * 添加快捷操作按鈕
    */
@@ -9,9 +9,7 @@
  * 觸發方式: 菜單按鈕 (無關鍵詞)
  */
 
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import OpenAI from 'openai';
-import config from '../../config/index.js';
+import llmService from './llmService.js';
 import logger from '../utils/logger.js';
 
 // 新聞分類
@@ -24,8 +22,6 @@ const NEWS_CATEGORIES = [
 
 class NewsCompareService {
   constructor() {
-    this.gemini = null;
-    this.grok = null;
     this.cache = {
       news: null,
       opinion: null,
@@ -40,26 +36,7 @@ class NewsCompareService {
    */
   async init() {
     try {
-      const geminiKey = config.apiKeys.gemini;
-      const grokKey = config.apiKeys.grok;
-
-      if (geminiKey) {
-        const genAI = new GoogleGenerativeAI(geminiKey);
-        this.gemini = genAI.getGenerativeModel({
-          model: 'gemini-2.5-flash-preview-05-20',
-          generationConfig: {
-            temperature: 0.3,
-            maxOutputTokens: 4096
-          }
-        });
-      }
-
-      if (grokKey) {
-        this.grok = new OpenAI({
-          apiKey: grokKey,
-          baseURL: 'https://api.x.ai/v1'
-        });
-      }
+      llmService.init();
 
       this.isInitialized = true;
       logger.info('NewsCompare: Service initialized');
@@ -88,7 +65,7 @@ class NewsCompareService {
    * 獲取新聞 (Gemini)
    */
   async fetchNews() {
-    if (!this.gemini) {
+    if (!llmService.isAvailable('gemini')) {
       throw new Error('Gemini not initialized');
     }
 
@@ -109,8 +86,8 @@ class NewsCompareService {
 請確保內容真實、客觀。`;
 
     try {
-      const result = await this.gemini.generateContent(prompt);
-      const newsText = result.response.text();
+      const result = await llmService.generate('news.digest', prompt);
+      const newsText = result.text;
       this.cache.news = newsText;
       logger.info('NewsCompare: Fetched 20 news items');
       return newsText;
@@ -124,7 +101,7 @@ class NewsCompareService {
    * 獲取輿論 (Grok)
    */
   async fetchOpinion() {
-    if (!this.grok) {
+    if (!llmService.isAvailable('grok')) {
       throw new Error('Grok not initialized');
     }
 
@@ -146,17 +123,11 @@ class NewsCompareService {
 風格：幽默、犀利、接地氣。`;
 
     try {
-      const response = await this.grok.chat.completions.create({
-        model: 'grok-3-mini',
-        messages: [
-          { role: 'system', content: '你是幽默犀利的輿論分析師。' },
-          { role: 'user', content: prompt }
-        ],
-        temperature: 0.7,
-        max_tokens: 4096
-      });
+      const result = await llmService.chat('news.opinion', [
+        { role: 'user', content: prompt }
+      ], { system: '你是幽默犀利的輿論分析師。' });
 
-      const opinionText = response.choices[0]?.message?.content || '';
+      const opinionText = result.text;
       this.cache.opinion = opinionText;
       logger.info('NewsCompare: Fetched 20 opinion items');
       return opinionText;
@@ -13,34 +13,20 @@
  * - 特殊 (娛樂/科技/醫療/玄學/宇宙): 20%
  */
 
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import OpenAI from 'openai';
-import config from '../../config/index.js';
 import memoryService from './memoryService.js';
+import llmService from './llmService.js';
+import { SYSTEM_SCOPE } from '../utils/memoryScope.js';
 import logger from '../utils/logger.js';
 
 class NewsService {
   constructor() {
-    this.gemini = null;
-    this.grok = null;
     this.lastNewsUpdate = null;
     this.cachedNews = null;
     this.cachedOpinion = null;
   }
 
   async init() {
-    const geminiKey = config.apiKeys.gemini;
-    const grokKey = config.apiKeys.grok;
-
-    if (geminiKey) {
-      this.gemini = new GoogleGenerativeAI(geminiKey);
-    }
-    if (grokKey) {
-      this.grok = new OpenAI({
-        apiKey: grokKey,
-        baseURL: 'https://api.x.ai/v1'
-      });
-    }
+    llmService.init();
   }
 
   /**
@@ -54,18 +40,10 @@ class NewsService {
       return this.cachedNews;
     }
 
-    if (!this.gemini) {
+    if (!llmService.isAvailable('gemini')) {
       throw new Error('Gemini API not initialized');
     }
 
-    const model = this.gemini.getGenerativeModel({ 
-      model: 'gemini-2.5-pro',
-      generationConfig: {
-        temperature: 0.3,
-        maxOutputTokens: 8192
-      }
-    });
-
     const prompt = `你是一個專業的新聞編輯。請根據今天 (${today}) 的最新新聞，生成一份精選新聞摘要。
 
 ## 要求
@@ -110,15 +88,15 @@ class NewsService {
 請確保內容真實、客觀、有價值。`;
 
     try {
-      const result = await model.generateContent(prompt);
-      const newsText = result.response.text();
+      const result = await llmService.generate('news.daily', prompt);
+      const newsText = result.text;
       
       // 緩存結果
       this.cachedNews = newsText;
       this.lastNewsUpdate = today;
       
       // 存入記憶
-      await memoryService.createMemoryCheckpoint('system', `每日新聞 ${today}`, 'news');
+      await memoryService.createMemoryCheckpoint('system', `每日新聞 ${today}`, 'news', SYSTEM_SCOPE);
       
       logger.info(`Daily news generated for ${today}`);
       return newsText;
@@ -139,7 +117,7 @@ class NewsService {
       return this.cachedOpinion;
     }
 
-    if (!this.grok) {
+    if (!llmService.isAvailable('grok')) {
       throw new Error('Grok API not initialized');
     }
 
@@ -173,17 +151,11 @@ class NewsService {
 請用幽默但不失深度的方式呈現。`;
 
     try {
-      const response = await this.grok.chat.completions.create({
-        model: 'grok-3-mini',
-        messages: [
-          { role: 'system', content: '你是一個幽默犀利的輿論分析師，擅長用接地氣的方式總結網絡熱點。' },
-          { role: 'user', content: prompt }
-        ],
-        temperature: 0.7,
-        max_tokens: 4096
-      });
-
-      const opinionText = response.choices[0]?.message?.content || '';
+      const result = await llmService.chat('news.dailyOpinion', [
+        { role: 'user', content: prompt }
+      ], { system: '你是一個幽默犀利的輿論分析師，擅長用接地氣的方式總結網絡熱點。' });
+
+      const opinionText = result.text;
       
       // 緩存結果
       this.cachedOpinion = opinionText;
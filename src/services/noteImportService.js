@@ -0,0 +1,80 @@
+/**
+ * 笔记导入服务 - 转发消息和上传的 .txt / .md / .json 文件批量存进笔记本
+ *
+ * - 文件按 utils/noteImport.js 拆成多条草稿，导出的 JSON 可以原样导回
+ * - 每条笔记: 没有标题用 generateTitle，标签合并 extractTags；
+ *   智能记忆服务已连接时再用 analyzeContent 补分类、标签、重要度和要点
+ * - 存进导入者自己的笔记本 (妈妈存进母亲笔记本)，origin 记下来源消息 / 文件 / 转发来源
+ */
+
+import config from '../../config/index.js';
+import notebookService, { NOTE_CATEGORIES } from './notebookService.js';
+import smartMemoryService from './smartMemoryService.js';
+import { parseNotesFile } from '../utils/noteImport.js';
+import logger from '../utils/logger.js';
+
+// analyzeContent 的这些分类不够具体，不用来覆盖「未分类」
+const VAGUE_CATEGORIES = ['其他', '对话'];
+
+class NoteImportService {
+  /**
+   * 补全一条草稿: 标题、标签、分类 (导出文件里的分类显示名转回内部分类)
+   */
+  async prepare(draft, source, meta = {}) {
+    const content = draft.content.trim();
+    const text = draft.title ? `${draft.title}\n${content}` : content;
+    const analysis = smartMemoryService.connected
+      ? await smartMemoryService.analyzeContent(text, { source, meta })
+      : null;
+
+    const label = draft.category && Object.keys(NOTE_CATEGORIES).find(key => NOTE_CATEGORIES[key] === draft.category);
+    const analyzed = analysis && !VAGUE_CATEGORIES.includes(analysis.category) ? analysis.category : null;
+
+    return {
+      title: draft.title || notebookService.generateTitle(content),
+      content,
+      category: label || draft.category || analyzed || 'general',
+      tags: [...new Set([...(draft.tags || []), ...notebookService.extractTags(text), ...(analysis?.tags || [])])],
+      createdAt: draft.createdAt || undefined,
+      importance: analysis?.importance ?? null,
+      keyPoints: analysis?.keyPoints || []
+    };
+  }
+
+  /**
+   * 批量保存草稿
+   * @param {Object} options - { source: 'forward' | 'import', origin }
+   * @returns {Promise<{ notes: Object[], failed: number, skipped: number }>} notes 是保存成功的笔记
+   */
+  async importNotes(userId, userName, drafts, options = {}) {
+    const { source = 'import', origin = null } = options;
+    const limit = config.notebook.importMaxNotes;
+    const notes = [];
+    let failed = 0;
+
+    for (const draft of drafts.slice(0, limit)) {
+      try {
+        const note = await this.prepare(draft, source === 'forward' ? '转发' : '导入', { chatId: origin?.chatId ?? null, userId });
+        const result = await notebookService.saveForUser(userId, userName, { ...note, source, origin });
+        if (result.success) notes.push(result);
+        else failed++;
+      } catch (error) {
+        logger.error('Import note error:', error);
+        failed++;
+      }
+    }
+
+    logger.info(`Imported ${notes.length} notes for ${userId} (${source})`);
+    return { notes, failed, skipped: Math.max(drafts.length - limit, 0) };
+  }
+
+  /**
+   * 导入文件内容 (format 见 importFormat)，JSON 格式不对时抛出 SyntaxError
+   */
+  async importFile(userId, userName, text, format, origin = null) {
+    const drafts = parseNotesFile(text, format);
+    return this.importNotes(userId, userName, drafts, { source: 'import', origin });
+  }
+}
+
+export default new NoteImportService();
@@ -1,17 +1,53 @@
 /**
- * 多用户笔记本服务
+ * 多用户笔记本服务 - 所有笔记的唯一存储 (user_notes)
  * 
  * 功能:
  * - 支持多用户各自的笔记本
- * - 母亲笔记本 / 我的笔记本
+ * - 母亲笔记本 (家庭共享，ownerId 固定为 'mother') / 我的笔记本
+ * - 每条笔记: 归属 (ownerId / ownerType)、分类、标签、来源 (source) 和原始消息 (origin)
  * - 自动摘抄 AI 输出
  * - 知识库积累
+ * - 旧的 notes (便签) 和 auto_notes (自动笔记) 在连接时迁移进来，见 migrateLegacyNotes
  */
 
 import { MongoClient } from 'mongodb';
 import config from '../../config/index.js';
+import aiService from './aiService.js';
+import vectorIndexService from './vectorIndexService.js';
+import retrievalService from './retrievalService.js';
+import knowledgeGraphService from './knowledgeGraphService.js';
+import groupMemoryService from './groupMemoryService.js';
+import { renderExport } from '../utils/noteExport.js';
+import { FAMILY_SCOPE, SYSTEM_SCOPE, privateScope, backfillScopes } from '../utils/memoryScope.js';
 import logger from '../utils/logger.js';
 
+// 母亲笔记本的 ownerId (谁存进去的记在 origin.userId)
+const MOTHER_ID = 'mother';
+
+// 迁移进来的旧集合
+export const LEGACY_COLLECTIONS = ['notes', 'auto_notes'];
+
+// 内部分类的显示名称 (签证 / 养生 这类中文分类直接显示)
+export const NOTE_CATEGORIES = {
+  general: '未分类',
+  ai_knowledge: 'AI 知识',
+  quick_save: '快速保存',
+  creative: '创作',
+  conversation: '对话记录'
+};
+
+// 笔记来源 (source) 的显示名称
+export const NOTE_SOURCES = {
+  manual: '手写',
+  quick_save: '快速保存',
+  ai_output: 'AI 回答',
+  ai_auto: '自动摘抄',
+  chat: '对话记录',
+  creative_service: '创作',
+  forward: '转发',
+  import: '文件导入'
+};
+
 // 用户配置
 const USER_CONFIG = {
   // 母亲的 Telegram ID（需要配置）
@@ -37,6 +73,7 @@ class NotebookService {
       notes: null,      // 笔记内容
       knowledge: null   // 知识库
     };
+    this.vectorIndex = null;  // 'notes' 索引 (note_vectors 集合)
     this.connected = false;
   }
 
@@ -58,6 +95,12 @@ class NotebookService {
 
       // 创建索引
       await this.createIndexes();
+
+      this.vectorIndex = await vectorIndexService.open('notes', this.db.collection('note_vectors'), {
+        filterFields: ['ownerType', 'category']
+      });
+
+      await this.migrateLegacyNotes();
       
       this.connected = true;
       logger.info('Notebook service connected');
@@ -73,9 +116,10 @@ class NotebookService {
    */
   async createIndexes() {
     try {
-      await this.collections.notes.createIndex({ oderId: 1 });
-      await this.collections.notes.createIndex({ oderId: 1, category: 1 });
+      await this.collections.notes.createIndex({ ownerId: 1, createdAt: -1 });
+      await this.collections.notes.createIndex({ ownerId: 1, category: 1 });
       await this.collections.notes.createIndex({ createdAt: -1 });
+      await this.collections.notes.createIndex({ 'legacy.collection': 1, 'legacy.id': 1 });
       await this.collections.notes.createIndex({ 
         title: 'text', 
         content: 'text' 
@@ -83,6 +127,11 @@ class NotebookService {
       
       await this.collections.knowledge.createIndex({ category: 1 });
       await this.collections.knowledge.createIndex({ tags: 1 });
+
+      // 旧笔记补上记忆范围: 妈妈的笔记本是家庭共享的
+      await backfillScopes(this.collections.notes, 'ownerType', () => FAMILY_SCOPE, { ownerType: 'mother' });
+      await backfillScopes(this.collections.notes, 'ownerId', privateScope);
+      await backfillScopes(this.collections.knowledge, 'source', () => SYSTEM_SCOPE);
     } catch (error) {
       logger.error('Index creation error:', error);
     }
@@ -116,26 +165,76 @@ class NotebookService {
     };
   }
 
+  /**
+   * 用户的笔记本归属: 妈妈存进共享的母亲笔记本，其他人存自己的
+   * @returns {{ userId: string, ownerId: string, ownerType: string, notebookName: string, icon: string }}
+   */
+  ownerOf(userId, userName) {
+    const user = this.identifyUser(userName, userId);
+    return {
+      userId: String(userId),
+      ownerId: user.type === 'mother' ? MOTHER_ID : String(userId),
+      ownerType: user.type,
+      notebookName: user.config.notebookName,
+      icon: user.config.icon
+    };
+  }
+
+  /**
+   * 笔记本的查询条件
+   * @param {Object} owner - ownerOf 的结果
+   * @param {string} notebook - 'mother' | 'mine' (自己的，妈妈的含母亲笔记本) | 'all' (自己的 + 母亲笔记本)
+   */
+  notebookFilter(owner, notebook = 'all') {
+    if (notebook === 'mother') return { ownerId: MOTHER_ID };
+    const ids = notebook === 'mine' ? [owner.userId, owner.ownerId] : [owner.userId, owner.ownerId, MOTHER_ID];
+    return { ownerId: { $in: [...new Set(ids)] } };
+  }
+
   /**
    * 保存笔记
+   * note.origin: 原始消息 { chatId, messageId, userId }，没有时为 null
    */
   async saveNote(ownerId, ownerType, note) {
     try {
+      const isMother = ownerType === 'mother';
+      const scope = isMother ? FAMILY_SCOPE : privateScope(ownerId);
       const doc = {
-        ownerId,
+        ownerId: isMother ? MOTHER_ID : String(ownerId),
         ownerType,  // 'mother' | 'zhouwen' | 'user'
+        ...scope,
         title: note.title || '无标题',
         content: note.content,
         category: note.category || 'general',
         tags: note.tags || [],
-        source: note.source || 'manual',  // 'manual' | 'auto' | 'ai_output'
+        source: note.source || 'manual',  // 见 NOTE_SOURCES
+        origin: note.origin || null,
         aiModel: note.aiModel || null,
-        createdAt: new Date(),
+        // 导入的笔记保留原来的创建时间和分析结果
+        ...(note.importance != null ? { importance: note.importance, keyPoints: note.keyPoints || [] } : {}),
+        createdAt: note.createdAt || new Date(),
         updatedAt: new Date()
       };
 
       const result = await this.collections.notes.insertOne(doc);
       logger.info(`Note saved for ${ownerType}: ${note.title}`);
+
+      // 向量在后台生成，不阻塞保存
+      this.indexNote(result.insertedId, doc)
+        .catch(e => logger.debug('Note vector error:', e.message));
+
+      // 用户自己写的笔记才抽取家庭事实 (AI 输出里的「喜欢」「过敏」不是家人的事)
+      if (doc.source === 'manual') {
+        knowledgeGraphService.ingest({
+          scope,
+          text: `${doc.title}\n${doc.content}`,
+          speaker: ownerType === 'mother' ? '妈妈' : null,
+          source: {
+            type: 'note', id: result.insertedId, ownerType, title: doc.title,
+            chatId: doc.origin?.chatId ?? null, userId: doc.origin?.userId ?? doc.ownerId
+          }
+        });
+      }
       
       return { 
         success: true, 
@@ -148,19 +247,34 @@ class NotebookService {
     }
   }
 
+  /**
+   * 为笔记生成向量并写入 'notes' 索引
+   */
+  async indexNote(noteId, note) {
+    if (!this.vectorIndex || !note.content) return false;
+
+    const embedding = await aiService.generateEmbedding(`${note.title}\n${note.content}`);
+    await this.vectorIndex.upsert(noteId.toString(), embedding, {
+      ownerType: note.ownerType,
+      category: note.category
+    });
+    return true;
+  }
+
   /**
    * 保存到母亲的笔记本
    */
   async saveToMotherNotebook(content, options = {}) {
-    const { title, category, tags, source, aiModel } = options;
+    const { title, category, tags, source, aiModel, origin } = options;
     
-    return await this.saveNote('mother', 'mother', {
+    return await this.saveNote(MOTHER_ID, 'mother', {
       title: title || this.generateTitle(content),
       content,
       category: category || 'ai_knowledge',
       tags: tags || this.extractTags(content),
       source: source || 'ai_output',
-      aiModel
+      aiModel,
+      origin
     });
   }
 
@@ -168,7 +282,7 @@ class NotebookService {
    * 保存到我的笔记本
    */
   async saveToMyNotebook(userId, content, options = {}) {
-    const { title, category, tags, source, aiModel } = options;
+    const { title, category, tags, source, aiModel, origin } = options;
     
     return await this.saveNote(userId, 'zhouwen', {
       title: title || this.generateTitle(content),
@@ -176,36 +290,35 @@ class NotebookService {
       category: category || 'ai_knowledge',
       tags: tags || this.extractTags(content),
       source: source || 'ai_output',
-      aiModel
+      aiModel,
+      origin
     });
   }
 
   /**
-   * 获取笔记列表
+   * 存进用户自己的笔记本 (妈妈存进母亲笔记本)，返回值带笔记本名和图标
+   */
+  async saveForUser(userId, userName, note) {
+    const owner = this.ownerOf(userId, userName);
+    const result = await this.saveNote(owner.ownerId, owner.ownerType, note);
+    return { ...result, notebookName: owner.notebookName, icon: owner.icon };
+  }
+
+  /**
+   * 获取笔记列表 (新的在前)
+   * @param {Object} owner - ownerOf 的结果
+   * @param {string} notebook - 'mother' | 'mine' | 'all'
    */
-  async getNotes(ownerId, ownerType, options = {}) {
-    const { limit = 20, category, search } = options;
+  async getNotes(owner, notebook = 'all', options = {}) {
+    const { limit = 20, category, tag } = options;
     
     try {
-      const query = { ownerType };
-      if (ownerId && ownerType !== 'mother') {
-        query.ownerId = ownerId;
-      }
-      if (category) {
-        query.category = category;
-      }
+      const query = this.notebookFilter(owner, notebook);
+      if (category) query.category = category;
+      if (tag) query.tags = tag;
       
-      let cursor;
-      if (search) {
-        cursor = this.collections.notes.find({
-          ...query,
-          $text: { $search: search }
-        });
-      } else {
-        cursor = this.collections.notes.find(query);
-      }
-      
-      return await cursor
+      return await this.collections.notes
+        .find(query)
         .sort({ createdAt: -1 })
         .limit(limit)
         .toArray();
@@ -216,17 +329,17 @@ class NotebookService {
   }
 
   /**
-   * 获取母亲的笔记
+   * 笔记数量
+   * @param {Object} filter - 通常是 notebookFilter 的结果，可加 source / category 等条件
    */
-  async getMotherNotes(options = {}) {
-    return await this.getNotes(null, 'mother', options);
-  }
-
-  /**
-   * 获取我的笔记
-   */
-  async getMyNotes(userId, options = {}) {
-    return await this.getNotes(userId, 'zhouwen', options);
+  async countNotes(filter = {}) {
+    if (!this.collections.notes) return 0;
+    try {
+      return await this.collections.notes.countDocuments(filter);
+    } catch (error) {
+      logger.error('Count notes error:', error);
+      return 0;
+    }
   }
 
   /**
@@ -290,6 +403,7 @@ class NotebookService {
         tags: options.tags || this.extractTags(content),
         source: options.source || 'ai_output',
         aiModel: options.aiModel,
+        ...SYSTEM_SCOPE,
         createdAt: new Date()
       };
 
@@ -358,6 +472,35 @@ class NotebookService {
     }
   }
 
+  /**
+   * 获取用户能看到的单条笔记 (自己的 + 母亲笔记本)，不存在或看不到时返回 null
+   */
+  async getNote(owner, noteId) {
+    try {
+      const { ObjectId } = await import('mongodb');
+      return await this.collections.notes.findOne({ _id: new ObjectId(noteId), ...this.notebookFilter(owner, 'all') });
+    } catch (error) {
+      logger.error('Get note error:', error);
+      return null;
+    }
+  }
+
+  /**
+   * 在母亲笔记本和自己的笔记本之间移动，归属和记忆范围一起改
+   * @param {string} notebook - 目标: 'mother' | 'mine'
+   */
+  async moveNote(owner, noteId, notebook) {
+    const note = await this.getNote(owner, noteId);
+    if (!note) return { success: false };
+
+    if (notebook === 'mother') {
+      return this.updateNote(noteId, { ownerId: MOTHER_ID, ownerType: 'mother', ...FAMILY_SCOPE });
+    }
+    // 妈妈移出来的笔记按普通用户存，免得又被当成母亲笔记本
+    const ownerType = owner.ownerType === 'mother' ? 'user' : owner.ownerType;
+    return this.updateNote(noteId, { ownerId: owner.userId, ownerType, ...privateScope(owner.userId) });
+  }
+
   /**
    * 更新笔记
    */
@@ -373,6 +516,12 @@ class NotebookService {
           } 
         }
       );
+
+      if (result.modifiedCount > 0 && ['title', 'content', 'category', 'ownerType'].some(key => key in updates)) {
+        const note = await this.collections.notes.findOne({ _id: new ObjectId(noteId) });
+        this.indexNote(note._id, note)
+          .catch(e => logger.debug('Note vector error:', e.message));
+      }
       return { success: result.modifiedCount > 0 };
     } catch (error) {
       logger.error('Update note error:', error);
@@ -387,6 +536,7 @@ class NotebookService {
     try {
       const { ObjectId } = await import('mongodb');
       const result = await this.collections.notes.deleteOne({ _id: new ObjectId(noteId) });
+      if (result.deletedCount > 0) await this.vectorIndex?.delete(noteId);
       return { success: result.deletedCount > 0 };
     } catch (error) {
       logger.error('Delete note error:', error);
@@ -395,46 +545,56 @@ class NotebookService {
   }
 
   /**
-   * 按分类获取笔记
+   * 分页列出笔记 (新的在前)，可按分类 / 标签筛选
+   * @returns {Promise<{ notes: Object[], total: number, page: number, pages: number }>}
    */
-  async getNotesByCategory(ownerType, category, limit = 20) {
+  async listNotes(owner, notebook = 'all', { category, tag, page = 0, pageSize = 5 } = {}) {
     try {
-      return await this.collections.notes
-        .find({ ownerType, category })
+      const filter = this.notebookFilter(owner, notebook);
+      if (category) filter.category = category;
+      if (tag) filter.tags = tag;
+
+      const total = await this.collections.notes.countDocuments(filter);
+      const pages = Math.max(1, Math.ceil(total / pageSize));
+      page = Math.min(Math.max(page, 0), pages - 1);
+
+      const notes = await this.collections.notes
+        .find(filter)
         .sort({ createdAt: -1 })
-        .limit(limit)
+        .skip(page * pageSize)
+        .limit(pageSize)
         .toArray();
+
+      return { notes, total, page, pages };
     } catch (error) {
-      logger.error('Get notes by category error:', error);
-      return [];
+      logger.error('List notes error:', error);
+      return { notes: [], total: 0, page: 0, pages: 1 };
     }
   }
 
   /**
-   * 按标签获取笔记
+   * 按分类获取笔记 (分页)
    */
-  async getNotesByTag(ownerType, tag, limit = 20) {
-    try {
-      return await this.collections.notes
-        .find({ ownerType, tags: tag })
-        .sort({ createdAt: -1 })
-        .limit(limit)
-        .toArray();
-    } catch (error) {
-      logger.error('Get notes by tag error:', error);
-      return [];
-    }
+  async getNotesByCategory(owner, notebook, category, options = {}) {
+    return this.listNotes(owner, notebook, { ...options, category });
   }
 
   /**
-   * 获取所有分类
+   * 按标签获取笔记 (分页)
    */
-  async getCategories(ownerType) {
+  async getNotesByTag(owner, notebook, tag, options = {}) {
+    return this.listNotes(owner, notebook, { ...options, tag });
+  }
+
+  /**
+   * 获取所有分类 (数量多的在前，同数量按名称)
+   */
+  async getCategories(owner, notebook = 'all') {
     try {
       const categories = await this.collections.notes.aggregate([
-        { $match: { ownerType } },
-        { $group: { _id: '$category', count: { $sum: 1 } } },
-        { $sort: { count: -1 } }
+        { $match: this.notebookFilter(owner, notebook) },
+        { $group: { _id: { $ifNull: ['$category', 'general'] }, count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } }
       ]).toArray();
       return categories.map(c => ({ name: c._id, count: c.count }));
     } catch (error) {
@@ -444,15 +604,15 @@ class NotebookService {
   }
 
   /**
-   * 获取所有标签
+   * 获取所有标签 (数量多的在前，同数量按名称)
    */
-  async getTags(ownerType) {
+  async getTags(owner, notebook = 'all') {
     try {
       const tags = await this.collections.notes.aggregate([
-        { $match: { ownerType } },
+        { $match: this.notebookFilter(owner, notebook) },
         { $unwind: '$tags' },
         { $group: { _id: '$tags', count: { $sum: 1 } } },
-        { $sort: { count: -1 } }
+        { $sort: { count: -1, _id: 1 } }
       ]).toArray();
       return tags.map(t => ({ name: t._id, count: t.count }));
     } catch (error) {
@@ -462,133 +622,102 @@ class NotebookService {
   }
 
   /**
-   * 全文搜索笔记
+   * 搜索笔记 - 中文分词 BM25 + 语义向量混合检索，结果带高亮摘要 (snippet)
+   * 向量索引只按分类过滤，归属在取回文档时过滤
    */
-  async searchNotes(ownerType, query, options = {}) {
-    const { limit = 20, category } = options;
-    
-    try {
-      const filter = { ownerType };
-      if (category) filter.category = category;
-      
-      // 尝试全文搜索
-      const results = await this.collections.notes
-        .find({
-          ...filter,
-          $or: [
-            { title: { $regex: query, $options: 'i' } },
-            { content: { $regex: query, $options: 'i' } },
-            { tags: { $regex: query, $options: 'i' } }
-          ]
-        })
-        .sort({ createdAt: -1 })
-        .limit(limit)
-        .toArray();
-      
-      return results;
-    } catch (error) {
-      logger.error('Search notes error:', error);
-      return [];
-    }
+  async searchNotes(owner, query, options = {}) {
+    const { notebook = 'all', limit = 20, category, snippet } = options;
+
+    const filter = this.notebookFilter(owner, notebook);
+    if (category) filter.category = category;
+
+    return retrievalService.search(query, {
+      collection: this.collections.notes,
+      filter,
+      fields: { title: 2, content: 1, tags: 1.5 },
+      dateField: 'updatedAt',
+      vectorIndex: this.vectorIndex,
+      vectorFilter: category ? { category } : {},
+      snippet,
+      limit
+    });
   }
 
   /**
-   * 导出笔记为文本
+   * 导出笔记为文件 (按笔记本 / 分类 / 标签 / 时间过滤)，太大时拆成几份，见 utils/noteExport.js
+   * @param {Object} options - { format, notebook, category, tag, since, until, title }
+   * @returns {Promise<{ count: number, files: Object[] }|null>}
    */
-  async exportNotes(ownerType, options = {}) {
-    const { format = 'markdown', category } = options;
+  async exportNotes(owner, options = {}) {
+    const { format = 'markdown', notebook = 'all', category, tag, since, until, title } = options;
     
     try {
-      const filter = { ownerType };
+      const filter = this.notebookFilter(owner, notebook);
       if (category) filter.category = category;
+      if (tag) filter.tags = tag;
+      if (since || until) {
+        filter.createdAt = {};
+        if (since) filter.createdAt.$gte = since;
+        if (until) filter.createdAt.$lt = until;
+      }
       
       const notes = await this.collections.notes
         .find(filter)
         .sort({ createdAt: -1 })
         .toArray();
       
-      if (format === 'markdown') {
-        return this.formatAsMarkdown(notes);
-      } else if (format === 'json') {
-        return JSON.stringify(notes, null, 2);
-      } else {
-        return this.formatAsText(notes);
-      }
+      const files = renderExport(notes, format, {
+        title,
+        filename: `notes-${new Date().toISOString().slice(0, 10)}`,
+        maxBytes: config.notebook.exportMaxBytes,
+        categoryLabel: (name) => NOTE_CATEGORIES[name || 'general'] || name
+      });
+      return { count: notes.length, files };
     } catch (error) {
       logger.error('Export notes error:', error);
       return null;
     }
   }
 
-  /**
-   * 格式化为 Markdown
-   */
-  formatAsMarkdown(notes) {
-    let md = `# 笔记导出\n\n`;
-    md += `导出时间: ${new Date().toLocaleString()}\n`;
-    md += `共 ${notes.length} 条笔记\n\n---\n\n`;
-    
-    for (const note of notes) {
-      md += `## ${note.title}\n\n`;
-      md += `- 分类: ${note.category}\n`;
-      md += `- 标签: ${note.tags?.join(', ') || '无'}\n`;
-      md += `- 创建时间: ${note.createdAt?.toLocaleString()}\n\n`;
-      md += `${note.content}\n\n---\n\n`;
-    }
-    
-    return md;
-  }
-
-  /**
-   * 格式化为纯文本
-   */
-  formatAsText(notes) {
-    let text = `笔记导出 - ${new Date().toLocaleString()}\n`;
-    text += `共 ${notes.length} 条笔记\n`;
-    text += '='.repeat(50) + '\n\n';
-    
-    for (const note of notes) {
-      text += `【${note.title}】\n`;
-      text += `分类: ${note.category} | 标签: ${note.tags?.join(', ') || '无'}\n`;
-      text += `${note.content}\n`;
-      text += '-'.repeat(50) + '\n\n';
-    }
-    
-    return text;
-  }
-
   /**
    * 获取最近笔记摘要
+   * @returns {Promise<Object>} { total, period, byCategory, topTags, latest }
    */
-  async getRecentSummary(ownerType, days = 7) {
+  async getRecentSummary(owner, notebook = 'all', days = 7) {
     try {
       const since = new Date();
       since.setDate(since.getDate() - days);
       
       const notes = await this.collections.notes
         .find({ 
-          ownerType, 
+          ...this.notebookFilter(owner, notebook), 
           createdAt: { $gte: since } 
         })
         .sort({ createdAt: -1 })
         .toArray();
       
       const byCategory = {};
+      const tagCounts = {};
       for (const note of notes) {
         const cat = note.category || 'general';
         if (!byCategory[cat]) byCategory[cat] = [];
         byCategory[cat].push(note);
+        for (const tag of note.tags || []) tagCounts[tag] = (tagCounts[tag] || 0) + 1;
       }
       
       return {
         total: notes.length,
         period: `${days}天`,
         byCategory,
+        topTags: Object.entries(tagCounts)
+          .sort((a, b) => b[1] - a[1])
+          .slice(0, 5)
+          .map(([name, count]) => ({ name, count })),
         latest: notes.slice(0, 5)
       };
     } catch (error) {
       logger.error('Get recent summary error:', error);
-      return { total: 0, byCategory: {}, latest: [] };
+      return { total: 0, byCategory: {}, topTags: [], latest: [] };
     }
   }
 
@@ -634,18 +763,154 @@ class NotebookService {
 
   /**
    * 快速保存（从消息）
+   * options: { category, tags, aiModel } 通常来自 smartMemoryService 的分析结果
    */
-  async quickSave(userId, userName, content, source = 'quick_save') {
-    const user = this.identifyUser(userName, userId);
-    
-    return await this.saveNote(userId, user.type, {
+  async quickSave(userId, userName, content, source = 'quick_save', options = {}) {
+    return await this.saveForUser(userId, userName, {
       title: this.generateTitle(content),
       content,
-      category: 'quick_save',
-      tags: ['快速保存'],
-      source
+      category: options.category || 'quick_save',
+      tags: [...new Set(['快速保存', ...(options.tags || [])])],
+      source,
+      aiModel: options.aiModel,
+      origin: options.origin
     });
   }
+
+  // ==================== 旧笔记迁移 ====================
+
+  /**
+   * 把旧的 notes (便签) 和 auto_notes (自动笔记) 复制进 user_notes，并把母亲笔记的 ownerId 统一成 'mother'
+   * 迁移过的笔记带 legacy: { collection, id }，重复运行不会重复复制；旧集合保留不删
+   * 找不到主人的自动笔记 (只有 ownerType) 不迁移，计入 unresolved，配好 ZHOUWEN_USER_ID 后重跑即可
+   * @returns {Promise<Object>} { notes, auto_notes, mother } 各自新迁移的条数，unresolved 未迁移的条数
+   */
+  async migrateLegacyNotes() {
+    const result = { notes: 0, auto_notes: 0, mother: 0, unresolved: 0 };
+    if (!this.collections.notes) return result;
+
+    try {
+      const zhouwenId = await this.resolveZhouwenId();
+
+      for (const name of LEGACY_COLLECTIONS) {
+        const migrated = new Set((await this.collections.notes
+          .find({ 'legacy.collection': name }, { projection: { legacy: 1 } })
+          .toArray()).map(n => n.legacy.id));
+
+        for await (const old of this.db.collection(name).find({})) {
+          if (migrated.has(old._id.toString())) continue;
+
+          const ownerId = this.legacyOwnerId(name, old, zhouwenId);
+          if (!ownerId) {
+            result.unresolved++;
+            continue;
+          }
+
+          const doc = this.fromLegacy(name, old, ownerId);
+          const { insertedId } = await this.collections.notes.insertOne(doc);
+          this.indexNote(insertedId, doc)
+            .catch(e => logger.debug('Note vector error:', e.message));
+          result[name]++;
+        }
+      }
+
+      // quickSave 以前把妈妈的笔记记在她自己的 userId 下
+      const mother = await this.collections.notes
+        .find({ ownerType: 'mother', ownerId: { $ne: MOTHER_ID } })
+        .toArray();
+      for (const note of mother) {
+        await this.collections.notes.updateOne(
+          { _id: note._id },
+          { $set: { ownerId: MOTHER_ID, origin: note.origin || { userId: note.ownerId } } }
+        );
+      }
+      result.mother = mother.length;
+
+      if (result.notes + result.auto_notes + result.mother > 0) {
+        logger.info(`Migrated legacy notes: ${JSON.stringify(result)}`);
+      }
+      if (result.unresolved > 0) {
+        logger.warn(`${result.unresolved} legacy auto notes have no resolvable owner and were not migrated (set ZHOUWEN_USER_ID)`);
+      }
+    } catch (error) {
+      logger.error('Legacy notes migration error:', error);
+    }
+    return result;
+  }
+
+  /**
+   * 周文的 Telegram ID: 配置的 ZHOUWEN_USER_ID > 笔记本里周文已有笔记的主人 > 群聊里名字匹配别名的用户
+   * 后两种只有唯一一个候选时才采用，否则返回 null
+   */
+  async resolveZhouwenId() {
+    if (config.notebook.zhouwenUserId) return String(config.notebook.zhouwenUserId);
+
+    const owners = (await this.collections.notes.distinct('ownerId', { ownerType: 'zhouwen' }))
+      .filter(id => id !== 'zhouwen');
+    if (owners.length === 1) return String(owners[0]);
+
+    const named = await groupMemoryService.findUserIdsByName(USER_CONFIG.zhouwen.aliases);
+    return named.length === 1 ? String(named[0]) : null;
+  }
+
+  /**
+   * 旧文档的主人: 便签按 userId；自动笔记旧版只记了 ownerType ('mother' / 'zhouwen' / 'user')
+   */
+  legacyOwnerId(name, old, zhouwenId) {
+    if (name === 'notes') return old.userId ? String(old.userId) : null;
+    if (old.ownerType === 'mother') return MOTHER_ID;
+    if (old.ownerId && !['zhouwen', 'user'].includes(String(old.ownerId))) return String(old.ownerId);
+    return old.ownerType === 'zhouwen' ? zhouwenId : null;
+  }
+
+  /**
+   * 旧文档 → 笔记本文档
+   */
+  fromLegacy(name, old, ownerId) {
+    const createdAt = old.createdAt || new Date();
+    const base = {
+      legacy: { collection: name, id: old._id.toString() },
+      origin: null,
+      aiModel: null,
+      createdAt,
+      updatedAt: old.updatedAt || createdAt
+    };
+
+    // memoryService 的便签: 按 userId 存的私人便签
+    if (name === 'notes') {
+      return {
+        ...base,
+        ownerId,
+        ownerType: 'user',
+        ...privateScope(ownerId),
+        title: old.title || '无标题',
+        content: old.content || '',
+        category: 'general',
+        tags: old.tags || [],
+        source: 'manual'
+      };
+    }
+
+    // smartMemoryService 的自动笔记: 只有 ownerType
+    const isMother = ownerId === MOTHER_ID;
+    return {
+      ...base,
+      ownerId,
+      ownerType: old.ownerType || 'user',
+      ...(isMother ? FAMILY_SCOPE : privateScope(ownerId)),
+      title: old.title || this.generateTitle(old.content || ''),
+      content: old.content || '',
+      category: old.category || 'general',
+      tags: old.tags || [],
+      source: old.source || 'ai_auto',
+      keyPoints: old.keyPoints || [],
+      importance: old.importance ?? null
+    };
+  }
+
+  async close() {
+    if (this.client) await this.client.close();
+  }
 }
 
 export default new NotebookService();
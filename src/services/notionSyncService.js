@@ -10,14 +10,12 @@
  */
 
 import { Client } from '@notionhq/client';
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import config from '../../config/index.js';
+import llmService from './llmService.js';
 import logger from '../utils/logger.js';
 
 class NotionSyncService {
   constructor() {
     this.notion = null;
-    this.genAI = null;
     // Pre-configured database ID (created via MCP)
     this.databaseId = process.env.NOTION_TG_CHAT_DB_ID || '2c2b81f6-ba45-8108-b90e-e7ebeb7195c3';
     this.messageBuffer = [];
@@ -40,7 +38,7 @@ class NotionSyncService {
       }
 
       this.notion = new Client({ auth: notionToken });
-      this.genAI = new GoogleGenerativeAI(config.apiKeys.gemini);
+      llmService.init();
       
       // Find or create database
       await this.findOrCreateDatabase();
@@ -138,9 +136,6 @@ class NotionSyncService {
     logger.info('NotionSync: Triggering compression...');
 
     try {
-      // Use Gemini 2.5 Pro for high-quality summarization
-      const model = this.genAI.getGenerativeModel({ model: 'gemini-2.5-pro' });
-
       const prompt = `请对以下聊天记录进行智能压缩摘要：
 
 要求：
@@ -155,8 +150,9 @@ ${this.formatMessagesForSummary()}
 
 请输出压缩后的摘要：`;
 
-      const result = await model.generateContent(prompt);
-      const summary = result.response.text();
+      // Use Gemini 2.5 Pro for high-quality summarization
+      const result = await llmService.generate('notion.compress', prompt);
+      const summary = result.text;
 
       // Insert summary as a special record
       await this.insertToNotion({
@@ -182,15 +178,13 @@ ${this.formatMessagesForSummary()}
    */
   async processMessagesWithAI(messages) {
     try {
-      // Use Flash Lite for cheap semantic analysis
-      const model = this.genAI.getGenerativeModel({ model: 'gemini-2.0-flash-lite' });
-
+      // Use Flash Lite for cheap semantic analysis (notion.semantic)
       const processed = [];
       
       for (const msg of messages) {
         // User messages: full copy
         if (msg.speaker === 'user') {
-          msg.semantic = await this.analyzeIntent(model, msg.content);
+          msg.semantic = await this.analyzeIntent(msg.content);
           processed.push(msg);
           continue;
         }
@@ -198,8 +192,8 @@ ${this.formatMessagesForSummary()}
         // Bot messages: summarize if long
         if (msg.content.length > 500) {
           const summaryPrompt = `用一句话概括以下AI回复的核心内容：\n${msg.content}`;
-          const result = await model.generateContent(summaryPrompt);
-          msg.content = `[摘要] ${result.response.text().trim()}`;
+          const result = await llmService.generate('notion.semantic', summaryPrompt);
+          msg.content = `[摘要] ${result.text.trim()}`;
         }
         
         msg.semantic = 'ai_response';
@@ -217,11 +211,11 @@ ${this.formatMessagesForSummary()}
   /**
    * Analyze user intent
    */
-  async analyzeIntent(model, content) {
+  async analyzeIntent(content) {
     try {
       const prompt = `分析以下用户消息的意图，用2-3个关键词描述：\n"${content}"`;
-      const result = await model.generateContent(prompt);
-      return result.response.text().trim();
+      const result = await llmService.generate('notion.semantic', prompt);
+      return result.text.trim();
     } catch {
       return 'unknown';
     }
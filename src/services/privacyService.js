@@ -0,0 +1,56 @@
+/**
+ * 隱私設置 - 每個用戶的「不要記住」開關
+ *
+ * 開啟後該用戶的消息標記為 ephemeral:
+ * - 仍然保留在短期上下文裡 (對話不斷片)，到期 (EPHEMERAL_TTL_HOURS) 自動刪除
+ * - 不進長期記憶: 不抽取家庭事實、不算風格向量、不做群聊總結、不同步 Notion、不被搜索到
+ *
+ * 開關存在 sessionStoreService (privacy 命名空間，不過期)
+ */
+
+import config from '../../config/index.js';
+import sessionStoreService from './sessionStoreService.js';
+import logger from '../utils/logger.js';
+
+const SESSION_PRIVACY = 'privacy';  // userId -> { ephemeral, since }
+
+class PrivacyService {
+  /**
+   * 用戶是否開啟了「不要記住」
+   */
+  async isEphemeral(userId) {
+    if (!userId) return false;
+    try {
+      const entry = await sessionStoreService.get(SESSION_PRIVACY, String(userId));
+      return !!entry?.value?.ephemeral;
+    } catch (error) {
+      logger.error('Privacy lookup error:', error.message);
+      return false;
+    }
+  }
+
+  async setEphemeral(userId, enabled) {
+    if (enabled) {
+      await sessionStoreService.set(SESSION_PRIVACY, String(userId), { ephemeral: true, since: new Date() });
+    } else {
+      await sessionStoreService.delete(SESSION_PRIVACY, String(userId));
+    }
+    logger.info(`Ephemeral mode ${enabled ? 'on' : 'off'} for user ${userId}`);
+  }
+
+  /**
+   * 寫入記錄時附加的字段: 開啟時 { ephemeral, expiresAt }，否則 {}
+   */
+  async recordFields(userId) {
+    return await this.isEphemeral(userId) ? this.ephemeralFields() : {};
+  }
+
+  ephemeralFields() {
+    return {
+      ephemeral: true,
+      expiresAt: new Date(Date.now() + config.privacy.ephemeralTtlHours * 60 * 60 * 1000)
+    };
+  }
+}
+
+export default new PrivacyService();
@@ -0,0 +1,132 @@
+/**
+ * 混合檢索服務 - 記憶 / 群聊記錄 / 筆記共用
+ *
+ * 流程:
+ * 1. 從 Mongo 取範圍內最近的候選 (config.vector.retrieval.candidates)，在候選上算 BM25
+ * 2. 有向量索引時同時做語義搜索，命中但不在候選裡的文檔補查回來
+ * 3. 兩個排名用 RRF 融合，再按時間衰減和重要度加權
+ * 4. 給最終結果生成高亮摘要 (snippet)
+ *
+ * 返回原文檔加上 { score, lexicalScore, vectorScore, snippet }
+ */
+
+import { ObjectId } from 'mongodb';
+import config from '../../config/index.js';
+import aiService from './aiService.js';
+import logger from '../utils/logger.js';
+import {
+  queryTokens,
+  bm25,
+  reciprocalRankFusion,
+  recencyBoost,
+  highlight
+} from '../utils/retrieval.js';
+
+class RetrievalService {
+  constructor() {
+    this.settings = config.vector.retrieval;
+  }
+
+  /**
+   * 混合檢索
+   * @param {string} query
+   * @param {Object} options
+   * @param {Collection} options.collection - 被檢索的 Mongo 集合
+   * @param {Object} options.filter - 範圍過濾 (userId / groupId / ownerType ...)
+   * @param {Object} options.fields - BM25 字段權重，如 { title: 2, content: 1, tags: 1.5 }
+   * @param {string} options.dateField - 時間字段 (候選排序 + 時間衰減)
+   * @param {Function} options.importance - doc => 0~1，沒有則不按重要度加權
+   * @param {Object} options.vectorIndex - vectorIndexService 打開的索引，key 為文檔 _id
+   * @param {Object} options.vectorFilter - 向量索引的過濾條件 (默認同 filter)
+   * @param {string} options.snippetField - 生成摘要的字段
+   * @param {Object} options.snippet - highlight 選項 (width / open / close / escape)
+   */
+  async search(query, {
+    collection,
+    filter = {},
+    fields = { content: 1 },
+    dateField = 'createdAt',
+    importance = null,
+    vectorIndex = null,
+    vectorFilter = filter,
+    snippetField = 'content',
+    snippet = {},
+    limit = config.vector.maxResults
+  }) {
+    const terms = queryTokens(query);
+
+    try {
+      const [candidates, vectorHits] = await Promise.all([
+        terms.length > 0
+          ? collection.find(filter).sort({ [dateField]: -1 }).limit(this.settings.candidates).toArray()
+          : [],
+        this.vectorSearch(vectorIndex, query, vectorFilter)
+      ]);
+
+      const docs = new Map(candidates.map(doc => [doc._id.toString(), doc]));
+      const missing = vectorHits.filter(hit => !docs.has(hit.key) && ObjectId.isValid(hit.key));
+      if (missing.length > 0) {
+        const extra = await collection
+          .find({ ...filter, _id: { $in: missing.map(hit => new ObjectId(hit.key)) } })
+          .toArray();
+        for (const doc of extra) docs.set(doc._id.toString(), doc);
+      }
+      if (docs.size === 0) return [];
+
+      const keys = [...docs.keys()];
+      const lexical = bm25(terms, [...docs.values()], fields);
+      const lexicalScores = new Map(keys.map((key, i) => [key, lexical[i]]));
+      const vectorScores = new Map(vectorHits.map(hit => [hit.key, hit.score]));
+
+      const lexicalRanking = keys
+        .filter(key => lexicalScores.get(key) > 0)
+        .sort((a, b) => lexicalScores.get(b) - lexicalScores.get(a));
+      const vectorRanking = vectorHits.map(hit => hit.key).filter(key => docs.has(key));
+
+      const { recencyHalfLifeDays, recencyWeight, importanceWeight } = this.settings;
+      const fused = reciprocalRankFusion([lexicalRanking, vectorRanking], this.settings.rrfK);
+
+      return [...fused]
+        .map(([key, rrf]) => {
+          const doc = docs.get(key);
+          const boost = 1
+            + recencyWeight * recencyBoost(doc[dateField], recencyHalfLifeDays)
+            + importanceWeight * (importance ? importance(doc) : 0);
+          return { doc, key, score: rrf * boost };
+        })
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(({ doc, key, score }) => ({
+          ...doc,
+          score,
+          lexicalScore: lexicalScores.get(key),
+          vectorScore: vectorScores.get(key) ?? null,
+          snippet: highlight(doc[snippetField], terms, snippet)
+        }));
+    } catch (error) {
+      logger.error('Hybrid search error:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * 向量側: 查詢向量化後在索引裡找相似文檔，失敗時只用關鍵詞
+   */
+  async vectorSearch(vectorIndex, query, filter) {
+    if (!vectorIndex || !query?.trim()) return [];
+
+    try {
+      const embedding = await aiService.generateEmbedding(query);
+      return await vectorIndex.search(embedding, {
+        k: this.settings.vectorCandidates,
+        filter,
+        minScore: config.vector.similarityThreshold
+      });
+    } catch (error) {
+      logger.debug('Vector side of hybrid search failed:', error.message);
+      return [];
+    }
+  }
+}
+
+export default new RetrievalService();
@@ -0,0 +1,232 @@
+/**
+ * 會話狀態存儲 - 待處理操作 / 私聊歷史 / 活躍群組 / 閒置計時
+ *
+ * 按 namespace + key 存取，可設有效期:
+ * - MongoSessionStore: bot_sessions 集合，PM2 重啟後恢復
+ * - MemorySessionStore: 進程內 Map，用於測試 / 無 Mongo 環境
+ *
+ * 過期的條目不會立刻消失 (保留 EXPIRED_GRACE_MS)，
+ * 讀取時帶 expired 標記，讓調用方可以提示「之前的操作已過期」
+ */
+
+import { MongoClient } from 'mongodb';
+import config from '../../config/index.js';
+import logger from '../utils/logger.js';
+
+// 過期後保留多久再清除 (用於過期提示)
+const EXPIRED_GRACE_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 讀取結果: { value, expiresAt, expired } | null
+ */
+function toEntry(value, expiresAt) {
+  return {
+    value,
+    expiresAt: expiresAt || null,
+    expired: !!expiresAt && expiresAt <= new Date()
+  };
+}
+
+function getExpiry(ttlMs) {
+  return ttlMs ? new Date(Date.now() + ttlMs) : null;
+}
+
+function getPurgeAt(expiresAt) {
+  return expiresAt ? new Date(expiresAt.getTime() + EXPIRED_GRACE_MS) : null;
+}
+
+/**
+ * 內存實現
+ */
+export class MemorySessionStore {
+  constructor() {
+    this.name = 'memory';
+    this.data = new Map();  // `${namespace}:${key}` -> { namespace, key, value, expiresAt, purgeAt }
+  }
+
+  async connect() {
+    return true;
+  }
+
+  async get(namespace, key) {
+    const id = `${namespace}:${key}`;
+    const doc = this.data.get(id);
+    if (!doc) return null;
+
+    if (doc.purgeAt && doc.purgeAt <= new Date()) {
+      this.data.delete(id);
+      return null;
+    }
+    return toEntry(doc.value, doc.expiresAt);
+  }
+
+  async set(namespace, key, value, ttlMs) {
+    const expiresAt = getExpiry(ttlMs);
+    this.data.set(`${namespace}:${key}`, {
+      namespace,
+      key: String(key),
+      value,
+      expiresAt,
+      purgeAt: getPurgeAt(expiresAt)
+    });
+  }
+
+  async delete(namespace, key) {
+    this.data.delete(`${namespace}:${key}`);
+  }
+
+  /**
+   * 列出某個 namespace 下未過期的條目
+   */
+  async list(namespace) {
+    const now = new Date();
+    return [...this.data.values()]
+      .filter(doc => doc.namespace === namespace && (!doc.expiresAt || doc.expiresAt > now))
+      .map(doc => ({ key: doc.key, value: doc.value, expiresAt: doc.expiresAt }));
+  }
+
+  async close() {}
+}
+
+/**
+ * MongoDB 實現
+ */
+export class MongoSessionStore {
+  constructor(uri = config.mongodb.uri) {
+    this.name = 'mongo';
+    this.uri = uri;
+    this.client = null;
+    this.collection = null;  // bot_sessions
+  }
+
+  async connect() {
+    try {
+      if (!this.uri) {
+        logger.warn('MongoDB URI not configured, session store unavailable');
+        return false;
+      }
+
+      this.client = new MongoClient(this.uri);
+      await this.client.connect();
+      this.collection = this.client
+        .db(config.mongodb.dbName || 'sms_tg_bot')
+        .collection('bot_sessions');
+
+      await this.collection.createIndex({ namespace: 1, key: 1 }, { unique: true });
+      // 過期 + 寬限期後由 Mongo 清理
+      await this.collection.createIndex({ purgeAt: 1 }, { expireAfterSeconds: 0 });
+
+      logger.info('Session store connected to MongoDB');
+      return true;
+    } catch (error) {
+      logger.error('Session store connection error:', error);
+      return false;
+    }
+  }
+
+  async get(namespace, key) {
+    try {
+      const doc = await this.collection.findOne({ namespace, key: String(key) });
+      return doc ? toEntry(doc.value, doc.expiresAt) : null;
+    } catch (error) {
+      logger.error('Session store get error:', error.message);
+      return null;
+    }
+  }
+
+  async set(namespace, key, value, ttlMs) {
+    const expiresAt = getExpiry(ttlMs);
+    try {
+      await this.collection.updateOne(
+        { namespace, key: String(key) },
+        { $set: { value, expiresAt, purgeAt: getPurgeAt(expiresAt), updatedAt: new Date() } },
+        { upsert: true }
+      );
+    } catch (error) {
+      logger.error('Session store set error:', error.message);
+    }
+  }
+
+  async delete(namespace, key) {
+    try {
+      await this.collection.deleteOne({ namespace, key: String(key) });
+    } catch (error) {
+      logger.error('Session store delete error:', error.message);
+    }
+  }
+
+  async list(namespace) {
+    try {
+      const docs = await this.collection.find({
+        namespace,
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+      }).toArray();
+      return docs.map(doc => ({ key: doc.key, value: doc.value, expiresAt: doc.expiresAt }));
+    } catch (error) {
+      logger.error('Session store list error:', error.message);
+      return [];
+    }
+  }
+
+  async close() {
+    if (this.client) {
+      await this.client.close();
+      logger.info('Session store disconnected');
+    }
+  }
+}
+
+/**
+ * 會話存儲服務 - 按 SESSION_STORE 選擇實現，Mongo 連不上時退回內存
+ */
+class SessionStoreService {
+  constructor() {
+    this.store = new MemorySessionStore();
+  }
+
+  async connect() {
+    if (config.session.store !== 'mongo') {
+      logger.info('Session store: memory');
+      return true;
+    }
+
+    const mongoStore = new MongoSessionStore();
+    if (await mongoStore.connect()) {
+      this.store = mongoStore;
+      return true;
+    }
+
+    logger.warn('Session store falling back to memory, state will not survive restarts');
+    return false;
+  }
+
+  /**
+   * 直接指定實現 (測試用)
+   */
+  use(store) {
+    this.store = store;
+    return this;
+  }
+
+  get(namespace, key) {
+    return this.store.get(namespace, key);
+  }
+
+  set(namespace, key, value, ttlMs) {
+    return this.store.set(namespace, key, value, ttlMs);
+  }
+
+  delete(namespace, key) {
+    return this.store.delete(namespace, key);
+  }
+
+  list(namespace) {
+    return this.store.list(namespace);
+  }
+
+  async close() {
+    await this.store.close();
+  }
+}
+
+export default new SessionStoreService();
@@ -3,27 +3,30 @@
  * 
  * 功能:
  * - 自动分析内容重要性
- * - 向量化存储和检索
+ * - 向量化存储和检索 (memory_vectors，经 vectorIndexService 检索)
  * - 智能关联推荐
- * - 自动摘抄到笔记本
+ * - 自动摘抄到笔记本 (notebookService)
  */
 
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import { MongoClient } from 'mongodb';
+import { MongoClient, ObjectId } from 'mongodb';
 import config from '../../config/index.js';
+import llmService from './llmService.js';
+import aiService from './aiService.js';
+import vectorIndexService from './vectorIndexService.js';
+import notebookService from './notebookService.js';
+import { FAMILY_SCOPE, SYSTEM_SCOPE, privateScope, groupScope, chatScope, scopeFilter, backfillScopes } from '../utils/memoryScope.js';
 import logger from '../utils/logger.js';
 
 class SmartMemoryService {
   constructor() {
-    this.gemini = null;
     this.client = null;
     this.db = null;
     this.collections = {
       memories: null,      // 记忆存储
-      vectors: null,       // 向量索引
-      knowledge: null,     // 知识库
-      autoNotes: null      // 自动笔记
+      vectors: null,       // 向量存储 (memory_vectors)
+      knowledge: null      // 知识库
     };
+    this.vectorIndex = null;  // 'smart_memories' 索引
     this.connected = false;
   }
 
@@ -32,12 +35,8 @@ class SmartMemoryService {
    */
   async init() {
     try {
-      // 初始化 Gemini
-      const geminiKey = config.gemini?.apiKey || config.apiKeys?.gemini;
-      if (geminiKey) {
-        this.gemini = new GoogleGenerativeAI(geminiKey);
-        logger.info('SmartMemory: Gemini initialized');
-      }
+      // 初始化 LLM
+      llmService.init();
 
       // 连接 MongoDB
       const uri = config.mongodb.uri;
@@ -48,10 +47,15 @@ class SmartMemoryService {
       this.collections.memories = this.db.collection('smart_memories');
       this.collections.vectors = this.db.collection('memory_vectors');
       this.collections.knowledge = this.db.collection('knowledge_base');
-      this.collections.autoNotes = this.db.collection('auto_notes');
 
       // 创建索引
       await this.createIndexes();
+      this.vectorIndex = await vectorIndexService.open('smart_memories', this.collections.vectors, {
+        filterFields: ['userId', 'groupId', 'category']
+      });
+
+      // 旧记忆补算向量 (后台执行，不阻塞启动)
+      this.backfillVectors().catch(e => logger.error('SmartMemory backfill error:', e));
       
       this.connected = true;
       logger.info('SmartMemory service initialized');
@@ -76,9 +80,13 @@ class SmartMemoryService {
         tags: 'text'
       });
       
-      await this.collections.autoNotes.createIndex({ ownerId: 1 });
-      await this.collections.autoNotes.createIndex({ ownerType: 1 });
-      await this.collections.autoNotes.createIndex({ autoSaved: 1 });
+      await this.collections.memories.createIndex({ userId: 1 });
+      await this.collections.memories.createIndex({ groupId: 1 });
+
+      // 旧记忆补上记忆范围: 有群组的算群聊，存给妈妈的算家庭共享，其余按用户
+      await backfillScopes(this.collections.memories, 'groupId', groupScope, { groupId: { $ne: null } });
+      await backfillScopes(this.collections.memories, 'userId', () => FAMILY_SCOPE, { userId: 'mother' });
+      await backfillScopes(this.collections.memories, 'userId', userId => this.resolveScope({ userId }));
     } catch (error) {
       logger.error('SmartMemory index error:', error);
     }
@@ -87,22 +95,14 @@ class SmartMemoryService {
   /**
    * 分析内容重要性和类别
    * 使用 Gemini 2.5 Flash-Lite（廉价模型）自动添加记忆向量
+   * context: { source, meta: { chatId, userId } (记进用量账本) }
    */
   async analyzeContent(content, context = {}) {
-    if (!this.gemini) {
+    if (!llmService.isAvailable('gemini')) {
       return this.basicAnalysis(content);
     }
 
     try {
-      // 使用廉价模型进行向量记忆分析
-      const model = this.gemini.getGenerativeModel({
-        model: 'gemini-2.0-flash',  // 廉价稳定模型
-        generationConfig: {
-          temperature: 0.2,  // 低温度，更确定性
-          maxOutputTokens: 512  // 减少 token 消耗
-        }
-      });
-
       const prompt = `分析以下内容，返回 JSON 格式：
 
 内容：
@@ -123,8 +123,9 @@ ${content.substring(0, 2000)}
 
 只返回 JSON，不要其他内容。`;
 
-      const result = await model.generateContent(prompt);
-      const text = result.response.text();
+      // 使用廉价模型进行向量记忆分析 (低温度，更确定性)
+      const result = await llmService.generate('memory.analyze', prompt, { meta: context.meta });
+      const text = result.text;
       
       // 解析 JSON
       const jsonMatch = text.match(/\{[\s\S]*\}/);
@@ -175,14 +176,25 @@ ${content.substring(0, 2000)}
     };
   }
 
+  /**
+   * 记忆范围: 指定的 > 群组 > 用户私有 > 系统 (见 utils/memoryScope.js)
+   */
+  resolveScope({ scope, userId, groupId }) {
+    if (scope) return scope;
+    if (groupId) return groupScope(groupId);
+    return userId ? privateScope(userId) : SYSTEM_SCOPE;
+  }
+
   /**
    * 智能保存 - 自动分析并决定是否保存
+   * options.meta: 用量账本的 { chatId, userId }，默认按 groupId / userId
    */
   async smartSave(content, options = {}) {
-    const { userId, userName, source, forceAnalyze = false } = options;
+    const { userId, userName, groupId, scope, source, forceAnalyze = false } = options;
+    const meta = options.meta || { chatId: groupId || null, userId: userId || null };
     
     // 分析内容
-    const analysis = await this.analyzeContent(content, { source });
+    const analysis = await this.analyzeContent(content, { source, meta });
     
     // 决定是否自动保存
     if (!analysis.shouldAutoSave && !forceAnalyze) {
@@ -194,6 +206,8 @@ ${content.substring(0, 2000)}
         content,
         userId,
         userName,
+        groupId: groupId ? groupId.toString() : null,
+        ...this.resolveScope({ scope, userId, groupId }),
         source: source || 'ai_output',
         analysis,
         importance: analysis.importance,
@@ -207,12 +221,14 @@ ${content.substring(0, 2000)}
       };
 
       const result = await this.collections.memories.insertOne(doc);
+      const vectorized = await this.storeVector(result.insertedId, doc);
       
       logger.info(`SmartMemory saved: ${analysis.category} (importance: ${analysis.importance})`);
       
       return { 
         saved: true, 
         id: result.insertedId,
+        vectorized,
         analysis 
       };
     } catch (error) {
@@ -222,25 +238,187 @@ ${content.substring(0, 2000)}
   }
 
   /**
-   * 扩展搜索 - 搜索并自动记忆
+   * 直接存入记忆 (不做重要性判断) - 群聊总结、闲置分析等
+   */
+  async storeMemory({ userId = null, groupId = null, scope, type, content, metadata = {}, category, importance }) {
+    try {
+      const basic = this.basicAnalysis(content);
+      const doc = {
+        content,
+        userId,
+        groupId: groupId ? groupId.toString() : null,
+        ...this.resolveScope({ scope, userId, groupId }),
+        source: type,
+        type,
+        metadata,
+        importance: importance ?? basic.importance,
+        category: category || basic.category,
+        summary: content.substring(0, 100),
+        tags: metadata.topics || basic.tags,
+        keyPoints: metadata.keyPoints || [],
+        autoSaved: true,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      };
+
+      const result = await this.collections.memories.insertOne(doc);
+      const vectorized = await this.storeVector(result.insertedId, doc);
+      return { saved: true, id: result.insertedId, vectorized };
+    } catch (error) {
+      logger.error('StoreMemory error:', error);
+      return { saved: false, error: error.message };
+    }
+  }
+
+  /**
+   * 计算并保存记忆向量 (失败不影响记忆本身，之后由 backfillVectors 补上)
+   */
+  async storeVector(memoryId, doc) {
+    try {
+      const embedding = await aiService.generateEmbedding(this.getEmbeddingText(doc));
+      await this.vectorIndex.upsert(memoryId.toString(), embedding, {
+        userId: doc.userId ?? null,
+        groupId: doc.groupId ?? null,
+        category: doc.category
+      });
+      return true;
+    } catch (error) {
+      logger.error('SmartMemory vector error:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * 用于嵌入的文本: 摘要 + 正文
+   */
+  getEmbeddingText(doc) {
+    // basicAnalysis 的摘要只是正文开头，不重复嵌入
+    const summary = doc.summary && !doc.content.startsWith(doc.summary.replace(/\.+$/, ''))
+      ? `${doc.summary}\n`
+      : '';
+    return `${summary}${doc.content}`.substring(0, 2000);
+  }
+
+  /**
+   * 给没有向量的旧记忆补算向量
+   */
+  async backfillVectors(limit = 100) {
+    try {
+      const vectorized = (await this.vectorIndex.keys()).map(key => new ObjectId(key));
+      const pending = await this.collections.memories
+        .find({ _id: { $nin: vectorized }, archived: { $ne: true } })
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .toArray();
+
+      let count = 0;
+      for (const doc of pending) {
+        if (await this.storeVector(doc._id, doc)) count++;
+      }
+      if (count > 0) logger.info(`SmartMemory: backfilled ${count} vectors`);
+      return count;
+    } catch (error) {
+      logger.error('SmartMemory backfill error:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * 语义搜索 - 按用户/群组/类别过滤，返回相似度最高的 top-k
+   * @param {Object} options.readableBy - { userId, chatId }: 只返回这个对话可读范围内的记忆
+   * @returns {Promise<Array>} 记忆文档 + score (余弦相似度)
+   */
+  async semanticSearch(query, options = {}) {
+    const {
+      userId,
+      groupId,
+      category,
+      readableBy,
+      limit = config.vector.maxResults,
+      minScore = config.vector.similarityThreshold
+    } = options;
+
+    try {
+      const filter = {};
+      if (userId) filter.userId = userId;
+      if (groupId) filter.groupId = groupId.toString();
+      if (category) filter.category = category;
+
+      // 向量索引不知道记忆范围，按范围过滤时多取一些
+      const queryEmbedding = await aiService.generateEmbedding(query);
+      const k = readableBy ? limit * 3 : limit;
+      const top = await this.vectorIndex.search(queryEmbedding, { k, filter, minScore });
+      if (top.length === 0) return [];
+
+      const memories = await this.collections.memories
+        .find({
+          _id: { $in: top.map(t => new ObjectId(t.key)) },
+          ...(readableBy ? scopeFilter(readableBy) : {})
+        })
+        .toArray();
+      const byId = new Map(memories.map(m => [m._id.toString(), m]));
+
+      const results = top
+        .filter(t => byId.has(t.key))
+        .slice(0, limit)
+        .map(t => ({ ...byId.get(t.key), score: t.score }));
+      this.markRetrieved(results);
+      return results;
+    } catch (error) {
+      logger.error('SemanticSearch error:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * 记录被检索 (记忆整理据此提升 / 衰减重要度)，不阻塞搜索
+   */
+  markRetrieved(memories) {
+    const ids = memories.map(m => m._id).filter(Boolean);
+    if (ids.length === 0) return;
+
+    this.collections.memories
+      .updateMany({ _id: { $in: ids } }, { $inc: { retrievalCount: 1 }, $set: { lastRetrievedAt: new Date() } })
+      .catch(error => logger.error('MarkRetrieved error:', error.message));
+  }
+
+  /**
+   * 向量数量统计 (按用户/群组)
+   */
+  async getVectorStats(filter = {}) {
+    try {
+      const query = {};
+      if (filter.userId) query.userId = filter.userId;
+      if (filter.groupId) query.groupId = filter.groupId.toString();
+      return await this.vectorIndex.stats(query);
+    } catch (error) {
+      logger.error('GetVectorStats error:', error);
+      return { count: 0, lastUpdate: null };
+    }
+  }
+
+  /**
+   * 扩展搜索 - 搜索并自动记忆 (chatId: 在哪个对话里搜，决定可读和保存的范围)
    */
   async expandSearch(query, options = {}) {
-    const { userId, autoMemorize = true } = options;
+    const { userId, chatId = userId, autoMemorize = true } = options;
     
     try {
       // 1. 搜索现有记忆
-      const existingMemories = await this.searchMemories(query);
+      const existingMemories = await this.searchMemories(query, { userId, readableBy: { userId, chatId } });
       
       // 2. 如果启用自动记忆，分析查询并保存
       if (autoMemorize) {
         await this.smartSave(query, {
           userId,
-          source: 'search_query'
+          scope: chatScope({ userId, chatId }),
+          source: 'search_query',
+          meta: { chatId, userId }
         });
       }
       
       // 3. 生成相关推荐
-      const recommendations = await this.generateRecommendations(query, existingMemories);
+      const recommendations = await this.generateRecommendations(query, existingMemories, { chatId, userId });
       
       return {
         query,
@@ -255,24 +433,31 @@ ${content.substring(0, 2000)}
   }
 
   /**
-   * 搜索记忆
+   * 搜索记忆 - 优先语义搜索，嵌入不可用时退回全文索引
    */
   async searchMemories(query, options = {}) {
-    const { limit = 10, category } = options;
+    const { limit = 10, category, userId, groupId, readableBy } = options;
+
+    const semantic = await this.semanticSearch(query, { limit, category, userId, groupId, readableBy });
+    if (semantic.length > 0) return semantic;
     
     try {
-      const filter = {};
+      const filter = readableBy ? scopeFilter(readableBy) : {};
       if (category) filter.category = category;
+      if (userId) filter.userId = userId;
+      if (groupId) filter.groupId = groupId.toString();
       
       const results = await this.collections.memories
         .find({
           ...filter,
+          archived: { $ne: true },
           $text: { $search: query }
         })
         .sort({ importance: -1, createdAt: -1 })
         .limit(limit)
         .toArray();
       
+      this.markRetrieved(results);
       return results;
     } catch (error) {
       logger.error('SearchMemories error:', error);
@@ -283,20 +468,12 @@ ${content.substring(0, 2000)}
   /**
    * 生成相关推荐
    */
-  async generateRecommendations(query, existingResults) {
-    if (!this.gemini || existingResults.length === 0) {
+  async generateRecommendations(query, existingResults, meta = {}) {
+    if (!llmService.isAvailable('gemini') || existingResults.length === 0) {
       return [];
     }
 
     try {
-      const model = this.gemini.getGenerativeModel({
-        model: 'gemini-2.0-flash',
-        generationConfig: {
-          temperature: 0.5,
-          maxOutputTokens: 512
-        }
-      });
-
       const context = existingResults.map(r => r.summary || r.content.substring(0, 100)).join('\n');
       
       const prompt = `基于以下查询和已有内容，推荐3个相关话题：
@@ -308,8 +485,8 @@ ${context}
 
 返回 JSON 数组：["话题1", "话题2", "话题3"]`;
 
-      const result = await model.generateContent(prompt);
-      const text = result.response.text();
+      const result = await llmService.generate('memory.recommend', prompt, { meta });
+      const text = result.text;
       
       const jsonMatch = text.match(/\[[\s\S]*\]/);
       if (jsonMatch) {
@@ -325,58 +502,35 @@ ${context}
 
   /**
    * 自动保存到笔记本
+   * options: { userId (必填), source, origin }，ownerType 为 'mother' 时存进母亲笔记本
    */
   async autoSaveToNotebook(content, ownerType, options = {}) {
-    const analysis = await this.analyzeContent(content);
+    if (!options.userId) {
+      return { saved: false, reason: 'missing_user' };
+    }
+
+    const analysis = await this.analyzeContent(content, {
+      meta: { chatId: options.origin?.chatId ?? null, userId: options.userId }
+    });
     
     if (!analysis.shouldAutoSave) {
       return { saved: false, reason: 'not_important_enough' };
     }
 
-    try {
-      const doc = {
-        ownerType,  // 'mother' | 'zhouwen'
-        content,
-        title: analysis.summary,
-        category: analysis.category,
-        tags: analysis.tags,
-        keyPoints: analysis.keyPoints,
-        importance: analysis.importance,
-        autoSaved: true,
-        source: options.source || 'ai_auto',
-        createdAt: new Date()
-      };
-
-      await this.collections.autoNotes.insertOne(doc);
-      
-      logger.info(`AutoNote saved for ${ownerType}: ${analysis.summary}`);
-      
-      return { saved: true, analysis };
-    } catch (error) {
-      logger.error('AutoSaveToNotebook error:', error);
-      return { saved: false, error: error.message };
+    const result = await notebookService.saveNote(options.userId, ownerType, {
+      title: analysis.summary,
+      content,
+      category: analysis.category,
+      tags: analysis.tags,
+      source: options.source || 'ai_auto',
+      origin: options.origin
+    });
+    if (!result.success) {
+      return { saved: false, error: result.error };
     }
-  }
 
-  /**
-   * 获取用户的自动笔记
-   */
-  async getAutoNotes(ownerType, options = {}) {
-    const { limit = 20, category } = options;
-    
-    try {
-      const filter = { ownerType };
-      if (category) filter.category = category;
-      
-      return await this.collections.autoNotes
-        .find(filter)
-        .sort({ createdAt: -1 })
-        .limit(limit)
-        .toArray();
-    } catch (error) {
-      logger.error('GetAutoNotes error:', error);
-      return [];
-    }
+    logger.info(`AutoNote saved for ${ownerType}: ${analysis.summary}`);
+    return { saved: true, analysis, noteId: result.id };
   }
 
   /**
@@ -389,7 +543,7 @@ ${context}
         { $group: { _id: '$category', count: { $sum: 1 } } }
       ]).toArray();
       
-      const autoNotes = await this.collections.autoNotes.countDocuments();
+      const autoNotes = await notebookService.countNotes({ source: 'ai_auto' });
       
       return {
         totalMemories: total,
@@ -404,6 +558,10 @@ ${context}
       return { totalMemories: 0, byCategory: {}, autoNotes: 0 };
     }
   }
+
+  async close() {
+    if (this.client) await this.client.close();
+  }
 }
 
 export default new SmartMemoryService();
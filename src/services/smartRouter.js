@@ -400,6 +400,26 @@ class SmartRouter {
     return MODEL_FALLBACK_CHAIN[modelId] || MODEL_FALLBACK_CHAIN['default'];
   }
 
+  /**
+   * 模型 ID → 顯示信息 (用於儀表盤顯示實際回答的模型)
+   */
+  describeModel(modelId) {
+    for (const [provider, models] of Object.entries(AVAILABLE_MODELS)) {
+      for (const modelConfig of Object.values(models)) {
+        if (modelConfig.id === modelId) {
+          return { model: modelConfig.name, modelId, provider, icon: modelConfig.icon };
+        }
+      }
+    }
+
+    return {
+      model: modelId,
+      modelId,
+      provider: String(modelId).startsWith('grok') ? 'grok' : 'gemini',
+      icon: '🤖'
+    };
+  }
+
   /**
    * 獲取使用統計
    */
@@ -0,0 +1,256 @@
+/**
+ * 說話風格模型 - 讓 Avatar 學真實周文怎麼說話
+ *
+ * - 從群聊裡周文本人的消息 (真人、非「不要記住」) 學口頭禪、句長、表情和常聊話題
+ * - 每 holdoutEvery 條留 1 條不學 (留出集)，給 /style eval 對照
+ * - 定時重新學習 (refreshHours)，結果存 style_models
+ * - Avatar 的提示詞注入風格摘要 + 幾句原話 (話題相近的優先，不用留出集裡的)
+ *
+ * 特徵計算和打分見 utils/style.js
+ */
+
+import { MongoClient } from 'mongodb';
+import config from '../../config/index.js';
+import { AVATAR_PERSONA } from '../../config/avatar.js';
+import groupMemoryService from './groupMemoryService.js';
+import llmService from './llmService.js';
+import { learnStyle, scoreLine, averageScores } from '../utils/style.js';
+import logger from '../utils/logger.js';
+
+// 目前只學周文一個人
+const TARGET = 'zhouwen';
+
+// 評估時每條留出消息前面帶幾條群聊上下文
+const EVAL_CONTEXT_SIZE = 5;
+
+class StyleModelService {
+  constructor() {
+    this.client = null;
+    this.db = null;
+    this.collections = {
+      models: null  // 學到的風格模型
+    };
+    this.settings = AVATAR_PERSONA.learning;
+    this.model = null;
+    this.timer = null;
+    this.firstRunTimer = null;
+  }
+
+  async connect() {
+    try {
+      this.client = new MongoClient(config.mongodb.uri);
+      await this.client.connect();
+      this.db = this.client.db(config.mongodb.dbName);
+      this.collections.models = this.db.collection('style_models');
+      await this.collections.models.createIndex({ target: 1 }, { unique: true });
+
+      logger.info('Style model service connected');
+      return true;
+    } catch (error) {
+      logger.error('Style model connect error:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 啟動定時學習
+   */
+  start() {
+    if (!this.settings.enabled || this.timer) return;
+
+    const run = () => this.refresh();
+    this.firstRunTimer = setTimeout(run, this.settings.firstRunDelayMinutes * 60 * 1000);
+    this.timer = setInterval(run, this.settings.refreshHours * 60 * 60 * 1000);
+
+    logger.info(`Style model refresh scheduled (every ${this.settings.refreshHours}h)`);
+  }
+
+  stop() {
+    clearTimeout(this.firstRunTimer);
+    clearInterval(this.timer);
+    this.firstRunTimer = null;
+    this.timer = null;
+  }
+
+  /**
+   * 周文的用戶 ID: 配置的 + 顯示名匹配到的
+   */
+  async findTargetUserIds() {
+    const byName = await groupMemoryService.findUserIdsByName(AVATAR_PERSONA.realZhouwenNames);
+    return [...new Set([...this.settings.targetUserIds, ...byName].map(String))];
+  }
+
+  /**
+   * 取最近的真人消息 (按時間正序，跳過命令)
+   */
+  async collectMessages(userIds) {
+    let messages = [];
+    let cursor;
+    do {
+      const page = await groupMemoryService.queryMessages({
+        userId: userIds,
+        sender: 'human',
+        includeEphemeral: false,
+        limit: this.settings.maxMessages - messages.length,
+        cursor
+      });
+      messages = [...page.messages, ...messages];
+      cursor = page.nextCursor;
+    } while (cursor && messages.length < this.settings.maxMessages);
+
+    return messages.filter(m => m.content?.trim() && !m.content.startsWith('/'));
+  }
+
+  /**
+   * 重新學習並保存
+   */
+  async refresh() {
+    if (!this.collections.models) return null;
+
+    try {
+      const userIds = await this.findTargetUserIds();
+      const messages = userIds.length > 0 ? await this.collectMessages(userIds) : [];
+
+      const training = [];
+      const holdout = [];
+      messages.forEach((m, i) => ((i + 1) % this.settings.holdoutEvery === 0 ? holdout : training).push(m));
+
+      const model = {
+        target: TARGET,
+        userIds,
+        ...learnStyle(training.map(m => m.content)),
+        holdout: holdout.map(m => ({
+          id: m._id.toString(),
+          groupId: m.groupId,
+          content: m.content,
+          timestamp: m.timestamp
+        })),
+        updatedAt: new Date()
+      };
+      await this.collections.models.updateOne({ target: TARGET }, { $set: model }, { upsert: true });
+      this.model = model;
+
+      logger.info(`Style model refreshed: ${model.messageCount} messages, ${holdout.length} held out`);
+      return model;
+    } catch (error) {
+      logger.error('Style model refresh error:', error);
+      return null;
+    }
+  }
+
+  /**
+   * 當前模型 (沒有就先學一次)
+   */
+  async getModel() {
+    if (this.model) return this.model;
+    if (!this.collections.models) return null;
+
+    this.model = await this.collections.models.findOne({ target: TARGET });
+    return this.model || this.refresh();
+  }
+
+  /**
+   * 提示詞裡放的原話: 話題相近的優先，不夠再用最近的，都不含留出集
+   */
+  async pickExamples(model, topic) {
+    const limit = this.settings.fewShotExamples;
+    const heldOut = new Set(model.holdout.map(h => h.id));
+    const examples = [];
+
+    for (const userId of topic ? model.userIds : []) {
+      for (const message of await groupMemoryService.findStyleExamples(userId, topic, limit * 2)) {
+        if (!heldOut.has(message._id.toString())) examples.push(message.content);
+      }
+    }
+    examples.push(...model.examples);
+
+    return [...new Set(examples)].slice(0, limit);
+  }
+
+  /**
+   * Avatar 提示詞裡的風格參考 (消息太少時返回空字符串)
+   * @param {string} topic - 當前話題，用來挑相近的原話
+   */
+  async buildPromptContext(topic = '') {
+    if (!this.settings.enabled) return '';
+
+    try {
+      const model = await this.getModel();
+      if (!model || model.messageCount < this.settings.minMessages) return '';
+
+      const traits = [`- 平均每條 ${model.avgLength} 字${model.shortRate >= 0.5 ? '，多是短句' : ''}`];
+      if (model.phrases.length > 0) traits.push(`- 口頭禪：${model.phrases.slice(0, 8).join('、')}`);
+      traits.push(model.emojiRate >= 0.2 ? `- 常用表情：${model.topEmojis.join(' ')}` : '- 很少用表情');
+      if (model.topics.length > 0) traits.push(`- 常聊：${model.topics.slice(0, 6).join('、')}`);
+
+      const examples = await this.pickExamples(model, topic);
+      const fewShot = examples.length > 0
+        ? `\n\n[周文的原話 - 模仿語氣和長度，不要照抄]\n${examples.map(e => `- ${e}`).join('\n')}`
+        : '';
+
+      return `\n\n[學習參考 - 真實周文的說話風格]\n${traits.join('\n')}${fewShot}`;
+    } catch (error) {
+      logger.error('Style prompt error:', error);
+      return '';
+    }
+  }
+
+  /**
+   * 評估: 對最近的留出消息，按它前面的群聊各生成一句 (帶風格 / 只用人設)，和周文的原話比
+   * @returns {Promise<Object|null>} { samples, style, baseline, pairs }，沒有留出消息時為 null
+   */
+  async evaluate() {
+    const model = await this.getModel();
+    const samples = model?.holdout.slice(-this.settings.evalSamples) || [];
+    if (samples.length === 0) return null;
+
+    const scores = { style: [], baseline: [] };
+    const pairs = [];
+    for (const sample of samples) {
+      const { messages } = await groupMemoryService.queryMessages({
+        groupId: sample.groupId,
+        until: new Date(sample.timestamp),
+        limit: EVAL_CONTEXT_SIZE
+      });
+      const context = messages.filter(m => m._id.toString() !== sample.id);
+      const topic = context[context.length - 1]?.content || '';
+
+      const styled = await this.generateLine(context, await this.buildPromptContext(topic));
+      const baseline = await this.generateLine(context, '');
+      scores.style.push(scoreLine(styled, sample.content, model));
+      scores.baseline.push(scoreLine(baseline, sample.content, model));
+      pairs.push({ real: sample.content, styled, baseline });
+    }
+
+    return {
+      samples: samples.length,
+      style: averageScores(scores.style),
+      baseline: averageScores(scores.baseline),
+      pairs
+    };
+  }
+
+  async generateLine(context, styleContext) {
+    const history = context.length > 0
+      ? `\n\n[最近群聊]\n${context.map(m => `${m.userName}: ${m.content}`).join('\n')}`
+      : '';
+    const prompt = `${AVATAR_PERSONA.systemPrompt}${styleContext}${history}
+
+接下来轮到周文说话。请用周文的风格说一句，直接输出，不要加任何前缀：`;
+
+    try {
+      const result = await llmService.generate('avatar.styleEval', prompt);
+      return result.text.trim();
+    } catch (error) {
+      logger.error('Style eval generate error:', error.message);
+      return '';
+    }
+  }
+
+  async close() {
+    this.stop();
+    if (this.client) await this.client.close();
+  }
+}
+
+export default new StyleModelService();
@@ -0,0 +1,299 @@
+/**
+ * 用量賬本服務 - 每次 LLM 調用的 token / 花費記錄
+ *
+ * 功能:
+ * - 記錄模型、provider、功能、群組、用戶、真實 usage (llm_usage 集合)
+ * - 按 AVAILABLE_MODELS.costPerMToken 計價 (USD)
+ * - 每日 / 每月預算 (per provider + per feature)
+ * - 超預算自動降級 (Pro → Flash, Grok → Gemini)
+ *
+ * Mongo 不可用時仍在內存累計，重啟後丟失
+ */
+
+import { MongoClient } from 'mongodb';
+import config from '../../config/index.js';
+import { AVAILABLE_MODELS } from '../../config/models.js';
+import { LLM_BUDGETS, LLM_DOWNGRADES } from '../../config/llm.js';
+import logger from '../utils/logger.js';
+
+class UsageLedgerService {
+  constructor() {
+    this.client = null;
+    this.db = null;
+    this.collections = {
+      usage: null  // llm_usage
+    };
+
+    // 內存累計: key -> { cost, calls, input, output }
+    // key: total | provider:gemini | feature:bongbong.chat | model:gemini-2.5-pro
+    this.daily = new Map();
+    this.monthly = new Map();
+    this.dayKey = this.getDayKey();
+    this.monthKey = this.getMonthKey();
+  }
+
+  async connect() {
+    try {
+      const uri = config.mongodb.uri;
+      if (!uri) {
+        logger.warn('MongoDB URI not configured, usage ledger in memory only');
+        return false;
+      }
+
+      this.client = new MongoClient(uri);
+      await this.client.connect();
+      this.db = this.client.db(config.mongodb.dbName || 'sms_tg_bot');
+      this.collections.usage = this.db.collection('llm_usage');
+
+      await this.collections.usage.createIndex({ month: 1, day: 1 });
+      await this.collections.usage.createIndex({ userId: 1, timestamp: -1 });
+      await this.collections.usage.createIndex({ feature: 1, timestamp: -1 });
+
+      // 從本月記錄恢復累計
+      await this.loadTotals();
+
+      logger.info('Usage ledger connected to MongoDB');
+      return true;
+    } catch (error) {
+      logger.error('Usage ledger connection error:', error);
+      return false;
+    }
+  }
+
+  getDayKey(date = new Date()) {
+    return date.toISOString().split('T')[0];
+  }
+
+  getMonthKey(date = new Date()) {
+    return date.toISOString().slice(0, 7);
+  }
+
+  // ==================== 計價 ====================
+
+  /**
+   * 查模型價格 - 精確匹配，否則取最長前綴 (gemini-2.5-pro-preview → gemini-2.5-pro)
+   */
+  getPricing(modelId) {
+    let match = null;
+
+    for (const models of Object.values(AVAILABLE_MODELS)) {
+      for (const modelConfig of Object.values(models)) {
+        if (modelConfig.costPerMToken === undefined) continue;
+        if (modelConfig.id === modelId) return modelConfig.costPerMToken;
+        if (String(modelId).startsWith(modelConfig.id) && (!match || modelConfig.id.length > match.id.length)) {
+          match = modelConfig;
+        }
+      }
+    }
+
+    // 未登記的模型按免費額度計
+    return match ? match.costPerMToken : 0;
+  }
+
+  /**
+   * 計算花費 (USD)
+   */
+  calculateCost(modelId, tokens = {}) {
+    const pricing = this.getPricing(modelId);
+    const input = tokens.input || 0;
+    const output = tokens.output || 0;
+
+    if (typeof pricing === 'number') {
+      return (input + output) * pricing / 1e6;
+    }
+    return (input * (pricing.input || 0) + output * (pricing.output || 0)) / 1e6;
+  }
+
+  // ==================== 記錄 ====================
+
+  /**
+   * 記錄一次調用
+   */
+  async record(entry) {
+    const { feature, model, provider, tokens = { input: 0, output: 0 } } = entry;
+    const now = new Date();
+    const cost = provider === 'stub' ? 0 : this.calculateCost(model, tokens);
+
+    this.rollover(now);
+    this.accumulate({
+      feature, model, provider, cost,
+      input: tokens.input || 0,
+      output: tokens.output || 0
+    }, this.getDayKey(now));
+
+    if (!this.collections.usage) return;
+
+    try {
+      await this.collections.usage.insertOne({
+        feature,
+        model,
+        provider,
+        requestedModel: entry.requestedModel || model,
+        fallback: !!entry.fallback,
+        budgetDowngraded: !!entry.budgetDowngraded,
+        chatId: entry.chatId ? entry.chatId.toString() : null,
+        userId: entry.userId ? entry.userId.toString() : null,
+        tokens: { input: tokens.input || 0, output: tokens.output || 0 },
+        estimated: !!entry.estimated,
+        cost,
+        latencyMs: entry.latencyMs || 0,
+        day: this.getDayKey(now),
+        month: this.getMonthKey(now),
+        timestamp: now
+      });
+    } catch (error) {
+      logger.error('Usage ledger record error:', error.message);
+    }
+  }
+
+  /**
+   * 跨日 / 跨月清零
+   */
+  rollover(now = new Date()) {
+    const day = this.getDayKey(now);
+    const month = this.getMonthKey(now);
+
+    if (day !== this.dayKey) {
+      this.daily.clear();
+      this.dayKey = day;
+    }
+    if (month !== this.monthKey) {
+      this.monthly.clear();
+      this.monthKey = month;
+    }
+  }
+
+  /**
+   * 累計到內存 (day = 該筆記錄的日期)
+   */
+  accumulate({ feature, model, provider, calls = 1, ...amounts }, day) {
+    const keys = ['total', `provider:${provider}`, `feature:${feature}`, `model:${model}`];
+    for (const key of keys) {
+      this.bump(this.monthly, key, { calls, ...amounts });
+      if (day === this.dayKey) {
+        this.bump(this.daily, key, { calls, ...amounts });
+      }
+    }
+  }
+
+  bump(map, key, { cost, calls, input, output }) {
+    const current = map.get(key) || { cost: 0, calls: 0, input: 0, output: 0 };
+    current.cost += cost;
+    current.calls += calls;
+    current.input += input;
+    current.output += output;
+    map.set(key, current);
+  }
+
+  /**
+   * 啟動時從 Mongo 加載本月累計
+   */
+  async loadTotals() {
+    try {
+      const rows = await this.collections.usage.aggregate([
+        { $match: { month: this.monthKey } },
+        {
+          $group: {
+            _id: { day: '$day', feature: '$feature', model: '$model', provider: '$provider' },
+            cost: { $sum: '$cost' },
+            calls: { $sum: 1 },
+            input: { $sum: '$tokens.input' },
+            output: { $sum: '$tokens.output' }
+          }
+        }
+      ]).toArray();
+
+      this.rollover();
+      this.daily.clear();
+      this.monthly.clear();
+      for (const row of rows) {
+        const { day, feature, model, provider } = row._id;
+        this.accumulate({
+          feature, model, provider,
+          cost: row.cost,
+          calls: row.calls,
+          input: row.input,
+          output: row.output
+        }, day);
+      }
+    } catch (error) {
+      logger.error('Usage ledger load error:', error.message);
+    }
+  }
+
+  // ==================== 預算 ====================
+
+  getSpend(period, key) {
+    this.rollover();
+    const map = period === 'daily' ? this.daily : this.monthly;
+    return map.get(key)?.cost || 0;
+  }
+
+  /**
+   * 預算是否超出
+   */
+  isOver(key, budget) {
+    if (!budget) return false;
+    return (budget.daily !== undefined && this.getSpend('daily', key) >= budget.daily) ||
+      (budget.monthly !== undefined && this.getSpend('monthly', key) >= budget.monthly);
+  }
+
+  isOverBudget(feature, modelId) {
+    const provider = String(modelId).startsWith('grok') ? 'grok' : 'gemini';
+    return this.isOver(`provider:${provider}`, LLM_BUDGETS.providers[provider]) ||
+      this.isOver(`feature:${feature}`, LLM_BUDGETS.features[feature]);
+  }
+
+  /**
+   * 按預算解析實際可用模型 (沿 LLM_DOWNGRADES 逐級降)
+   */
+  resolveModel(feature, modelId) {
+    let model = modelId;
+    const seen = new Set();
+
+    while (LLM_DOWNGRADES[model] && !seen.has(model) && this.isOverBudget(feature, model)) {
+      seen.add(model);
+      model = LLM_DOWNGRADES[model];
+    }
+
+    return model;
+  }
+
+  // ==================== 統計 ====================
+
+  /**
+   * 花費匯總 (給 /stats)
+   */
+  getSpendSummary() {
+    this.rollover();
+
+    const collect = (map, prefix) => [...map.entries()]
+      .filter(([key]) => key.startsWith(prefix))
+      .map(([key, value]) => ({ name: key.slice(prefix.length), ...value }))
+      .sort((a, b) => b.cost - a.cost || b.calls - a.calls);
+
+    const period = (map) => ({
+      total: map.get('total') || { cost: 0, calls: 0, input: 0, output: 0 },
+      providers: collect(map, 'provider:'),
+      features: collect(map, 'feature:'),
+      models: collect(map, 'model:')
+    });
+
+    return {
+      day: this.dayKey,
+      month: this.monthKey,
+      today: period(this.daily),
+      thisMonth: period(this.monthly),
+      budgets: LLM_BUDGETS
+    };
+  }
+
+  async close() {
+    if (this.client) {
+      await this.client.close();
+      logger.info('Usage ledger disconnected');
+    }
+  }
+}
+
+export default new UsageLedgerService();
@@ -8,9 +8,8 @@
  * - 可自動擴展思維方向寫入向量庫
  */
 
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import config from '../../config/index.js';
 import smartMemoryService from './smartMemoryService.js';
+import llmService from './llmService.js';
 import logger from '../utils/logger.js';
 
 // 配置
@@ -20,7 +19,6 @@ const MIN_VECTOR_COUNT = 10;  // 最少向量數量才引用
 
 class VectorEnhanceService {
   constructor() {
-    this.gemini = null;
     this.messageCounters = new Map();  // groupId -> count
     this.messageBuffers = new Map();   // groupId -> messages[]
     this.isInitialized = false;
@@ -31,17 +29,7 @@ class VectorEnhanceService {
    */
   async init() {
     try {
-      const geminiKey = config.apiKeys.gemini;
-      if (geminiKey) {
-        const genAI = new GoogleGenerativeAI(geminiKey);
-        this.gemini = genAI.getGenerativeModel({
-          model: 'gemini-2.0-flash-lite',  // 最便宜的模型
-          generationConfig: {
-            temperature: 0.3,
-            maxOutputTokens: 1024
-          }
-        });
-      }
+      llmService.init();
 
       this.isInitialized = true;
       logger.info('VectorEnhance: Service initialized');
@@ -102,12 +90,12 @@ class VectorEnhanceService {
       ).join('\n');
 
       // 使用 Gemini 總結
-      const summary = await this.generateSummary(conversation);
+      const summary = await this.generateSummary(conversation, groupId);
       if (!summary) return;
 
       // 存入向量庫
       await smartMemoryService.storeMemory({
-        userId: `group_${groupId}`,
+        groupId,
         type: 'conversation_summary',
         content: summary.text,
         metadata: {
@@ -130,8 +118,8 @@ class VectorEnhanceService {
   /**
    * 生成總結
    */
-  async generateSummary(conversation) {
-    if (!this.gemini) return null;
+  async generateSummary(conversation, groupId) {
+    if (!llmService.isAvailable('gemini')) return null;
 
     const prompt = `分析以下群聊對話，提取關鍵信息：
 
@@ -148,8 +136,9 @@ ${conversation}
 }`;
 
     try {
-      const result = await this.gemini.generateContent(prompt);
-      const text = result.response.text();
+      // 最便宜的模型
+      const result = await llmService.generate('vector.summary', prompt, { meta: { chatId: groupId } });
+      const text = result.text;
       
       // 解析 JSON
       const jsonMatch = text.match(/\{[\s\S]*\}/);
@@ -174,23 +163,28 @@ ${conversation}
     }
 
     try {
-      // 搜索相關向量
-      const results = await smartMemoryService.searchMemory({
-        userId: `group_${groupId}`,
-        query,
+      // 檢查向量數量 (資源太少時不作為參考)
+      const stats = await smartMemoryService.getVectorStats({ groupId });
+      if (stats.count < MIN_VECTOR_COUNT) {
+        logger.debug('VectorEnhance: Not enough vectors, skipping reference');
+        return null;
+      }
+
+      // 語義搜索相關記憶 (只引用本群可讀範圍內的)
+      const results = await smartMemoryService.semanticSearch(query, {
+        groupId,
+        readableBy: { chatId: groupId },
         limit: 5
       });
-
-      // 檢查向量數量
-      if (!results || results.length < MIN_VECTOR_COUNT / 5) {
-        logger.debug('VectorEnhance: Not enough vectors, skipping reference');
+      if (results.length === 0) {
+        logger.debug('VectorEnhance: No relevant vectors');
         return null;
       }
 
       // 格式化引用
       const references = results.map(r => {
-        if (r.metadata?.keyPoints) {
-          return r.metadata.keyPoints.join('、');
+        if (r.keyPoints?.length > 0) {
+          return r.keyPoints.join('、');
         }
         return r.content?.substring(0, 100);
       }).filter(Boolean);
@@ -200,7 +194,8 @@ ${conversation}
       return {
         hasReference: true,
         content: references.join('\n'),
-        count: results.length
+        count: results.length,
+        topScore: results[0].score
       };
     } catch (error) {
       logger.error('VectorEnhance: Get reference error:', error);
@@ -237,12 +232,12 @@ ${reference.content}
 - 如果記憶不相關，保持原回覆`;
 
     try {
-      if (!this.gemini) {
+      if (!llmService.isAvailable('gemini')) {
         return { response: baseResponse, enhanced: false };
       }
 
-      const result = await this.gemini.generateContent(enhancePrompt);
-      const enhanced = result.response.text();
+      const result = await llmService.generate('vector.enhance', enhancePrompt, { meta: { chatId: groupId } });
+      const enhanced = result.text;
 
       return {
         response: enhanced,
@@ -261,7 +256,7 @@ ${reference.content}
   async addKnowledge(groupId, content, topics = []) {
     try {
       await smartMemoryService.storeMemory({
-        userId: `group_${groupId}`,
+        groupId,
         type: 'manual_knowledge',
         content,
         metadata: {
@@ -284,10 +279,10 @@ ${reference.content}
    */
   async getStats(groupId) {
     try {
-      const stats = await smartMemoryService.getStats(`group_${groupId}`);
+      const stats = await smartMemoryService.getVectorStats({ groupId });
       return {
-        totalVectors: stats?.count || 0,
-        lastSummary: stats?.lastUpdate,
+        totalVectors: stats.count,
+        lastSummary: stats.lastUpdate,
         currentBuffer: this.messageBuffers.get(groupId.toString())?.length || 0,
         threshold: SUMMARY_THRESHOLD,
         referenceProbability: REFERENCE_PROBABILITY
@@ -0,0 +1,543 @@
+/**
+ * 向量索引服務 - 所有記憶服務共用的檢索接口
+ *
+ * 向量本身存在各服務的 Mongo 集合裡 (memory_vectors / embeddings / style_vectors)，
+ * 每條文檔: { index, key, embedding, ...過濾字段 }，同一集合可放多個索引 (按 index 區分)
+ *
+ * 檢索實現 (VECTOR_INDEX):
+ * - HnswVectorIndex: 進程內 HNSW 圖，持久化到 VECTOR_INDEX_DIR，啟動時和 Mongo 對賬，不一致則重建
+ * - AtlasVectorIndex: MongoDB Atlas $vectorSearch (搜索索引由 Atlas 自動維護)
+ * - BruteForceVectorIndex: 內存精確掃描，用於測試 / 小數據量
+ *
+ * 接口: upsert(key, vector, metadata) / delete(key) / search(vector, { k, filter, minScore }) / reindex()
+ * search 返回 [{ key, score, metadata }]，score 為餘弦相似度
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import config from '../../config/index.js';
+import HnswGraph, { normalize, dot } from '../utils/hnsw.js';
+import logger from '../utils/logger.js';
+
+// 延遲保存 HNSW 文件，合併短時間內的多次寫入
+const SAVE_DELAY_MS = 30 * 1000;
+
+// 墓碑超過這個比例時壓縮重建
+const MAX_DELETED_RATIO = 0.25;
+
+/**
+ * 基類 - Mongo 存儲 + 過濾，子類實現 insert / evict / query
+ */
+class VectorIndex {
+  /**
+   * @param {string} name - 索引名 (文檔的 index 字段)
+   * @param {Collection} collection - 存放向量的 Mongo 集合
+   * @param {Object} options
+   * @param {string[]} options.filterFields - 可用於過濾的元數據字段
+   */
+  constructor(name, collection, { filterFields = [] } = {}) {
+    this.name = name;
+    this.collection = collection;
+    this.filterFields = filterFields;
+  }
+
+  async open() {
+    await this.collection.createIndex({ index: 1, key: 1 }, { unique: true });
+    for (const field of this.filterFields) {
+      await this.collection.createIndex({ index: 1, [field]: 1 });
+    }
+  }
+
+  /**
+   * 新增或替換一條向量
+   */
+  async upsert(key, vector, metadata = {}) {
+    key = String(key);
+    const fields = this.pickMetadata(metadata);
+
+    await this.collection.updateOne(
+      { index: this.name, key },
+      {
+        $set: { ...fields, embedding: Array.from(vector), dimension: vector.length, updatedAt: new Date() },
+        $setOnInsert: { createdAt: new Date() }
+      },
+      { upsert: true }
+    );
+    this.insert(key, vector, fields);
+  }
+
+  async delete(key) {
+    key = String(key);
+    await this.collection.deleteOne({ index: this.name, key });
+    this.evict(key);
+  }
+
+  /**
+   * 相似度檢索
+   * @param {Object} options
+   * @param {number} options.k - 返回數量
+   * @param {Object} options.filter - 元數據等值過濾，如 { userId: '1001' }
+   * @param {number} options.minScore - 最低相似度
+   */
+  async search(vector, { k = config.vector.maxResults, filter = {}, minScore = -1 } = {}) {
+    const cleanFilter = this.pickMetadata(filter);
+    const results = await this.query(vector, k, cleanFilter);
+    return results.filter(r => r.score >= minScore).slice(0, k);
+  }
+
+  /**
+   * 從 Mongo 重建檢索結構
+   */
+  async reindex() {}
+
+  async keys() {
+    return this.collection.distinct('key', { index: this.name });
+  }
+
+  /**
+   * 按 key 讀取原始向量 (記憶整理等後台任務用)
+   * @returns {Promise<Map<string, number[]>>}
+   */
+  async vectors(keys) {
+    const docs = await this.collection
+      .find({ index: this.name, key: { $in: keys.map(String) } }, { projection: { key: 1, embedding: 1 } })
+      .toArray();
+    return new Map(docs.map(doc => [doc.key, doc.embedding]));
+  }
+
+  /**
+   * 條數 + 最近更新時間 (可按元數據過濾)
+   */
+  async stats(filter = {}) {
+    const query = { index: this.name, ...this.pickMetadata(filter) };
+    const count = await this.collection.countDocuments(query);
+    const [latest] = await this.collection
+      .find(query)
+      .sort({ updatedAt: -1 })
+      .limit(1)
+      .project({ updatedAt: 1 })
+      .toArray();
+    return { count, lastUpdate: latest?.updatedAt || null };
+  }
+
+  async close() {}
+
+  // ==================== 子類實現 ====================
+
+  insert() {}
+
+  evict() {}
+
+  async query() {
+    return [];
+  }
+
+  // ==================== 內部 ====================
+
+  /**
+   * 只保留聲明過的過濾字段 (undefined 不參與過濾)
+   */
+  pickMetadata(metadata) {
+    const picked = {};
+    for (const field of this.filterFields) {
+      if (metadata[field] !== undefined) picked[field] = metadata[field];
+    }
+    return picked;
+  }
+
+  matches(metadata, filter) {
+    return Object.entries(filter).every(([field, value]) => metadata[field] === value);
+  }
+
+  /**
+   * 逐條讀取本索引的所有向量
+   */
+  async loadAll(onDoc) {
+    const cursor = this.collection.find(
+      { index: this.name },
+      { projection: { key: 1, embedding: 1, ...Object.fromEntries(this.filterFields.map(f => [f, 1])) } }
+    );
+    for await (const doc of cursor) {
+      if (Array.isArray(doc.embedding) && doc.embedding.length > 0) onDoc(doc);
+    }
+  }
+}
+
+/**
+ * 精確掃描 - 向量常駐內存，每次查詢全量計算
+ */
+export class BruteForceVectorIndex extends VectorIndex {
+  constructor(name, collection, options) {
+    super(name, collection, options);
+    this.entries = new Map();  // key -> { vector (已歸一化), metadata }
+  }
+
+  async open() {
+    await super.open();
+    await this.reindex();
+  }
+
+  async reindex() {
+    this.entries.clear();
+    await this.loadAll(doc => this.insert(doc.key, doc.embedding, this.pickMetadata(doc)));
+  }
+
+  insert(key, vector, metadata) {
+    this.entries.set(key, { vector: normalize(vector), metadata });
+  }
+
+  evict(key) {
+    this.entries.delete(key);
+  }
+
+  async query(vector, k, filter) {
+    const query = normalize(vector);
+    const results = [];
+    for (const [key, entry] of this.entries) {
+      if (entry.vector.length !== query.length || !this.matches(entry.metadata, filter)) continue;
+      results.push({ key, score: dot(query, entry.vector), metadata: entry.metadata });
+    }
+    return results.sort((a, b) => b.score - a.score).slice(0, k);
+  }
+}
+
+/**
+ * 進程內 HNSW - 圖結構和向量保存在 indexDir/<name>.json + <name>.bin
+ */
+export class HnswVectorIndex extends VectorIndex {
+  constructor(name, collection, options = {}) {
+    super(name, collection, options);
+    this.settings = { ...config.vector.hnsw, ...options.hnsw };
+    this.indexDir = options.indexDir || config.vector.indexDir;
+
+    this.graph = null;
+    this.dimension = 0;
+    this.nodeKeys = [];        // node -> key
+    this.nodeMetadata = [];    // node -> metadata
+    this.nodes = new Map();    // key -> node (只含有效節點)
+
+    this.dirty = false;
+    this.saveTimer = null;
+  }
+
+  async open() {
+    await super.open();
+
+    if (await this.loadFromDisk()) {
+      const stored = await this.collection.countDocuments({ index: this.name });
+      if (stored === this.nodes.size) {
+        logger.info(`VectorIndex ${this.name}: loaded ${stored} vectors from disk`);
+        return;
+      }
+      logger.warn(`VectorIndex ${this.name}: disk index out of sync (${this.nodes.size} vs ${stored}), rebuilding`);
+    }
+
+    await this.reindex();
+  }
+
+  async reindex() {
+    this.reset();
+    await this.loadAll(doc => this.insert(doc.key, doc.embedding, this.pickMetadata(doc)));
+    logger.info(`VectorIndex ${this.name}: indexed ${this.nodes.size} vectors`);
+    await this.save();
+  }
+
+  insert(key, vector, metadata) {
+    if (this.dimension && vector.length !== this.dimension) {
+      logger.warn(`VectorIndex ${this.name}: skipped ${key}, dimension ${vector.length} != ${this.dimension}`);
+      return;
+    }
+    this.dimension = vector.length;
+
+    if (this.nodes.has(key)) this.graph.remove(this.nodes.get(key));
+
+    const node = this.graph.add(vector);
+    this.nodeKeys[node] = key;
+    this.nodeMetadata[node] = metadata;
+    this.nodes.set(key, node);
+
+    this.compactIfNeeded();
+    this.scheduleSave();
+  }
+
+  evict(key) {
+    if (!this.nodes.has(key)) return;
+
+    this.graph.remove(this.nodes.get(key));
+    this.nodes.delete(key);
+
+    this.compactIfNeeded();
+    this.scheduleSave();
+  }
+
+  /**
+   * 過濾後範圍小 → 直接精確計算；否則走圖搜索 + 後過濾，結果不足時擴大 ef
+   */
+  async query(vector, k, filter) {
+    if (this.nodes.size === 0 || vector.length !== this.dimension) return [];
+
+    const hasFilter = Object.keys(filter).length > 0;
+    if (hasFilter) {
+      const matched = [...this.nodes.values()].filter(node => this.matches(this.nodeMetadata[node], filter));
+      if (matched.length <= this.settings.exactThreshold) {
+        const query = normalize(vector);
+        return matched
+          .map(node => ({ node, score: dot(query, this.graph.vectors[node]) }))
+          .sort((a, b) => b.score - a.score)
+          .slice(0, k)
+          .map(r => this.toResult(r));
+      }
+    }
+
+    const accept = hasFilter ? node => this.matches(this.nodeMetadata[node], filter) : null;
+    let ef = Math.max(this.settings.efSearch, k);
+    let results = this.graph.search(vector, k, { ef, accept });
+    while (results.length < k && ef < this.graph.vectors.length) {
+      ef *= 4;
+      results = this.graph.search(vector, k, { ef, accept });
+    }
+    return results.map(r => this.toResult(r));
+  }
+
+  async close() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    if (this.dirty) await this.save();
+  }
+
+  // ==================== 持久化 ====================
+
+  getPaths() {
+    const base = path.join(this.indexDir, this.name);
+    return { meta: `${base}.json`, vectors: `${base}.bin` };
+  }
+
+  async save() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+
+    try {
+      const paths = this.getPaths();
+      await fs.mkdir(this.indexDir, { recursive: true });
+
+      const meta = {
+        version: 1,
+        dimension: this.dimension,
+        savedAt: new Date().toISOString(),
+        keys: this.nodeKeys,
+        metadata: this.nodeMetadata,
+        graph: this.graph.toJSON()
+      };
+
+      // 先寫臨時文件再改名，避免進程中斷留下半個文件
+      await fs.writeFile(`${paths.vectors}.tmp`, this.graph.vectorsToBuffer());
+      await fs.writeFile(`${paths.meta}.tmp`, JSON.stringify(meta));
+      await fs.rename(`${paths.vectors}.tmp`, paths.vectors);
+      await fs.rename(`${paths.meta}.tmp`, paths.meta);
+
+      this.dirty = false;
+    } catch (error) {
+      logger.error(`VectorIndex ${this.name}: save error:`, error.message);
+    }
+  }
+
+  async loadFromDisk() {
+    try {
+      const paths = this.getPaths();
+      const meta = JSON.parse(await fs.readFile(paths.meta, 'utf8'));
+      const buffer = await fs.readFile(paths.vectors);
+      if (meta.version !== 1 || !meta.dimension) return false;
+
+      this.reset();
+      this.dimension = meta.dimension;
+      this.graph = HnswGraph.fromJSON(meta.graph, buffer, meta.dimension);
+      this.nodeKeys = meta.keys;
+      this.nodeMetadata = meta.metadata;
+      meta.keys.forEach((key, node) => {
+        if (!this.graph.deleted.has(node)) this.nodes.set(key, node);
+      });
+      return true;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`VectorIndex ${this.name}: cannot load disk index:`, error.message);
+      }
+      return false;
+    }
+  }
+
+  scheduleSave() {
+    this.dirty = true;
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => this.save(), SAVE_DELAY_MS);
+    this.saveTimer.unref?.();
+  }
+
+  // ==================== 內部 ====================
+
+  reset() {
+    this.graph = new HnswGraph({ M: this.settings.M, efConstruction: this.settings.efConstruction });
+    this.dimension = 0;
+    this.nodeKeys = [];
+    this.nodeMetadata = [];
+    this.nodes.clear();
+  }
+
+  toResult({ node, score }) {
+    return { key: this.nodeKeys[node], score, metadata: this.nodeMetadata[node] };
+  }
+
+  /**
+   * 墓碑太多時用內存裡的向量重建圖 (不需要回讀 Mongo)
+   */
+  compactIfNeeded() {
+    const total = this.graph.vectors.length;
+    if (total < 100 || this.graph.deleted.size / total < MAX_DELETED_RATIO) return;
+
+    const live = [...this.nodes].map(([key, node]) => ({
+      key,
+      vector: this.graph.vectors[node],
+      metadata: this.nodeMetadata[node]
+    }));
+
+    const dimension = this.dimension;
+    this.reset();
+    this.dimension = dimension;
+    for (const { key, vector, metadata } of live) {
+      const node = this.graph.add(vector);
+      this.nodeKeys[node] = key;
+      this.nodeMetadata[node] = metadata;
+      this.nodes.set(key, node);
+    }
+    logger.debug(`VectorIndex ${this.name}: compacted to ${live.length} vectors`);
+  }
+}
+
+/**
+ * MongoDB Atlas $vectorSearch - 寫入即由 Atlas 異步建索引
+ */
+export class AtlasVectorIndex extends VectorIndex {
+  constructor(name, collection, options = {}) {
+    super(name, collection, options);
+    this.searchIndexName = options.searchIndexName || config.vector.atlasIndexName;
+    this.dimension = options.dimension || config.vector.dimension;
+  }
+
+  async open() {
+    await super.open();
+    await this.ensureSearchIndex();
+  }
+
+  /**
+   * 搜索索引定義: embedding 向量 + index / 過濾字段
+   */
+  async ensureSearchIndex() {
+    try {
+      const existing = await this.collection.listSearchIndexes(this.searchIndexName).toArray();
+      if (existing.length > 0) return;
+
+      await this.collection.createSearchIndex({
+        name: this.searchIndexName,
+        type: 'vectorSearch',
+        definition: {
+          fields: [
+            { type: 'vector', path: 'embedding', numDimensions: this.dimension, similarity: 'cosine' },
+            { type: 'filter', path: 'index' },
+            ...this.filterFields.map(field => ({ type: 'filter', path: field }))
+          ]
+        }
+      });
+      logger.info(`VectorIndex ${this.name}: created Atlas search index ${this.searchIndexName}`);
+    } catch (error) {
+      logger.error(`VectorIndex ${this.name}: Atlas search index error:`, error.message);
+    }
+  }
+
+  async reindex() {
+    // Atlas 自動維護，無需重建
+  }
+
+  async query(vector, k, filter) {
+    const docs = await this.collection.aggregate([
+      {
+        $vectorSearch: {
+          index: this.searchIndexName,
+          path: 'embedding',
+          queryVector: Array.from(vector),
+          numCandidates: Math.max(k * 20, 100),
+          limit: k,
+          filter: { index: this.name, ...filter }
+        }
+      },
+      {
+        $project: {
+          key: 1,
+          ...Object.fromEntries(this.filterFields.map(f => [f, 1])),
+          score: { $meta: 'vectorSearchScore' }
+        }
+      }
+    ]).toArray();
+
+    // Atlas 的 cosine 分數是 (1 + cos) / 2，換回餘弦相似度
+    return docs.map(doc => ({
+      key: doc.key,
+      score: doc.score * 2 - 1,
+      metadata: this.pickMetadata(doc)
+    }));
+  }
+}
+
+const IMPLEMENTATIONS = {
+  hnsw: HnswVectorIndex,
+  atlas: AtlasVectorIndex,
+  bruteforce: BruteForceVectorIndex
+};
+
+/**
+ * 向量索引服務 - 按名稱打開 / 共享索引
+ */
+class VectorIndexService {
+  constructor() {
+    this.indexes = new Map();  // name -> Promise<VectorIndex>
+  }
+
+  /**
+   * 打開 (或取回已打開的) 索引
+   */
+  open(name, collection, options = {}) {
+    if (!this.indexes.has(name)) {
+      const Implementation = IMPLEMENTATIONS[config.vector.index] || HnswVectorIndex;
+      const index = new Implementation(name, collection, options);
+      const opening = index.open().then(() => index);
+      opening.catch(error => {
+        logger.error(`VectorIndex ${name}: open error:`, error);
+        this.indexes.delete(name);
+      });
+      this.indexes.set(name, opening);
+    }
+    return this.indexes.get(name);
+  }
+
+  /**
+   * 所有已打開的索引從 Mongo 重建
+   */
+  async reindex() {
+    for (const opening of this.indexes.values()) {
+      const index = await opening;
+      await index.reindex();
+    }
+  }
+
+  async close() {
+    for (const opening of this.indexes.values()) {
+      try {
+        const index = await opening;
+        await index.close();
+      } catch (error) {
+        // 打開失敗的索引無需關閉
+      }
+    }
+    this.indexes.clear();
+  }
+}
+
+export default new VectorIndexService();
@@ -10,9 +10,7 @@
  * 触发: 关键词「签证」「visa」「移民」「入境」「续签」
  */
 
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import OpenAI from 'openai';
-import config from '../../config/index.js';
+import llmService from './llmService.js';
 import logger from '../utils/logger.js';
 
 // 签证相关关键词
@@ -78,8 +76,6 @@ const THAILAND_VISA_KB = {
 
 class VisaService {
   constructor() {
-    this.gemini = null;
-    this.grok = null;
     this.initialized = false;
   }
 
@@ -88,21 +84,7 @@ class VisaService {
    */
   async init() {
     try {
-      const geminiKey = config.gemini?.apiKey || config.apiKeys?.gemini;
-      const grokKey = config.grok?.apiKey || config.apiKeys?.grok;
-
-      if (geminiKey) {
-        this.gemini = new GoogleGenerativeAI(geminiKey);
-        logger.info('Visa Service: Gemini initialized');
-      }
-
-      if (grokKey) {
-        this.grok = new OpenAI({
-          apiKey: grokKey,
-          baseURL: 'https://api.x.ai/v1'
-        });
-        logger.info('Visa Service: Grok initialized');
-      }
+      llmService.init();
 
       this.initialized = true;
       return true;
@@ -129,13 +111,14 @@ class VisaService {
    * - Grok: 签证咨询、思维联想、深度分析（燃烧 token）
    * - Gemini 2.5 Flash: 长上下文处理
    * - Gemini 2.5 Flash-Lite: 向量记忆、廉价任务
+   * @param {Object} meta - { chatId, userId }，记进用量账本
    */
-  async handleVisaQuery(question, userName = '') {
+  async handleVisaQuery(question, userName = '', meta = {}) {
     logger.info(`Visa query from ${userName}: ${question}`);
 
     try {
       // 完全使用 Grok 处理签证问题
-      const analysis = await this.analyzeWithGrok(question, userName);
+      const analysis = await this.analyzeWithGrok(question, userName, meta);
       
       return {
         success: true,
@@ -160,19 +143,14 @@ class VisaService {
   /**
    * 使用 Grok 完整处理签证问题
    */
-  async analyzeWithGrok(question, userName) {
-    if (!this.grok) {
+  async analyzeWithGrok(question, userName, meta = {}) {
+    if (!llmService.isAvailable('grok')) {
       throw new Error('Grok not initialized');
     }
 
     const knowledgeBase = JSON.stringify(THAILAND_VISA_KB, null, 2);
 
-    const response = await this.grok.chat.completions.create({
-      model: 'grok-3-mini',
-      messages: [
-        {
-          role: 'system',
-          content: `你是泰国签证和移民政策专家。请用**简体中文**详细回答用户的签证问题。
+    const system = `你是泰国签证和移民政策专家。请用**简体中文**详细回答用户的签证问题。
 
 ## 泰国签证知识库
 ${knowledgeBase}
@@ -195,18 +173,13 @@ ${knowledgeBase}
 [具体建议]
 
 ### ⚠️ 注意事项
-[重要提醒]`
-        },
-        {
-          role: 'user',
-          content: question
-        }
-      ],
-      temperature: 0.7,
-      max_tokens: 4096
-    });
-
-    const text = response.choices[0]?.message?.content || '';
+[重要提醒]`;
+
+    const result = await llmService.chat('visa.consult', [
+      { role: 'user', content: question }
+    ], { system, meta });
+
+    const text = result.text;
     
     // 提取扩展问题
     const expandedQuestions = this.extractRelatedQuestions(text);
@@ -235,35 +208,25 @@ ${knowledgeBase}
   /**
    * Grok 扩散关键词
    */
-  async expandWithGrok(question) {
-    if (!this.grok) {
+  async expandWithGrok(question, meta = {}) {
+    if (!llmService.isAvailable('grok')) {
       return [question];
     }
 
     try {
-      const response = await this.grok.chat.completions.create({
-        model: 'grok-3-mini',
-        messages: [
-          {
-            role: 'system',
-            content: `你是签证问题分析专家。用户问了一个关于泰国签证的问题。
+      const system = `你是签证问题分析专家。用户问了一个关于泰国签证的问题。
 请扩散思考，生成3-5个相关的深入问题，帮助全面分析这个问题。
 
 输出格式（JSON数组）:
 ["问题1", "问题2", "问题3"]
 
-只输出JSON，不要其他内容。`
-          },
-          {
-            role: 'user',
-            content: question
-          }
-        ],
-        temperature: 0.8,
-        max_tokens: 500
-      });
-
-      const text = response.choices[0]?.message?.content || '[]';
+只输出JSON，不要其他内容。`;
+
+      const result = await llmService.chat('visa.expand', [
+        { role: 'user', content: question }
+      ], { system, meta });
+
+      const text = result.text || '[]';
       try {
         return JSON.parse(text);
       } catch {
@@ -278,20 +241,11 @@ ${knowledgeBase}
   /**
    * Gemini 2.5 Pro 深度分析
    */
-  async analyzeWithGeminiPro(originalQuestion, expandedQuestions) {
-    if (!this.gemini) {
+  async analyzeWithGeminiPro(originalQuestion, expandedQuestions, meta = {}) {
+    if (!llmService.isAvailable('gemini')) {
       return this.getBasicVisaInfo(originalQuestion);
     }
 
-    // 使用可用的 Gemini Pro 模型
-    const model = this.gemini.getGenerativeModel({
-      model: 'gemini-2.0-flash',  // 稳定可用的模型
-      generationConfig: {
-        temperature: 0.7,
-        maxOutputTokens: 8192  // 长文输出
-      }
-    });
-
     const knowledgeBase = JSON.stringify(THAILAND_VISA_KB, null, 2);
     const questions = expandedQuestions.join('\n- ');
 
@@ -339,8 +293,9 @@ ${knowledgeBase}
 请开始回答：`;
 
     try {
-      const result = await model.generateContent(prompt);
-      return result.response.text();
+      // 稳定可用的模型 + 长文输出 (visa.deep)
+      const result = await llmService.generate('visa.deep', prompt, { meta });
+      return result.text;
     } catch (error) {
       logger.error('Gemini Pro analysis error:', error.message);
       return this.getBasicVisaInfo(originalQuestion);
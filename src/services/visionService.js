@@ -7,14 +7,12 @@
  * - 支持多種圖片格式
  */
 
-import { GoogleGenerativeAI } from '@google/generative-ai';
 import axios from 'axios';
-import config from '../../config/index.js';
+import llmService from './llmService.js';
 import logger from '../utils/logger.js';
 
 class VisionService {
   constructor() {
-    this.gemini = null;
     this.initialized = false;
   }
 
@@ -22,9 +20,8 @@ class VisionService {
    * 初始化
    */
   init() {
-    const geminiKey = config.apiKeys.gemini;
-    if (geminiKey) {
-      this.gemini = new GoogleGenerativeAI(geminiKey);
+    llmService.init();
+    if (llmService.isAvailable('gemini')) {
       this.initialized = true;
       logger.info('Vision service initialized');
     }
@@ -39,7 +36,7 @@ class VisionService {
       this.init();
     }
 
-    if (!this.gemini) {
+    if (!this.initialized) {
       return { success: false, error: 'Gemini not initialized' };
     }
 
@@ -50,15 +47,6 @@ class VisionService {
         return { success: false, error: 'Failed to download image' };
       }
 
-      // 使用 Gemini 2.5 Flash 進行多模態分析
-      const model = this.gemini.getGenerativeModel({
-        model: 'gemini-2.5-flash',
-        generationConfig: {
-          temperature: 0.7,
-          maxOutputTokens: 2000
-        }
-      });
-
       const prompt = `請對這張圖片進行全方位詳細分析。
 
 ## 分析維度
@@ -88,7 +76,8 @@ ${context ? `\n用戶補充說明: ${context}` : ''}
 
 請用中文回覆，格式清晰，有趣但專業。`;
 
-      const result = await model.generateContent([
+      // 使用 Gemini 2.5 Flash 進行多模態分析
+      const result = await llmService.multimodal('vision.analyze', [
         { text: prompt },
         {
           inlineData: {
@@ -98,7 +87,7 @@ ${context ? `\n用戶補充說明: ${context}` : ''}
         }
       ]);
 
-      const analysis = result.response.text().trim();
+      const analysis = result.text.trim();
 
       return {
         success: true,
@@ -120,7 +109,7 @@ ${context ? `\n用戶補充說明: ${context}` : ''}
       this.init();
     }
 
-    if (!this.gemini) {
+    if (!this.initialized) {
       return { success: false, error: 'Gemini not initialized' };
     }
 
@@ -130,17 +119,9 @@ ${context ? `\n用戶補充說明: ${context}` : ''}
         return { success: false, error: 'Failed to download image' };
       }
 
-      const model = this.gemini.getGenerativeModel({
-        model: 'gemini-2.5-flash-lite',
-        generationConfig: {
-          temperature: 0.5,
-          maxOutputTokens: 300
-        }
-      });
-
       const prompt = '用一句話描述這張圖片的主要內容，簡潔有趣。';
 
-      const result = await model.generateContent([
+      const result = await llmService.multimodal('vision.quick', [
         { text: prompt },
         {
           inlineData: {
@@ -152,7 +133,7 @@ ${context ? `\n用戶補充說明: ${context}` : ''}
 
       return {
         success: true,
-        description: result.response.text().trim()
+        description: result.text.trim()
       };
 
     } catch (error) {
@@ -0,0 +1,124 @@
+/**
+ * Inline 按鈕回調路由
+ *
+ * callback_data 格式: 前綴_參數1_參數2 ... (最後一個參數吃掉剩餘部分，可含 _)
+ *
+ * 註冊:
+ *   router.register('notes', { action: ['mother', 'mine', 'new'] }, handler)
+ *   router.register('seg', { action: ['mom', 'me'], segmentId: 'string' }, handler)
+ *   router.register('memory_stats', handler)            // 無參數 = 精確匹配
+ *
+ * 參數類型: 'string' | 'int' | [枚舉值]
+ * 多個前綴都能匹配時取最長的 (quick_regen 優先於 quick)
+ * 匹配不到 / 參數不合法 → 提示按鈕已失效
+ *
+ * handler(ctx): ctx = { bot, query, data, params, chatId, userId, userName, messageId }
+ */
+
+import logger from './logger.js';
+
+export const EXPIRED_BUTTON_TEXT = '⚠️ 這個按鈕已失效，請重新打開菜單 /menu';
+
+export class CallbackRouter {
+  constructor(name) {
+    this.name = name;
+    this.routes = [];
+  }
+
+  /**
+   * 註冊路由 - register(prefix, handler) 或 register(prefix, params, handler)
+   */
+  register(prefix, params, handler) {
+    if (typeof params === 'function') {
+      handler = params;
+      params = {};
+    }
+
+    if (this.routes.some(r => r.prefix === prefix)) {
+      throw new Error(`Callback prefix already registered: ${prefix}`);
+    }
+
+    this.routes.push({ prefix, params: Object.entries(params), handler });
+    this.routes.sort((a, b) => b.prefix.length - a.prefix.length);
+    return this;
+  }
+
+  /**
+   * 解析 callback_data → { route, params }，失敗返回 null
+   */
+  match(data) {
+    for (const route of this.routes) {
+      if (route.params.length === 0) {
+        if (data === route.prefix) return { route, params: {} };
+        continue;
+      }
+
+      if (!data.startsWith(`${route.prefix}_`)) continue;
+
+      const params = this.parseParams(route.params, data.slice(route.prefix.length + 1));
+      if (params) return { route, params };
+    }
+    return null;
+  }
+
+  parseParams(specs, raw) {
+    const parts = raw.split('_');
+    if (parts.length < specs.length) return null;
+
+    const params = {};
+    for (let i = 0; i < specs.length; i++) {
+      const [name, type] = specs[i];
+      const isLast = i === specs.length - 1;
+      const value = isLast ? parts.slice(i).join('_') : parts[i];
+      if (!value) return null;
+
+      if (Array.isArray(type)) {
+        if (!type.includes(value)) return null;
+        params[name] = value;
+      } else if (type === 'int') {
+        if (!/^-?\d+$/.test(value)) return null;
+        params[name] = parseInt(value, 10);
+      } else {
+        params[name] = value;
+      }
+    }
+    return params;
+  }
+
+  /**
+   * 分發回調
+   */
+  async dispatch(bot, query) {
+    const data = query.data || '';
+    const matched = this.match(data);
+
+    if (!matched) {
+      logger.debug(`[${this.name}] Unknown callback: ${data}`);
+      await bot.answerCallbackQuery(query.id, { text: EXPIRED_BUTTON_TEXT, show_alert: true }).catch(() => {});
+      return false;
+    }
+
+    await bot.answerCallbackQuery(query.id).catch(() => {});
+
+    const ctx = {
+      bot,
+      query,
+      data,
+      params: matched.params,
+      chatId: query.message.chat.id,
+      userId: query.from.id.toString(),
+      userName: query.from.first_name || '用户',
+      messageId: query.message.message_id
+    };
+
+    try {
+      await matched.route.handler(ctx);
+    } catch (error) {
+      logger.error(`[${this.name}] Callback ${data} error:`, error);
+      await bot.sendMessage(ctx.chatId, '❌ 操作失敗，請稍後再試').catch(() => {});
+    }
+    return true;
+  }
+}
+
+export default CallbackRouter;
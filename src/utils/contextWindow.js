@@ -0,0 +1,66 @@
+/**
+ * 提示詞上下文窗口: 長期摘要 + 近期摘要 + 最近的原始消息，按 token 預算取捨
+ *
+ * 取捨順序 (越前越重要):
+ * 1. 最新的 minTurns 條原始消息
+ * 2. 近期摘要 (新的優先)
+ * 3. 長期摘要
+ * 4. 更早的原始消息 (新的優先)
+ */
+
+/**
+ * 粗略估算 token 數: 中文約 1.5 字 / token，其他約 4 字符 / token
+ */
+export function estimateTokens(text) {
+  const value = String(text || '');
+  const chinese = (value.match(/[一-龥]/g) || []).length;
+  return Math.ceil(chinese / 1.5 + (value.length - chinese) / 4);
+}
+
+/**
+ * 按預算挑選上下文
+ * @param {Object} parts
+ * @param {string|null} parts.longTerm - 長期摘要
+ * @param {string[]} parts.recent - 近期摘要 (舊 → 新)
+ * @param {string[]} parts.turns - 原始消息 (舊 → 新)
+ * @param {Object} options - { budget, minTurns }
+ * @returns {{ longTerm: string|null, recent: string[], turns: string[], tokens: number }} 保持原順序
+ */
+export function fitContext({ longTerm = null, recent = [], turns = [] }, { budget, minTurns = 4 }) {
+  let tokens = 0;
+  const fits = (text) => {
+    const cost = estimateTokens(text);
+    if (tokens + cost > budget) return false;
+    tokens += cost;
+    return true;
+  };
+
+  // 最新的幾條無論如何都保留
+  let turnCount = Math.min(minTurns, turns.length);
+  for (const text of turns.slice(turns.length - turnCount)) tokens += estimateTokens(text);
+
+  let recentCount = 0;
+  for (const text of [...recent].reverse()) {
+    if (!fits(text)) break;
+    recentCount++;
+  }
+
+  const keepLongTerm = !!longTerm && recentCount === recent.length && fits(longTerm);
+
+  for (const text of turns.slice(0, turns.length - turnCount).reverse()) {
+    if (!fits(text)) break;
+    turnCount++;
+  }
+
+  return {
+    longTerm: keepLongTerm ? longTerm : null,
+    recent: recent.slice(recent.length - recentCount),
+    turns: turns.slice(turns.length - turnCount),
+    tokens
+  };
+}
+
+export default {
+  estimateTokens,
+  fitContext
+};
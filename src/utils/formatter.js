@@ -272,6 +272,15 @@ export function escapeTelegramMd(text) {
     .replace(/([_*\[\]()~`>#+\-=|{}.!])/g, '\\$1');
 }
 
+/**
+ * Telegram 旧版 Markdown (parse_mode: 'Markdown') 转义
+ * 只有 _ * ` [ 需要转义
+ */
+export function escapeMarkdown(text) {
+  if (!text) return '';
+  return text.replace(/([_*`\[])/g, '\\$1');
+}
+
 /**
  * 安全的 Markdown 格式化
  * 用于 Telegram 发送
@@ -297,5 +306,6 @@ export default {
   formatNotesList,
   formatError,
   escapeTelegramMd,
+  escapeMarkdown,
   safeMd
 };
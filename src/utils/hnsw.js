@@ -0,0 +1,287 @@
+/**
+ * HNSW 近似最近鄰圖 (餘弦相似度)
+ *
+ * - 向量插入時歸一化，相似度 = 點積
+ * - 刪除用墓碑標記: 仍可作為路徑經過，但不出現在結果裡，墓碑過多時由調用方重建
+ * - toJSON / fromJSON 序列化圖結構，向量單獨以 Float32 二進制保存 (見 vectorIndexService)
+ *
+ * 參考: Malkov & Yashunin, "Efficient and robust approximate nearest neighbor search
+ * using Hierarchical Navigable Small World graphs"
+ */
+
+/**
+ * 二叉堆 (compare(a, b) < 0 表示 a 在堆頂)
+ */
+class Heap {
+  constructor(compare) {
+    this.items = [];
+    this.compare = compare;
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  peek() {
+    return this.items[0];
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (this.compare(items[i], items[parent]) >= 0) break;
+      [items[i], items[parent]] = [items[parent], items[i]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let best = i;
+        if (left < items.length && this.compare(items[left], items[best]) < 0) best = left;
+        if (right < items.length && this.compare(items[right], items[best]) < 0) best = right;
+        if (best === i) break;
+        [items[i], items[best]] = [items[best], items[i]];
+        i = best;
+      }
+    }
+    return top;
+  }
+}
+
+export function normalize(vector) {
+  const out = Float32Array.from(vector);
+  let norm = 0;
+  for (let i = 0; i < out.length; i++) norm += out[i] * out[i];
+  norm = Math.sqrt(norm);
+  if (norm > 0) {
+    for (let i = 0; i < out.length; i++) out[i] /= norm;
+  }
+  return out;
+}
+
+export function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+export default class HnswGraph {
+  /**
+   * @param {Object} options
+   * @param {number} options.M - 每層最大鄰居數 (第 0 層為 2M)
+   * @param {number} options.efConstruction - 建圖時的候選集大小
+   */
+  constructor({ M = 16, efConstruction = 200 } = {}) {
+    this.M = M;
+    this.maxM0 = M * 2;
+    this.efConstruction = efConstruction;
+    this.levelMult = 1 / Math.log(M);
+
+    this.vectors = [];     // node -> Float32Array (已歸一化)
+    this.levels = [];      // node -> 最高層
+    this.neighbors = [];   // node -> [layer0 鄰居, layer1 鄰居, ...]
+    this.deleted = new Set();
+    this.entryPoint = -1;
+    this.maxLevel = -1;
+  }
+
+  get size() {
+    return this.vectors.length - this.deleted.size;
+  }
+
+  /**
+   * 插入向量，返回節點編號
+   */
+  add(vector) {
+    const node = this.vectors.length;
+    const normalized = normalize(vector);
+    const level = Math.floor(-Math.log(Math.random() || Number.MIN_VALUE) * this.levelMult);
+
+    this.vectors.push(normalized);
+    this.levels.push(level);
+    this.neighbors.push(Array.from({ length: level + 1 }, () => []));
+
+    if (this.entryPoint === -1) {
+      this.entryPoint = node;
+      this.maxLevel = level;
+      return node;
+    }
+
+    // 高層貪心下降
+    let current = this.entryPoint;
+    for (let layer = this.maxLevel; layer > level; layer--) {
+      current = this.greedy(normalized, current, layer);
+    }
+
+    // 逐層連邊
+    let entries = [current];
+    for (let layer = Math.min(level, this.maxLevel); layer >= 0; layer--) {
+      const candidates = this.searchLayer(normalized, entries, this.efConstruction, layer);
+      const maxM = layer === 0 ? this.maxM0 : this.M;
+      const selected = candidates.slice(0, this.M).map(c => c.node);
+
+      this.neighbors[node][layer] = selected;
+      for (const neighbor of selected) {
+        const list = this.neighbors[neighbor][layer];
+        list.push(node);
+        if (list.length > maxM) this.prune(neighbor, layer, maxM);
+      }
+      entries = candidates.map(c => c.node);
+    }
+
+    if (level > this.maxLevel) {
+      this.entryPoint = node;
+      this.maxLevel = level;
+    }
+    return node;
+  }
+
+  remove(node) {
+    if (node >= 0 && node < this.vectors.length) this.deleted.add(node);
+  }
+
+  /**
+   * 搜索最相似的 k 個節點
+   * @param {Function} accept - node => boolean，過濾結果 (不影響圖遍歷)
+   * @returns {Array<{ node, score }>} 按相似度降序
+   */
+  search(vector, k, { ef = 64, accept = null } = {}) {
+    if (this.entryPoint === -1) return [];
+
+    const query = normalize(vector);
+    let current = this.entryPoint;
+    for (let layer = this.maxLevel; layer > 0; layer--) {
+      current = this.greedy(query, current, layer);
+    }
+
+    return this.searchLayer(query, [current], Math.max(ef, k), 0)
+      .filter(c => !this.deleted.has(c.node) && (!accept || accept(c.node)))
+      .slice(0, k);
+  }
+
+  /**
+   * 節點與查詢的相似度 (精確計算，給過濾後的小集合用)
+   */
+  score(node, vector) {
+    return dot(this.vectors[node], normalize(vector));
+  }
+
+  // ==================== 內部 ====================
+
+  greedy(query, entry, layer) {
+    let current = entry;
+    let best = dot(query, this.vectors[current]);
+    let improved = true;
+
+    while (improved) {
+      improved = false;
+      for (const neighbor of this.neighbors[current][layer] || []) {
+        const score = dot(query, this.vectors[neighbor]);
+        if (score > best) {
+          best = score;
+          current = neighbor;
+          improved = true;
+        }
+      }
+    }
+    return current;
+  }
+
+  /**
+   * 單層 beam search，返回按相似度降序的候選 (含墓碑節點)
+   */
+  searchLayer(query, entries, ef, layer) {
+    const visited = new Set(entries);
+    const candidates = new Heap((a, b) => b.score - a.score);  // 最相似的先出
+    const results = new Heap((a, b) => a.score - b.score);     // 最不相似的在堆頂
+
+    for (const node of entries) {
+      const item = { node, score: dot(query, this.vectors[node]) };
+      candidates.push(item);
+      results.push(item);
+    }
+    while (results.size > ef) results.pop();
+
+    while (candidates.size > 0) {
+      const closest = candidates.pop();
+      if (results.size >= ef && closest.score < results.peek().score) break;
+
+      for (const neighbor of this.neighbors[closest.node][layer] || []) {
+        if (visited.has(neighbor)) continue;
+        visited.add(neighbor);
+
+        const score = dot(query, this.vectors[neighbor]);
+        if (results.size < ef || score > results.peek().score) {
+          const item = { node: neighbor, score };
+          candidates.push(item);
+          results.push(item);
+          if (results.size > ef) results.pop();
+        }
+      }
+    }
+
+    return results.items.sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * 鄰居超額時只保留最相似的 maxM 個
+   */
+  prune(node, layer, maxM) {
+    const base = this.vectors[node];
+    this.neighbors[node][layer] = this.neighbors[node][layer]
+      .map(neighbor => ({ neighbor, score: dot(base, this.vectors[neighbor]) }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, maxM)
+      .map(item => item.neighbor);
+  }
+
+  // ==================== 序列化 ====================
+
+  toJSON() {
+    return {
+      M: this.M,
+      efConstruction: this.efConstruction,
+      entryPoint: this.entryPoint,
+      maxLevel: this.maxLevel,
+      levels: this.levels,
+      neighbors: this.neighbors,
+      deleted: [...this.deleted]
+    };
+  }
+
+  /**
+   * 向量按節點順序拼成一個 Float32 緩衝區
+   */
+  vectorsToBuffer() {
+    const dimension = this.vectors[0]?.length || 0;
+    const flat = new Float32Array(this.vectors.length * dimension);
+    this.vectors.forEach((vector, i) => flat.set(vector, i * dimension));
+    return Buffer.from(flat.buffer);
+  }
+
+  static fromJSON(data, buffer, dimension) {
+    const graph = new HnswGraph({ M: data.M, efConstruction: data.efConstruction });
+    // 複製一份: readFile 的緩衝區不保證 4 字節對齊
+    const flat = new Float32Array(new Uint8Array(buffer).buffer);
+
+    graph.vectors = data.levels.map((_, i) => flat.slice(i * dimension, (i + 1) * dimension));
+    graph.levels = data.levels;
+    graph.neighbors = data.neighbors;
+    graph.deleted = new Set(data.deleted);
+    graph.entryPoint = data.entryPoint;
+    graph.maxLevel = data.maxLevel;
+    return graph;
+  }
+}
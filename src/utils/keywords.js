@@ -67,6 +67,40 @@ const TRADITIONAL_SIMPLIFIED_MAP = Object.fromEntries(
   Object.entries(SIMPLIFIED_TRADITIONAL_MAP).map(([k, v]) => [v, k])
 );
 
+// 單字簡繁對照 (每組「簡繁」兩字，只收一對一的字，发/后/里/面 這類一簡多繁的不收)
+const CHAR_PAIRS = `
+  爱愛 罢罷 摆擺 办辦 帮幫 宝寶 报報 贝貝 备備 笔筆 边邊 变變 标標 别別 宾賓 补補 财財 参參 产產 长長
+  场場 尝嘗 车車 陈陳 称稱 诚誠 迟遲 齿齒 虫蟲 处處 传傳 创創 词詞 从從 错錯 达達 带帶 单單 担擔 当當
+  导導 灯燈 敌敵 递遞 点點 电電 东東 动動 冻凍 队隊 对對 夺奪 儿兒 尔爾 罚罰 烦煩 饭飯 访訪 飞飛 废廢
+  费費 奋奮 风風 妇婦 负負 该該 盖蓋 赶趕 刚剛 钢鋼 个個 给給 购購 构構 顾顧 关關 观觀 馆館 广廣 归歸
+  贵貴 过過 国國 还還 汉漢 号號 贺賀 护護 华華 画畫 话話 怀懷 坏壞 欢歡 环環 换換 黄黃 会會 绘繪 货貨
+  机機 积積 鸡雞 级級 极極 计計 记記 纪紀 际際 继繼 济濟 价價 驾駕 坚堅 间間 简簡 见見 键鍵 讲講 奖獎
+  将將 胶膠 脚腳 觉覺 较較 阶階 节節 结結 洁潔 紧緊 仅僅 进進 尽盡 惊驚 经經 静靜 旧舊 举舉 剧劇 据據
+  军軍 开開 课課 块塊 宽寬 矿礦 亏虧 扩擴 来來 兰蘭 蓝藍 览覽 乐樂 泪淚 类類 离離 礼禮 丽麗 联聯 连連
+  脸臉 练練 炼煉 粮糧 两兩 辆輛 疗療 邻鄰 临臨 灵靈 领領 刘劉 龙龍 楼樓 录錄 陆陸 虑慮 绿綠 乱亂 轮輪
+  论論 罗羅 妈媽 马馬 吗嗎 买買 卖賣 麦麥 满滿 猫貓 门門 们們 梦夢 庙廟 灭滅 鸣鳴 难難 脑腦 闹鬧 鸟鳥
+  宁寧 农農 浓濃 欧歐 盘盤 赔賠 贫貧 凭憑 评評 气氣 钱錢 浅淺 墙牆 桥橋 亲親 轻輕 庆慶 穷窮 区區 权權
+  劝勸 确確 让讓 热熱 认認 荣榮 软軟 扫掃 杀殺 晒曬 伤傷 烧燒 设設 审審 声聲 胜勝 圣聖 师師 诗詩 时時
+  识識 实實 势勢 试試 视視 适適 释釋 寿壽 书書 术術 树樹 数數 双雙 谁誰 顺順 说說 丝絲 诉訴 虽雖 随隨
+  岁歲 孙孫 损損 态態 谈談 汤湯 讨討 题題 体體 条條 铁鐵 听聽 厅廳 头頭 图圖 团團 万萬 网網 为為 违違
+  围圍 伟偉 卫衛 温溫 闻聞 稳穩 问問 无無 务務 误誤 习習 戏戲 细細 虾蝦 鲜鮮 险險 现現 线線 县縣 乡鄉
+  响響 项項 写寫 谢謝 兴興 选選 学學 寻尋 压壓 鸭鴨 亚亞 严嚴 盐鹽 验驗 阳陽 养養 样樣 药藥 爷爺 业業
+  叶葉 页頁 医醫 仪儀 艺藝 亿億 忆憶 义義 议議 译譯 阴陰 银銀 饮飲 应應 营營 拥擁 优優 邮郵 鱼魚 语語
+  与與 预預 园園 员員 圆圓 远遠 愿願 约約 阅閱 运運 杂雜 灾災 载載 择擇 则則 责責 张張 涨漲 账賬 这這
+  针針 诊診 阵陣 镇鎮 争爭 证證 织織 职職 执執 纸紙 质質 终終 种種 众眾 猪豬 嘱囑 筑築 专專 转轉 装裝
+  状狀 资資 综綜 总總 组組 钻鑽 签簽 续續 铢銖 龄齡 额額 检檢 脉脈 颈頸 肤膚 肠腸 肾腎 锻鍛 层層 厨廚
+  码碼 频頻 络絡 币幣 贷貸 决決 么麼 没沒 讯訊 烟煙 饺餃 馒饅 痒癢 霉黴 诞誕
+`.trim().split(/\s+/);
+
+const SIMPLIFIED_TRADITIONAL_CHARS = new Map(CHAR_PAIRS.map(pair => [pair[0], pair[1]]));
+const TRADITIONAL_SIMPLIFIED_CHARS = new Map(CHAR_PAIRS.map(pair => [pair[1], pair[0]]));
+
+function mapChars(text, table) {
+  let result = '';
+  for (const char of text) result += table.get(char) || char;
+  return result;
+}
+
 /**
  * 關鍵詞定義 (同時包含簡繁體)
  */
@@ -246,15 +280,16 @@ export const converter = {
     for (const [s, t] of Object.entries(SIMPLIFIED_TRADITIONAL_MAP)) {
       result = result.replace(new RegExp(s, 'g'), t);
     }
-    return result;
+    return mapChars(result, SIMPLIFIED_TRADITIONAL_CHARS);
   },
   
+  // 逐字替換，不改變長度 (檢索高亮依賴這一點)
   toSimplified: (text) => {
     let result = text;
     for (const [t, s] of Object.entries(TRADITIONAL_SIMPLIFIED_MAP)) {
       result = result.replace(new RegExp(t, 'g'), s);
     }
-    return result;
+    return mapChars(result, TRADITIONAL_SIMPLIFIED_CHARS);
   }
 };
 
@@ -9,7 +9,7 @@ class Logger {
       info: 2,
       debug: 3,
     };
-    this.currentLevel = this.levels.info;
+    this.currentLevel = this.levels[process.env.LOG_LEVEL] ?? this.levels.info;
   }
 
   log(level, message, ...args) {
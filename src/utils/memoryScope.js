@@ -0,0 +1,89 @@
+/**
+ * 記憶範圍 (scope) 和讀取策略
+ *
+ * 每條存下來的記錄都帶 { scope, scopeId }:
+ * - private: 私聊，scopeId = 用戶 ID
+ * - group:   群聊，scopeId = 群 ID
+ * - family:  家庭共享 (媽媽的筆記本)
+ * - system:  系統生成 (每日新聞等)
+ *
+ * 讀取策略: 私聊只讀自己的私有記錄，群聊只讀本群的記錄；
+ * 家庭共享和系統記錄在任何對話裡都可讀。私聊和群聊之間互不可見。
+ */
+
+export const FAMILY_SCOPE = Object.freeze({ scope: 'family', scopeId: null });
+export const SYSTEM_SCOPE = Object.freeze({ scope: 'system', scopeId: null });
+
+/**
+ * Telegram 群 / 超級群的 chat ID 是負數
+ */
+export function isGroupChat(chatId) {
+  return Number(chatId) < 0;
+}
+
+export function privateScope(userId) {
+  return { scope: 'private', scopeId: String(userId) };
+}
+
+export function groupScope(groupId) {
+  return { scope: 'group', scopeId: String(groupId) };
+}
+
+/**
+ * 對話裡新產生的記錄屬於哪個範圍
+ * @param {Object} context - { userId, chatId }，沒有 chatId 視為私聊
+ */
+export function chatScope({ userId, chatId }) {
+  return chatId != null && isGroupChat(chatId) ? groupScope(chatId) : privateScope(userId);
+}
+
+/**
+ * 某個對話可以讀取的範圍
+ */
+export function readableScopes(context) {
+  return [chatScope(context), FAMILY_SCOPE, SYSTEM_SCOPE];
+}
+
+/**
+ * 範圍列表 → Mongo 過濾條件
+ */
+export function scopeQuery(scopes) {
+  return {
+    $or: scopes.map(({ scope, scopeId }) => (scopeId ? { scope, scopeId } : { scope }))
+  };
+}
+
+/**
+ * 某個對話能讀的記錄的過濾條件
+ */
+export function scopeFilter(context) {
+  return scopeQuery(readableScopes(context));
+}
+
+/**
+ * 給沒有範圍的舊記錄補上 scope (按某個字段的取值分批更新)
+ * @param {Function} toScope - 字段值 → { scope, scopeId }
+ * @returns {Promise<number>} 補上的條數
+ */
+export async function backfillScopes(collection, field, toScope, filter = {}) {
+  const pending = { ...filter, scope: { $exists: false } };
+  let count = 0;
+  for (const value of await collection.distinct(field, pending)) {
+    const result = await collection.updateMany({ ...pending, [field]: value }, { $set: toScope(value) });
+    count += result.modifiedCount || 0;
+  }
+  return count;
+}
+
+export default {
+  FAMILY_SCOPE,
+  SYSTEM_SCOPE,
+  isGroupChat,
+  privateScope,
+  groupScope,
+  chatScope,
+  readableScopes,
+  scopeQuery,
+  scopeFilter,
+  backfillScopes
+};
@@ -0,0 +1,217 @@
+/**
+ * 笔记导出 - 把笔记渲染成文件 (Markdown / JSON / 纯文本 / 打印版 HTML)
+ *
+ * - 每条笔记单独渲染，再按 maxBytes 装进一个或多个文件 (太大的导出拆成几份)
+ * - JSON 只导出笔记本身的字段 (不含向量、作用域)，导入时可以原样读回
+ * - /export 命令的参数解析也在这里 (见 parseExportArgs)
+ */
+
+export const EXPORT_FORMATS = {
+  markdown: { label: '📝 Markdown', extension: 'md', mimeType: 'text/markdown' },
+  json: { label: '🧾 JSON', extension: 'json', mimeType: 'application/json' },
+  text: { label: '📄 纯文本', extension: 'txt', mimeType: 'text/plain' },
+  html: { label: '🖨️ 打印版', extension: 'html', mimeType: 'text/html' }
+};
+
+// /export 参数的别名
+const FORMAT_ALIASES = {
+  markdown: 'markdown', md: 'markdown',
+  json: 'json',
+  text: 'text', txt: 'text', '文本': 'text',
+  html: 'html', print: 'html', '打印': 'html'
+};
+const NOTEBOOK_ALIASES = {
+  all: 'all', '全部': 'all',
+  mother: 'mother', '妈妈': 'mother',
+  mine: 'mine', '我的': 'mine'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function formatDate(date) {
+  return date ? new Date(date).toLocaleString('zh-CN') : '';
+}
+
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * 导出用的笔记字段
+ */
+export function exportRecord(note) {
+  return {
+    id: note._id?.toString(),
+    title: note.title,
+    content: note.content,
+    category: note.category,
+    tags: note.tags || [],
+    source: note.source,
+    notebook: note.ownerType === 'mother' ? 'mother' : 'mine',
+    createdAt: note.createdAt,
+    updatedAt: note.updatedAt
+  };
+}
+
+/**
+ * 各格式: 单条笔记 (item)、条目之间的分隔 (separator)、文件头尾 (header / footer)
+ * meta: { title, total, part, parts, exportedAt, categoryLabel }
+ */
+const RENDERERS = {
+  markdown: {
+    header: (meta) => `# ${meta.title}\n\n导出时间: ${formatDate(meta.exportedAt)}\n共 ${meta.total} 条笔记${partLabel(meta)}\n\n---\n\n`,
+    item: (note, meta) => [
+      `## ${note.title}\n`,
+      `- 分类: ${meta.categoryLabel(note.category)}`,
+      `- 标签: ${note.tags?.join(', ') || '无'}`,
+      `- 创建时间: ${formatDate(note.createdAt)}\n`,
+      `${note.content}\n\n---\n\n`
+    ].join('\n'),
+    separator: '',
+    footer: () => ''
+  },
+
+  json: {
+    header: (meta) => `{\n  "title": ${JSON.stringify(meta.title)},\n  "exportedAt": ${JSON.stringify(meta.exportedAt)},\n  "total": ${meta.total},\n  "part": ${meta.part},\n  "parts": ${meta.parts},\n  "notes": [\n`,
+    item: (note) => JSON.stringify(exportRecord(note), null, 2).replace(/^/gm, '    '),
+    separator: ',\n',
+    footer: () => '\n  ]\n}\n'
+  },
+
+  text: {
+    header: (meta) => `${meta.title} - ${formatDate(meta.exportedAt)}\n共 ${meta.total} 条笔记${partLabel(meta)}\n${'='.repeat(50)}\n\n`,
+    item: (note, meta) => `【${note.title}】\n分类: ${meta.categoryLabel(note.category)} | 标签: ${note.tags?.join(', ') || '无'}\n${note.content}\n${'-'.repeat(50)}\n\n`,
+    separator: '',
+    footer: () => ''
+  },
+
+  // 打印版: 字大一点，每条笔记不跨页断开
+  html: {
+    header: (meta) => `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(meta.title)}</title>
+<style>
+  body { font-family: "PingFang SC", "Microsoft YaHei", sans-serif; font-size: 18px; line-height: 1.7; max-width: 800px; margin: 2em auto; padding: 0 1em; color: #222; }
+  h1 { font-size: 28px; border-bottom: 2px solid #444; padding-bottom: .3em; }
+  .meta { color: #666; font-size: 15px; }
+  .note { border-bottom: 1px dashed #aaa; padding: 1em 0; page-break-inside: avoid; break-inside: avoid; }
+  .note h2 { font-size: 22px; margin: 0 0 .3em; }
+  .content { white-space: pre-wrap; }
+  @media print { body { margin: 0; max-width: none; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(meta.title)}</h1>
+<p class="meta">导出时间: ${escapeHtml(formatDate(meta.exportedAt))} · 共 ${meta.total} 条笔记${escapeHtml(partLabel(meta))}</p>
+`,
+    item: (note, meta) => `<div class="note">
+<h2>${escapeHtml(note.title)}</h2>
+<p class="meta">${escapeHtml(meta.categoryLabel(note.category))}${note.tags?.length ? ` · ${escapeHtml(note.tags.join('、'))}` : ''} · ${escapeHtml(formatDate(note.createdAt))}</p>
+<div class="content">${escapeHtml(note.content)}</div>
+</div>
+`,
+    separator: '',
+    footer: () => '</body>\n</html>\n'
+  }
+};
+
+function partLabel(meta) {
+  return meta.parts > 1 ? ` (第 ${meta.part}/${meta.parts} 份)` : '';
+}
+
+/**
+ * 渲染导出文件，超过 maxBytes 时按笔记拆成几份 (单条笔记本身超过上限时独占一份)
+ * @param {Object[]} notes
+ * @param {string} format - EXPORT_FORMATS 的键
+ * @param {Object} options - { title, filename, maxBytes, categoryLabel }
+ * @returns {{ filename: string, mimeType: string, content: Buffer, count: number }[]}
+ */
+export function renderExport(notes, format, options = {}) {
+  const renderer = RENDERERS[format];
+  const { extension, mimeType } = EXPORT_FORMATS[format];
+  const {
+    title = '笔记导出',
+    filename = 'notes',
+    maxBytes = Infinity,
+    categoryLabel = (category) => category
+  } = options;
+  const meta = { title, total: notes.length, part: 1, parts: 1, exportedAt: new Date(), categoryLabel };
+
+  // 按渲染后的大小分组，文件头尾留出余量 (份数到最后才知道)
+  const overhead = Buffer.byteLength(renderer.header({ ...meta, parts: 999, part: 999 }) + renderer.footer(meta));
+  const separatorBytes = Buffer.byteLength(renderer.separator);
+  const groups = [];
+  let current = [];
+  let size = overhead;
+  for (const note of notes) {
+    const item = renderer.item(note, meta);
+    const bytes = Buffer.byteLength(item) + (current.length > 0 ? separatorBytes : 0);
+    if (current.length > 0 && size + bytes > maxBytes) {
+      groups.push(current);
+      current = [];
+      size = overhead;
+    }
+    current.push(item);
+    size += Buffer.byteLength(item) + (current.length > 1 ? separatorBytes : 0);
+  }
+  groups.push(current);
+
+  return groups.map((items, i) => {
+    const partMeta = { ...meta, part: i + 1, parts: groups.length };
+    const content = renderer.header(partMeta) + items.join(renderer.separator) + renderer.footer(partMeta);
+    return {
+      filename: groups.length > 1 ? `${filename}-${i + 1}.${extension}` : `${filename}.${extension}`,
+      mimeType,
+      content: Buffer.from(content, 'utf8'),
+      count: items.length
+    };
+  });
+}
+
+/**
+ * 解析 /export 参数 (顺序随意):
+ *   格式: md / json / txt / html (打印)
+ *   笔记本: 妈妈 / 我的 / 全部
+ *   #标签、分类:名称、7d / 30天 (最近几天)、2025-01-01..2025-03-31 (日期范围)
+ * @returns {{ format, notebook, tag, category, since, until, unknown: string[] }}
+ */
+export function parseExportArgs(text = '') {
+  const options = { format: 'markdown', notebook: 'all', tag: null, category: null, since: null, until: null, unknown: [] };
+
+  for (const token of text.trim().split(/\s+/).filter(Boolean)) {
+    const lower = token.toLowerCase();
+    let match;
+    if (FORMAT_ALIASES[lower]) {
+      options.format = FORMAT_ALIASES[lower];
+    } else if (NOTEBOOK_ALIASES[lower]) {
+      options.notebook = NOTEBOOK_ALIASES[lower];
+    } else if (token.startsWith('#') && token.length > 1) {
+      options.tag = token.slice(1);
+    } else if ((match = token.match(/^(?:分类|category|cat)[:：](.+)$/i))) {
+      options.category = match[1];
+    } else if ((match = lower.match(/^(\d+)(?:d|天)$/))) {
+      options.since = new Date(Date.now() - parseInt(match[1]) * DAY_MS);
+    } else if ((match = token.match(/^(\d{4}-\d{2}-\d{2})?\.\.(\d{4}-\d{2}-\d{2})?$/)) && (match[1] || match[2])) {
+      if (match[1]) options.since = new Date(`${match[1]}T00:00:00`);
+      // 截止日期包含当天
+      if (match[2]) options.until = new Date(new Date(`${match[2]}T00:00:00`).getTime() + DAY_MS);
+    } else {
+      options.unknown.push(token);
+    }
+  }
+
+  return options;
+}
+
+export default {
+  EXPORT_FORMATS,
+  exportRecord,
+  renderExport,
+  parseExportArgs
+};
@@ -0,0 +1,192 @@
+/**
+ * 笔记导入 - 把 .txt / .md / .json 文件拆成多条笔记草稿，读取转发消息的来源
+ *
+ * 草稿: { title, content, category, tags, createdAt }，只有 content 一定有
+ * - JSON: 导出的格式 ({ notes: [...] }) 或笔记数组，原样读回
+ * - Markdown: 按标题拆分 (出现两次以上的最高一级标题)，标题就是笔记标题
+ * - 纯文本: 按【标题】、分隔线 (--- / ===) 或空行拆分
+ * 导出文件的文件头和每条笔记的分类 / 标签行会被识别出来 (见 utils/noteExport.js)
+ */
+
+const EXTENSIONS = {
+  json: 'json',
+  md: 'markdown',
+  markdown: 'markdown',
+  txt: 'text'
+};
+
+// 导出文件的文件头 (「共 N 条笔记」)
+const EXPORT_HEADER = /^共 \d+ 条笔记/m;
+const SEPARATOR_LINE = /^\s*(?:-{3,}|={3,}|\*{3,})\s*$/;
+
+/**
+ * 按文件名判断导入格式，不支持时返回 null
+ */
+export function importFormat(filename = '') {
+  const extension = filename.toLowerCase().split('.').pop();
+  return filename.includes('.') ? EXTENSIONS[extension] || null : null;
+}
+
+function splitTags(value) {
+  if (!value || value.trim() === '无') return [];
+  return value.split(/[,，、]\s*/).map(t => t.trim()).filter(Boolean);
+}
+
+function trimSeparators(lines) {
+  const result = [...lines];
+  while (result.length > 0 && (result[0].trim() === '' || SEPARATOR_LINE.test(result[0]))) result.shift();
+  while (result.length > 0 && (result[result.length - 1].trim() === '' || SEPARATOR_LINE.test(result[result.length - 1]))) result.pop();
+  return result;
+}
+
+function draft(title, lines, meta = {}) {
+  const content = trimSeparators(lines).join('\n').trim();
+  if (!content && !title) return null;
+  return { title: title || null, content: content || title, category: meta.category || null, tags: meta.tags || [] };
+}
+
+function parseJson(text) {
+  const data = JSON.parse(text);
+  const records = Array.isArray(data) ? data : Array.isArray(data.notes) ? data.notes : [data];
+
+  return records
+    .filter(r => r && typeof r.content === 'string' && r.content.trim())
+    .map(r => {
+      const createdAt = r.createdAt ? new Date(r.createdAt) : null;
+      return {
+        title: typeof r.title === 'string' && r.title.trim() ? r.title.trim() : null,
+        content: r.content.trim(),
+        category: typeof r.category === 'string' ? r.category : null,
+        tags: Array.isArray(r.tags) ? r.tags.filter(t => typeof t === 'string') : [],
+        createdAt: createdAt && !isNaN(createdAt) ? createdAt : null
+      };
+    });
+}
+
+function parseMarkdown(text) {
+  const lines = text.split('\n');
+
+  // 标题 (跳过代码块里的 #)
+  const headings = [];
+  let inCode = false;
+  lines.forEach((line, index) => {
+    if (/^\s*```/.test(line)) inCode = !inCode;
+    const match = !inCode && line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+    if (match) headings.push({ index, level: match[1].length, title: match[2].trim() });
+  });
+  if (headings.length === 0) return parseText(text);
+
+  // 按出现两次以上的最高一级标题拆分，只有一个标题时按它拆
+  const levels = [...new Set(headings.map(h => h.level))].sort();
+  const level = levels.find(l => headings.filter(h => h.level === l).length >= 2) || levels[0];
+  const splits = headings.filter(h => h.level === level);
+
+  const drafts = [];
+  const preamble = lines.slice(0, splits[0].index).filter(line => !/^#{1,6}\s/.test(line));
+  if (!EXPORT_HEADER.test(preamble.join('\n'))) drafts.push(draft(null, preamble));
+
+  splits.forEach((heading, i) => {
+    const body = trimSeparators(lines.slice(heading.index + 1, splits[i + 1]?.index ?? lines.length));
+
+    // 导出文件里每条笔记开头的「- 分类: / - 标签: / - 创建时间:」
+    const meta = {};
+    while (body.length > 0) {
+      const match = body[0].match(/^- (分类|标签|创建时间): ?(.*)$/);
+      if (!match) break;
+      if (match[1] === '分类') meta.category = match[2].trim();
+      if (match[1] === '标签') meta.tags = splitTags(match[2]);
+      body.shift();
+    }
+    drafts.push(draft(heading.title, body, meta));
+  });
+
+  return drafts.filter(Boolean);
+}
+
+function parseText(text) {
+  const lines = text.split('\n');
+
+  // 【标题】 (导出的纯文本格式)
+  const titled = lines
+    .map((line, index) => ({ index, match: line.match(/^【(.+)】\s*$/) }))
+    .filter(h => h.match);
+  if (titled.length > 0) {
+    const drafts = [];
+    const preamble = lines.slice(0, titled[0].index);
+    if (!EXPORT_HEADER.test(preamble.join('\n'))) drafts.push(draft(null, preamble));
+
+    titled.forEach((heading, i) => {
+      const body = lines.slice(heading.index + 1, titled[i + 1]?.index ?? lines.length);
+      const meta = {};
+      const match = body[0]?.match(/^分类: ?(.*?) \| 标签: ?(.*)$/);
+      if (match) {
+        meta.category = match[1].trim();
+        meta.tags = splitTags(match[2]);
+        body.shift();
+      }
+      drafts.push(draft(heading.match[1].trim(), body, meta));
+    });
+    return drafts.filter(Boolean);
+  }
+
+  // 分隔线，没有就按空行分段
+  const blocks = [[]];
+  for (const line of lines) {
+    if (SEPARATOR_LINE.test(line)) blocks.push([]);
+    else blocks[blocks.length - 1].push(line);
+  }
+  const sections = blocks.filter(block => block.join('').trim());
+  if (sections.length > 1) return sections.map(block => draft(null, block)).filter(Boolean);
+
+  return text.split(/\n\s*\n/).map(block => draft(null, block.split('\n'))).filter(Boolean);
+}
+
+/**
+ * 把文件内容拆成笔记草稿 (JSON 格式不对时抛出 SyntaxError)
+ * @param {string} text
+ * @param {string} format - importFormat 的结果
+ */
+export function parseNotesFile(text, format) {
+  const normalized = text.replace(/^﻿/, '').replace(/\r\n?/g, '\n');
+  if (format === 'json') return parseJson(normalized);
+  if (format === 'markdown') return parseMarkdown(normalized);
+  return parseText(normalized);
+}
+
+/**
+ * 转发消息的来源: { from, date, chatId, messageId }，不是转发时返回 null
+ * 兼容 Bot API 7 的 forward_origin 和旧的 forward_from / forward_from_chat
+ */
+export function forwardInfo(msg) {
+  const origin = msg.forward_origin;
+  if (origin) {
+    const chat = origin.chat || origin.sender_chat;
+    const user = origin.sender_user;
+    return {
+      from: user ? [user.first_name, user.last_name].filter(Boolean).join(' ')
+        : chat ? chat.title || chat.username || null
+          : origin.sender_user_name || null,
+      date: origin.date ? new Date(origin.date * 1000) : null,
+      chatId: chat?.id ?? null,
+      messageId: origin.message_id ?? null
+    };
+  }
+
+  if (!msg.forward_date) return null;
+  const user = msg.forward_from;
+  const chat = msg.forward_from_chat;
+  return {
+    from: user ? [user.first_name, user.last_name].filter(Boolean).join(' ')
+      : chat ? chat.title || chat.username || null
+        : msg.forward_sender_name || null,
+    date: new Date(msg.forward_date * 1000),
+    chatId: chat?.id ?? null,
+    messageId: msg.forward_from_message_id ?? null
+  };
+}
+
+export default {
+  importFormat,
+  parseNotesFile,
+  forwardInfo
+};
@@ -0,0 +1,201 @@
+/**
+ * 混合檢索工具: 中文分詞 + BM25 + 向量排名融合 (RRF) + 時間 / 重要度重排 + 摘要高亮
+ *
+ * - 分詞: 繁體先轉簡體、轉小寫；中文按語氣詞切段後取相鄰二字詞 (文檔同時保留單字)，
+ *   英文單詞、數字 (含「80万」這種數字 + 單位) 整體作為一個詞
+ * - BM25 在調用方給出的候選集上現算，候選集就是語料
+ * - RRF 只看名次不看分數，所以 BM25 分數和餘弦相似度不需要對齊量綱
+ *
+ * 數據庫讀取和向量查詢見 retrievalService
+ */
+
+import { converter } from './keywords.js';
+
+// 語氣詞 / 助詞: 中文串在這裡斷開，不跨它們組詞
+const BREAK_CHARS = new Set([...'的了吗呢吧啊呀嘛哦呗和与及或']);
+
+// 提問用語，對匹配沒有幫助
+const STOP_WORDS = new Set([
+  '什么', '怎么', '怎样', '如何', '多少', '要多', '哪里', '哪些', '为什', '么样',
+  '请问', '一下', '这个', '那个', '是不', '不是', '有没', '没有', '可以', '需要',
+  '我们', '你们', '他们', '知道', '告诉', '一个'
+]);
+
+// 句末提問 (「存款要多少」裡的「要多少」)，去掉後不會再拼出「款要」這種跨詞的二字組
+const QUESTION_TAIL = /(要|需要|是|有|该|应该)?(多少钱|多少|几个|几|什么|怎么样|怎么办|怎么|如何|吗|呢)?[?？。!！\s]*$/;
+
+const TOKEN_PATTERN = /(\d+(?:\.\d+)?[万千百亿]?)|([a-z][a-z0-9_]*)|([㐀-鿿]+)/g;
+
+/**
+ * 檢索用的標準化: 繁轉簡 + 小寫 + 空白統一，長度與原文一致
+ */
+export function fold(text) {
+  return converter.toSimplified(String(text || '')).toLowerCase().replace(/\s/g, ' ');
+}
+
+/**
+ * 分詞
+ * @param {Object} options
+ * @param {boolean} options.unigrams - 是否輸出單字 (文檔端開啟，查詢端只在單字串時輸出)
+ * @returns {string[]}
+ */
+export function tokenize(text, { unigrams = false } = {}) {
+  const tokens = [];
+
+  for (const [, number, word, han] of fold(text).matchAll(TOKEN_PATTERN)) {
+    if (number || word) {
+      tokens.push(number || word);
+      continue;
+    }
+
+    let run = '';
+    for (const char of han + ' ') {
+      if (char !== ' ' && !BREAK_CHARS.has(char)) {
+        run += char;
+        continue;
+      }
+      if (run.length === 1) {
+        tokens.push(run);
+      } else {
+        for (let i = 0; i < run.length - 1; i++) tokens.push(run.slice(i, i + 2));
+        if (unigrams) tokens.push(...run);
+      }
+      run = '';
+    }
+  }
+
+  return tokens.filter(token => !STOP_WORDS.has(token));
+}
+
+/**
+ * 查詢詞 (去掉句末提問後分詞、去重)
+ */
+export function queryTokens(query) {
+  const trimmed = fold(query).replace(QUESTION_TAIL, '');
+  return [...new Set(tokenize(trimmed || query))];
+}
+
+/**
+ * BM25 打分
+ * @param {string[]} terms - 查詢詞
+ * @param {Array<Object>} documents
+ * @param {Object} fields - { 字段名: 權重 }，數組字段 (如 tags) 會拼起來
+ * @returns {number[]} 與 documents 一一對應的分數
+ */
+export function bm25(terms, documents, fields, { k1 = 1.2, b = 0.75 } = {}) {
+  if (terms.length === 0 || documents.length === 0) return documents.map(() => 0);
+
+  const stats = documents.map(doc => {
+    const tf = new Map();
+    let length = 0;
+    for (const [field, weight] of Object.entries(fields)) {
+      const value = Array.isArray(doc[field]) ? doc[field].join(' ') : doc[field];
+      for (const token of tokenize(value, { unigrams: true })) {
+        tf.set(token, (tf.get(token) || 0) + weight);
+        length += weight;
+      }
+    }
+    return { tf, length };
+  });
+
+  const avgLength = stats.reduce((sum, s) => sum + s.length, 0) / stats.length || 1;
+  const idf = new Map(terms.map(term => {
+    const df = stats.filter(s => s.tf.has(term)).length;
+    return [term, Math.log(1 + (stats.length - df + 0.5) / (df + 0.5))];
+  }));
+
+  return stats.map(({ tf, length }) => terms.reduce((score, term) => {
+    const freq = tf.get(term) || 0;
+    if (freq === 0) return score;
+    return score + idf.get(term) * (freq * (k1 + 1)) / (freq + k1 * (1 - b + b * length / avgLength));
+  }, 0));
+}
+
+/**
+ * Reciprocal Rank Fusion
+ * @param {Array<string[]>} rankings - 每個排名是按相關度降序的 key 列表
+ * @returns {Map<string, number>} key -> 融合分數
+ */
+export function reciprocalRankFusion(rankings, k = 60) {
+  const scores = new Map();
+  for (const ranking of rankings) {
+    ranking.forEach((key, rank) => {
+      scores.set(key, (scores.get(key) || 0) + 1 / (k + rank + 1));
+    });
+  }
+  return scores;
+}
+
+/**
+ * 時間衰減: 剛寫的為 1，每過 halfLifeDays 天減半
+ */
+export function recencyBoost(date, halfLifeDays = 30, now = Date.now()) {
+  if (!date) return 0;
+  const ageDays = Math.max(0, now - new Date(date).getTime()) / 86400000;
+  return Math.pow(0.5, ageDays / halfLifeDays);
+}
+
+/**
+ * 摘要 + 高亮: 取命中最密集的一段，命中詞用 open / close 包起來
+ * @param {Object} options
+ * @param {number} options.width - 摘要長度 (字)
+ * @param {Function} options.escape - 非高亮部分的轉義 (如 Telegram Markdown)
+ */
+export function highlight(text, terms, { width = 60, open = '【', close = '】', escape = s => s } = {}) {
+  const source = String(text || '').replace(/\s+/g, ' ').trim();
+  const folded = fold(source);
+  // 繁簡轉換是逐字的；萬一長度對不上 (少見的大小寫轉換) 就直接用標準化後的文本
+  const display = folded.length === source.length ? source : folded;
+
+  const spans = [];
+  for (const term of terms) {
+    for (let at = folded.indexOf(term); at !== -1; at = folded.indexOf(term, at + 1)) {
+      spans.push([at, at + term.length]);
+    }
+  }
+  spans.sort((a, b) => a[0] - b[0]);
+
+  const merged = [];
+  for (const span of spans) {
+    const last = merged[merged.length - 1];
+    if (last && span[0] <= last[1]) last[1] = Math.max(last[1], span[1]);
+    else merged.push([...span]);
+  }
+
+  // 窗口起點: 讓窗口內覆蓋的命中最多
+  let start = 0;
+  let best = 0;
+  for (const [from] of merged) {
+    const covered = merged.filter(([s, e]) => s >= from && e <= from + width).length;
+    if (covered > best) {
+      best = covered;
+      start = from;
+    }
+  }
+  start = Math.max(0, Math.min(start - Math.floor(width / 4), display.length - width));
+  const end = Math.min(display.length, start + width);
+
+  let result = start > 0 ? '…' : '';
+  let cursor = start;
+  for (const [s, e] of merged) {
+    if (e <= start || s >= end) continue;
+    const from = Math.max(s, start);
+    const to = Math.min(e, end);
+    result += escape(display.slice(cursor, from)) + open + escape(display.slice(from, to)) + close;
+    cursor = to;
+  }
+  result += escape(display.slice(cursor, end));
+  if (end < display.length) result += '…';
+
+  return result;
+}
+
+export default {
+  fold,
+  tokenize,
+  queryTokens,
+  bm25,
+  reciprocalRankFusion,
+  recencyBoost,
+  highlight
+};
@@ -0,0 +1,250 @@
+/**
+ * 流式消息 - 先發佔位消息，再邊生成邊 editMessageText
+ *
+ * 規則:
+ * 1. 每 editIntervalMs (群組 groupEditIntervalMs) 最多編輯一次，且新增至少 minChars 字
+ * 2. 遇到 429 按 retry_after 暫停，中間幀直接丟棄，只保證最後一幀
+ * 3. 超過 4096 字自動續到新消息
+ * 4. 中間幀純文本 (半截 Markdown 會解析失敗)，finish() 時才套 parse_mode + 按鈕
+ */
+
+import config from '../../config/index.js';
+import logger from './logger.js';
+
+// Telegram 單條消息上限
+const MAX_MESSAGE_LENGTH = 4096;
+
+// 中間幀末尾的打字光標
+const CURSOR = ' ▌';
+
+/**
+ * 按上限切分，盡量在換行處斷開 (累計文本的前綴切法不變，已滿的頁不會再動)
+ */
+export function splitMessageText(text, maxLength = MAX_MESSAGE_LENGTH) {
+  const pages = [];
+  let rest = text;
+
+  while (rest.length > maxLength) {
+    let cut = rest.lastIndexOf('\n', maxLength);
+    if (cut < maxLength / 2) cut = maxLength;
+    pages.push(rest.slice(0, cut));
+    rest = rest.slice(cut).replace(/^\n/, '');
+  }
+  pages.push(rest);
+
+  return pages;
+}
+
+export class StreamingMessage {
+  constructor(bot, chatId, options = {}) {
+    const streamConfig = config.telegram.stream;
+
+    this.bot = bot;
+    this.chatId = chatId;
+    this.replyToMessageId = options.replyToMessageId;
+    this.placeholder = options.placeholder || '💭 思考中...';
+    this.intervalMs = options.intervalMs ?? (options.isGroup
+      ? streamConfig.groupEditIntervalMs
+      : streamConfig.editIntervalMs);
+    this.minChars = options.minChars ?? streamConfig.minChars;
+
+    this.messages = [];        // [{ id, text }] 已發出的每一頁
+    this.latest = '';          // 最新累計文本
+    this.renderedLength = 0;   // 上次渲染時的長度
+    this.lastEditAt = 0;
+    this.blockedUntil = 0;     // 429 冷卻到期時間
+    this.timer = null;
+    this.queue = Promise.resolve();
+    this.finished = false;
+  }
+
+  /**
+   * 發送佔位消息
+   */
+  async start() {
+    const sent = await this.bot.sendMessage(this.chatId, this.placeholder, this.replyOptions(0));
+    this.messages.push({ id: sent.message_id, text: this.placeholder });
+    this.lastEditAt = Date.now();
+    return sent;
+  }
+
+  /**
+   * 接管已發出的消息 (重新生成時原地編輯，多出的頁在下一幀刪除)
+   */
+  adopt(messageIds, placeholder = this.placeholder) {
+    this.messages = messageIds.map(id => ({ id, text: '' }));
+    this.latest = placeholder;
+    this.flush();
+  }
+
+  /**
+   * 收到新的累計文本 (可直接作為 llmService 的 onDelta)
+   */
+  update(text) {
+    if (this.finished || !text) return;
+
+    // 回退換模型時文本會變短，立即重繪
+    const restarted = text.length < this.latest.length;
+    this.latest = text;
+    if (!restarted && text.length - this.renderedLength < this.minChars) return;
+
+    const wait = Math.max(this.lastEditAt + this.intervalMs, this.blockedUntil) - Date.now();
+    if (wait <= 0) {
+      this.flush();
+    } else if (!this.timer) {
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.flush();
+      }, wait);
+    }
+  }
+
+  flush() {
+    const text = this.latest;
+    this.lastEditAt = Date.now();
+    this.renderedLength = text.length;
+    this.queue = this.queue
+      .then(() => this.render(splitMessageText(text, MAX_MESSAGE_LENGTH - CURSOR.length), { draft: true }))
+      .catch(error => logger.debug('Stream edit skipped:', error.message));
+  }
+
+  /**
+   * 最後一幀: 完整文本 + Markdown + 按鈕 (只掛在最後一頁)
+   */
+  async finish(text, options = {}) {
+    this.finished = true;
+    clearTimeout(this.timer);
+    this.timer = null;
+    await this.queue;
+
+    await this.waitForCooldown();
+    await this.render(splitMessageText(text), {
+      parseMode: options.parse_mode,
+      replyMarkup: options.reply_markup
+    });
+
+    return {
+      message_id: this.messages[this.messages.length - 1].id,
+      messageIds: this.messages.map(m => m.id)
+    };
+  }
+
+  /**
+   * 出錯時把佔位消息改成錯誤提示
+   */
+  async fail(text) {
+    this.finished = true;
+    clearTimeout(this.timer);
+    this.timer = null;
+    await this.queue;
+
+    try {
+      await this.waitForCooldown();
+      await this.render([text], {});
+    } catch (error) {
+      await this.bot.sendMessage(this.chatId, text);
+    }
+  }
+
+  // ==================== 內部 ====================
+
+  async render(pages, { draft = false, parseMode, replyMarkup }) {
+    // 中間幀在 429 冷卻中直接放棄
+    if (draft && Date.now() < this.blockedUntil) return;
+
+    for (let i = 0; i < pages.length; i++) {
+      const isLast = i === pages.length - 1;
+      const text = draft && isLast ? `${pages[i]}${CURSOR}` : pages[i];
+      const options = {
+        parse_mode: parseMode,
+        reply_markup: isLast ? replyMarkup : undefined
+      };
+
+      if (i < this.messages.length) {
+        const unchanged = this.messages[i].text === text;
+        if (unchanged && (draft || (!options.parse_mode && !options.reply_markup))) continue;
+        await this.send('edit', i, text, options, draft);
+      } else {
+        await this.send('new', i, text, options, draft);
+      }
+    }
+
+    // 文本變短 (回退重來) 時刪掉多出的頁
+    while (this.messages.length > pages.length) {
+      const extra = this.messages.pop();
+      await this.bot.deleteMessage(this.chatId, extra.id).catch(() => {});
+    }
+  }
+
+  /**
+   * 發送 / 編輯一頁；Markdown 解析失敗退回純文本，429 冷卻後重試 (中間幀不重試)
+   */
+  async send(action, index, text, options, draft) {
+    const attempt = (opts) => action === 'edit'
+      ? this.bot.editMessageText(text, {
+        chat_id: this.chatId,
+        message_id: this.messages[index].id,
+        ...opts
+      })
+      : this.bot.sendMessage(this.chatId, text, { ...this.replyOptions(index), ...opts });
+
+    try {
+      const sent = await attempt(this.cleanOptions(options));
+      this.track(action, index, text, sent);
+    } catch (error) {
+      const description = this.describeError(error);
+
+      if (/message is not modified/i.test(description)) {
+        this.messages[index].text = text;
+        return;
+      }
+
+      const retryAfter = error.response?.body?.parameters?.retry_after;
+      if (retryAfter) {
+        this.blockedUntil = Date.now() + retryAfter * 1000;
+        if (draft) return;
+        await this.waitForCooldown();
+        return this.send(action, index, text, options, draft);
+      }
+
+      if (options.parse_mode && /can't parse entities/i.test(description)) {
+        const sent = await attempt(this.cleanOptions({ ...options, parse_mode: undefined }));
+        this.track(action, index, text, sent);
+        return;
+      }
+
+      throw error;
+    }
+  }
+
+  track(action, index, text, sent) {
+    if (action === 'edit') {
+      this.messages[index].text = text;
+    } else {
+      this.messages.push({ id: sent.message_id, text });
+    }
+  }
+
+  replyOptions(index) {
+    return index === 0 && this.replyToMessageId
+      ? { reply_to_message_id: this.replyToMessageId }
+      : {};
+  }
+
+  cleanOptions(options) {
+    return Object.fromEntries(Object.entries(options).filter(([, v]) => v !== undefined));
+  }
+
+  describeError(error) {
+    return error.response?.body?.description || error.message || '';
+  }
+
+  async waitForCooldown() {
+    const wait = this.blockedUntil - Date.now();
+    if (wait > 0) {
+      await new Promise(r => setTimeout(r, wait));
+    }
+  }
+}
+
+export default StreamingMessage;
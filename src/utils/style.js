@@ -0,0 +1,132 @@
+/**
+ * 說話風格特徵: 從一個人的真實消息裡學口頭禪、句長、表情和常聊話題，並給生成的句子打分
+ *
+ * - 口頭禪: 按標點 / 空白 / 表情切開後的短片段 (≤ 6 字)，至少在兩條消息裡出現
+ * - 話題: 檢索分詞的二字詞，按出現在多少條消息裡排序，去掉口頭禪裡的詞
+ * - 打分 (0-1): 長度接近、用詞重合 (二字詞 Dice)、口頭禪 / 表情用沒用和真人一致
+ *
+ * 數據讀取、留出集和提示詞見 styleModelService
+ */
+
+import { fold, tokenize } from './retrieval.js';
+
+const EMOJI_PATTERN = /\p{Extended_Pictographic}/gu;
+const SEGMENT_SPLIT = /[\s，。！？、；：,.!?;:~…"'“”‘’（）()【】《》\p{Extended_Pictographic}️]+/u;
+
+// 每條消息少於這個字數算短句
+const SHORT_MESSAGE = 10;
+
+// 口頭禪最長字數
+const MAX_PHRASE_LENGTH = 6;
+
+function length(text) {
+  return [...String(text || '')].length;
+}
+
+function emojisOf(text) {
+  return String(text || '').match(EMOJI_PATTERN) || [];
+}
+
+function segmentsOf(text) {
+  return String(text || '').split(SEGMENT_SPLIT).map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * 按「出現在多少條消息裡」計數，返回 [[key, count]]，次數降序
+ */
+function documentFrequency(lists, minCount = 2) {
+  const counts = new Map();
+  for (const list of lists) {
+    for (const key of new Set(list)) counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return [...counts].filter(([, count]) => count >= minCount).sort((a, b) => b[1] - a[1]);
+}
+
+function round(value, digits = 2) {
+  const scale = 10 ** digits;
+  return Math.round(value * scale) / scale;
+}
+
+/**
+ * 從消息裡學習風格
+ * @param {string[]} messages - 按時間正序的消息文本
+ * @returns {Object} { messageCount, avgLength, shortRate, emojiRate, topEmojis, phrases, topics, examples }
+ */
+export function learnStyle(messages, { phraseLimit = 12, topicLimit = 10, exampleLimit = 20 } = {}) {
+  const texts = messages.map(m => String(m || '').trim()).filter(Boolean);
+  const count = texts.length;
+  if (count === 0) {
+    return { messageCount: 0, avgLength: 0, shortRate: 0, emojiRate: 0, topEmojis: [], phrases: [], topics: [], examples: [] };
+  }
+
+  const lengths = texts.map(length);
+  const emojis = texts.map(emojisOf);
+
+  const phrases = documentFrequency(
+    texts.map(text => segmentsOf(text).filter(s => length(s) <= MAX_PHRASE_LENGTH))
+  ).slice(0, phraseLimit).map(([phrase]) => phrase);
+
+  const phraseText = fold(phrases.join(' '));
+  const topics = documentFrequency(texts.map(text => tokenize(text)))
+    .filter(([token]) => !phraseText.includes(token))
+    .slice(0, topicLimit)
+    .map(([token]) => token);
+
+  // 示例: 最近的、長度適中的、不重複的原話
+  const examples = [...new Set(texts.filter(text => length(text) >= 4 && length(text) <= 80).reverse())]
+    .slice(0, exampleLimit);
+
+  return {
+    messageCount: count,
+    avgLength: round(lengths.reduce((sum, n) => sum + n, 0) / count, 1),
+    shortRate: round(lengths.filter(n => n < SHORT_MESSAGE).length / count),
+    emojiRate: round(emojis.reduce((sum, list) => sum + list.length, 0) / count),
+    topEmojis: documentFrequency(emojis, 1).slice(0, 5).map(([emoji]) => emoji),
+    phrases,
+    topics,
+    examples
+  };
+}
+
+function bigrams(text) {
+  const chars = [...fold(text).replace(/\s+/g, '')];
+  const grams = new Set();
+  for (let i = 0; i < chars.length - 1; i++) grams.add(chars[i] + chars[i + 1]);
+  return grams;
+}
+
+/**
+ * 生成的一句和真人原話的相似度
+ * @returns {Object} { length, overlap, phrases, emoji, total }，都在 0-1
+ */
+export function scoreLine(generated, real, style = {}) {
+  const [a, b] = [length(generated), length(real)];
+  const lengthScore = Math.max(a, b) === 0 ? 1 : Math.min(a, b) / Math.max(a, b);
+
+  const [x, y] = [bigrams(generated), bigrams(real)];
+  const shared = [...x].filter(gram => y.has(gram)).length;
+  const overlap = x.size + y.size === 0 ? 0 : (2 * shared) / (x.size + y.size);
+
+  const usesPhrase = (text) => (style.phrases || []).some(phrase => fold(text).includes(fold(phrase)));
+  const phrases = usesPhrase(generated) === usesPhrase(real) ? 1 : 0;
+  const emoji = (emojisOf(generated).length > 0) === (emojisOf(real).length > 0) ? 1 : 0;
+
+  const scores = { length: lengthScore, overlap, phrases, emoji };
+  scores.total = (lengthScore + overlap + phrases + emoji) / 4;
+  return Object.fromEntries(Object.entries(scores).map(([key, value]) => [key, round(value)]));
+}
+
+/**
+ * 多句得分取平均
+ */
+export function averageScores(scores) {
+  if (scores.length === 0) return null;
+  const keys = Object.keys(scores[0]);
+  return Object.fromEntries(keys.map(key => [key, round(scores.reduce((sum, s) => sum + s[key], 0) / scores.length)]));
+}
+
+export default {
+  learnStyle,
+  scoreLine,
+  averageScores
+};
@@ -0,0 +1,56 @@
+/**
+ * Avatar Bot: 菜單按鈕、真實之眼 (/eye) 流式輸出、過期按鈕
+ */
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startBots, USERS, CHATS } from '../support/harness.js';
+
+const chat = CHATS.family;
+let harness;
+
+before(async () => {
+  harness = await startBots();
+});
+
+after(async () => {
+  await harness.stop();
+});
+
+beforeEach(async () => {
+  await harness.reset();
+});
+
+test('the avatar menu buttons answer through the callback router', async () => {
+  const bot = harness.avatar;
+  await bot.receiveText({ from: USERS.son, chat, text: '/menu' });
+  const menu = bot.lastMessage(chat.id);
+
+  await bot.pressButton({ from: USERS.son, message: menu, data: '🔮 真實之眼' });
+
+  assert.match(bot.lastMessage(chat.id).text, /真實之眼[\s\S]*\/eye/);
+  assert.deepEqual(bot.callsOf('answerCallbackQuery').at(-1).args[1], {});
+});
+
+test('/eye streams a multi-model verdict into one message', async () => {
+  const bot = harness.avatar;
+  const sentBefore = bot.sentMessages(chat.id).length;
+  await bot.receiveText({ from: USERS.son, chat, text: '/eye 喝熱水能治感冒嗎' });
+
+  const verdict = bot.lastMessage(chat.id);
+  assert.doesNotMatch(verdict.text, /⏳/, 'every section finished');
+  assert.ok(bot.callsOf('editMessageText').some(c => c.args[1].message_id === verdict.message_id),
+    'the placeholder was edited into the verdict');
+  assert.equal(bot.sentMessages(chat.id).length, sentBefore + 1);
+});
+
+test('an unknown button shows the expired alert', async () => {
+  const bot = harness.avatar;
+  await bot.receiveText({ from: USERS.son, chat, text: '/menu' });
+
+  await bot.pressButton({ from: USERS.son, message: bot.lastMessage(chat.id), data: 'avatar_removed_feature' });
+
+  const [, options] = bot.callsOf('answerCallbackQuery').at(-1).args;
+  assert.equal(options.show_alert, true);
+  assert.match(options.text, /按鈕已失效/);
+});
@@ -0,0 +1,107 @@
+/**
+ * Avatar 風格學習: 從周文的群聊消息學風格、注入提示詞 (不用留出集)、/style eval、用戶畫像字段遷移
+ */
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startBots, USERS, CHATS } from '../support/harness.js';
+
+const chat = CHATS.family;
+const groupId = String(chat.id);
+
+// 周文的 15 條消息: 第 5 / 10 / 15 條留出
+const ZHOUWEN = [
+  '哈哈，簽證續好了', '代碼能跑就行', '哈哈 有意思', '今天曼谷下大雨', '簽證要提前三十天辦',
+  '可以可以', '哈哈，確實', '晚上吃冬陰功', '簽證的錢交了沒', '明天去移民局',
+  '哈哈 媽你別急', '天氣太熱了', '可以，我來弄', '簽證材料帶齊了', '哈哈，搞定收工'
+];
+
+let harness;
+let groupMemoryService;
+let styleModelService;
+let llmService;
+
+before(async () => {
+  harness = await startBots();
+  ({ default: groupMemoryService } = await import('../../src/services/groupMemoryService.js'));
+  ({ default: styleModelService } = await import('../../src/services/styleModelService.js'));
+  ({ default: llmService } = await import('../../src/services/llmService.js'));
+});
+
+after(async () => {
+  await harness.stop();
+});
+
+beforeEach(async () => {
+  await harness.reset();
+  for (const content of ZHOUWEN) {
+    await groupMemoryService.logGroupMessage({ groupId, userId: String(USERS.son.id), userName: USERS.son.first_name, content });
+    await groupMemoryService.logGroupMessage({ groupId, userId: String(USERS.mom.id), userName: USERS.mom.first_name, content: `收到：${content}` });
+  }
+  await groupMemoryService.logGroupMessage({
+    groupId, userId: String(USERS.son.id), userName: USERS.son.first_name, content: '我的密碼是1234', ephemeral: true
+  });
+  await styleModelService.refresh();
+});
+
+test('learns from the real Zhouwen only and keeps a held-out set', async () => {
+  const [model] = harness.collection('style_models');
+  assert.deepEqual(model.userIds, ['>01Rain', String(USERS.son.id)]);
+  assert.equal(model.messageCount, 12);
+  assert.deepEqual(model.holdout.map(h => h.content), [ZHOUWEN[4], ZHOUWEN[9], ZHOUWEN[14]]);
+  assert.equal(model.phrases[0], '哈哈');
+  assert.ok(model.topics.includes('签证'));
+  assert.ok(!model.examples.some(e => /收到|密碼/.test(e)));
+});
+
+test('Avatar prompts carry the learned style and few-shot lines, never held-out ones', async (t) => {
+  const generate = t.mock.method(llmService, 'generate');
+  await harness.avatarService.generateAvatarResponse(chat.id, '簽證辦得怎麼樣', 'toHuman', USERS.mom.first_name);
+
+  const prompt = generate.mock.calls.find(c => c.arguments[0] === 'avatar.reply').arguments[1];
+  assert.match(prompt, /\[學習參考 - 真實周文的說話風格\]\n- 平均每條 [\d.]+ 字，多是短句\n- 口頭禪：哈哈/);
+  assert.match(prompt, /\[周文的原話[^\]]*\]\n- 簽證/, 'lines on the same topic come first');
+  const fewShot = prompt.split('[周文的原話')[1].split('\n\n')[0];
+  for (const { content } of styleModelService.model.holdout) {
+    assert.ok(!fewShot.includes(content), `held-out line leaked: ${content}`);
+  }
+});
+
+test('/style shows the model and /style eval compares against held-out messages', async () => {
+  const bot = harness.avatar;
+  await bot.receiveText({ from: USERS.son, chat, text: '/style' });
+  assert.match(bot.lastMessage(chat.id).text, /學習了 12 條消息 \(留出 3 條做評估\)[\s\S]*口頭禪：哈哈/);
+
+  await bot.receiveText({ from: USERS.son, chat, text: '/style eval' });
+  const report = bot.lastMessage(chat.id).text;
+  assert.match(report, /風格評估 \(3 條留出的真實消息\)/);
+  assert.match(report, /綜合：[\d.]+ \/ [\d.]+/);
+  assert.match(report, new RegExp(`真：${ZHOUWEN[14]}\n仿：`));
+});
+
+test('user profiles saved under the misspelled oduserId are migrated to userId', async () => {
+  const profiles = groupMemoryService.collections.userProfiles;
+  await profiles.dropIndex('userId_1');
+  await profiles.createIndex({ oduserId: 1 }, { unique: true });
+  await profiles.deleteMany({});
+  await profiles.insertMany([{ oduserId: 'a', messageCount: 3 }, { oduserId: 'b', messageCount: 5 }]);
+
+  await groupMemoryService.createIndexes();
+
+  assert.deepEqual(harness.collection('user_profiles').map(p => [p.userId, p.oduserId]), [['a', undefined], ['b', undefined]]);
+  assert.equal((await groupMemoryService.getUserProfile('b')).messageCount, 5);
+});
+
+test('the legacy oduserId index is dropped even when no legacy profiles are left', async () => {
+  const profiles = groupMemoryService.collections.userProfiles;
+  await profiles.dropIndex('userId_1');
+  await profiles.createIndex({ oduserId: 1 }, { unique: true });
+  await profiles.deleteMany({});
+  await profiles.insertOne({ userId: 'a', messageCount: 1 });
+
+  await groupMemoryService.createIndexes();
+
+  assert.equal(await profiles.indexExists('oduserId_1'), false);
+  await groupMemoryService.updateUserProfile('b', '小明', '你好');
+  assert.deepEqual(harness.collection('user_profiles').map(p => p.userId).sort(), ['a', 'b']);
+});
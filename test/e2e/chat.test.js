@@ -0,0 +1,110 @@
+/**
+ * 聊天流程: 文本 (流式 + 儀表盤)、🔄 重新生成、聊天模式、語音、圖片、群聊
+ */
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startBots, USERS, CHATS, findMessageWithButton } from '../support/harness.js';
+
+const chat = CHATS.sonPrivate;
+let harness;
+
+before(async () => {
+  harness = await startBots();
+});
+
+after(async () => {
+  await harness.stop();
+});
+
+beforeEach(async () => {
+  await harness.reset();
+});
+
+test('a text message is streamed into one reply with dashboard and buttons', async () => {
+  const bot = harness.bongbong;
+  await bot.receiveText({ from: USERS.son, chat, text: '幫我想一個週末去哪裡玩' });
+
+  const reply = bot.lastMessage(chat.id);
+  assert.match(reply.text, /\[stub:[\w.-]+\]/);
+  assert.match(reply.text, /───\n📊 #\d+ \| /);
+  assert.deepEqual(bot.buttonsOf(reply).map(b => b.callback_data), ['menu_main', 'quick_save', 'quick_regenerate']);
+
+  // 佔位消息被編輯成最終回覆，而不是另發一條
+  assert.ok(bot.callsOf('editMessageText').some(c => c.args[1].message_id === reply.message_id));
+
+  const history = harness.collection('bot_sessions').find(s => s.namespace === 'history');
+  assert.equal(history.key, String(USERS.son.id));
+  assert.equal(history.value.length, 2);
+});
+
+test('🔄 regenerate with another tier rewrites the same message', async () => {
+  const bot = harness.bongbong;
+  await bot.receiveText({ from: USERS.son, chat, text: '解釋一下量子糾纏' });
+  const reply = bot.lastMessage(chat.id);
+
+  await bot.pressButton({ from: USERS.son, message: reply, data: 'quick_regenerate' });
+  const tiers = bot.buttonsOf(reply).map(b => b.callback_data);
+  assert.ok(tiers.includes('quick_regen_grok'));
+
+  await bot.pressButton({ from: USERS.son, message: reply, data: 'quick_regen_grok' });
+
+  const regenerated = bot.lastMessage(chat.id);
+  assert.equal(regenerated.message_id, reply.message_id);
+  assert.match(regenerated.text, /\[stub:grok-/);
+  assert.match(regenerated.text, /重新生成|Grok/);
+
+  // 原地改寫原來的對話記錄，不重複記錄、不增加消息序號
+  const conversations = harness.collection('conversations').filter(c => c.message === '解釋一下量子糾纏');
+  assert.equal(conversations.length, 1);
+  assert.match(conversations[0].response, /\[stub:grok-/);
+  assert.ok(regenerated.text.includes(`📊 #${conversations[0].messageNumber} |`));
+});
+
+test('a chat mode from the 💬 menu sticks until switched back to auto', async () => {
+  const bot = harness.bongbong;
+  await bot.receiveText({ from: USERS.son, chat, text: '/menu' });
+  await bot.pressButton({ from: USERS.son, message: bot.lastMessage(chat.id), data: 'menu_chat' });
+  await bot.pressButton({ from: USERS.son, message: findMessageWithButton(bot, chat.id, 'chat_humor'), data: 'chat_humor' });
+
+  const intro = bot.lastMessage(chat.id);
+  assert.match(intro.text, /幽默模式/);
+
+  await bot.receiveText({ from: USERS.son, chat, text: '今天好累' });
+  assert.match(bot.lastMessage(chat.id).text, /📊 #\d+ \| 😎幽默模式 \| Grok 3 Mini/);
+
+  await bot.pressButton({ from: USERS.son, message: intro, data: 'chat_auto' });
+  await bot.receiveText({ from: USERS.son, chat, text: '今天好累' });
+  assert.doesNotMatch(bot.lastMessage(chat.id).text, /幽默模式/);
+});
+
+test('a voice message is transcribed and answered by both personas', async () => {
+  const bot = harness.bongbong;
+  await bot.receiveVoice({ from: USERS.son, chat });
+
+  const texts = bot.sentMessages(chat.id).map(m => m.text);
+  assert.ok(texts.some(t => t.startsWith('🎤 *语音转文字：*')));
+  assert.ok(texts.some(t => t.startsWith('🤖 *BongBong (专业版)*')));
+  assert.ok(texts.some(t => t.startsWith('🎭 *周文 (搞笑版)*')));
+});
+
+test('a photo is downloaded and analysed', async () => {
+  const bot = harness.bongbong;
+  await bot.receivePhoto({ from: USERS.son, chat, caption: '這是什麼' });
+
+  const texts = bot.sentMessages(chat.id).map(m => m.text);
+  assert.ok(!texts.some(t => t === '🔍 正在分析圖片...'), 'progress message is removed');
+  assert.match(bot.lastMessage(chat.id).text, /^📸 \*圖片分析\*/);
+});
+
+test('group messages are logged to group memory and mark the group active', async () => {
+  const bot = harness.bongbong;
+  await bot.receiveText({ from: USERS.mom, chat: CHATS.family, text: '晚上吃什麼' });
+
+  const logged = harness.collection('group_messages').filter(m => m.groupId === String(CHATS.family.id));
+  assert.deepEqual(logged.map(m => m.isBot), [false, true]);
+
+  assert.ok(harness.dualBotService.activeGroups.has(String(CHATS.family.id)));
+  const groups = harness.collection('bot_sessions').filter(s => s.namespace === 'groups');
+  assert.deepEqual(groups.map(g => g.key), [String(CHATS.family.id)]);
+});
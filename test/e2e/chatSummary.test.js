@@ -0,0 +1,110 @@
+/**
+ * 長對話摘要: 每 N 條消息增量總結、近期摘要併入長期摘要、提示詞按 token 預算組合
+ */
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startBots, USERS, CHATS } from '../support/harness.js';
+import config from '../../config/index.js';
+
+const family = CHATS.family;
+const defaults = { ...config.summary };
+let harness;
+let conversationSummaryService;
+let groupMemoryService;
+let llmService;
+
+before(async () => {
+  harness = await startBots();
+  ({ default: conversationSummaryService } = await import('../../src/services/conversationSummaryService.js'));
+  ({ default: groupMemoryService } = await import('../../src/services/groupMemoryService.js'));
+  ({ default: llmService } = await import('../../src/services/llmService.js'));
+});
+
+after(async () => {
+  await harness.stop();
+});
+
+beforeEach(async () => {
+  await harness.reset();
+  Object.assign(config.summary, defaults, { everyMessages: 4, recentSegments: 2 });
+});
+
+async function eventually(check) {
+  for (let i = 0; i < 100; i++) {
+    const value = await check();
+    if (value) return value;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  assert.fail('condition not met in time');
+}
+
+async function chatPrompt(t, chat, text) {
+  const generate = t.mock.method(llmService, 'generate');
+  await harness.bongbong.receiveText({ from: USERS.mom, chat, text });
+  const call = generate.mock.calls.find(c => c.arguments[0] === 'bongbong.chat');
+  generate.mock.restore();
+  return call.arguments[1];
+}
+
+test('private chats roll older turns into recent and long-term summaries', async (t) => {
+  const chat = CHATS.momPrivate;
+  for (let i = 1; i <= 6; i++) {
+    await harness.bongbong.receiveText({ from: USERS.mom, chat, text: `第${i}件事` });
+  }
+
+  // 每輪問答算 2 條: 6 輪 → 3 段，最舊的一段併入長期摘要
+  const summary = await eventually(async () => {
+    const doc = await conversationSummaryService.getSummary(chat.id);
+    return doc?.longTerm && doc;
+  });
+  assert.equal(summary.recent.length, 2);
+  assert.equal(summary.longTerm.messageCount, 4);
+  assert.deepEqual(summary.recent.map(s => s.messageCount), [4, 4]);
+  assert.deepEqual([summary.scope, summary.scopeId], ['private', String(USERS.mom.id)]);
+
+  const prompt = await chatPrompt(t, chat, '我們剛才說到哪了');
+  assert.match(prompt, /\[长期摘要\]\n.+\n\n\[近期摘要\]\n- .+\n- .+\n\n\[最近对话\]\n用户: 第1件事/);
+});
+
+test('group summaries advance from a cursor and leave out ephemeral messages', async (t) => {
+  const groupId = String(family.id);
+  const log = (content, extra = {}) => groupMemoryService.logGroupMessage({
+    groupId, userId: String(USERS.son.id), userName: USERS.son.first_name, content, ...extra
+  });
+  for (let i = 1; i <= 5; i++) await log(`群消息${i}`);
+  await log('我的密碼是1234', { ephemeral: true });
+
+  const generate = t.mock.method(llmService, 'generate');
+  const summaryPrompts = () => generate.mock.calls.filter(c => c.arguments[0] === 'memory.chatSummary').map(c => c.arguments[1]);
+
+  const first = await conversationSummaryService.update(family.id);
+  assert.equal(first.recent.length, 1);
+  assert.match(summaryPrompts()[0], /群消息1[\s\S]*群消息4/);
+  assert.doesNotMatch(summaryPrompts()[0], /群消息5|密碼/);
+
+  // 沒攢夠一段不更新
+  assert.equal(await conversationSummaryService.update(family.id), null);
+
+  for (let i = 6; i <= 8; i++) await log(`群消息${i}`);
+  await conversationSummaryService.update(family.id);
+  const second = summaryPrompts()[1];
+  assert.match(second, /群消息5[\s\S]*群消息8/);
+  assert.doesNotMatch(second, /群消息4|密碼/);
+});
+
+test('the prompt keeps the newest raw turns within the token budget', async (t) => {
+  Object.assign(config.summary, { everyMessages: 20, tokenBudget: 30, minRawMessages: 2 });
+  const groupId = String(family.id);
+  for (let i = 1; i <= 10; i++) {
+    await groupMemoryService.logGroupMessage({
+      groupId, userId: String(USERS.son.id), userName: USERS.son.first_name, content: `这是第${i}条比较长的群聊消息`
+    });
+  }
+
+  const prompt = await chatPrompt(t, family, '大家好');
+  const turns = prompt.split('[最近对话]\n')[1].split('\n\n')[0].split('\n');
+  assert.ok(turns.length >= 2 && turns.length < 11, `kept ${turns.length} turns`);
+  assert.match(turns.at(-1), /大家好/);
+  assert.doesNotMatch(prompt, /第1条/);
+});
@@ -0,0 +1,121 @@
+/**
+ * 家庭知識圖譜: 群聊 / 筆記抽取事實 (帶來源)、回覆時注入提示詞、/facts 更正和刪除
+ */
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startBots, USERS, CHATS, findMessageWithButton } from '../support/harness.js';
+import { privateScope } from '../../src/utils/memoryScope.js';
+
+const family = CHATS.family;
+let harness;
+let knowledgeGraphService;
+let notebookService;
+let llmService;
+
+before(async () => {
+  harness = await startBots();
+  ({ default: knowledgeGraphService } = await import('../../src/services/knowledgeGraphService.js'));
+  ({ default: notebookService } = await import('../../src/services/notebookService.js'));
+  ({ default: llmService } = await import('../../src/services/llmService.js'));
+});
+
+after(async () => {
+  await harness.stop();
+});
+
+beforeEach(async () => {
+  await harness.reset();
+});
+
+// 抽取在後台進行
+async function eventually(check) {
+  for (let i = 0; i < 100; i++) {
+    const value = check();
+    if (value) return value;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  assert.fail('condition not met in time');
+}
+
+function activeFacts() {
+  return harness.collection('kg_facts').filter(f => f.status === 'active');
+}
+
+test('group messages become facts with entities and a source reference', async () => {
+  await harness.bongbong.receiveText({ from: USERS.son, chat: family, text: '提醒一下，我妈对青霉素过敏' });
+
+  const [fact] = await eventually(() => activeFacts().length > 0 && activeFacts());
+  assert.equal(fact.text, '妈妈对青霉素过敏');
+  assert.equal(fact.scope, 'group');
+  assert.equal(fact.scopeId, String(family.id));
+
+  const [source] = fact.sources;
+  const message = harness.collection('group_messages').find(m => String(m._id) === String(source.id));
+  assert.equal(source.type, 'group_message');
+  assert.equal(source.userName, USERS.son.first_name);
+  assert.match(message.content, /青霉素/);
+
+  const entities = harness.collection('kg_entities').map(e => [e.type, e.name]).sort();
+  assert.deepEqual(entities, [['person', '妈妈'], ['substance', '青霉素']]);
+});
+
+test('BongBong injects relevant family facts into the prompt', async (t) => {
+  await harness.bongbong.receiveText({ from: USERS.son, chat: family, text: '我妈对青霉素过敏，爸爸不喜欢香菜' });
+  await eventually(() => activeFacts().length === 2);
+
+  const generate = t.mock.method(llmService, 'generate');
+  await harness.bongbong.receiveText({ from: USERS.mom, chat: family, text: '我感冒了，能吃什么药' });
+
+  const call = generate.mock.calls.find(c => c.arguments[0] === 'bongbong.chat');
+  const prompt = call.arguments[1];
+  assert.match(prompt, /\[家庭资料\]\n- 妈妈对青霉素过敏/);
+  // 群聊歷史裡有原話，但不相關的事實不注入
+  assert.doesNotMatch(prompt, /- 爸爸不喜欢香菜/);
+});
+
+test('facts from notes land in the owner scope', async () => {
+  await notebookService.saveForUser(String(USERS.son.id), USERS.son.first_name, {
+    title: '家人', content: '爸爸每天吃降压药\n爸爸生日是农历八月十五'
+  });
+
+  const facts = await eventually(() => activeFacts().length === 2 && activeFacts());
+  assert.deepEqual(facts.map(f => f.text).sort(), ['爸爸在吃降压药', '爸爸的生日是农历八月十五']);
+  assert.ok(facts.every(f => f.scope === 'private' && f.scopeId === String(USERS.son.id) && f.sources[0].type === 'note'));
+
+  // 單值事實以最新的說法為準
+  await knowledgeGraphService.ingest({
+    scope: privateScope(USERS.son.id), text: '爸爸生日是9月10日', source: { type: 'note', id: 'n2' }
+  });
+  const birthday = activeFacts().find(f => f.predicate === 'birthday');
+  assert.equal(birthday.text, '爸爸的生日是9月10日');
+  assert.equal(birthday.sources.length, 2);
+});
+
+test('/facts lets users correct a fact or delete it for good', async () => {
+  const bot = harness.bongbong;
+  const chat = CHATS.sonPrivate;
+  const scope = privateScope(USERS.son.id);
+  const text = '妈妈对青霉素过敏';
+  await knowledgeGraphService.ingest({ scope, text, source: { type: 'note', id: 'n1' } });
+  await knowledgeGraphService.ingest({ scope, text: '妈妈喜欢芒果', source: { type: 'note', id: 'n1' } });
+
+  await bot.receiveText({ from: USERS.son, chat, text: '/facts' });
+  assert.match(bot.lastMessage(chat.id).text, /家庭資料\* \(2\)[\s\S]*妈妈对青霉素过敏/);
+
+  const allergy = activeFacts().find(f => f.predicate === 'allergic_to');
+  const list = findMessageWithButton(bot, chat.id, `fact_edit_0_${allergy._id}`);
+  await bot.pressButton({ from: USERS.son, message: list, data: `fact_edit_0_${allergy._id}` });
+  await bot.receiveText({ from: USERS.son, chat, text: '頭孢' });
+  assert.match(bot.lastMessage(chat.id).text, /已更正：妈妈对头孢过敏/);
+  assert.equal(activeFacts().find(f => f.predicate === 'allergic_to').corrected, true);
+
+  const likes = activeFacts().find(f => f.predicate === 'likes');
+  const page = findMessageWithButton(bot, chat.id, `fact_del_0_${likes._id}`);
+  await bot.pressButton({ from: USERS.son, message: page, data: `fact_del_0_${likes._id}` });
+  assert.match(bot.lastMessage(chat.id).text, /已刪除[\s\S]*家庭資料\* \(1\)/);
+
+  // 刪掉的事實再被提到也不會回來
+  await knowledgeGraphService.ingest({ scope, text: '妈妈喜欢芒果', source: { type: 'note', id: 'n3' } });
+  assert.deepEqual(activeFacts().map(f => f.text), ['妈妈对头孢过敏']);
+});
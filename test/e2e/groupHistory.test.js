@@ -0,0 +1,85 @@
+/**
+ * 群聊消息查詢: 條數 / 時間窗口、真人 / bot 過濾、系統群排除、游標分頁；閒置分析用它取對話
+ */
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startBots, USERS, CHATS } from '../support/harness.js';
+
+const groupId = String(CHATS.family.id);
+let harness;
+let groupMemoryService;
+let idleAnalysisService;
+
+before(async () => {
+  harness = await startBots();
+  ({ default: groupMemoryService } = await import('../../src/services/groupMemoryService.js'));
+  ({ default: idleAnalysisService } = await import('../../src/services/idleAnalysisService.js'));
+});
+
+after(async () => {
+  await harness.stop();
+});
+
+beforeEach(async () => {
+  await harness.reset();
+});
+
+async function log(content, { isBot = false, group = groupId, minutesAgo = 0 } = {}) {
+  const user = isBot ? { userId: 'bongbong', userName: 'BongBong' } : { userId: String(USERS.mom.id), userName: USERS.mom.first_name };
+  await groupMemoryService.logGroupMessage({ groupId: group, ...user, content, isBot });
+  if (minutesAgo) {
+    await groupMemoryService.collections.groupMessages.updateOne(
+      { content },
+      { $set: { timestamp: new Date(Date.now() - minutesAgo * 60000) } }
+    );
+  }
+}
+
+test('cursor pagination walks back through history without gaps or repeats', async () => {
+  for (let i = 1; i <= 5; i++) await log(`消息 ${i}`);
+
+  const pages = [];
+  let cursor;
+  do {
+    const page = await groupMemoryService.queryMessages({ groupId, limit: 2, cursor });
+    pages.push(page.messages.map(m => m.content));
+    cursor = page.nextCursor;
+  } while (cursor);
+
+  assert.deepEqual(pages, [['消息 4', '消息 5'], ['消息 2', '消息 3'], ['消息 1']]);
+  assert.deepEqual(await groupMemoryService.queryMessages({ groupId, cursor: 'garbage' }), { messages: [], nextCursor: null });
+});
+
+test('filters by sender and time window, and skips system groups across groups', async () => {
+  await log('早上好', { minutesAgo: 180 });
+  await log('今天吃什麼', { minutesAgo: 30 });
+  await log('建議吃粥', { isBot: true, minutesAgo: 20 });
+  await log('問題: 地球是平的嗎', { isBot: true, group: 'eye_of_truth' });
+
+  const humans = await groupMemoryService.getRecentMessages(groupId, { sender: 'human' });
+  assert.deepEqual(humans.map(m => m.content), ['早上好', '今天吃什麼']);
+
+  const lastHour = await groupMemoryService.getRecentMessages(groupId, { since: new Date(Date.now() - 3600000) });
+  assert.deepEqual(lastHour.map(m => m.content), ['今天吃什麼', '建議吃粥']);
+
+  const older = await groupMemoryService.getRecentMessages(groupId, { until: new Date(Date.now() - 3600000) });
+  assert.deepEqual(older.map(m => m.content), ['早上好']);
+
+  const everywhere = await groupMemoryService.queryMessages({ sender: 'bot' });
+  assert.deepEqual(everywhere.messages.map(m => m.content), ['建議吃粥']);
+});
+
+test('idle analysis reads the conversation since its last run and stores it as group memory', async () => {
+  for (let i = 1; i <= 6; i++) await log(`聊天內容 ${i}`, { minutesAgo: 90 - i });
+
+  await idleAnalysisService.triggerAnalysis(groupId);
+  const analyses = () => harness.collection('smart_memories').filter(m => m.type === 'idle_analysis');
+  assert.equal(analyses().length, 1);
+  assert.equal(analyses()[0].scope, 'group');
+  assert.equal(analyses()[0].scopeId, groupId);
+
+  // 沒有新消息就不重複分析
+  await idleAnalysisService.triggerAnalysis(groupId);
+  assert.equal(analyses().length, 1);
+});
@@ -0,0 +1,83 @@
+/**
+ * 向量記憶: 💾 保存寫入向量、語義搜索過濾、群聊向量引用
+ */
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startBots, USERS, CHATS, findMessageWithButton } from '../support/harness.js';
+
+let harness;
+let smartMemoryService;
+let vectorEnhanceService;
+
+before(async () => {
+  harness = await startBots();
+  ({ default: smartMemoryService } = await import('../../src/services/smartMemoryService.js'));
+  ({ default: vectorEnhanceService } = await import('../../src/services/vectorEnhanceService.js'));
+});
+
+after(async () => {
+  await harness.stop();
+});
+
+beforeEach(async () => {
+  await harness.reset();
+});
+
+test('💾 on a reply stores the memory together with its embedding', async () => {
+  const bot = harness.bongbong;
+  const chat = CHATS.sonPrivate;
+  await bot.receiveText({ from: USERS.son, chat, text: '泰國養老簽證需要什麼材料' });
+
+  const reply = findMessageWithButton(bot, chat.id, 'quick_save');
+  await bot.pressButton({ from: USERS.son, message: reply, data: 'quick_save' });
+
+  const [memory] = harness.collection('smart_memories');
+  const [vector] = harness.collection('memory_vectors');
+  assert.ok(memory, 'memory saved');
+  assert.equal(vector.index, 'smart_memories');
+  assert.equal(vector.key, String(memory._id));
+  assert.equal(vector.userId, String(USERS.son.id));
+  assert.equal(vector.embedding.length, 768);
+});
+
+test('semantic search ranks by similarity and respects user / group / category filters', async () => {
+  await smartMemoryService.storeMemory({ userId: 'mother', type: 'note', content: '泰國養老簽證每年續簽一次，需要銀行存款證明' });
+  await smartMemoryService.storeMemory({ userId: 'mother', type: 'note', content: '中医艾灸足三里可以健脾养胃' });
+  await smartMemoryService.storeMemory({ userId: 'son', type: 'note', content: '泰國養老簽證續簽要帶護照和照片' });
+  await smartMemoryService.storeMemory({ groupId: CHATS.family.id, type: 'note', content: '泰國養老簽證的銀行存款要求是八十萬泰銖' });
+
+  const results = await smartMemoryService.semanticSearch('養老簽證續簽', { userId: 'mother', minScore: 0 });
+  assert.equal(results.length, 2);
+  assert.match(results[0].content, /養老簽證/);
+  assert.ok(results[0].score > results[1].score);
+  assert.ok(results.every(r => r.userId === 'mother'));
+
+  const group = await smartMemoryService.semanticSearch('養老簽證', { groupId: CHATS.family.id, minScore: 0 });
+  assert.deepEqual(group.map(r => r.groupId), [String(CHATS.family.id)]);
+
+  const health = await smartMemoryService.semanticSearch('養老簽證', { category: '养生', minScore: 0 });
+  assert.deepEqual(health.map(r => r.content), ['中医艾灸足三里可以健脾养胃']);
+
+  // 默認閾值過濾掉不相關的記憶
+  const strict = await smartMemoryService.semanticSearch('完全無關的天氣預報', { userId: 'mother' });
+  assert.equal(strict.length, 0);
+});
+
+test('group replies cite vector memories only once the group has enough of them', async (t) => {
+  t.mock.method(Math, 'random', () => 0);
+  const groupId = CHATS.family.id;
+  const content = '週末全家去清邁看花展，記得帶防曬';
+
+  await smartMemoryService.storeMemory({ groupId, type: 'conversation_summary', content, metadata: { keyPoints: ['清邁花展', '帶防曬'] } });
+  assert.equal(await vectorEnhanceService.getVectorReference(groupId, content), null);
+
+  for (let i = 0; i < 9; i++) {
+    await smartMemoryService.storeMemory({ groupId, type: 'conversation_summary', content: `第${i}次閒聊：天氣、吃飯和散步` });
+  }
+
+  const reference = await vectorEnhanceService.getVectorReference(groupId, content);
+  assert.ok(reference?.hasReference);
+  assert.match(reference.content, /清邁花展、帶防曬/);
+  assert.ok(reference.topScore > 0.9);
+});
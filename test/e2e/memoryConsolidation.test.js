@@ -0,0 +1,132 @@
+/**
+ * 記憶整理: 近似重複合併 (保留來源)、常用提升 / 閒置衰減、低價值歸檔、整理統計
+ */
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startBots, USERS, CHATS, findMessageWithButton } from '../support/harness.js';
+
+const DAY = 86400000;
+const chat = CHATS.momPrivate;
+const userId = String(USERS.mom.id);
+let harness;
+let memoryService;
+let smartMemoryService;
+let memoryConsolidationService;
+
+before(async () => {
+  harness = await startBots();
+  ({ default: memoryService } = await import('../../src/services/memoryService.js'));
+  ({ default: smartMemoryService } = await import('../../src/services/smartMemoryService.js'));
+  ({ default: memoryConsolidationService } = await import('../../src/services/memoryConsolidationService.js'));
+});
+
+after(async () => {
+  await harness.stop();
+});
+
+beforeEach(async () => {
+  await harness.reset();
+});
+
+async function checkpoint(content, { importance, daysAgo = 0 } = {}) {
+  const id = await memoryService.createMemoryCheckpoint(userId, content, 'manual');
+  const $set = { createdAt: new Date(Date.now() - daysAgo * DAY) };
+  if (importance !== undefined) $set.importance = importance;
+  await memoryService.collections.memories.updateOne({ _id: id }, { $set });
+  return id;
+}
+
+function memory(id) {
+  return harness.collection('memories').find(m => String(m._id) === String(id));
+}
+
+test('near-duplicates merge into one consolidated memory that keeps its sources', async () => {
+  const first = await checkpoint('下週三上午要去醫院複查血壓，記得空腹', { importance: 3, daysAgo: 3 });
+  const similar = await checkpoint('下週三上午要去醫院複查血壓，記得要空腹', { importance: 2 });
+  const same = await checkpoint('下週三上午要去醫院複查血壓 記得空腹!', { importance: 1 });
+  const other = await checkpoint('週末去市場買青菜');
+
+  const totals = await memoryConsolidationService.run();
+  assert.equal(totals.clusters, 1);
+  assert.equal(totals.merged, 3);
+
+  const canonical = harness.collection('memories').find(m => m.type === 'consolidated');
+  assert.deepEqual(canonical.mergedFrom.map(String).sort(), [first, similar, same].map(String).sort());
+  assert.equal(canonical.importance, 4);
+  assert.equal(canonical.firstSeenAt.getTime(), memory(first).createdAt.getTime());
+  for (const id of [first, similar, same]) {
+    assert.equal(memory(id).archived, true);
+    assert.equal(memory(id).archivedReason, 'merged');
+    assert.equal(String(memory(id).mergedInto), String(canonical._id));
+  }
+  assert.equal(memory(other).archived, undefined);
+
+  // 只有整理後的記憶和不相關的那條留在向量索引和列表裡
+  const vectors = harness.collection('embeddings').map(v => v.key).sort();
+  assert.deepEqual(vectors, [String(canonical._id), String(other)].sort());
+  const list = await memoryService.listMemories(userId);
+  assert.equal(list.total, 2);
+});
+
+test('retrieved memories gain importance while idle ones decay', async () => {
+  const used = await checkpoint('護照號碼記在藍色本子第一頁', { importance: 3, daysAgo: 60 });
+  const idle = await checkpoint('上個月的電費是八百泰銖', { importance: 3, daysAgo: 60 });
+
+  const [hit] = await memoryService.searchMemories(userId, '護照號碼');
+  assert.equal(String(hit._id), String(used));
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(memory(used).retrievalCount, 1);
+
+  const totals = await memoryConsolidationService.run();
+  assert.equal(totals.boosted, 1);
+  assert.equal(totals.decayed, 1);
+  assert.equal(memory(used).importance, 3.5);
+  assert.ok(memory(idle).importance < 3 && memory(idle).importance > 2);
+
+  // 沒有新的檢索就不再重複提升；衰減從上次整理接著算
+  const again = await memoryConsolidationService.run(new Date(Date.now() + 60 * DAY));
+  assert.equal(again.boosted, 0);
+  assert.ok(memory(used).importance < 3.5);
+});
+
+test('low-value memories that stay unused are archived, not deleted', async () => {
+  const stale = await checkpoint('早就過期的超市優惠券', { importance: 1, daysAgo: 400 });
+  const fresh = await checkpoint('剛記下的事', { importance: 1 });
+
+  const totals = await memoryConsolidationService.run();
+  assert.equal(totals.archived, 1);
+  assert.equal(memory(stale).archived, true);
+  assert.equal(memory(stale).archivedReason, 'low_value');
+  assert.equal(memory(fresh).archived, undefined);
+  assert.deepEqual(harness.collection('embeddings').map(v => v.key), [String(fresh)]);
+
+  const results = await memoryService.searchMemories(userId, '超市優惠券');
+  assert.equal(results.length, 0);
+});
+
+test('group smart memories are consolidated too, and 🧹 shows per-user stats', async () => {
+  const groupId = CHATS.family.id;
+  await smartMemoryService.storeMemory({ groupId, type: 'note', content: '週末全家去清邁看花展，記得帶防曬' });
+  await smartMemoryService.storeMemory({ groupId, type: 'note', content: '週末全家去清邁看花展，記得帶防曬。' });
+  await checkpoint('下週三上午要去醫院複查血壓，記得空腹');
+  await checkpoint('下週三上午要去醫院複查血壓，記得要空腹');
+
+  await memoryConsolidationService.run();
+
+  const smart = harness.collection('smart_memories').filter(m => !m.archived);
+  assert.equal(smart.length, 1);
+  assert.equal(smart[0].type, 'consolidated');
+  assert.equal(smart[0].source, 'consolidated');
+  assert.equal(smart[0].groupId, String(groupId));
+  assert.equal((await memoryConsolidationService.getUserStats(`group:${groupId}`)).totals.merged, 2);
+
+  const bot = harness.bongbong;
+  await bot.receiveText({ from: USERS.mom, chat, text: '/menu' });
+  for (const data of ['menu_settings', 'settings_memory', 'memory_consolidation']) {
+    await bot.pressButton({ from: USERS.mom, message: findMessageWithButton(bot, chat.id, data), data });
+  }
+  const text = bot.lastMessage(chat.id).text;
+  assert.match(text, /合併重複: 1 組 \(2 條\)/);
+  assert.match(text, /2 條 → /);
+});
@@ -0,0 +1,135 @@
+/**
+ * 記憶管理菜單: 📥 創建存檔點、📋 分頁查看 + 刪除、🔍 搜索、🗑️ 按範圍清除 (確認框)
+ */
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startBots, USERS, CHATS, findMessageWithButton } from '../support/harness.js';
+import { groupScope } from '../../src/utils/memoryScope.js';
+
+const chat = CHATS.momPrivate;
+const userId = String(USERS.mom.id);
+let harness;
+let memoryService;
+
+before(async () => {
+  harness = await startBots();
+  ({ default: memoryService } = await import('../../src/services/memoryService.js'));
+});
+
+after(async () => {
+  await harness.stop();
+});
+
+beforeEach(async () => {
+  await harness.reset();
+});
+
+async function press(data) {
+  const bot = harness.bongbong;
+  const message = findMessageWithButton(bot, chat.id, data);
+  assert.ok(message, `a message offers ${data}`);
+  await bot.pressButton({ from: USERS.mom, message, data });
+  return bot.getStoredMessage(message.chat.id, message.message_id);
+}
+
+async function openMemoryMenu() {
+  await harness.bongbong.receiveText({ from: USERS.mom, chat, text: '/menu' });
+  await press('menu_settings');
+  await press('settings_memory');
+}
+
+test('📥 turns the current conversation into a manual checkpoint', async () => {
+  const bot = harness.bongbong;
+  await bot.receiveText({ from: USERS.mom, chat, text: '下週三要去醫院複查血壓' });
+  await openMemoryMenu();
+  await press('memory_checkpoint');
+
+  const [memory] = harness.collection('memories');
+  assert.equal(memory.userId, userId);
+  assert.equal(memory.type, 'manual');
+  assert.match(bot.lastMessage(chat.id).text, /存檔點已創建/);
+});
+
+test('📋 pages through memories and 🗑️ deletes one in place', async () => {
+  for (let i = 1; i <= 7; i++) {
+    await memoryService.createMemoryCheckpoint(userId, `第${i}條記憶`, i % 2 ? 'auto' : 'manual');
+  }
+  await openMemoryMenu();
+
+  let list = await press('memory_list');
+  assert.match(list.text, /查看記憶\* \(7\)/);
+  assert.equal(harness.bongbong.buttonsOf(list).filter(b => b.callback_data.startsWith('memory_del_0_')).length, 5);
+
+  list = await press('memory_page_1');
+  assert.match(list.text, /6\. [\s\S]*7\. /);
+  assert.doesNotMatch(list.text, /^1\. /m);
+
+  const [remove] = harness.bongbong.buttonsOf(list).filter(b => b.callback_data.startsWith('memory_del_1_'));
+  list = await press(remove.callback_data);
+  assert.match(list.text, /已刪除一條記憶[\s\S]*\(6\)/);
+  assert.equal(harness.collection('memories').length, 6);
+});
+
+test('🔍 searches memories with highlighted snippets', async () => {
+  await memoryService.createMemoryCheckpoint(userId, '泰國養老簽證需要銀行存款 80万泰铢', 'manual');
+  await memoryService.createMemoryCheckpoint(userId, '週末去市場買青菜', 'auto');
+  await openMemoryMenu();
+  await press('memory_search');
+
+  await harness.bongbong.receiveText({ from: USERS.mom, chat, text: '养老签证存款要多少' });
+
+  const reply = harness.bongbong.lastMessage(chat.id).text;
+  assert.match(reply, /搜索記憶\* \(1\)/);
+  assert.match(reply, /\*養老簽證\*/);
+  assert.doesNotMatch(reply, /青菜/);
+});
+
+test('🗑️ clears by category or time range only after confirmation', async () => {
+  await memoryService.createMemoryCheckpoint(userId, '自動記下的事', 'auto');
+  await memoryService.createMemoryCheckpoint(userId, '手動記下的事', 'manual');
+  await memoryService.createMemoryCheckpoint(userId, '另一件手動記下的事', 'manual');
+  await memoryService.createMemoryCheckpoint(String(USERS.son.id), '兒子的記憶', 'manual');
+  const old = harness.collection('memories').find(m => m.content === '自動記下的事');
+  await memoryService.collections.memories.updateOne({ _id: old._id }, { $set: { createdAt: new Date(Date.now() - 10 * 86400000) } });
+
+  await openMemoryMenu();
+  let dialog = await press('memory_clear');
+  assert.match(dialog.text, /共 3 條記憶/);
+
+  dialog = await press('memory_clear_type_manual');
+  assert.match(dialog.text, /確認清除「手動存檔」（2 條/);
+  await press('confirm_cancel');
+  assert.equal(harness.collection('memories').length, 4);
+
+  await openMemoryMenu();
+  await press('memory_clear');
+  await press('memory_clear_type_manual');
+  const done = await press('confirm_memclear_type_manual');
+  assert.match(done.text, /已清除「手動存檔」，共 2 條/);
+
+  await press('menu_memory');
+  await press('memory_clear');
+  await press('memory_clear_days_7');
+  assert.match(harness.bongbong.lastMessage(chat.id).text, /最近 7 天的記憶是空的/);
+
+  const remaining = harness.collection('memories').map(m => m.content).sort();
+  assert.deepEqual(remaining, ['兒子的記憶', '自動記下的事']);
+});
+
+test('🗑️ clearing in a private chat leaves group and archived memories alone', async () => {
+  await memoryService.createMemoryCheckpoint(userId, '私聊記下的事', 'manual');
+  await memoryService.createMemoryCheckpoint(userId, '群裡記下的事', 'manual', groupScope(CHATS.family.id));
+  await memoryService.createMemoryCheckpoint(userId, '整理時歸檔的事', 'manual');
+  const archived = harness.collection('memories').find(m => m.content === '整理時歸檔的事');
+  await memoryService.collections.memories.updateOne({ _id: archived._id }, { $set: { archived: true } });
+
+  await openMemoryMenu();
+  const dialog = await press('memory_clear');
+  assert.match(dialog.text, /共 1 條記憶/);
+  assert.match((await press('memory_clear_all')).text, /確認清除全部記憶（1 條/);
+  assert.match((await press('confirm_memclear_all')).text, /已清除全部記憶，共 1 條/);
+
+  const remaining = harness.collection('memories').map(m => m.content).sort();
+  assert.deepEqual(remaining, ['整理時歸檔的事', '群裡記下的事']);
+});
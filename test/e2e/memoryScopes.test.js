@@ -0,0 +1,117 @@
+/**
+ * 記憶範圍: 私聊 / 群聊互不可見、群裡不發私聊存檔、🙈 不要記住
+ */
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startBots, USERS, CHATS, findMessageWithButton } from '../support/harness.js';
+import { privateScope } from '../../src/utils/memoryScope.js';
+
+const family = CHATS.family;
+let harness;
+let memoryService;
+let groupMemoryService;
+let knowledgeGraphService;
+let llmService;
+
+before(async () => {
+  harness = await startBots();
+  ({ default: memoryService } = await import('../../src/services/memoryService.js'));
+  ({ default: groupMemoryService } = await import('../../src/services/groupMemoryService.js'));
+  ({ default: knowledgeGraphService } = await import('../../src/services/knowledgeGraphService.js'));
+  ({ default: llmService } = await import('../../src/services/llmService.js'));
+});
+
+after(async () => {
+  await harness.stop();
+});
+
+beforeEach(async () => {
+  await harness.reset();
+});
+
+async function chatPrompt(t, chat, text) {
+  const generate = t.mock.method(llmService, 'generate');
+  await harness.bongbong.receiveText({ from: USERS.mom, chat, text });
+  const call = generate.mock.calls.find(c => c.arguments[0] === 'bongbong.chat');
+  generate.mock.restore();
+  return call.arguments[1];
+}
+
+async function openMemoryMenu(bot, from, chat, data) {
+  await bot.receiveText({ from, chat, text: '/menu' });
+  for (const step of ['menu_settings', 'settings_memory', data]) {
+    await bot.pressButton({ from, message: findMessageWithButton(bot, chat.id, step), data: step });
+  }
+}
+
+test('private memories and facts stay out of the group, and group facts stay out of private chats', async (t) => {
+  const userId = String(USERS.mom.id);
+  await memoryService.createMemoryCheckpoint(userId, '護照放在臥室藍色抽屜裡', 'manual');
+  await knowledgeGraphService.ingest({
+    scope: privateScope(userId), text: '妈妈对花生过敏', speaker: '妈妈', source: { type: 'note', id: 'n1' }
+  });
+  await harness.bongbong.receiveText({ from: USERS.son, chat: family, text: '我妈对青霉素过敏' });
+  for (let i = 0; i < 100 && harness.collection('kg_facts').length < 2; i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+
+  const privatePrompt = await chatPrompt(t, CHATS.momPrivate, '我的護照在哪？我对什么过敏');
+  assert.match(privatePrompt, /\[相關記憶\]\n- 護照放在臥室藍色抽屜裡/);
+  assert.match(privatePrompt, /- 妈妈对花生过敏/);
+  assert.doesNotMatch(privatePrompt, /青霉素/);
+
+  const groupPrompt = await chatPrompt(t, family, '我的護照在哪？我对什么过敏');
+  assert.doesNotMatch(groupPrompt, /藍色抽屜/);
+  assert.doesNotMatch(groupPrompt, /花生/);
+  assert.match(groupPrompt, /- 妈妈对青霉素过敏/);
+
+  // 記錄都帶記憶範圍
+  for (const conversation of harness.collection('conversations')) {
+    const expected = conversation.chatId === family.id ? ['group', String(family.id)] : ['private', userId];
+    assert.deepEqual([conversation.scope, conversation.scopeId], expected);
+  }
+  assert.ok(harness.collection('group_messages').every(m => m.scope === 'group'));
+});
+
+test('group chats cannot create or list checkpoints built from private conversations', async () => {
+  const bot = harness.bongbong;
+  await memoryService.createMemoryCheckpoint(String(USERS.mom.id), '下週三去醫院複查', 'manual');
+
+  await openMemoryMenu(bot, USERS.mom, family, 'memory_checkpoint');
+  assert.match(bot.lastMessage(family.id).text, /請在和我的私聊裡創建/);
+
+  const menu = findMessageWithButton(bot, family.id, 'memory_list');
+  await bot.pressButton({ from: USERS.mom, message: menu, data: 'memory_list' });
+  assert.match(bot.getStoredMessage(family.id, menu.message_id).text, /還沒有記憶存檔/);
+});
+
+test('"don\'t remember this" keeps messages short-lived and out of long-term memory', async () => {
+  const bot = harness.bongbong;
+  const chat = CHATS.sonPrivate;
+  await openMemoryMenu(bot, USERS.son, chat, 'privacy_settings');
+  assert.match(bot.lastMessage(chat.id).text, /⭕ 未開啟/);
+  await bot.pressButton({ from: USERS.son, message: findMessageWithButton(bot, chat.id, 'privacy_ephemeral_on'), data: 'privacy_ephemeral_on' });
+  assert.match(bot.lastMessage(chat.id).text, /已開啟[\s\S]*✅ 已開啟/);
+
+  await bot.receiveText({ from: USERS.son, chat: family, text: '我妈对青霉素过敏' });
+  await bot.receiveText({ from: USERS.son, chat, text: '我的密碼是1234' });
+  await new Promise(resolve => setTimeout(resolve, 50));
+
+  const messages = harness.collection('group_messages');
+  assert.equal(messages.length, 2);
+  assert.ok(messages.every(m => m.ephemeral && m.expiresAt > new Date()));
+  assert.ok(harness.collection('conversations').every(c => c.ephemeral && c.expiresAt));
+  assert.equal(harness.collection('kg_facts').length, 0);
+  assert.deepEqual(await groupMemoryService.searchGroupMemory(String(family.id), '青霉素'), []);
+
+  // 仍然在群聊上下文裡
+  const history = await groupMemoryService.getRecentMessages(family.id);
+  assert.equal(history.length, 2);
+
+  // 關閉後恢復正常
+  await bot.pressButton({ from: USERS.son, message: findMessageWithButton(bot, chat.id, 'privacy_ephemeral_off'), data: 'privacy_ephemeral_off' });
+  await bot.receiveText({ from: USERS.son, chat: family, text: '爸爸对花粉过敏' });
+  const latest = harness.collection('group_messages').find(m => m.content === '爸爸对花粉过敏');
+  assert.equal(latest.ephemeral, undefined);
+});
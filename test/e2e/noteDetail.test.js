@@ -0,0 +1,144 @@
+/**
+ * 筆記詳情: 📖 打開 → 長筆記翻頁 / ✏️ 編輯 / 🏷️ 標籤 / 📂 移動 / 🗑️ 刪除 (確認)
+ */
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startBots, USERS, CHATS, findMessageWithButton } from '../support/harness.js';
+
+const chat = CHATS.sonPrivate;
+const userId = String(USERS.son.id);
+let harness;
+let notebookService;
+
+before(async () => {
+  harness = await startBots();
+  ({ default: notebookService } = await import('../../src/services/notebookService.js'));
+});
+
+after(async () => {
+  await harness.stop();
+});
+
+beforeEach(async () => {
+  await harness.reset();
+});
+
+function press(message, data, from = USERS.son) {
+  return harness.bongbong.pressButton({ from, message, data });
+}
+
+/**
+ * /menu → 📝 笔记 → 👨‍💻 我的笔记 → 📖 n，返回詳情消息
+ */
+async function openNote(number, from = USERS.son, target = chat) {
+  const bot = harness.bongbong;
+  await bot.receiveText({ from, chat: target, text: '/menu' });
+  await press(findMessageWithButton(bot, target.id, 'menu_notes'), 'menu_notes', from);
+  await press(findMessageWithButton(bot, target.id, 'notes_mine'), 'notes_mine', from);
+  await press(findMessageWithButton(bot, target.id, `📖 ${number}`), `📖 ${number}`, from);
+  return bot.lastMessage(target.id);
+}
+
+function stored(message) {
+  return harness.bongbong.getStoredMessage(chat.id, message.message_id);
+}
+
+test('a long note opens in full and pages with ◀️ / ▶️ on the same message', async () => {
+  const content = `${'甲'.repeat(1500)}${'乙'.repeat(1500)}${'丙'.repeat(100)}`;
+  await notebookService.saveForUser(userId, USERS.son.first_name, { title: '長文', content, tags: ['草稿'] });
+
+  const detail = await openNote(1);
+  assert.match(detail.text, /📖 \*長文\*[\s\S]*🏷️ 草稿[\s\S]*📎 手写/);
+  assert.ok(detail.text.includes('甲'.repeat(1500)));
+  assert.doesNotMatch(detail.text, /乙/);
+
+  await press(detail, '▶️');
+  assert.ok(stored(detail).text.includes('乙'.repeat(1500)));
+  assert.ok(harness.bongbong.buttonsOf(stored(detail)).some(b => b.text === '2/3'));
+  await press(detail, '▶️');
+  assert.match(stored(detail).text, /丙{100}$/);
+  assert.ok(!harness.bongbong.buttonsOf(stored(detail)).some(b => b.text === '▶️'));
+
+  await press(detail, '◀️');
+  assert.ok(stored(detail).text.includes('乙'.repeat(1500)));
+});
+
+test('edit, tag and move a note from its detail view', async () => {
+  const bot = harness.bongbong;
+  await notebookService.saveForUser(userId, USERS.son.first_name, { title: '購物', content: '牛奶', tags: ['家務'] });
+
+  const detail = await openNote(1);
+  await press(detail, '✏️ 编辑');
+  assert.match(bot.lastMessage(chat.id).text, /编辑笔记[\s\S]*購物/);
+  await bot.receiveText({ from: USERS.son, chat, text: '週末採購 | 牛奶、雞蛋' });
+  assert.match(bot.lastMessage(chat.id).text, /✅ 已更新[\s\S]*週末採購[\s\S]*牛奶、雞蛋/);
+
+  // 🏷️ 添加兩個，移除原來的
+  await press(bot.lastMessage(chat.id), '🏷️ 标签');
+  await press(bot.lastMessage(chat.id), '➕ 添加标签');
+  await bot.receiveText({ from: USERS.son, chat, text: '超市, 週末' });
+  const tags = bot.lastMessage(chat.id);
+  assert.match(tags.text, /已添加：超市、週末/);
+  await press(tags, '❌ 家務');
+  assert.match(stored(tags).text, /已移除：家務[\s\S]*超市、週末/);
+
+  let [note] = harness.collection('user_notes');
+  assert.deepEqual([note.title, note.content, note.tags], ['週末採購', '牛奶、雞蛋', ['超市', '週末']]);
+
+  // 📂 移到妈妈的笔记本: 變成家庭共享，妈妈也能打開
+  await press(tags, '◀️ 返回笔记');
+  await press(tags, '📂 移到妈妈的笔记本');
+  assert.match(stored(tags).text, /已移到妈妈的笔记本[\s\S]*👩‍🦳 妈妈的笔记本/);
+  [note] = harness.collection('user_notes');
+  assert.deepEqual([note.ownerId, note.ownerType, note.scope], ['mother', 'mother', 'family']);
+  assert.ok(await notebookService.getNote(notebookService.ownerOf(String(USERS.mom.id), USERS.mom.first_name), note._id.toString()));
+
+  await press(tags, '📂 移到我的笔记本');
+  [note] = harness.collection('user_notes');
+  assert.deepEqual([note.ownerId, note.ownerType, note.scope], [userId, 'zhouwen', 'private']);
+});
+
+test('a stale ❌ tag button removes that tag or says it is gone, never a neighbour', async () => {
+  const bot = harness.bongbong;
+  const saved = await notebookService.saveForUser(userId, USERS.son.first_name, { title: '旅行', content: '行李', tags: ['證件', '衣服', '藥品'] });
+
+  await press(await openNote(1), '🏷️ 标签');
+  const tags = bot.lastMessage(chat.id);
+  const stale = Object.fromEntries(bot.buttonsOf(stored(tags)).map(b => [b.text, b.callback_data]));
+
+  // 按鈕發出去之後「證件」在別處被移除了，列表位置全部前移
+  await notebookService.removeTagFromNote(saved.id.toString(), '證件');
+
+  await press(tags, stale['❌ 衣服']);
+  assert.match(stored(tags).text, /已移除：衣服[\s\S]*藥品/);
+  assert.deepEqual(harness.collection('user_notes')[0].tags, ['藥品']);
+
+  await press(tags, stale['❌ 證件']);
+  assert.match(stored(tags).text, /没有找到这个标签/);
+  assert.deepEqual(harness.collection('user_notes')[0].tags, ['藥品']);
+});
+
+test('deleting asks for confirmation, and other people\'s private notes cannot be opened', async () => {
+  const bot = harness.bongbong;
+  await notebookService.saveForUser(userId, USERS.son.first_name, { title: '私事', content: '生日驚喜' });
+
+  const detail = await openNote(1);
+  await press(detail, '🗑️ 删除');
+  assert.match(stored(detail).text, /確認删除笔记「私事」/);
+  await press(detail, '❌ 取消');
+  assert.match(stored(detail).text, /📖 \*私事\*/);
+  assert.equal(harness.collection('user_notes').length, 1);
+
+  // 妈妈拿到按鈕也打不開
+  const noteId = harness.collection('user_notes')[0]._id.toString();
+  const momChat = CHATS.momPrivate;
+  await bot.receiveText({ from: USERS.mom, chat: momChat, text: '/menu' });
+  await bot.pressButton({ from: USERS.mom, message: bot.lastMessage(momChat.id), data: `note_open_${noteId}` });
+  assert.match(bot.lastMessage(momChat.id).text, /这条笔记已经不存在/);
+
+  await press(detail, '🗑️ 删除');
+  await press(detail, '✅ 確認');
+  assert.match(stored(detail).text, /已删除笔记「私事」/);
+  assert.equal(harness.collection('user_notes').length, 0);
+});
@@ -0,0 +1,99 @@
+/**
+ * 筆記導出: /export 命令和 📤 菜單，文件用 sendDocument 發回
+ */
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startBots, USERS, CHATS, findMessageWithButton } from '../support/harness.js';
+
+let harness;
+let notebookService;
+
+before(async () => {
+  harness = await startBots();
+  ({ default: notebookService } = await import('../../src/services/notebookService.js'));
+});
+
+after(async () => {
+  await harness.stop();
+});
+
+beforeEach(async () => {
+  await harness.reset();
+});
+
+function documents(chatId) {
+  return harness.bongbong.sentMessages(chatId).filter(m => m.document);
+}
+
+function fileText(message) {
+  return harness.bongbong.files.get(message.document.file_id).data.toString();
+}
+
+test('/export filters by notebook and tag and sends a printable HTML file', async () => {
+  const chat = CHATS.momPrivate;
+  await notebookService.saveToMotherNotebook('小米粥养胃', { title: '早餐', tags: ['养生'] });
+  await notebookService.saveToMotherNotebook('每天走一万步', { title: '散步', tags: ['养生', '运动'] });
+  await notebookService.saveToMotherNotebook('下周三复诊', { title: '复诊', tags: ['医院'] });
+  await notebookService.saveForUser(String(USERS.son.id), USERS.son.first_name, { title: '周文的', content: '私事', tags: ['养生'] });
+
+  await harness.bongbong.receiveText({ from: USERS.mom, chat, text: '/export html 妈妈 #养生' });
+
+  const [doc] = documents(chat.id);
+  assert.equal(doc.document.mime_type, 'text/html');
+  assert.match(doc.document.file_name, /^notes-\d{4}-\d{2}-\d{2}\.html$/);
+  assert.equal(doc.caption, '📤 妈妈的笔记本 · #养生 · 2 条笔记');
+  const html = fileText(doc);
+  assert.match(html, /早餐[\s\S]*小米粥养胃/);
+  assert.match(html, /散步/);
+  assert.doesNotMatch(html, /复诊|周文的/);
+
+  await harness.bongbong.receiveText({ from: USERS.mom, chat, text: '/export pdf' });
+  assert.match(harness.bongbong.lastMessage(chat.id).text, /看不懂：pdf[\s\S]*用法/);
+
+  await harness.bongbong.receiveText({ from: USERS.mom, chat, text: '/export #没有' });
+  assert.match(harness.bongbong.lastMessage(chat.id).text, /没有符合条件的笔记/);
+});
+
+test('/export replies with an error when the file cannot be sent', async (t) => {
+  const chat = CHATS.momPrivate;
+  await notebookService.saveToMotherNotebook('小米粥养胃', { title: '早餐' });
+  t.mock.method(harness.bongbong, 'sendDocument', async () => {
+    throw new Error('ETELEGRAM: 413 Request Entity Too Large');
+  });
+
+  await harness.bongbong.receiveText({ from: USERS.mom, chat, text: '/export' });
+
+  assert.equal(harness.bongbong.lastMessage(chat.id).text, '❌ 导出失败，请稍后再试');
+});
+
+test('📤 from the notes menu and a tag page sends the chosen format', async () => {
+  const chat = CHATS.sonPrivate;
+  const bot = harness.bongbong;
+  const userId = String(USERS.son.id);
+  await notebookService.saveForUser(userId, USERS.son.first_name, { title: '护照', content: '2030 年到期', category: 'visa', tags: ['证件'] });
+  await notebookService.saveForUser(userId, USERS.son.first_name, { title: '书单', content: '三体', tags: ['阅读'] });
+
+  await bot.receiveText({ from: USERS.son, chat, text: '/menu' });
+  await bot.pressButton({ from: USERS.son, message: findMessageWithButton(bot, chat.id, 'menu_notes'), data: 'menu_notes' });
+  const menu = findMessageWithButton(bot, chat.id, 'notes_export');
+  await bot.pressButton({ from: USERS.son, message: menu, data: 'notes_export' });
+  assert.match(bot.getStoredMessage(chat.id, menu.message_id).text, /导出笔记\* · 全部笔记 \(2 条\)/);
+
+  await bot.pressButton({ from: USERS.son, message: menu, data: '🧾 JSON' });
+  const data = JSON.parse(fileText(documents(chat.id)[0]));
+  assert.deepEqual(data.notes.map(n => n.title).sort(), ['书单', '护照']);
+
+  // 🗂️ 浏览 → #证件 → 📤 导出 → 纯文本
+  await bot.pressButton({ from: USERS.son, message: menu, data: '◀️ 笔记本' });
+  await bot.pressButton({ from: USERS.son, message: menu, data: 'notes_browse' });
+  await bot.pressButton({ from: USERS.son, message: menu, data: '#证件 1' });
+  await bot.pressButton({ from: USERS.son, message: menu, data: '📤 导出' });
+  assert.match(bot.getStoredMessage(chat.id, menu.message_id).text, /全部笔记 · #证件 \(1 条\)/);
+  await bot.pressButton({ from: USERS.son, message: menu, data: '📄 纯文本' });
+
+  const text = documents(chat.id)[1];
+  assert.equal(text.document.mime_type, 'text/plain');
+  assert.match(fileText(text), /【护照】[\s\S]*2030 年到期/);
+  assert.doesNotMatch(fileText(text), /书单/);
+});
@@ -0,0 +1,96 @@
+/**
+ * 筆記導入: 轉發消息 (連續轉發合併回覆)、上傳 .md / .json 文件、導出的 JSON 導回
+ */
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startBots, USERS, CHATS } from '../support/harness.js';
+
+let harness;
+let smartMemoryService;
+
+before(async () => {
+  harness = await startBots();
+  ({ default: smartMemoryService } = await import('../../src/services/smartMemoryService.js'));
+});
+
+after(async () => {
+  await harness.stop();
+});
+
+beforeEach(async () => {
+  await harness.reset();
+});
+
+function notes() {
+  return harness.collection('user_notes').sort((a, b) => a.title.localeCompare(b.title));
+}
+
+test('a batch of forwards is saved with origin metadata and one running reply', async (t) => {
+  const bot = harness.bongbong;
+  const chat = CHATS.momPrivate;
+  const analyze = t.mock.method(smartMemoryService, 'analyzeContent', async () => ({
+    importance: 8, category: '养生', tags: ['食疗'], keyPoints: ['睡前喝'], shouldAutoSave: true
+  }));
+  const forward = { forward_origin: { type: 'channel', chat: { id: -1009, title: '健康频道' }, message_id: 42, date: 1700000000 } };
+
+  await bot.receiveText({ from: USERS.mom, chat, text: '睡前喝一杯温牛奶', ...forward });
+  await bot.receiveText({ from: USERS.mom, chat, text: '饭后散步半小时', ...forward });
+  await bot.receivePhoto({ from: USERS.mom, chat, caption: '八段锦图解', ...forward });
+
+  const replies = bot.sentMessages(chat.id);
+  assert.equal(replies.length, 1);
+  assert.match(replies[0].text, /已保存 3 条转发\* → 👩‍🦳 妈妈的笔记本[\s\S]*1\. 睡前喝一杯温牛奶[\s\S]*3\. 八段锦图解/);
+  assert.equal(bot.buttonsOf(replies[0]).filter(b => b.text.startsWith('📖')).length, 3);
+  assert.equal(analyze.mock.callCount(), 3);
+
+  const saved = harness.collection('user_notes');
+  assert.equal(saved.length, 3);
+  const [milk] = saved;
+  assert.deepEqual([milk.ownerId, milk.source, milk.category, milk.importance], ['mother', 'forward', '养生', 8]);
+  assert.deepEqual(milk.tags, ['食疗']);
+  assert.deepEqual(milk.origin.forward, { from: '健康频道', date: new Date(1700000000 * 1000), chatId: -1009, messageId: 42 });
+  assert.equal(milk.origin.userId, String(USERS.mom.id));
+
+  // 群裡的轉發照常聊天，不存筆記
+  await bot.receiveText({ from: USERS.mom, chat: CHATS.family, text: '大家看看', ...forward });
+  assert.equal(harness.collection('user_notes').length, 3);
+});
+
+test('Markdown files become one note per heading with generated tags', async () => {
+  const bot = harness.bongbong;
+  const chat = CHATS.sonPrivate;
+  const markdown = '# 旅行\n\n## 签证材料\n护照、照片、银行流水\n\n## 曼谷酒店\n住在素坤逸路\n';
+
+  await bot.receiveDocument({ from: USERS.son, chat, data: markdown, fileName: '旅行.md', mimeType: 'text/markdown' });
+  assert.match(bot.lastMessage(chat.id).text, /已从 旅行\.md 导入 2 条笔记\* → 👨‍💻/);
+
+  const [hotel, visa] = notes();
+  assert.deepEqual([visa.title, visa.content, visa.source, visa.origin.file], ['签证材料', '护照、照片、银行流水', 'import', '旅行.md']);
+  assert.ok(visa.tags.includes('签证'));
+  assert.ok(hotel.tags.includes('泰国'));
+
+  await bot.receiveDocument({ from: USERS.son, chat, data: '%PDF', fileName: 'scan.pdf', mimeType: 'application/pdf' });
+  assert.match(bot.lastMessage(chat.id).text, /只能导入 \.txt \/ \.md \/ \.json/);
+  await bot.receiveDocument({ from: USERS.son, chat, data: '{ "notes": [', fileName: 'broken.json', mimeType: 'application/json' });
+  assert.match(bot.lastMessage(chat.id).text, /broken\.json 不是有效的 JSON/);
+});
+
+test('an exported JSON file imports back with the same notes', async () => {
+  const bot = harness.bongbong;
+  const chat = CHATS.sonPrivate;
+  const { default: notebookService } = await import('../../src/services/notebookService.js');
+  const userId = String(USERS.son.id);
+  await notebookService.saveForUser(userId, USERS.son.first_name, { title: '书单', content: '三体\n活着', category: 'creative', tags: ['阅读'] });
+  await notebookService.saveForUser(userId, USERS.son.first_name, { title: '密码提示', content: '生日倒过来', tags: [] });
+
+  await bot.receiveText({ from: USERS.son, chat, text: '/export json' });
+  const exported = bot.lastMessage(chat.id);
+  const data = bot.files.get(exported.document.file_id).data;
+  const before = notes().map(n => [n.title, n.content, n.category, n.tags, n.createdAt.toISOString()]);
+
+  await harness.reset();
+  await bot.receiveDocument({ from: USERS.son, chat, data, fileName: exported.document.file_name, mimeType: 'application/json' });
+  assert.match(bot.lastMessage(chat.id).text, /导入 2 条笔记/);
+  assert.deepEqual(notes().map(n => [n.title, n.content, n.category, n.tags, n.createdAt.toISOString()]), before);
+});
@@ -0,0 +1,183 @@
+/**
+ * 便簽流程: /menu → 📝 筆記 → ➕ 新建 → 發送內容 → 保存；🔍 搜索 → 簡體提問命中繁體便簽
+ * 所有入口都讀寫同一個筆記本 (user_notes)，舊的 notes / auto_notes 遷移進來
+ */
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startBots, USERS, CHATS, findMessageWithButton } from '../support/harness.js';
+
+const chat = CHATS.momPrivate;
+let harness;
+let notebookService;
+
+before(async () => {
+  harness = await startBots();
+  ({ default: notebookService } = await import('../../src/services/notebookService.js'));
+});
+
+after(async () => {
+  await harness.stop();
+});
+
+beforeEach(async () => {
+  await harness.reset();
+});
+
+async function openNewNotePrompt(bot) {
+  await bot.receiveText({ from: USERS.mom, chat, text: '/menu' });
+  const menu = findMessageWithButton(bot, chat.id, 'menu_notes');
+  assert.ok(menu, 'main menu has a notes button');
+
+  await bot.pressButton({ from: USERS.mom, message: menu, data: 'menu_notes' });
+  const notesMenu = findMessageWithButton(bot, chat.id, 'notes_new');
+  assert.ok(notesMenu, 'notes menu replaced the main menu');
+
+  await bot.pressButton({ from: USERS.mom, message: notesMenu, data: 'notes_new' });
+  assert.match(bot.lastMessage(chat.id).text, /新建便簽/);
+}
+
+test('creating a note saves the next message as title | content', async () => {
+  const bot = harness.bongbong;
+  await openNewNotePrompt(bot);
+
+  await bot.receiveText({ from: USERS.mom, chat, text: '購物清單 | 牛奶、麵包、雞蛋' });
+
+  assert.match(bot.lastMessage(chat.id).text, /便簽已保存[\s\S]*購物清單[\s\S]*牛奶、麵包、雞蛋/);
+
+  // 妈妈的便簽進母親筆記本，記下原始消息
+  const notes = harness.collection('user_notes');
+  assert.equal(notes.length, 1);
+  assert.deepEqual([notes[0].ownerId, notes[0].ownerType, notes[0].source], ['mother', 'mother', 'manual']);
+  assert.equal(notes[0].title, '購物清單');
+  assert.equal(notes[0].content, '牛奶、麵包、雞蛋');
+  assert.equal(notes[0].origin.userId, String(USERS.mom.id));
+  assert.equal(notes[0].origin.chatId, chat.id);
+  assert.ok(notes[0].origin.messageId);
+});
+
+test('the note prompt is consumed once and survives in the session store', async () => {
+  const bot = harness.bongbong;
+  await openNewNotePrompt(bot);
+
+  const pending = harness.collection('bot_sessions').filter(s => s.namespace === 'pending');
+  assert.equal(pending.length, 1);
+  assert.equal(pending[0].value.type, 'note_new');
+
+  await bot.receiveText({ from: USERS.mom, chat, text: '提醒 | 下午三點吃藥' });
+  await bot.receiveText({ from: USERS.mom, chat, text: '今天天氣怎麼樣' });
+
+  assert.equal(harness.collection('user_notes').length, 1);
+  assert.match(bot.lastMessage(chat.id).text, /📊/, 'second message is answered as normal chat');
+});
+
+test('an expired note prompt is announced and the message is chatted normally', async () => {
+  const bot = harness.bongbong;
+  await openNewNotePrompt(bot);
+
+  const { default: sessionStoreService } = await import('../../src/services/sessionStoreService.js');
+  const entry = await sessionStoreService.get('pending', String(USERS.mom.id));
+  await sessionStoreService.set('pending', String(USERS.mom.id), entry.value, -1000);
+
+  await bot.receiveText({ from: USERS.mom, chat, text: '買菜 | 青菜' });
+
+  const texts = bot.sentMessages(chat.id).map(m => m.text);
+  assert.ok(texts.some(t => /「新建便簽」提示已過期/.test(t)));
+  assert.equal(harness.collection('user_notes').length, 0);
+  assert.match(bot.lastMessage(chat.id).text, /📊/);
+});
+
+test('note search answers a simplified question with the matching traditional note and highlights it', async () => {
+  const bot = harness.bongbong;
+  const userId = String(USERS.mom.id);
+  await notebookService.saveForUser(userId, USERS.mom.first_name, { title: '泰國養老簽證', content: '銀行存款要求 80万泰铢，每年續簽一次' });
+  await notebookService.saveForUser(userId, USERS.mom.first_name, { title: '購物清單', content: '牛奶、麵包、雞蛋' });
+  await notebookService.saveForUser(String(USERS.son.id), USERS.son.first_name, { title: '養老簽證', content: '別人的存款筆記' });
+
+  await bot.receiveText({ from: USERS.mom, chat, text: '/menu' });
+  await bot.pressButton({ from: USERS.mom, message: findMessageWithButton(bot, chat.id, 'menu_notes'), data: 'menu_notes' });
+  await bot.pressButton({ from: USERS.mom, message: findMessageWithButton(bot, chat.id, 'notes_search'), data: 'notes_search' });
+  await bot.receiveText({ from: USERS.mom, chat, text: '养老签证存款要多少' });
+
+  const reply = bot.lastMessage(chat.id);
+  assert.match(reply.text, /搜索结果\*\* \(1\)/);
+  assert.match(reply.text, /泰國養老簽證/);
+  assert.match(reply.text, /\*存款\*/);
+  assert.match(reply.text, /80万泰铢/);
+  assert.doesNotMatch(reply.text, /購物清單|別人的/);
+});
+
+test('"📋 全部" and "👩‍🦳 妈妈的笔记" read the same notebook', async () => {
+  const bot = harness.bongbong;
+  const son = CHATS.sonPrivate;
+  await openNewNotePrompt(bot);
+  await bot.receiveText({ from: USERS.mom, chat, text: '醫院 | 週三上午複診' });
+  await notebookService.saveForUser(String(USERS.son.id), USERS.son.first_name, { title: '加班', content: '週五晚點回家' });
+
+  const openNotes = async (from, target, data) => {
+    await bot.receiveText({ from, chat: target, text: '/menu' });
+    await bot.pressButton({ from, message: findMessageWithButton(bot, target.id, 'menu_notes'), data: 'menu_notes' });
+    await bot.pressButton({ from, message: findMessageWithButton(bot, target.id, data), data });
+    return bot.lastMessage(target.id).text;
+  };
+
+  assert.match(await openNotes(USERS.son, son, 'notes_mother'), /醫院/);
+  const all = await openNotes(USERS.son, son, 'notes_list');
+  assert.match(all, /👩‍🦳 \*\*醫院/);
+  assert.match(all, /加班/);
+
+  // 兒子的私人筆記不在妈妈的「全部」裡
+  const momAll = await openNotes(USERS.mom, chat, 'notes_list');
+  assert.match(momAll, /醫院/);
+  assert.doesNotMatch(momAll, /加班/);
+  assert.match(await openNotes(USERS.mom, chat, 'notes_mine'), /妈妈的笔记本[\s\S]*醫院/);
+});
+
+test('legacy notes and auto notes are migrated into the notebook once', async () => {
+  const momId = String(USERS.mom.id);
+  const createdAt = new Date('2025-03-01T08:00:00Z');
+  const { insertedId } = await notebookService.db.collection('notes').insertOne({
+    userId: momId, title: '舊便簽', content: '護照在藍色抽屜', tags: ['證件'], createdAt, updatedAt: createdAt
+  });
+  await notebookService.db.collection('auto_notes').insertOne({
+    ownerType: 'mother', title: '簽證摘要', content: '養老簽證每年續簽', category: 'visa',
+    tags: ['签证'], keyPoints: ['每年續簽'], importance: 8, autoSaved: true, source: 'ai_auto', createdAt
+  });
+  await notebookService.saveNote(momId, 'mother', { title: '快速保存', content: '舊版存在妈妈自己 ID 下' });
+  await notebookService.collections.notes.updateOne({ title: '快速保存' }, { $set: { ownerId: momId } });
+
+  // 舊版周文的自動筆記只有 ownerType，靠周文已有的筆記找到他的 ID；找不到主人的留在 auto_notes
+  const sonId = String(USERS.son.id);
+  await notebookService.saveForUser(sonId, USERS.son.first_name, { title: '周文的筆記', content: '已有' });
+  await notebookService.db.collection('auto_notes').insertMany([
+    { ownerType: 'zhouwen', title: '泰國房租', content: '每月五號交', category: 'general', tags: [], source: 'ai_auto', createdAt },
+    { ownerType: 'user', title: '不知道是誰的', content: '沒有主人', source: 'ai_auto', createdAt }
+  ]);
+
+  assert.deepEqual(await notebookService.migrateLegacyNotes(), { notes: 1, auto_notes: 2, mother: 1, unresolved: 1 });
+  assert.deepEqual(await notebookService.migrateLegacyNotes(), { notes: 0, auto_notes: 0, mother: 0, unresolved: 1 });
+
+  const zhouwen = harness.collection('user_notes').find(n => n.title === '泰國房租');
+  assert.deepEqual([zhouwen.ownerId, zhouwen.ownerType, zhouwen.scope, zhouwen.scopeId], [sonId, 'zhouwen', 'private', sonId]);
+  const sonOwner = notebookService.ownerOf(sonId, USERS.son.first_name);
+  assert.ok((await notebookService.getNotes(sonOwner, 'mine')).some(n => n.title === '泰國房租'));
+  assert.ok(!harness.collection('user_notes').some(n => n.title === '不知道是誰的'));
+
+  await notebookService.collections.notes.deleteMany({ ownerId: sonId });
+  const notes = harness.collection('user_notes');
+  assert.equal(notes.length, 3);
+  const legacy = notes.find(n => n.title === '舊便簽');
+  assert.deepEqual([legacy.ownerId, legacy.scope, legacy.scopeId], [momId, 'private', momId]);
+  assert.deepEqual(legacy.legacy, { collection: 'notes', id: insertedId.toString() });
+  assert.deepEqual(legacy.createdAt, createdAt);
+  const auto = notes.find(n => n.title === '簽證摘要');
+  assert.deepEqual([auto.ownerId, auto.scope, auto.category, auto.source], ['mother', 'family', 'visa', 'ai_auto']);
+  const quick = notes.find(n => n.title === '快速保存');
+  assert.deepEqual([quick.ownerId, quick.origin.userId], ['mother', momId]);
+
+  // 舊便簽只屬於妈妈自己，遷移後出現在她的「全部」裡
+  const owner = notebookService.ownerOf(momId, USERS.mom.first_name);
+  const all = await notebookService.getNotes(owner, 'all');
+  assert.equal(all.length, 3);
+  assert.equal((await notebookService.getNotes(notebookService.ownerOf(String(USERS.son.id), USERS.son.first_name), 'all')).length, 2);
+});
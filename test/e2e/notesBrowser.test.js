@@ -0,0 +1,126 @@
+/**
+ * 筆記瀏覽: 🗂️ 分類 / 標籤 (帶數量) → 筆記列表 (翻頁) → 📖 打開；🗓️ 最近 7 天摘要
+ */
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startBots, USERS, CHATS, findMessageWithButton } from '../support/harness.js';
+
+const chat = CHATS.sonPrivate;
+const userId = String(USERS.son.id);
+let harness;
+let notebookService;
+
+before(async () => {
+  harness = await startBots();
+  ({ default: notebookService } = await import('../../src/services/notebookService.js'));
+});
+
+after(async () => {
+  await harness.stop();
+});
+
+beforeEach(async () => {
+  await harness.reset();
+});
+
+function press(message, data, from = USERS.son) {
+  return harness.bongbong.pressButton({ from, message, data });
+}
+
+function stored(message) {
+  return harness.bongbong.getStoredMessage(chat.id, message.message_id);
+}
+
+function buttonTexts(message) {
+  return harness.bongbong.buttonsOf(stored(message)).map(b => b.text);
+}
+
+/**
+ * /menu → 📝 笔记 → 指定入口，返回同一條菜單消息
+ */
+async function openNotesMenu(data) {
+  const bot = harness.bongbong;
+  await bot.receiveText({ from: USERS.son, chat, text: '/menu' });
+  await press(findMessageWithButton(bot, chat.id, 'menu_notes'), 'menu_notes');
+  const menu = findMessageWithButton(bot, chat.id, data);
+  await press(menu, data);
+  return menu;
+}
+
+test('categories and tags show counts and drill down to paged notes', async () => {
+  // 創建時間錯開，列表按時間倒序才穩定
+  for (let i = 1; i <= 7; i++) {
+    await notebookService.saveForUser(userId, USERS.son.first_name, {
+      title: `签证 ${i}`, content: `材料 ${i}`, category: 'visa', tags: ['出行'],
+      createdAt: new Date(Date.now() - (8 - i) * 60 * 1000)
+    });
+  }
+  await notebookService.saveForUser(userId, USERS.son.first_name, { title: '灵感', content: '一首诗', category: 'creative', tags: ['出行', '诗'] });
+  await notebookService.saveToMotherNotebook('饭后吃', { title: '药', tags: ['健康'] });
+
+  const browser = await openNotesMenu('notes_browse');
+  assert.match(stored(browser).text, /笔记浏览\* · 📋 全部 \(9\)[\s\S]*visa \(7\)[\s\S]*创作 \(1\)[\s\S]*#出行 8/);
+  assert.ok(buttonTexts(browser).includes('#健康 1'));
+
+  await press(browser, '📂 visa (7)');
+  assert.match(stored(browser).text, /📂 \*visa\* · 📋 全部 \(7\)/);
+  assert.deepEqual(buttonTexts(browser).filter(t => t.startsWith('📖')), ['📖 1', '📖 2', '📖 3', '📖 4', '📖 5']);
+  assert.ok(buttonTexts(browser).includes('1/2'));
+
+  await press(browser, '下一页 ▶️');
+  assert.deepEqual(buttonTexts(browser).filter(t => t.startsWith('📖')), ['📖 6', '📖 7']);
+  assert.match(stored(browser).text, /6\. \*签证 2\*[\s\S]*7\. \*签证 1\*/);
+
+  await press(browser, '📖 7');
+  assert.match(harness.bongbong.lastMessage(chat.id).text, /📖 \*签证 1\*/);
+
+  // 切到妈妈的笔记本，只剩妈妈的標籤
+  await press(browser, '◀️ 浏览');
+  await press(browser, '👩‍🦳 妈妈的笔记本');
+  assert.match(stored(browser).text, /妈妈的笔记本 \(1\)/);
+  await press(browser, '#健康 1');
+  assert.match(stored(browser).text, /🏷️ \*#健康\*[\s\S]*👩‍🦳 \*药\*/);
+});
+
+test('a category or tag button still opens the same one after the counts reorder', async () => {
+  const save = (title, category, tags) =>
+    notebookService.saveForUser(userId, USERS.son.first_name, { title, content: title, category, tags });
+  await save('护照', 'visa', ['出行']);
+  await save('机票', 'visa', ['出行']);
+  await save('一首诗', 'creative', ['诗']);
+
+  const browser = await openNotesMenu('notes_browse');
+  const rendered = stored(browser);
+
+  // 按鈕發出去之後「诗」變成筆記最多的標籤，創作變成最多的分類
+  for (const title of ['二首诗', '三首诗', '四首诗']) await save(title, 'creative', ['诗']);
+
+  await press(rendered, '#诗 1');
+  assert.match(stored(browser).text, /🏷️ \*#诗\* · 📋 全部 \(4\)/);
+
+  await press(browser, '📤 导出');
+  assert.match(stored(browser).text, /全部笔记 · #诗 \(4 条\)/);
+
+  await press(browser, '◀️ 返回');
+  await press(browser, '◀️ 浏览');
+  await press(rendered, '📂 visa (2)');
+  assert.match(stored(browser).text, /📂 \*visa\* · 📋 全部 \(2\)/);
+});
+
+test('the 7-day digest counts only recent notes', async () => {
+  await notebookService.saveForUser(userId, USERS.son.first_name, { title: '周报', content: '本周进度', tags: ['工作'] });
+  await notebookService.saveForUser(userId, USERS.son.first_name, { title: '会议', content: '周一开会', tags: ['工作', '会议'] });
+  const old = await notebookService.saveForUser(userId, USERS.son.first_name, { title: '旧事', content: '很久以前', tags: ['旧'] });
+  const longAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+  await notebookService.collections.notes.updateOne({ _id: old._id }, { $set: { createdAt: longAgo } });
+
+  const digest = await openNotesMenu('notes_recent');
+  const text = stored(digest).text;
+  assert.match(text, /最近 7 天\* · 📋 全部[\s\S]*新增 2 条笔记[\s\S]*未分类 2[\s\S]*#工作 2/);
+  assert.doesNotMatch(text, /旧事/);
+  assert.deepEqual(buttonTexts(digest).filter(t => t.startsWith('📖')), ['📖 1', '📖 2']);
+
+  await press(digest, '🗂️ 分类 / 标签');
+  assert.match(stored(digest).text, /笔记浏览\* · 📋 全部 \(3\)/);
+});
@@ -0,0 +1,70 @@
+/**
+ * 簽證流程: 🛂 簽證菜單 → 分段回答 → 💾 存妈
+ */
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startBots, USERS, CHATS, findMessageWithButton } from '../support/harness.js';
+
+const chat = CHATS.momPrivate;
+let harness;
+
+before(async () => {
+  harness = await startBots();
+});
+
+after(async () => {
+  await harness.stop();
+});
+
+beforeEach(async () => {
+  await harness.reset();
+});
+
+async function askVisaQuestion(bot) {
+  await bot.receiveText({ from: USERS.mom, chat, text: '/menu' });
+  const menu = bot.lastMessage(chat.id);
+
+  await bot.pressButton({ from: USERS.mom, message: menu, data: 'menu_visa' });
+  const visaMenu = findMessageWithButton(bot, chat.id, 'visa_free');
+  assert.ok(visaMenu, 'visa menu is shown');
+
+  await bot.pressButton({ from: USERS.mom, message: visaMenu, data: 'visa_free' });
+}
+
+test('visa answers are sent as segments with save buttons', async () => {
+  const bot = harness.bongbong;
+  await askVisaQuestion(bot);
+
+  // 處理中提示已刪除
+  assert.ok(!bot.sentMessages(chat.id).some(m => /签证咨询模式启动/.test(m.text)));
+
+  const segments = bot.sentMessages(chat.id).filter(m =>
+    bot.buttonsOf(m).some(b => b.callback_data?.startsWith('seg_mom_'))
+  );
+  assert.ok(segments.length >= 1);
+  assert.ok(bot.buttonsOf(segments.at(-1)).some(b => b.callback_data === 'visa_more'));
+});
+
+test('💾 存妈 saves the segment to the mother notebook', async () => {
+  const bot = harness.bongbong;
+  await askVisaQuestion(bot);
+
+  const segment = findMessageWithButton(bot, chat.id, '💾 存妈');
+  await bot.pressButton({ from: USERS.mom, message: segment, data: '💾 存妈' });
+
+  assert.match(bot.lastMessage(chat.id).text, /已保存到 \*\*妈妈的笔记本\*\*/);
+
+  const saved = harness.collection('user_notes').filter(n => n.ownerId === 'mother');
+  assert.equal(saved.length, 1);
+  assert.equal(saved[0].content, segment.text);
+});
+
+test('an unknown segment id tells the user the content expired', async () => {
+  const bot = harness.bongbong;
+  await bot.receiveText({ from: USERS.mom, chat, text: '/menu' });
+
+  await bot.pressButton({ from: USERS.mom, message: bot.lastMessage(chat.id), data: 'seg_mom_missing' });
+
+  assert.match(bot.lastMessage(chat.id).text, /内容已过期/);
+});
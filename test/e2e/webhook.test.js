@@ -0,0 +1,113 @@
+/**
+ * Webhook 模式: 秘密路徑 + 密鑰校驗、update_id 去重、/healthz /readyz
+ */
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startBots, USERS, CHATS } from '../support/harness.js';
+
+// 必須在 src/ 加載 (startBots) 之前設置
+Object.assign(process.env, {
+  TELEGRAM_MODE: 'webhook',
+  WEBHOOK_PUBLIC_URL: 'https://bot.example.test/',
+  WEBHOOK_SECRET: 'test_webhook_secret'
+});
+
+const chat = CHATS.momPrivate;
+let harness;
+let httpServerService;
+let baseUrl;
+
+before(async () => {
+  ({ default: httpServerService } = await import('../../src/services/httpServerService.js'));
+  const { default: dualBotService } = await import('../../src/services/dualBotService.js');
+
+  dualBotService.registerReadinessChecks();
+  await httpServerService.start({ port: 0, host: '127.0.0.1' });
+  baseUrl = `http://127.0.0.1:${httpServerService.getPort()}`;
+
+  harness = await startBots();
+});
+
+after(async () => {
+  await harness.stop();
+  await httpServerService.stop();
+});
+
+beforeEach(async () => {
+  await harness.reset();
+});
+
+function webhookPath(bot) {
+  const [url] = bot.callsOf('setWebHook').at(-1).args;
+  return new URL(url).pathname;
+}
+
+function postUpdate(bot, update, secret = 'test_webhook_secret') {
+  return fetch(`${baseUrl}${webhookPath(bot)}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Telegram-Bot-Api-Secret-Token': secret },
+    body: JSON.stringify(update)
+  });
+}
+
+test('both bots register a webhook on a secret path with the secret token', () => {
+  for (const bot of [harness.bongbong, harness.avatar]) {
+    const [url, options] = bot.callsOf('setWebHook').at(-1).args;
+    assert.match(url, /^https:\/\/bot\.example\.test\/telegram\/(bongbong|avatar)\/[0-9a-f]{32}$/);
+    assert.ok(!url.includes(bot.token));
+    assert.equal(options.secret_token, 'test_webhook_secret');
+  }
+  assert.notEqual(webhookPath(harness.bongbong), webhookPath(harness.avatar));
+});
+
+test('an update with the right secret reaches the handlers, a wrong secret is rejected', async () => {
+  const bot = harness.bongbong;
+  const message = bot.buildIncomingMessage({ from: USERS.mom, chat, text: '/start' });
+
+  const rejected = await postUpdate(bot, { update_id: 5001, message }, 'wrong');
+  assert.equal(rejected.status, 401);
+
+  const accepted = await postUpdate(bot, { update_id: 5001, message });
+  assert.equal(accepted.status, 200);
+  await bot.settle();
+
+  const reply = bot.lastMessage(chat.id);
+  assert.ok(reply, 'bot should reply to /start');
+  assert.ok(bot.buttonsOf(reply).length > 0);
+});
+
+test('a redelivered update_id is acknowledged but handled only once', async () => {
+  const bot = harness.bongbong;
+  const message = bot.buildIncomingMessage({ from: USERS.mom, chat, text: '/start' });
+  const sentBefore = bot.sentMessages(chat.id).length;
+
+  const first = await postUpdate(bot, { update_id: 5002, message });
+  const second = await postUpdate(bot, { update_id: 5002, message });
+  await bot.settle();
+
+  assert.equal(first.status, 200);
+  assert.equal(second.status, 200);
+  assert.deepEqual(await second.json(), { ok: true, duplicate: true });
+  assert.equal(bot.sentMessages(chat.id).length, sentBefore + 1);
+});
+
+test('/healthz is live and /readyz reports component status', async () => {
+  const health = await fetch(`${baseUrl}/healthz`);
+  assert.equal(health.status, 200);
+  assert.equal((await health.json()).mode, 'webhook');
+
+  const ready = await fetch(`${baseUrl}/readyz`);
+  const body = await ready.json();
+  assert.equal(ready.status, 200);
+  assert.equal(body.status, 'ready');
+  assert.equal(body.checks.bots.status, 'ok');
+  assert.equal(body.checks.mongo.status, 'ok');
+  assert.equal(body.checks.llm.status, 'ok');
+  assert.equal(body.checks.notion.status, 'disabled');
+});
+
+test('unknown paths and non-POST webhook requests are refused', async () => {
+  assert.equal((await fetch(`${baseUrl}/telegram/bongbong/nope`, { method: 'POST' })).status, 404);
+  assert.equal((await fetch(`${baseUrl}${webhookPath(harness.bongbong)}`)).status, 405);
+});
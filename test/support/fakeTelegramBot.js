@@ -0,0 +1,364 @@
+/**
+ * 假 TelegramBot - 測試時替換 'node-telegram-bot-api' (見 register.js)
+ *
+ * 對 src/ 暴露和 node-telegram-bot-api 相同的接口 (onText / on / sendMessage / sendDocument /
+ * editMessageText / answerCallbackQuery ...)，所有出站調用記錄在 calls 裡，
+ * 消息的最新狀態 (編輯 / 刪除後) 記錄在 messages 裡
+ *
+ * 測試用模擬方法 (都會等所有處理器跑完再返回):
+ *   await bot.receiveText({ from, chat, text })
+ *   await bot.receiveVoice({ from, chat, data })
+ *   await bot.receivePhoto({ from, chat, data, caption })
+ *   await bot.receiveDocument({ from, chat, data, fileName, mimeType })
+ *   await bot.pressButton({ from, message, data })   // data 可傳按鈕文字或 callback_data
+ *
+ * webhook 模式下由 httpServerService 調用 processUpdate，用 await bot.settle() 等處理器跑完
+ */
+
+import EventEmitter from 'events';
+
+// 所有實例 (按創建順序)，測試可按 token 取回 src/ 裡創建的 bot
+const instances = [];
+
+export function getFakeBot(token) {
+  return instances.find(bot => bot.token === token) || null;
+}
+
+export function resetFakeBots() {
+  instances.length = 0;
+}
+
+/**
+ * 模擬 node-telegram-bot-api 的 TelegramError
+ */
+function telegramError(description, errorCode = 400) {
+  const error = new Error(`ETELEGRAM: ${errorCode} Bad Request: ${description}`);
+  error.code = 'ETELEGRAM';
+  error.response = { body: { ok: false, error_code: errorCode, description: `Bad Request: ${description}` } };
+  return error;
+}
+
+export default class FakeTelegramBot extends EventEmitter {
+  constructor(token, options = {}) {
+    super();
+    this.token = token;
+    this.options = options;
+    this.me = { id: 900000 + instances.length, is_bot: true, first_name: 'FakeBot', username: `fake_bot_${instances.length}` };
+
+    this.textHandlers = [];     // [{ regexp, callback }]
+    this.calls = [];            // [{ method, args }]
+    this.messages = new Map();  // `${chatId}:${messageId}` -> 消息最新狀態
+    this.files = new Map();     // file_id -> { data, mimeType }
+    this.nextMessageId = 1;
+    this.nextCallbackId = 1;
+    this.inflight = new Set();  // processUpdate 觸發的處理器
+
+    instances.push(this);
+  }
+
+  // ==================== node-telegram-bot-api 接口 ====================
+
+  onText(regexp, callback) {
+    this.textHandlers.push({ regexp, callback });
+  }
+
+  async getMe() {
+    return this.me;
+  }
+
+  async stopPolling() {
+    this.record('stopPolling');
+  }
+
+  async setWebHook(url, options = {}) {
+    this.record('setWebHook', url, options);
+    return true;
+  }
+
+  async deleteWebHook(form = {}) {
+    this.record('deleteWebHook', form);
+    return true;
+  }
+
+  /**
+   * 和 node-telegram-bot-api 一樣同步分發，處理器在後台跑 (見 settle)
+   */
+  processUpdate(update) {
+    const done = this.dispatch(update).finally(() => this.inflight.delete(done));
+    this.inflight.add(done);
+  }
+
+  async sendMessage(chatId, text, options = {}) {
+    this.record('sendMessage', chatId, text, options);
+    if (!text) throw telegramError('message text is empty');
+    return this.storeMessage(chatId, { text, ...this.pickMessageOptions(options) });
+  }
+
+  async sendPhoto(chatId, photo, options = {}) {
+    this.record('sendPhoto', chatId, photo, options);
+    return this.storeMessage(chatId, { photo: [{ file_id: `photo_${this.nextMessageId}` }], caption: options.caption });
+  }
+
+  async sendVoice(chatId, voice, options = {}) {
+    this.record('sendVoice', chatId, voice, options);
+    return this.storeMessage(chatId, { voice: { file_id: `voice_${this.nextMessageId}` }, caption: options.caption });
+  }
+
+  /**
+   * 文件內容存進 files，測試可用 bot.files.get(message.document.file_id) 讀回
+   */
+  async sendDocument(chatId, doc, options = {}, fileOptions = {}) {
+    this.record('sendDocument', chatId, doc, options, fileOptions);
+    const mimeType = fileOptions.contentType || 'application/octet-stream';
+    const fileId = this.addFile(Buffer.from(doc), mimeType);
+    return this.storeMessage(chatId, {
+      document: { file_id: fileId, file_unique_id: fileId, file_name: fileOptions.filename, mime_type: mimeType },
+      caption: options.caption
+    });
+  }
+
+  async sendChatAction(chatId, action) {
+    this.record('sendChatAction', chatId, action);
+    return true;
+  }
+
+  async editMessageText(text, options = {}) {
+    this.record('editMessageText', text, options);
+    const message = this.getStoredMessage(options.chat_id, options.message_id);
+    if (!message) throw telegramError('message to edit not found');
+
+    const markup = options.reply_markup ?? null;
+    if (message.text === text && JSON.stringify(message.reply_markup ?? null) === JSON.stringify(markup)) {
+      throw telegramError('message is not modified: specified new message content and reply markup are exactly the same as a current content and reply markup of the message');
+    }
+
+    message.text = text;
+    message.reply_markup = options.reply_markup;
+    message.parse_mode = options.parse_mode;
+    message.edit_date = Math.floor(Date.now() / 1000);
+    return message;
+  }
+
+  async editMessageReplyMarkup(replyMarkup, options = {}) {
+    this.record('editMessageReplyMarkup', replyMarkup, options);
+    const message = this.getStoredMessage(options.chat_id, options.message_id);
+    if (!message) throw telegramError('message to edit not found');
+
+    message.reply_markup = replyMarkup;
+    return message;
+  }
+
+  async deleteMessage(chatId, messageId) {
+    this.record('deleteMessage', chatId, messageId);
+    const message = this.getStoredMessage(chatId, messageId);
+    if (!message) throw telegramError('message to delete not found');
+
+    message.deleted = true;
+    return true;
+  }
+
+  async answerCallbackQuery(callbackQueryId, options = {}) {
+    this.record('answerCallbackQuery', callbackQueryId, options);
+    return true;
+  }
+
+  async getFile(fileId) {
+    this.record('getFile', fileId);
+    if (!this.files.has(fileId)) throw telegramError('invalid file_id');
+    return { file_id: fileId, file_unique_id: fileId, file_path: `files/${fileId}` };
+  }
+
+  /**
+   * 文件鏈接用 data: URL，axios 可以直接「下載」，不需要網絡
+   */
+  async getFileLink(fileId) {
+    await this.getFile(fileId);
+    const { data, mimeType } = this.files.get(fileId);
+    return `data:${mimeType};base64,${Buffer.from(data).toString('base64')}`;
+  }
+
+  // ==================== 模擬入站更新 ====================
+
+  async receiveText({ from, chat, text, ...extra }) {
+    return this.receiveMessage({ from, chat, text, ...extra });
+  }
+
+  async receiveVoice({ from, chat, data = Buffer.from('fake-ogg'), duration = 3, ...extra }) {
+    const fileId = this.addFile(data, 'audio/ogg');
+    return this.receiveMessage({ from, chat, voice: { file_id: fileId, file_unique_id: fileId, duration, mime_type: 'audio/ogg' }, ...extra });
+  }
+
+  async receivePhoto({ from, chat, data = Buffer.from('fake-jpeg'), caption, ...extra }) {
+    const fileId = this.addFile(data, 'image/jpeg');
+    return this.receiveMessage({
+      from,
+      chat,
+      caption,
+      photo: [
+        { file_id: `${fileId}_small`, width: 90, height: 90 },
+        { file_id: fileId, width: 1280, height: 960 }
+      ],
+      ...extra
+    });
+  }
+
+  async receiveDocument({ from, chat, data, fileName, mimeType = 'text/plain', caption, ...extra }) {
+    const buffer = Buffer.from(data);
+    const fileId = this.addFile(buffer, mimeType);
+    return this.receiveMessage({
+      from,
+      chat,
+      caption,
+      document: { file_id: fileId, file_unique_id: fileId, file_name: fileName, mime_type: mimeType, file_size: buffer.length },
+      ...extra
+    });
+  }
+
+  /**
+   * 入站消息: 存檔後按 { message } 更新分發
+   */
+  async receiveMessage(fields) {
+    const message = this.buildIncomingMessage(fields);
+    await this.dispatch({ message });
+    return message;
+  }
+
+  /**
+   * 構造入站消息 (不分發)，webhook 測試用來拼 update
+   */
+  buildIncomingMessage(fields) {
+    return this.storeMessage(fields.chat.id, {
+      ...fields,
+      chat: fields.chat,
+      from: { is_bot: false, ...fields.from }
+    });
+  }
+
+  /**
+   * 點擊按鈕: data 可以是 callback_data 或按鈕文字
+   */
+  async pressButton({ from, message, data }) {
+    const current = this.getStoredMessage(message.chat.id, message.message_id) || message;
+    const buttons = this.buttonsOf(current);
+    const button = buttons.find(b => b.callback_data === data || b.text === data);
+    const callbackData = button?.callback_data ?? data;
+
+    const query = {
+      id: String(this.nextCallbackId++),
+      from: { is_bot: false, ...from },
+      message: current,
+      chat_instance: String(current.chat.id),
+      data: callbackData
+    };
+
+    await this.dispatch({ callback_query: query });
+    return query;
+  }
+
+  /**
+   * 等待 processUpdate 觸發的處理器全部完成
+   */
+  async settle() {
+    // httpServerService 回 200 後用 setImmediate 轉交更新
+    await new Promise(resolve => setImmediate(resolve));
+    while (this.inflight.size > 0) {
+      await Promise.all([...this.inflight]);
+    }
+  }
+
+  // ==================== 斷言輔助 ====================
+
+  /**
+   * 某個聊天裡 bot 發出的消息 (最新狀態，默認不含已刪除)
+   */
+  sentMessages(chatId, { includeDeleted = false } = {}) {
+    return [...this.messages.values()].filter(m =>
+      m.from?.id === this.me.id &&
+      String(m.chat.id) === String(chatId) &&
+      (includeDeleted || !m.deleted)
+    );
+  }
+
+  lastMessage(chatId) {
+    const messages = this.sentMessages(chatId);
+    return messages[messages.length - 1] || null;
+  }
+
+  callsOf(method) {
+    return this.calls.filter(call => call.method === method);
+  }
+
+  buttonsOf(message) {
+    const current = this.getStoredMessage(message.chat.id, message.message_id) || message;
+    return (current.reply_markup?.inline_keyboard || []).flat();
+  }
+
+  // ==================== 內部 ====================
+
+  record(method, ...args) {
+    this.calls.push({ method, args });
+  }
+
+  /**
+   * 分發更新: 消息先觸發 'message' + 類型事件，再匹配 onText (和 node-telegram-bot-api 一致)
+   */
+  async dispatch(update) {
+    const pending = [];
+    const message = update.message;
+
+    if (message) {
+      pending.push(...this.emitAwait('message', message));
+      for (const type of ['text', 'voice', 'photo']) {
+        if (message[type]) pending.push(...this.emitAwait(type, message));
+      }
+      if (message.text) {
+        for (const { regexp, callback } of this.textHandlers) {
+          regexp.lastIndex = 0;
+          const match = regexp.exec(message.text);
+          if (match) pending.push(callback(message, match));
+        }
+      }
+    }
+
+    if (update.callback_query) {
+      pending.push(...this.emitAwait('callback_query', update.callback_query));
+    }
+
+    await Promise.all(pending);
+  }
+
+  emitAwait(event, payload) {
+    return this.listeners(event).map(listener => Promise.resolve(listener(payload)));
+  }
+
+  addFile(data, mimeType) {
+    const fileId = `file_${this.files.size + 1}`;
+    this.files.set(fileId, { data, mimeType });
+    return fileId;
+  }
+
+  storeMessage(chatId, fields) {
+    const message = {
+      message_id: this.nextMessageId++,
+      date: Math.floor(Date.now() / 1000),
+      chat: fields.chat || { id: chatId, type: Number(chatId) < 0 ? 'group' : 'private' },
+      from: fields.from || this.me,
+      ...fields
+    };
+    this.messages.set(`${chatId}:${message.message_id}`, message);
+    return message;
+  }
+
+  getStoredMessage(chatId, messageId) {
+    const message = this.messages.get(`${chatId}:${messageId}`);
+    return message && !message.deleted ? message : null;
+  }
+
+  pickMessageOptions(options) {
+    const picked = {};
+    if (options.reply_markup) picked.reply_markup = options.reply_markup;
+    if (options.parse_mode) picked.parse_mode = options.parse_mode;
+    if (options.reply_to_message_id) picked.reply_to_message = { message_id: options.reply_to_message_id };
+    return picked;
+  }
+}
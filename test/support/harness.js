@@ -0,0 +1,73 @@
+/**
+ * 端到端測試腳手架 - 啟動 DualBotService (假 Telegram + 內存 Mongo + stub 模型)
+ *
+ *   const harness = await startBots();
+ *   await harness.bongbong.receiveText({ from: USERS.mom, chat: CHATS.momPrivate, text: '你好' });
+ *   harness.bongbong.lastMessage(CHATS.momPrivate.id)
+ *   await harness.stop();   // 停掉計時器、關閉各服務的連接 (和 src/index.js 的 shutdown 一樣)
+ */
+
+import { getFakeBot } from './fakeTelegramBot.js';
+import { resetMemoryMongo, getMemoryCollection } from './memoryMongo.js';
+
+export const USERS = {
+  mom: { id: 1001, first_name: '妈妈', language_code: 'zh-hans' },
+  son: { id: 1002, first_name: '周文', language_code: 'zh-hans' }
+};
+
+export const CHATS = {
+  momPrivate: { id: USERS.mom.id, type: 'private', first_name: USERS.mom.first_name },
+  sonPrivate: { id: USERS.son.id, type: 'private', first_name: USERS.son.first_name },
+  family: { id: -100200300, type: 'supergroup', title: '家庭群' }
+};
+
+let started = null;
+
+export async function startBots() {
+  if (started) return started;
+
+  const { default: dualBotService } = await import('../../src/services/dualBotService.js');
+  const { default: avatarService } = await import('../../src/services/avatarService.js');
+  const { default: vectorIndexService } = await import('../../src/services/vectorIndexService.js');
+  const { default: httpServerService } = await import('../../src/services/httpServerService.js');
+  // 這些服務由 dualBotService.init() 連接，stop() 時逐個關閉
+  const closeable = await Promise.all([
+    'memoryService', 'groupMemoryService', 'usageLedgerService',
+    'conversationModeService', 'sessionStoreService', 'notebookService', 'smartMemoryService',
+    'memoryConsolidationService', 'conversationSummaryService', 'knowledgeGraphService',
+    'styleModelService', 'vectorIndexService'
+  ].map(async name => (await import(`../../src/services/${name}.js`)).default));
+
+  const ok = await dualBotService.init();
+  if (!ok) throw new Error('DualBotService init failed');
+
+  started = {
+    dualBotService,
+    avatarService,
+    bongbong: getFakeBot(process.env.TELEGRAM_BOT_TOKEN),
+    avatar: getFakeBot(process.env.TELEGRAM_BOT_TOKEN_AVATAR),
+    collection: (name) => getMemoryCollection(name),
+    // 清空數據後內存向量索引也要跟著重建
+    reset: async () => {
+      resetMemoryMongo();
+      await vectorIndexService.reindex();
+    },
+    stop: async () => {
+      dualBotService.stop();
+      await httpServerService.stop();
+      for (const service of closeable) {
+        await service.close();
+      }
+      started = null;
+    }
+  };
+  return started;
+}
+
+/**
+ * 在最新的消息裡找到帶某個按鈕的那條
+ */
+export function findMessageWithButton(bot, chatId, data) {
+  const messages = bot.sentMessages(chatId).reverse();
+  return messages.find(m => bot.buttonsOf(m).some(b => b.callback_data === data || b.text === data)) || null;
+}
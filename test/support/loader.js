@@ -0,0 +1,18 @@
+/**
+ * 模塊解析鉤子 - 只替換 src/ 和 config/ 裡的導入，測試代碼仍可拿到真實模塊
+ */
+
+const REPLACEMENTS = {
+  'mongodb': new URL('./memoryMongo.js', import.meta.url).href,
+  'node-telegram-bot-api': new URL('./fakeTelegramBot.js', import.meta.url).href
+};
+
+const SOURCE_ROOTS = ['src/', 'config/'].map(dir => new URL(`../../${dir}`, import.meta.url).href);
+
+export async function resolve(specifier, context, nextResolve) {
+  const replacement = REPLACEMENTS[specifier];
+  if (replacement && SOURCE_ROOTS.some(root => context.parentURL?.startsWith(root))) {
+    return { url: replacement, shortCircuit: true };
+  }
+  return nextResolve(specifier, context);
+}
@@ -0,0 +1,363 @@
+/**
+ * 內存版 MongoDB 驅動 - 測試時替換 'mongodb' (見 register.js)
+ *
+ * 只實現 src/ 用到的接口:
+ * - MongoClient.connect / db / close
+ * - collection: insertOne/insertMany, find/findOne, updateOne/updateMany (含 upsert / $setOnInsert),
+ *   deleteOne/deleteMany, countDocuments, aggregate, distinct, createIndex/createIndexes/dropIndex/indexExists
+ * - 查詢 / 更新 / 聚合由 mingo 執行；文檔經 BSON 往返複製，行為和真實驅動一致
+ * - $text 按文本索引字段做子串匹配；unique 索引會拒絕重複寫入
+ *
+ * 所有 MongoClient 共用同一份數據 (按 dbName 區分)，測試之間用 resetMemoryMongo() 清空
+ */
+
+import mingo from 'mingo';
+import { BSON, ObjectId } from 'bson';
+
+export { ObjectId };
+
+// dbName -> Map(collectionName -> MemoryCollection)
+const databases = new Map();
+
+export function resetMemoryMongo() {
+  // 只清文檔不刪集合: 服務連接時拿到的集合引用仍然有效
+  for (const collections of databases.values()) {
+    for (const collection of collections.values()) collection.docs = [];
+  }
+}
+
+/**
+ * 直接讀取某個集合的文檔 (測試斷言用)
+ */
+export function getMemoryCollection(collectionName, dbName) {
+  for (const [name, collections] of databases) {
+    if (dbName && name !== dbName) continue;
+    if (collections.has(collectionName)) return collections.get(collectionName).docs.map(copy);
+  }
+  return [];
+}
+
+function copy(doc) {
+  return BSON.deserialize(BSON.serialize(doc));
+}
+
+function duplicateKeyError(collection, index) {
+  const error = new Error(`E11000 duplicate key error collection: ${collection} index: ${index}`);
+  error.name = 'MongoServerError';
+  error.code = 11000;
+  return error;
+}
+
+class MemoryCursor {
+  constructor(load, projection) {
+    this.load = load;
+    this.spec = { sort: null, skip: 0, limit: 0, projection };
+  }
+
+  sort(sort) {
+    // 去掉 { $meta: 'textScore' }，其餘排序保留
+    this.spec.sort = Object.fromEntries(
+      Object.entries(sort || {}).filter(([, dir]) => typeof dir === 'number')
+    );
+    return this;
+  }
+
+  skip(n) {
+    this.spec.skip = n;
+    return this;
+  }
+
+  limit(n) {
+    this.spec.limit = n;
+    return this;
+  }
+
+  project(projection) {
+    this.spec.projection = projection;
+    return this;
+  }
+
+  async toArray() {
+    let docs = this.load();
+    const { sort, skip, limit, projection } = this.spec;
+    if (sort && Object.keys(sort).length > 0) docs = mingo.find(docs, {}).sort(sort).all();
+    if (skip) docs = docs.slice(skip);
+    if (limit) docs = docs.slice(0, limit);
+    if (projection && Object.keys(projection).length > 0) {
+      docs = mingo.find(docs, {}, projection).all();
+    }
+    return docs.map(copy);
+  }
+
+  async *[Symbol.asyncIterator]() {
+    yield* await this.toArray();
+  }
+}
+
+class MemoryCollection {
+  constructor(dbName, name) {
+    this.namespace = `${dbName}.${name}`;
+    this.collectionName = name;
+    this.docs = [];
+    this.indexNames = new Set();
+    this.uniqueIndexes = [];  // [{ name, keys }]
+    this.textFields = [];
+  }
+
+  // ==================== 索引 ====================
+
+  async createIndex(spec, options = {}) {
+    const keys = Object.keys(spec);
+    const name = options.name || keys.map(k => `${k}_${spec[k]}`).join('_');
+    this.indexNames.add(name);
+
+    if (options.unique && !this.uniqueIndexes.some(i => i.name === name)) {
+      this.uniqueIndexes.push({ name, keys });
+    }
+    for (const key of keys) {
+      if (spec[key] === 'text' && !this.textFields.includes(key)) this.textFields.push(key);
+    }
+    return name;
+  }
+
+  async dropIndex(name) {
+    if (!this.indexNames.delete(name)) {
+      const error = new Error(`index not found with name [${name}]`);
+      error.name = 'MongoServerError';
+      error.code = 27;
+      throw error;
+    }
+    this.uniqueIndexes = this.uniqueIndexes.filter(i => i.name !== name);
+  }
+
+  async indexExists(names) {
+    return [].concat(names).every(name => this.indexNames.has(name));
+  }
+
+  async createIndexes(specs) {
+    const names = [];
+    for (const { key, ...options } of specs) {
+      names.push(await this.createIndex(key, options));
+    }
+    return names;
+  }
+
+  // ==================== 查詢 ====================
+
+  /**
+   * 過濾 (返回內部文檔引用)
+   */
+  match(filter = {}) {
+    const { $text, ...rest } = filter;
+    let docs = mingo.find(this.docs, rest).all();
+
+    if ($text) {
+      const terms = String($text.$search).toLowerCase().split(/\s+/).filter(Boolean);
+      docs = docs.filter(doc => {
+        const fields = this.textFields.length > 0 ? this.textFields : Object.keys(doc);
+        const text = fields.map(f => doc[f]).filter(v => typeof v === 'string').join(' ').toLowerCase();
+        return terms.some(term => text.includes(term));
+      });
+    }
+
+    return docs;
+  }
+
+  find(filter = {}, options = {}) {
+    const cursor = new MemoryCursor(() => this.match(filter), options.projection);
+    if (options.sort) cursor.sort(options.sort);
+    if (options.skip) cursor.skip(options.skip);
+    if (options.limit) cursor.limit(options.limit);
+    return cursor;
+  }
+
+  async findOne(filter = {}, options = {}) {
+    const [doc] = await this.find(filter, { ...options, limit: 1 }).toArray();
+    return doc || null;
+  }
+
+  async countDocuments(filter = {}) {
+    return this.match(filter).length;
+  }
+
+  async estimatedDocumentCount() {
+    return this.docs.length;
+  }
+
+  async distinct(field, filter = {}) {
+    const values = this.match(filter).flatMap(doc => {
+      const value = doc[field];
+      return Array.isArray(value) ? value : [value];
+    });
+    return [...new Set(values.filter(v => v !== undefined))];
+  }
+
+  aggregate(pipeline = []) {
+    return {
+      toArray: async () => mingo.aggregate(this.docs.map(copy), pipeline).map(copy),
+      [Symbol.asyncIterator]: async function* () {
+        yield* await this.toArray();
+      }
+    };
+  }
+
+  // ==================== 寫入 ====================
+
+  async insertOne(doc) {
+    if (doc._id === undefined) doc._id = new ObjectId();
+    const stored = copy(doc);
+    this.checkUnique(stored);
+    this.docs.push(stored);
+    return { acknowledged: true, insertedId: doc._id };
+  }
+
+  async insertMany(docs) {
+    const insertedIds = {};
+    for (let i = 0; i < docs.length; i++) {
+      insertedIds[i] = (await this.insertOne(docs[i])).insertedId;
+    }
+    return { acknowledged: true, insertedCount: docs.length, insertedIds };
+  }
+
+  async updateOne(filter, update, options = {}) {
+    return this.update(filter, update, options, false);
+  }
+
+  async updateMany(filter, update, options = {}) {
+    return this.update(filter, update, options, true);
+  }
+
+  async replaceOne(filter, replacement, options = {}) {
+    const [target] = this.match(filter);
+    if (!target) {
+      if (!options.upsert) return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedId: null };
+      return this.insertOne({ ...replacement }).then(r => ({
+        acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedId: r.insertedId
+      }));
+    }
+    const next = copy({ ...replacement, _id: target._id });
+    this.checkUnique(next, target);
+    this.docs[this.docs.indexOf(target)] = next;
+    return { acknowledged: true, matchedCount: 1, modifiedCount: 1, upsertedId: null };
+  }
+
+  async findOneAndUpdate(filter, update, options = {}) {
+    const [target] = this.match(filter);
+    const before = target ? copy(target) : null;
+    const result = await this.update(filter, update, options, false);
+    const after = result.upsertedId
+      ? await this.findOne({ _id: result.upsertedId })
+      : before && await this.findOne({ _id: before._id });
+    return options.returnDocument === 'after' ? after : before;
+  }
+
+  async deleteOne(filter) {
+    const [target] = this.match(filter);
+    if (!target) return { acknowledged: true, deletedCount: 0 };
+    this.docs.splice(this.docs.indexOf(target), 1);
+    return { acknowledged: true, deletedCount: 1 };
+  }
+
+  async deleteMany(filter = {}) {
+    const targets = new Set(this.match(filter));
+    this.docs = this.docs.filter(doc => !targets.has(doc));
+    return { acknowledged: true, deletedCount: targets.size };
+  }
+
+  async drop() {
+    this.docs = [];
+    return true;
+  }
+
+  // ==================== 內部 ====================
+
+  async update(filter, update, options, multi) {
+    const { $setOnInsert, ...operators } = update;
+    const targets = this.match(filter);
+    const matched = multi ? targets : targets.slice(0, 1);
+
+    if (matched.length === 0) {
+      if (!options.upsert) {
+        return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 0, upsertedId: null };
+      }
+
+      // upsert: 篩選條件裡的等值字段 + $setOnInsert + 其餘更新操作
+      const seed = Object.fromEntries(
+        Object.entries(filter).filter(([key, value]) =>
+          !key.startsWith('$') && (value === null || typeof value !== 'object' || value instanceof ObjectId || value instanceof Date))
+      );
+      const doc = { ...seed, ...($setOnInsert || {}) };
+      if (Object.keys(operators).length > 0) mingo.update(doc, operators);
+      const { insertedId } = await this.insertOne(doc);
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: insertedId };
+    }
+
+    let modifiedCount = 0;
+    for (const target of matched) {
+      const next = copy(target);
+      const changed = Object.keys(operators).length > 0 ? mingo.update(next, operators) : [];
+      if (changed.length === 0) continue;
+
+      this.checkUnique(next, target);
+      this.docs[this.docs.indexOf(target)] = copy(next);
+      modifiedCount++;
+    }
+
+    return { acknowledged: true, matchedCount: matched.length, modifiedCount, upsertedCount: 0, upsertedId: null };
+  }
+
+  checkUnique(doc, replacing = null) {
+    const docs = this.docs.filter(d => d !== replacing);
+    if (docs.some(d => String(d._id) === String(doc._id))) {
+      throw duplicateKeyError(this.namespace, '_id_');
+    }
+
+    for (const { name, keys } of this.uniqueIndexes) {
+      const key = JSON.stringify(keys.map(k => doc[k] ?? null));
+      if (docs.some(d => JSON.stringify(keys.map(k => d[k] ?? null)) === key)) {
+        throw duplicateKeyError(this.namespace, name);
+      }
+    }
+  }
+}
+
+class MemoryDb {
+  constructor(name) {
+    this.databaseName = name;
+    if (!databases.has(name)) databases.set(name, new Map());
+  }
+
+  collection(name) {
+    const collections = databases.get(this.databaseName) || new Map();
+    databases.set(this.databaseName, collections);
+
+    if (!collections.has(name)) {
+      collections.set(name, new MemoryCollection(this.databaseName, name));
+    }
+    return collections.get(name);
+  }
+
+  async command() {
+    return { ok: 1 };
+  }
+}
+
+export class MongoClient {
+  constructor(uri, options = {}) {
+    this.uri = uri;
+    this.options = options;
+  }
+
+  async connect() {
+    return this;
+  }
+
+  db(name) {
+    const fromUri = String(this.uri || '').match(/\/([^/?]+)(\?|$)/)?.[1];
+    return new MemoryDb(name || fromUri || 'test');
+  }
+
+  async close() {}
+}
+
+export default { MongoClient, ObjectId };
@@ -0,0 +1,22 @@
+/**
+ * 測試環境入口 - node --test --import ./test/support/register.js
+ *
+ * 1. 離線環境變量: stub 模型、假 token、日誌只留錯誤
+ * 2. 把 src/ 裡的 'mongodb' / 'node-telegram-bot-api' 換成內存實現 (loader.js)
+ */
+
+import { register } from 'node:module';
+
+Object.assign(process.env, {
+  LLM_PROVIDER: 'stub',
+  TELEGRAM_BOT_TOKEN: 'test-bongbong-token',
+  TELEGRAM_BOT_TOKEN_AVATAR: 'test-avatar-token',
+  MONGODB_URI: 'mongodb://memory/sms_tg_bot_test',
+  MONGODB_DB_NAME: 'sms_tg_bot_test',
+  SESSION_STORE: 'mongo',
+  VECTOR_INDEX: 'bruteforce',
+  NOTION_API_KEY: '',
+  LOG_LEVEL: process.env.LOG_LEVEL || 'error'
+});
+
+register('./loader.js', import.meta.url);
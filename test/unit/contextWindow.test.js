@@ -0,0 +1,35 @@
+/**
+ * 上下文窗口: token 估算、按預算取捨摘要和原始消息
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { estimateTokens, fitContext } from '../../src/utils/contextWindow.js';
+
+test('estimates Chinese at about 1.5 characters per token and other text at 4', () => {
+  assert.equal(estimateTokens('今天天气不错'), 4);
+  assert.equal(estimateTokens('hello world!'), 3);
+  assert.equal(estimateTokens(''), 0);
+});
+
+test('keeps the newest turns first, then recent summaries, the long-term summary and older turns', () => {
+  const parts = {
+    longTerm: '长期'.repeat(15),               // 20 tokens
+    recent: ['第一段摘要内容', '第二段摘要内容'],  // 5 tokens each
+    turns: ['一二三', '四五六', '七八九', '十十十']  // 2 tokens each
+  };
+
+  assert.deepEqual(fitContext(parts, { budget: 100, minTurns: 2 }), { ...parts, tokens: 38 });
+
+  // 預算不夠時先丟更早的原始消息
+  assert.deepEqual(fitContext(parts, { budget: 36, minTurns: 2 }).turns, ['四五六', '七八九', '十十十']);
+
+  // 放不下長期摘要時跳過它，更早的原始消息照樣補上
+  assert.deepEqual(fitContext(parts, { budget: 30, minTurns: 2 }), {
+    longTerm: null, recent: parts.recent, turns: parts.turns, tokens: 18
+  });
+
+  // 最新的 minTurns 條超出預算也保留
+  const tight = fitContext(parts, { budget: 3, minTurns: 2 });
+  assert.deepEqual([tight.longTerm, tight.recent, tight.turns], [null, [], ['七八九', '十十十']]);
+});
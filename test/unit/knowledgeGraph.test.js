@@ -0,0 +1,31 @@
+/**
+ * 知識圖譜規則抽取: 常見說法、人物標準化、問句 / 否定 / 代詞過濾
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import knowledgeGraphService from '../../src/services/knowledgeGraphService.js';
+
+function extract(text, speaker = '周文') {
+  return knowledgeGraphService.extractByRules(text, speaker).map(f => [f.predicate, f.text]);
+}
+
+test('extracts allergies, medication, birthdays, addresses, visas, preferences and relations', () => {
+  assert.deepEqual(extract('提醒一下，我妈对青霉素过敏！爸爸每天吃降压药'), [
+    ['allergic_to', '妈妈对青霉素过敏'],
+    ['takes_medication', '爸爸在吃降压药']
+  ]);
+  assert.deepEqual(extract('媽媽生日是5月3日'), [['birthday', '妈妈的生日是5月3日']]);
+  assert.deepEqual(extract('我们家住在曼谷素坤逸路55巷'), [['lives_at', '我们家住在曼谷素坤逸路55巷']]);
+  assert.deepEqual(extract('我的养老签证2026年3月15日到期'), [['visa_expires', '周文的养老签证2026年3月15日到期']]);
+  assert.deepEqual(extract('妈妈不喜欢香菜'), [['dislikes', '妈妈不喜欢香菜']]);
+  assert.deepEqual(extract('小明是我儿子'), [['relation', '小明是周文的儿子']]);
+});
+
+test('skips questions, negations and unresolved pronouns', () => {
+  assert.deepEqual(extract('妈妈对青霉素过敏吗？'), []);
+  assert.deepEqual(extract('妈妈对青霉素不过敏'), []);
+  assert.deepEqual(extract('他对花生过敏'), []);
+  // 筆記沒有說話人時「我」無法確定是誰
+  assert.deepEqual(extract('我对花生过敏', null), []);
+});
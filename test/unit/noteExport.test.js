@@ -0,0 +1,79 @@
+/**
+ * 筆記導出: 各格式渲染、按大小拆分、/export 參數解析
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderExport, parseExportArgs } from '../../src/utils/noteExport.js';
+
+function note(i, extra = {}) {
+  return {
+    _id: `id${i}`,
+    title: `笔记 ${i}`,
+    content: `内容 ${i}`,
+    category: 'general',
+    tags: ['养生'],
+    source: 'manual',
+    ownerType: 'mother',
+    createdAt: new Date('2025-03-01T08:00:00Z'),
+    updatedAt: new Date('2025-03-01T08:00:00Z'),
+    ...extra
+  };
+}
+
+test('JSON exports only note fields and parses back', () => {
+  const [file] = renderExport([note(1, { embedding: [0.1, 0.2], scope: 'family' }), note(2)], 'json', { title: '妈妈的笔记本' });
+  assert.equal(file.filename, 'notes.json');
+  assert.equal(file.mimeType, 'application/json');
+
+  const data = JSON.parse(file.content.toString());
+  assert.equal(data.title, '妈妈的笔记本');
+  assert.equal(data.total, 2);
+  assert.deepEqual(Object.keys(data.notes[0]), ['id', 'title', 'content', 'category', 'tags', 'source', 'notebook', 'createdAt', 'updatedAt']);
+  assert.deepEqual([data.notes[0].notebook, data.notes[1].title], ['mother', '笔记 2']);
+});
+
+test('the printable HTML escapes note text and uses category labels', () => {
+  const [file] = renderExport([note(1, { title: '<b>粥</b>', content: '小米 & 红枣\n慢火' })], 'html', {
+    categoryLabel: (name) => (name === 'general' ? '未分类' : name)
+  });
+  const html = file.content.toString();
+  assert.match(html, /^<!DOCTYPE html>/);
+  assert.match(html, /<h2>&lt;b&gt;粥&lt;\/b&gt;<\/h2>/);
+  assert.match(html, /未分类 · 养生/);
+  assert.match(html, /小米 &amp; 红枣\n慢火/);
+  assert.match(html, /page-break-inside: avoid/);
+});
+
+test('large exports are split into numbered parts without breaking notes', () => {
+  const notes = Array.from({ length: 10 }, (_, i) => note(i + 1, { content: '字'.repeat(300) }));
+  const files = renderExport(notes, 'markdown', { maxBytes: 3000, filename: 'notes-2025' });
+
+  assert.ok(files.length > 1);
+  assert.equal(files.reduce((sum, f) => sum + f.count, 0), 10);
+  assert.ok(files.every(f => f.content.length <= 3000));
+  assert.deepEqual(files.map(f => f.filename), files.map((_, i) => `notes-2025-${i + 1}.md`));
+  assert.match(files[1].content.toString(), new RegExp(`第 2/${files.length} 份`));
+
+  // JSON 每份都是完整的文檔
+  const parts = renderExport(notes, 'json', { maxBytes: 3000 });
+  assert.equal(parts.map(p => JSON.parse(p.content.toString()).notes.length).reduce((a, b) => a + b), 10);
+});
+
+test('parses /export arguments in any order', () => {
+  const options = parseExportArgs('妈妈 html #养生 分类:食谱 2025-01-01..2025-01-31');
+  assert.deepEqual(
+    [options.format, options.notebook, options.tag, options.category, options.unknown],
+    ['html', 'mother', '养生', '食谱', []]
+  );
+  assert.equal(options.since.getTime(), new Date('2025-01-01T00:00:00').getTime());
+  assert.equal(options.until.getTime(), new Date('2025-02-01T00:00:00').getTime());
+
+  const recent = parseExportArgs('txt 7天');
+  assert.equal(recent.format, 'text');
+  assert.equal(recent.notebook, 'all');
+  assert.ok(Math.abs(Date.now() - 7 * 24 * 60 * 60 * 1000 - recent.since.getTime()) < 1000);
+
+  assert.deepEqual(parseExportArgs('pdf').unknown, ['pdf']);
+  assert.equal(parseExportArgs('').format, 'markdown');
+});
@@ -0,0 +1,68 @@
+/**
+ * 筆記導入: 文件拆分 (Markdown / 純文本 / JSON)、導出文件讀回、轉發來源
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { importFormat, parseNotesFile, forwardInfo } from '../../src/utils/noteImport.js';
+import { renderExport } from '../../src/utils/noteExport.js';
+
+const notes = [
+  { _id: 'a', title: '小米粥', content: '小米 50 克\n红枣 5 颗', category: 'general', tags: ['养生', '早餐'], ownerType: 'mother', createdAt: new Date('2025-03-01T08:00:00Z') },
+  { _id: 'b', title: '复诊', content: '下周三上午', category: 'creative', tags: [], ownerType: 'mother', createdAt: new Date('2025-03-02T08:00:00Z') }
+];
+
+test('recognises importable file extensions', () => {
+  assert.deepEqual(['a.md', 'B.MARKDOWN', 'c.txt', 'd.json', 'e.pdf', 'md'].map(importFormat),
+    ['markdown', 'markdown', 'text', 'json', null, null]);
+});
+
+test('Markdown splits on the repeated heading level and keeps deeper headings in the body', () => {
+  const drafts = parseNotesFile([
+    '# 我的菜谱',
+    '家里常做的几道菜',
+    '',
+    '## 红烧肉',
+    '五花肉 500 克',
+    '### 小贴士',
+    '先焯水',
+    '## 清蒸鱼',
+    '```',
+    '# 不是标题',
+    '```'
+  ].join('\r\n'), 'markdown');
+
+  assert.deepEqual(drafts.map(d => [d.title, d.content]), [
+    [null, '家里常做的几道菜'],
+    ['红烧肉', '五花肉 500 克\n### 小贴士\n先焯水'],
+    ['清蒸鱼', '```\n# 不是标题\n```']
+  ]);
+});
+
+test('plain text splits on 【titles】, separator lines or blank lines', () => {
+  assert.deepEqual(parseNotesFile('【买菜】\n青菜\n【取快递】\n菜鸟驿站', 'text').map(d => [d.title, d.content]),
+    [['买菜', '青菜'], ['取快递', '菜鸟驿站']]);
+  assert.deepEqual(parseNotesFile('第一条\n第二行\n---\n第二条', 'text').map(d => d.content), ['第一条\n第二行', '第二条']);
+  assert.deepEqual(parseNotesFile('第一段\n\n\n第二段\n', 'text').map(d => d.content), ['第一段', '第二段']);
+});
+
+test('every export format reads back into the same notes', () => {
+  const categoryLabel = (name) => ({ general: '未分类', creative: '创作' }[name]);
+  for (const [format, parse] of [['json', 'json'], ['markdown', 'markdown'], ['text', 'text']]) {
+    const [file] = renderExport(notes, format, { categoryLabel });
+    const drafts = parseNotesFile(file.content.toString(), parse);
+    assert.deepEqual(drafts.map(d => [d.title, d.content, d.tags]), notes.map(n => [n.title, n.content, n.tags]), format);
+  }
+
+  const [json] = parseNotesFile(renderExport(notes, 'json')[0].content.toString(), 'json');
+  assert.deepEqual([json.category, json.createdAt.toISOString()], ['general', '2025-03-01T08:00:00.000Z']);
+  assert.throws(() => parseNotesFile('{ notes: ', 'json'), SyntaxError);
+});
+
+test('reads forward origins from both Bot API styles', () => {
+  assert.deepEqual(forwardInfo({ forward_origin: { type: 'channel', chat: { id: -1001, title: '健康频道' }, message_id: 77, date: 1700000000 } }),
+    { from: '健康频道', date: new Date(1700000000 * 1000), chatId: -1001, messageId: 77 });
+  assert.equal(forwardInfo({ forward_origin: { type: 'hidden_user', sender_user_name: '老王', date: 1700000000 } }).from, '老王');
+  assert.equal(forwardInfo({ forward_from: { first_name: '小', last_name: '李' }, forward_date: 1700000000 }).from, '小 李');
+  assert.equal(forwardInfo({ text: '不是转发' }), null);
+});
@@ -0,0 +1,75 @@
+/**
+ * 混合檢索: 簡繁分詞、BM25、RRF 融合、時間 / 重要度重排、高亮摘要
+ */
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { MongoClient, resetMemoryMongo } from '../support/memoryMongo.js';
+import { tokenize, queryTokens, bm25, reciprocalRankFusion, highlight } from '../../src/utils/retrieval.js';
+import retrievalService from '../../src/services/retrievalService.js';
+
+const DAY = 86400000;
+let collection;
+
+before(() => {
+  resetMemoryMongo();
+  collection = new MongoClient('mongodb://memory/retrieval_test').db().collection('docs');
+});
+
+test('simplified and traditional text produce the same tokens', () => {
+  assert.deepEqual(tokenize('泰國養老簽證'), tokenize('泰国养老签证'));
+  assert.deepEqual(queryTokens('养老签证存款要多少？'), ['养老', '老签', '签证', '证存', '存款']);
+  assert.deepEqual(tokenize('存款80万泰铢 OK'), ['存款', '80万', '泰铢', 'ok']);
+  // 語氣詞處斷開，不產生「的银」這種詞
+  assert.ok(!tokenize('签证的银行').includes('的银'));
+});
+
+test('BM25 matches a simplified question against a traditional note', () => {
+  const docs = [
+    { title: '泰國養老簽證', content: '銀行存款要求是80万泰铢' },
+    { title: '購物清單', content: '牛奶、麵包、雞蛋' },
+    { title: '落地签', content: '落地签证要带护照' }
+  ];
+  const [visa, shopping, arrival] = bm25(queryTokens('养老签证存款要多少'), docs, { title: 2, content: 1 });
+  assert.ok(visa > arrival);
+  assert.ok(arrival > 0);
+  assert.equal(shopping, 0);
+});
+
+test('RRF rewards documents found by both rankings', () => {
+  const fused = reciprocalRankFusion([['a', 'b', 'c'], ['c', 'd']], 20);
+  const order = [...fused].sort((x, y) => y[1] - x[1]).map(([key]) => key);
+  assert.equal(order[0], 'c');
+  assert.deepEqual(order.slice(1), ['a', 'b', 'd']);
+});
+
+test('snippets highlight matches in the original script and escape the rest', () => {
+  const text = '前言'.repeat(40) + '泰國養老簽證_存款' + '後記'.repeat(40);
+  const snippet = highlight(text, queryTokens('养老签证'), { width: 30, open: '*', close: '*', escape: s => s.replace(/_/g, '\\_') });
+  assert.match(snippet, /^….*\*養老簽證\*\\_存款.*…$/);
+  assert.equal(highlight('沒有命中的內容', ['签证']), '沒有命中的內容');
+});
+
+test('hybrid search ranks relevant documents first, then prefers recent and important ones', async () => {
+  const now = Date.now();
+  await collection.insertMany([
+    { owner: 'mom', content: '養老簽證每年續簽一次', importance: 1, createdAt: new Date(now - 200 * DAY) },
+    { owner: 'mom', content: '養老簽證每年續簽一次', importance: 1, createdAt: new Date(now) },
+    { owner: 'mom', content: '養老簽證每年續簽一次', importance: 5, createdAt: new Date(now - 200 * DAY) },
+    { owner: 'mom', content: '今天的晚飯是餃子', importance: 5, createdAt: new Date(now) },
+    { owner: 'son', content: '養老簽證每年續簽一次', importance: 5, createdAt: new Date(now) }
+  ]);
+
+  const results = await retrievalService.search('养老签证续签', {
+    collection,
+    filter: { owner: 'mom' },
+    importance: doc => doc.importance / 5
+  });
+
+  assert.equal(results.length, 3);
+  assert.ok(results.every(r => r.owner === 'mom' && r.lexicalScore > 0));
+  assert.ok(results[0].importance === 5 || results[0].createdAt.getTime() === now);
+  assert.equal(results[2].importance, 1);
+  assert.ok(results[2].createdAt.getTime() < now);
+  assert.match(results[0].snippet, /【養老簽證】每年【續簽】/);
+});
@@ -0,0 +1,47 @@
+/**
+ * 說話風格特徵: 口頭禪 / 句長 / 表情 / 話題，生成句子和真人原話的打分
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { learnStyle, scoreLine, averageScores } from '../../src/utils/style.js';
+
+const MESSAGES = [
+  '哈哈，確實是這樣',
+  '簽證的事情搞定了沒 😂',
+  '哈哈 有意思',
+  '代碼能跑就行',
+  '簽證今天去續了',
+  '可以可以',
+  '今天天氣不錯 😂',
+  '哈哈，簽證下來了'
+];
+
+test('learns catchphrases, length, emoji use and topics from real messages', () => {
+  const style = learnStyle(MESSAGES);
+
+  assert.equal(style.messageCount, 8);
+  assert.equal(style.avgLength, 7.3);
+  assert.equal(style.shortRate, 0.88);
+  assert.equal(style.emojiRate, 0.25);
+  assert.deepEqual(style.topEmojis, ['😂']);
+  assert.deepEqual(style.phrases, ['哈哈']);
+  assert.deepEqual(style.topics.slice(0, 2), ['签证', '今天']);
+  assert.equal(style.examples[0], '哈哈，簽證下來了', 'newest examples first');
+  assert.deepEqual(learnStyle([]).phrases, []);
+});
+
+test('scores a generated line against the real one', () => {
+  const style = learnStyle(MESSAGES);
+
+  const close = scoreLine('哈哈，签证搞定了', '哈哈，簽證下來了', style);
+  assert.deepEqual([close.length, close.phrases, close.emoji], [1, 1, 1]);
+  assert.ok(close.overlap > 0.5, 'simplified and traditional text compare equal');
+
+  const far = scoreLine('根据相关规定，您需要准备以下材料并前往移民局办理 😂', '哈哈，簽證下來了', style);
+  assert.ok(far.total < close.total);
+  assert.equal(far.phrases, 0);
+  assert.equal(far.emoji, 0);
+
+  assert.deepEqual(averageScores([{ total: 1 }, { total: 0.5 }]), { total: 0.75 });
+});
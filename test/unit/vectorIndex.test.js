@@ -0,0 +1,107 @@
+/**
+ * 向量索引: HNSW 對比精確掃描的召回、過濾、刪除 / 替換、磁盤持久化與對賬重建
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+import { MongoClient, resetMemoryMongo } from '../support/memoryMongo.js';
+import { HnswVectorIndex, BruteForceVectorIndex } from '../../src/services/vectorIndexService.js';
+
+const DIMENSION = 32;
+const COUNT = 400;
+
+let indexDir;
+let collection;
+
+function randomVector() {
+  return Array.from({ length: DIMENSION }, () => Math.random() * 2 - 1);
+}
+
+async function openHnsw() {
+  const index = new HnswVectorIndex('test_vectors', collection, { filterFields: ['userId'], indexDir });
+  await index.open();
+  return index;
+}
+
+before(async () => {
+  resetMemoryMongo();
+  indexDir = await fs.mkdtemp(path.join(os.tmpdir(), 'vector-index-'));
+  collection = new MongoClient('mongodb://memory/vector_index_test').db().collection('vectors');
+});
+
+after(async () => {
+  await fs.rm(indexDir, { recursive: true, force: true });
+});
+
+test('HNSW finds nearly the same neighbours as an exact scan, with and without filters', async () => {
+  const hnsw = await openHnsw();
+  for (let i = 0; i < COUNT; i++) {
+    await hnsw.upsert(`v${i}`, randomVector(), { userId: i % 2 === 0 ? 'mom' : 'son' });
+  }
+
+  const exact = new BruteForceVectorIndex('test_vectors', collection, { filterFields: ['userId'] });
+  await exact.open();
+
+  let found = 0;
+  for (let q = 0; q < 20; q++) {
+    const query = randomVector();
+    const expected = (await exact.search(query, { k: 10 })).map(r => r.key);
+    const actual = (await hnsw.search(query, { k: 10 })).map(r => r.key);
+    found += actual.filter(key => expected.includes(key)).length;
+  }
+  assert.ok(found / 200 >= 0.9, `recall ${found / 200}`);
+
+  const filtered = await hnsw.search(randomVector(), { k: 10, filter: { userId: 'son' } });
+  assert.equal(filtered.length, 10);
+  assert.ok(filtered.every(r => r.metadata.userId === 'son'));
+  assert.ok(filtered.every((r, i) => i === 0 || filtered[i - 1].score >= r.score));
+
+  // 過濾範圍大時走圖搜索 + 後過濾
+  hnsw.settings.exactThreshold = 0;
+  const graphFiltered = await hnsw.search(randomVector(), { k: 10, filter: { userId: 'mom' } });
+  assert.equal(graphFiltered.length, 10);
+  assert.ok(graphFiltered.every(r => r.metadata.userId === 'mom'));
+
+  await hnsw.close();
+});
+
+test('deleted and replaced vectors are reflected in search results', async () => {
+  const hnsw = await openHnsw();
+  const target = randomVector();
+
+  await hnsw.upsert('target', target, { userId: 'mom' });
+  assert.equal((await hnsw.search(target, { k: 1 }))[0].key, 'target');
+
+  await hnsw.upsert('target', randomVector(), { userId: 'mom' });
+  await hnsw.upsert('moved', target, { userId: 'mom' });
+  assert.equal((await hnsw.search(target, { k: 1 }))[0].key, 'moved');
+
+  await hnsw.delete('moved');
+  assert.ok(!(await hnsw.search(target, { k: 20 })).some(r => r.key === 'moved'));
+  assert.equal((await hnsw.stats()).count, COUNT + 1);
+
+  await hnsw.close();
+});
+
+test('the index is saved to disk, reloaded, and rebuilt when Mongo has drifted', async () => {
+  const query = randomVector();
+  const hnsw = await openHnsw();
+  const before = (await hnsw.search(query, { k: 5 })).map(r => r.key);
+  await hnsw.close();
+
+  const files = await fs.readdir(indexDir);
+  assert.deepEqual(files.sort(), ['test_vectors.bin', 'test_vectors.json']);
+
+  const reloaded = await openHnsw();
+  assert.deepEqual((await reloaded.search(query, { k: 5 })).map(r => r.key), before);
+  await reloaded.close();
+
+  // 繞過索引直接寫 Mongo → 下次打開時數量對不上，從 Mongo 重建
+  await collection.insertOne({ index: 'test_vectors', key: 'external', userId: 'mom', embedding: query, dimension: DIMENSION });
+  const rebuilt = await openHnsw();
+  assert.equal((await rebuilt.search(query, { k: 1 }))[0].key, 'external');
+  await rebuilt.close();
+});